@@ -1,15 +1,33 @@
-from fastapi import FastAPI, APIRouter
+from fastapi import FastAPI, APIRouter, Cookie, Depends, File, Form, Header, HTTPException, Query, Request, Response, UploadFile
+from fastapi.exceptions import RequestValidationError
+from fastapi.routing import APIRoute
 from dotenv import load_dotenv
 from starlette.middleware.cors import CORSMiddleware
-from starlette.responses import StreamingResponse
+from starlette.responses import FileResponse, StreamingResponse
 from motor.motor_asyncio import AsyncIOMotorClient
+from cryptography.fernet import Fernet, InvalidToken
+from pymongo.errors import BulkWriteError, DuplicateKeyError
+import asyncio
+import base64
+import csv
+import hashlib
+import hmac
+import io
+import ipaddress
 import os
+import random
+import re
+import secrets
+import socket
 import logging
+import time
+import requests
 from pathlib import Path
 from pydantic import BaseModel, Field
-from typing import List, Optional
+from typing import Dict, List, Optional, Tuple
 import uuid
-from datetime import datetime
+from datetime import datetime, timedelta, timezone
+from urllib.parse import urlsplit
 
 
 ROOT_DIR = Path(__file__).parent
@@ -20,6 +38,27 @@ mongo_url = os.environ['MONGO_URL']
 client = AsyncIOMotorClient(mongo_url)
 db = client[os.environ['DB_NAME']]
 
+# Admin endpoints are guarded by a shared token until staff accounts exist
+ADMIN_TOKEN = os.environ.get('ADMIN_TOKEN')
+
+# Payment receipts uploaded at checkout are kept on local disk, outside the web root
+UPLOAD_DIR = Path(os.environ.get('UPLOAD_DIR', ROOT_DIR / 'uploads'))
+
+# Voucher codes are Fernet-encrypted at rest; SECRET_KEY keys the hashes of sign-in codes
+VOUCHER_ENCRYPTION_KEY = os.environ.get('VOUCHER_ENCRYPTION_KEY')
+SECRET_KEY = os.environ.get('SECRET_KEY')
+
+# The mock supplier invents codes and top-ups, so it can only be used where this is switched on
+MOCK_SUPPLIER_ENABLED = os.environ.get('MOCK_SUPPLIER_ENABLED', 'false').lower() == 'true'
+
+# Sign-in codes go out through SMS_PROVIDER; left unset, SMS is off. "console" only logs the codes,
+# so it has to be chosen explicitly, for local development
+SMS_PROVIDER = os.environ.get('SMS_PROVIDER')
+SESSION_COOKIE_SECURE = os.environ.get('SESSION_COOKIE_SECURE', 'true').lower() != 'false'
+
+# Links sent by SMS, like gift claim links, point at the storefront
+SITE_URL = os.environ.get('SITE_URL', 'http://localhost:3000').rstrip('/')
+
 # Create the main app without a prefix
 app = FastAPI()
 
@@ -48,62 +87,5064 @@ class TrustMetrics(BaseModel):
     items: List[MetricItem]
     updated_at: datetime = Field(default_factory=datetime.utcnow)
 
+# Catalog models (prepaid cards, and later games/subscriptions share the same shape)
+class Denomination(BaseModel):
+    sku: str
+    label: str
+    value: float  # face value as printed on the card
+    price: float  # selling price in BASE_CURRENCY
+    in_stock: bool = True
+    duration_days: Optional[int] = None  # subscription plans only
+    retail_price: Optional[float] = None  # only on responses priced for a partner; `price` is then wholesale
 
-# Add your routes to the router instead of directly to app
-@api_router.get("/")
-async def root():
-    return {"message": "Hello World"}
+# Per-game player/account ID format, stored with the product so new games need no code change
+class AccountRules(BaseModel):
+    label: str = "معرّف اللاعب"
+    placeholder: Optional[str] = None
+    min_length: int = 1
+    max_length: int = 32
+    numeric: bool = False
+    pattern: Optional[str] = None  # optional regex checked after length/numeric
+    zone_label: Optional[str] = None
+    zones: List[str] = []  # fixed server list, picked from a select
+    zone_pattern: Optional[str] = None  # free-form zone id (e.g. Mobile Legends)
 
-@api_router.post("/status", response_model=StatusCheck)
-async def create_status_check(input: StatusCheckCreate):
-    status_dict = input.dict()
-    status_obj = StatusCheck(**status_dict)
-    _ = await db.status_checks.insert_one(status_obj.dict())
-    return status_obj
+class Product(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    type: str = "card"
+    brand: str
+    name: str
+    region: str
+    description: Optional[str] = None
+    image: Optional[str] = None
+    denominations: List[Denomination]
+    account_rules: Optional[AccountRules] = None
+    carrier_id: Optional[str] = None  # set for mobile credit and bundle products
+    category: Optional[str] = None  # subscriptions: streaming / software / gaming
+    features: List[str] = []
+    max_quantity: int = 10  # per order, across all lines of the product
+    supplier: str = "manual"  # who fulfils paid lines, see SUPPLIER_LABELS
+    active: bool = True
+    created_at: datetime = Field(default_factory=datetime.utcnow)
 
-@api_router.get("/status", response_model=List[StatusCheck])
-async def get_status_checks():
-    status_checks = await db.status_checks.find().to_list(1000)
-    return [StatusCheck(**status_check) for status_check in status_checks]
+# Mobile operators, detected from the number prefix (national format, without the leading 0)
+class Carrier(BaseModel):
+    id: str
+    name: str
+    country: str
+    dial_code: str
+    prefixes: List[str]
+    number_length: int = 9
+    active: bool = True
 
+class CarrierDetection(BaseModel):
+    carrier: Carrier
+    national_number: str
+    international_number: str
 
-# New: Dynamic trust metrics endpoint (creates default doc if empty)
-@api_router.get("/metrics", response_model=TrustMetrics)
-async def get_metrics():
-    doc = await db.trust_metrics.find_one()
+class CatalogFacets(BaseModel):
+    brands: List[str]
+    regions: List[str]
+    denominations: List[float]
+    categories: List[str] = []
+
+# Order models
+ORDER_STATUSES = ["created", "paid", "verifying", "fulfilling", "delivered", "failed", "refunded"]
+
+class OrderItem(BaseModel):
+    product_id: str
+    sku: str
+    name: str
+    label: str
+    quantity: int = 1
+    unit_price: float
+    retail_price: Optional[float] = None  # catalog price when a partner bought at wholesale
+    recipient: Dict[str, str] = {}  # player id, phone number, wallet address...
+    row: Optional[int] = None  # line number in the file a bulk order was uploaded from
+
+class Receipt(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    filename: str  # as uploaded by the customer
+    content_type: str
+    size: int
+    stored_as: str  # file name under UPLOAD_DIR/receipts
+    reference: Optional[str] = None  # transfer / remittance number
+    uploaded_at: datetime = Field(default_factory=datetime.utcnow)
+
+class StatusEvent(BaseModel):
+    status: str
+    at: datetime = Field(default_factory=datetime.utcnow)
+    note: Optional[str] = None
+
+class Order(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    number: str = Field(default_factory=lambda: generate_order_number())
+    kind: str
+    items: List[OrderItem]
+    total: float
+    currency: str = "YER"
+    status: str = "created"
+    status_history: List[StatusEvent] = Field(default_factory=lambda: [StatusEvent(status="created")])
+    user_id: Optional[str] = None  # set when the buyer was signed in
+    contact_phone: Optional[str] = None
+    contact_name: Optional[str] = None
+    contact_email: Optional[str] = None
+    payment_method: Optional[str] = None
+    wallet_amount: float = 0  # part of the total paid from store credit; the rest is transferred
+    wallet_transactions: List[str] = []  # ledger spends applied to this order
+    payment_currency: str = "YER"  # what the customer transfers in; totals stay in `currency`
+    exchange_rate: float = 1  # `currency` per one unit of payment_currency, fixed when the order is placed
+    payment_amount: Optional[float] = None  # left to transfer after wallet_amount, in payment_currency
+    coupon_code: Optional[str] = None
+    discount: float = 0  # coupon discount, already taken off `total`
+    points_redeemed: int = 0  # loyalty points spent on this order
+    points_discount: float = 0  # what those points were worth, also taken off `total`
+    gift_id: Optional[str] = None  # bought for someone else, see Gift
+    recurring_id: Optional[str] = None  # placed by a RecurringOrder run
+    partner_tier: Optional[str] = None  # set when placed by an approved partner at wholesale prices
+    retail_total: Optional[float] = None  # what the lines cost at catalog prices
+    partner_commission: float = 0  # credited to the partner's commission balance on delivery
+    external_reference: Optional[str] = None  # the partner's own id for orders placed through the API
+    idempotency_key: Optional[str] = None  # client key, so a retried request returns this order
+    receipts: List[Receipt] = []
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+
+class RechargeCreate(BaseModel):
+    phone: str
+    product_id: str
+    sku: str
+    contact_phone: Optional[str] = None
+    currency: str = "YER"  # currency of the transfer, see ExchangeRate
+
+class GameTopupCreate(BaseModel):
+    product_id: str
+    sku: str
+    player_id: str
+    zone: Optional[str] = None
+    contact_phone: Optional[str] = None
+    currency: str = "YER"
+
+# Cart models: the browser keeps the cart, the server re-prices it against the live catalog
+class CartItemIn(BaseModel):
+    product_id: str
+    sku: str
+    quantity: int = Field(1, ge=1)
+    recipient: Dict[str, str] = {}
+
+class CartPriceRequest(BaseModel):
+    items: List[CartItemIn]
+    currency: str = "YER"  # the shopper's display currency, see ExchangeRate
+    coupon_code: Optional[str] = None
+
+class PricedCartItem(BaseModel):
+    product_id: str
+    sku: str
+    type: Optional[str] = None
+    name: Optional[str] = None
+    label: Optional[str] = None
+    quantity: int
+    unit_price: float = 0
+    retail_price: Optional[float] = None
+    line_total: float = 0
+    max_quantity: int = 0
+    available: bool
+    recipient: Dict[str, str] = {}
+    notice: Optional[str] = None  # why the line was dropped or its quantity reduced
+
+class AppliedCoupon(BaseModel):
+    code: str
+    description: Optional[str] = None
+    discount: float
+
+class CartPricing(BaseModel):
+    items: List[PricedCartItem]
+    subtotal: float
+    discount: float = 0
+    total: float = 0  # subtotal less the coupon discount
+    coupon: Optional[AppliedCoupon] = None
+    coupon_error: Optional[str] = None  # why the requested coupon was not applied
+    currency: str = "YER"
+    payment_currency: str = "YER"
+    exchange_rate: float = 1
+    payment_total: float = 0  # total converted at exchange_rate, what checkout will charge
+
+# Manual payment: customers transfer through a bank or exchange agent, then upload the receipt
+class PaymentMethod(BaseModel):
+    id: str
+    name: str
+    kind: str = "bank"  # bank / exchange
+    account_name: str
+    account_number: str
+    instructions: Optional[str] = None
+    active: bool = True
+
+# Sent as CheckoutCreate.gift to buy the order for someone else, see Gift
+class GiftCreate(BaseModel):
+    recipient_name: str
+    recipient_phone: str
+    message: str = ""
+    deliver_at: Optional[datetime] = None  # now when missing or already past
+
+class CheckoutCreate(BaseModel):
+    items: List[CartItemIn] = Field(..., min_length=1)
+    contact_name: str
+    contact_phone: str
+    contact_email: Optional[str] = None
+    payment_method: Optional[str] = None  # not needed when wallet_amount covers the total
+    wallet_amount: float = Field(0, ge=0)
+    currency: str = "YER"  # currency of the transfer; wallet_amount is always in BASE_CURRENCY
+    coupon_code: Optional[str] = None
+    points: int = Field(0, ge=0)  # loyalty points to redeem, worth LOYALTY_POINT_VALUE each
+    gift: Optional[GiftCreate] = None
+
+# Bulk orders: partners upload a CSV file, the browser parses it and sends the rows
+class BulkOrderRow(BaseModel):
+    row: int  # line number in the file, echoed back in errors and the result file
+    sku: str
+    quantity: int = Field(1, ge=1)
+    recipient: Dict[str, str] = {}
+
+class BulkOrderCreate(BaseModel):
+    rows: List[BulkOrderRow] = Field(..., min_length=1)
+    payment_method: Optional[str] = None  # not needed when wallet_amount covers the total
+    wallet_amount: float = Field(0, ge=0)
+
+class BulkRowError(BaseModel):
+    row: int
+    error: str
+
+class OrderReview(BaseModel):
+    note: Optional[str] = None
+
+class OrderLookup(BaseModel):
+    number: str
+    phone: str
+
+# Voucher codes delivered for card/subscription lines; the plain code never leaves the server
+# except through the logged reveal endpoint
+class VoucherCode(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    order_id: str
+    item_index: int
+    product_id: str
+    sku: str
+    encrypted: str
+    last4: str
+    reveal_count: int = 0
+    first_revealed_at: Optional[datetime] = None
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+
+class PublicVoucherCode(BaseModel):
+    id: str
+    item_index: int
+    name: str
+    label: str
+    masked: str
+    reveal_count: int
+    first_revealed_at: Optional[datetime] = None
+
+class RevealedVoucherCode(BaseModel):
+    id: str
+    code: str
+    name: str
+    label: str
+
+class VoucherCodesCreate(BaseModel):
+    item_index: int
+    codes: List[str] = Field(..., min_length=1)
+
+# Gifts: an order bought for someone else is fulfilled on its delivery date, then the recipient gets
+# an SMS with a claim link to a gift page where they reveal the codes. The link carries gift_token(),
+# so the buyer, who only sees the gift's status, cannot open it
+class Gift(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    order_id: str
+    order_number: str
+    sender_name: str
+    recipient_name: str
+    recipient_phone: str
+    message: str = ""
+    deliver_at: datetime
+    status: str = "scheduled"  # scheduled, sent, opened; cancelled with the order, failed when the SMS never went out
+    attempts: int = 0  # failed SMS attempts
+    next_attempt_at: Optional[datetime] = None  # set once the order is delivered
+    error: Optional[str] = None
+    sent_at: Optional[datetime] = None
+    opened_at: Optional[datetime] = None
+    revealed_at: Optional[datetime] = None  # first code revealed by the recipient
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+
+class GiftStatus(BaseModel):
+    """What the buyer's order page shows; the recipient's details and message stay private."""
+    status: str
+    deliver_at: datetime
+    sent_at: Optional[datetime] = None
+    opened_at: Optional[datetime] = None
+    revealed_at: Optional[datetime] = None
+
+class GiftItem(BaseModel):
+    name: str
+    label: str
+    quantity: int
+    recipient: Dict[str, str] = {}  # top-ups: already sent to this line
+
+class GiftView(BaseModel):
+    sender_name: str
+    recipient_name: str
+    message: str
+    sent_at: Optional[datetime] = None
+    items: List[GiftItem]
+    codes: List[PublicVoucherCode]
+
+# Supplier fulfilment: each paid line of a product with an automated supplier becomes a job that
+# moves pending -> submitted -> fulfilled or failed; jobs that run out of retries go to dead_letter
+class FulfillmentEvent(BaseModel):
+    status: str
+    note: Optional[str] = None
+    at: datetime = Field(default_factory=datetime.utcnow)
+
+class FulfillmentJob(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    order_id: str
+    order_number: str
+    item_index: int
+    product_id: str
+    sku: str
+    name: str
+    quantity: int
+    recipient: Dict[str, str] = {}
+    provider: str
+    status: str = "pending"  # pending, submitted, fulfilled, failed, dead_letter
+    attempts: int = 0  # failed attempts since the job was (re)queued
+    next_attempt_at: Optional[datetime] = Field(default_factory=datetime.utcnow)
+    supplier_reference: Optional[str] = None
+    error: Optional[str] = None
+    history: List[FulfillmentEvent] = []
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    submitted_at: Optional[datetime] = None
+    finished_at: Optional[datetime] = None
+    resolved_at: Optional[datetime] = None  # failed, but handled outside the system by an admin
+
+class SupplierResult(BaseModel):
+    status: str  # submitted, fulfilled or failed; transient problems raise SupplierError instead
+    reference: Optional[str] = None
+    codes: List[str] = []  # for lines delivered as codes
+    error: Optional[str] = None
+
+class SupplierStats(BaseModel):
+    provider: str
+    label: str
+    available: bool
+    fulfilled: int = 0
+    failed: int = 0
+    dead_letter: int = 0
+    in_progress: int = 0
+    success_rate: Optional[float] = None  # fulfilled share of finished jobs, 0..1
+    average_seconds: Optional[float] = None  # from queueing to fulfilment
+
+class ProductSupplierUpdate(BaseModel):
+    supplier: str
+
+class FulfillmentRetry(BaseModel):
+    provider: Optional[str] = None  # defaults to the job's current provider
+
+# Code inventory: our own stock of card codes, imported by admins and sold through the "inventory"
+# supplier. Codes are reserved for an order at checkout and released if it is not paid in time
+class InventoryCode(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    product_id: str
+    sku: str
+    encrypted: str  # voucher_cipher(), like delivered codes
+    last4: str
+    fingerprint: str  # keyed hash of the code, unique across all stock ever imported
+    status: str = "available"  # available, reserved, sold
+    order_id: Optional[str] = None
+    item_index: Optional[int] = None
+    reserved_until: Optional[datetime] = None  # None while reserved for an order that is already paid
+    batch_id: str
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    sold_at: Optional[datetime] = None
+
+class InventoryImportRow(BaseModel):
+    row: int  # spreadsheet line number, echoed back in the result
+    sku: str
+    code: str
+
+class InventoryImport(BaseModel):
+    rows: List[InventoryImportRow] = Field(..., min_length=1)
+    dry_run: bool = True
+
+class InventoryImportRowResult(BaseModel):
+    row: int
+    sku: str
+    last4: str
+    status: str  # new, duplicate_file, duplicate_stock, unknown_sku, empty
+
+class InventoryImportResult(BaseModel):
+    rows: List[InventoryImportRowResult]
+    imported: int = 0
+
+class InventoryStock(BaseModel):
+    product_id: str
+    name: str
+    sku: str
+    label: str
+    supplier: str
+    available: int = 0
+    reserved: int = 0
+    sold: int = 0
+    threshold: int
+    low: bool = False
+
+class InventoryThresholdUpdate(BaseModel):
+    product_id: str
+    sku: str
+    threshold: int = Field(..., ge=0, le=100000)
+
+class InventoryAlert(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    product_id: str
+    sku: str
+    name: str
+    label: str
+    available: int
+    threshold: int
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    resolved_at: Optional[datetime] = None
+
+# Accounts: a phone number confirmed with a one-time code, no passwords
+class User(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    phone: str  # international form, e.g. +967771234567
+    name: Optional[str] = None
+    email: Optional[str] = None
+    referral_code: Optional[str] = None  # given out on first visit to the referral dashboard
+    loyalty_tier: str = "silver"  # see LoyaltyTier
+    loyalty_tier_month: Optional[str] = None  # "YYYY-MM" the tier was last worked out for
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    last_login_at: Optional[datetime] = None
+
+class AuthSession(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    user_id: str
+    token_hash: str  # the cookie holds the token itself
+    created_at: datetime = Field(default_factory=datetime.utcnow)  # i.e. when the code was confirmed
+    expires_at: datetime
+    ip: Optional[str] = None
+    user_agent: Optional[str] = None
+
+class OtpRequest(BaseModel):
+    phone: str
+
+class OtpChallenge(BaseModel):
+    phone: str
+    length: int
+    expires_in: int  # seconds
+    resend_in: int
+
+class OtpVerify(BaseModel):
+    phone: str
+    code: str
+    referral_code: Optional[str] = None  # from a ?ref= link; only counts when the account is new
+
+# Account area
+class ProfileUpdate(BaseModel):
+    name: Optional[str] = Field(None, max_length=80)
+    email: Optional[str] = Field(None, max_length=120)
+
+class OrderHistory(BaseModel):
+    items: List[Order]
+    total: int
+    page: int
+    pages: int
+
+class SessionInfo(BaseModel):
+    id: str
+    created_at: datetime
+    expires_at: datetime
+    ip: Optional[str] = None
+    user_agent: Optional[str] = None
+    current: bool = False
+
+RECIPIENT_KINDS = ["game", "phone", "wallet"]
+
+# Player IDs, phone numbers and wallet addresses a user saved under a nickname
+class SavedRecipient(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    user_id: str
+    kind: str  # see RECIPIENT_KINDS
+    nickname: str
+    value: str  # player id / international phone number / wallet address
+    product_id: Optional[str] = None  # game the player id belongs to
+    zone: Optional[str] = None
+    network: Optional[str] = None  # wallet network (TRC20, ERC20, BEP20, BTC)
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+
+class SavedRecipientCreate(BaseModel):
+    kind: str
+    nickname: str = Field(..., min_length=1, max_length=40)
+    value: str
+    product_id: Optional[str] = None
+    zone: Optional[str] = None
+    network: Optional[str] = None
+
+# Store credit: every movement is a balanced ledger transaction between the customer's wallet
+# account and a contra account; balances are always summed from the postings, never stored
+LEDGER_CREDIT_KINDS = ["topup", "refund", "referral"]  # kinds that add to the wallet; "spend" takes from it
+# Customer-owned account prefixes that may never go negative, with the message shown when they would
+LEDGER_GUARDED_ACCOUNTS = {"wallet": "رصيد المحفظة غير كافٍ", "commission": "رصيد العمولات غير كافٍ"}
+
+class LedgerPosting(BaseModel):
+    account: str  # "wallet:<user id>", "commission:<user id>", "clearing:<payment method>", "sales:orders"...
+    amount: float  # credit positive, debit negative
+
+class LedgerTransaction(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    kind: str  # topup / spend / refund / commission / commission_payout / commission_reversal
+    idempotency_key: str  # unique; replays return the original transaction
+    user_id: str
+    seq: int  # per-wallet sequence, unique with user_id so concurrent spends cannot both pass the balance check
+    amount: float
+    currency: str = "YER"
+    postings: List[LedgerPosting]  # sum to zero
+    order_id: Optional[str] = None
+    memo: Optional[str] = None
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+
+class WalletEntry(BaseModel):
+    id: str
+    kind: str
+    amount: float  # signed effect on the wallet
+    balance_after: float
+    order_id: Optional[str] = None
+    memo: Optional[str] = None
+    created_at: datetime
+
+class WalletSummary(BaseModel):
+    balance: float
+    pending_topups: float  # top-up orders still awaiting payment verification
+    currency: str = "YER"
+
+class WalletTopupCreate(BaseModel):
+    amount: float = Field(..., gt=0)
+    payment_method: str
+
+class WalletSpend(BaseModel):
+    order_id: str
+    amount: Optional[float] = Field(None, gt=0)  # defaults to everything still due
+
+# Referrals: a new account that signed up through someone's link is held as pending until its first
+# paid order, then REFERRAL_REWARD is credited to both wallets
+class Referral(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    referrer_id: str
+    referee_id: str
+    status: str = "pending"  # pending -> rewarded
+    order_id: Optional[str] = None  # the referee's first paid order
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    rewarded_at: Optional[datetime] = None
+
+class ReferralEntry(BaseModel):
+    id: str
+    referee: str  # the referee's name, or their masked phone number
+    status: str
+    created_at: datetime
+    rewarded_at: Optional[datetime] = None
+
+class ReferralDashboard(BaseModel):
+    code: str
+    reward_amount: float
+    invited: int
+    rewarded: int
+    earned: float
+    referrals: List[ReferralEntry]
+
+# Loyalty points: a delivered order earns the buyer's tier earn_percent of its total in points, each
+# worth LOYALTY_POINT_VALUE at checkout. Earned points form lots that expire LOYALTY_EXPIRY_DAYS later,
+# and redeeming, reversing or expiring takes from the lots that expire soonest
+class LoyaltyTier(BaseModel):
+    id: str
+    name: str
+    earn_percent: float  # of each delivered order's total, in points
+    min_monthly_spend: float = 0  # on delivered orders in the previous calendar month
+
+class PointsEntry(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    user_id: str
+    kind: str  # earn / restore add a lot; redeem / reverse / expire take from lots
+    points: int  # signed change to the balance
+    key: str  # unique, e.g. order:{id}:earn, so a repeated call records nothing
+    order_id: Optional[str] = None
+    memo: Optional[str] = None
+    remaining: int = 0  # lots only: points not yet taken
+    expires_at: Optional[datetime] = None  # lots only
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+
+class LoyaltySummary(BaseModel):
+    balance: int
+    point_value: float
+    min_redeem: int
+    tier: LoyaltyTier
+    next_tier: Optional[LoyaltyTier] = None
+    month_spend: float  # delivered so far this calendar month, which sets next month's tier
+    expiring_points: int = 0  # in lots expiring within LOYALTY_EXPIRY_WARNING_DAYS
+    expiring_at: Optional[datetime] = None  # when the first of those expires
+
+# Recurring orders: the same line placed on a schedule (monthly on day_of_month, or every
+# interval_days) and paid from store credit. The customer gets an SMS before each charge and after it
+class RecurringOrderFields(BaseModel):
+    product_id: str
+    sku: str
+    recipient: Dict[str, str] = {}
+    quantity: int = Field(1, ge=1)
+    frequency: str = "monthly"  # see RECURRING_FREQUENCIES
+    day_of_month: Optional[int] = None  # monthly: 1..RECURRING_MAX_DAY_OF_MONTH
+    interval_days: Optional[int] = None  # interval: RECURRING_MIN_INTERVAL_DAYS..RECURRING_MAX_INTERVAL_DAYS
+    funding: str = "wallet"  # see RECURRING_FUNDING_SOURCES
+
+class RecurringOrder(RecurringOrderFields):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    user_id: str
+    name: str  # product and denomination at the last save, for the account list
+    label: str
+    status: str = "active"  # active, paused, cancelled
+    next_run_at: Optional[datetime] = None  # None unless active
+    next_attempt_at: Optional[datetime] = None  # next_run_at, pushed back by retries and while a run is claimed
+    reminded: bool = False  # the pre-charge SMS for next_run_at went out
+    attempts: int = 0  # failed attempts at the current run
+    last_error: Optional[str] = None
+    last_order_id: Optional[str] = None
+    last_run_at: Optional[datetime] = None
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    updated_at: datetime = Field(default_factory=datetime.utcnow)
+
+# Partner program: approved resellers/agents buy at their tier's wholesale price and earn a
+# commission on delivered orders
+PARTNER_STATUSES = ["pending", "approved", "rejected"]
+PARTNER_VOLUMES = ["under_500k", "500k_2m", "2m_10m", "over_10m"]  # expected monthly sales, YER
+
+class PartnerTier(BaseModel):
+    id: str
+    name: str
+    discount_percent: float  # off every catalog price
+    commission_percent: float  # of each delivered order's total
+    min_monthly_sales: float = 0  # guidance shown on /partners; admins assign the tier
+
+class Partner(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    user_id: str
+    business_name: str
+    city: str
+    phone: str  # business contact, international format
+    monthly_volume: str  # see PARTNER_VOLUMES
+    channels: Optional[str] = None  # how they sell: shop, WhatsApp groups...
+    status: str = "pending"
+    tier: Optional[str] = None
+    review_note: Optional[str] = None
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    reviewed_at: Optional[datetime] = None
+
+class PartnerApplication(BaseModel):
+    business_name: str = Field(..., min_length=2, max_length=80)
+    city: str = Field(..., min_length=2, max_length=40)
+    phone: str
+    monthly_volume: str
+    channels: Optional[str] = Field(None, max_length=300)
+
+class PartnerReview(BaseModel):
+    tier: Optional[str] = None  # required to approve
+    note: Optional[str] = None
+
+class PartnerStats(BaseModel):
+    orders: int = 0
+    sales: float = 0  # paid at wholesale
+    retail: float = 0  # the same lines at catalog prices
+    margin: float = 0  # retail - sales
+    commission: float = 0  # earned on delivered orders
+
+class PartnerDashboard(BaseModel):
+    partner: Partner
+    tier: PartnerTier
+    this_month: PartnerStats
+    all_time: PartnerStats
+    commission_balance: float
+    recent_orders: List[Order]
+
+# Partner API: POS systems call /api/v1/partner/* with a key id and an HMAC signature made with its secret
+class PartnerApiKey(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    partner_id: str
+    user_id: str
+    name: str
+    key_id: str  # public, sent as X-Api-Key
+    secret_encrypted: str  # Fernet, see api_secret_cipher(); needed in plain form to check signatures
+    secret_last4: str
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    last_used_at: Optional[datetime] = None
+    expires_at: Optional[datetime] = None  # set on rotation: the old secret keeps working until then
+    replaced_by: Optional[str] = None
+    revoked_at: Optional[datetime] = None
+
+class PublicPartnerApiKey(BaseModel):
+    id: str
+    name: str
+    key_id: str
+    secret_hint: str
+    created_at: datetime
+    last_used_at: Optional[datetime] = None
+    expires_at: Optional[datetime] = None
+    revoked_at: Optional[datetime] = None
+
+class PartnerApiKeyCreated(PublicPartnerApiKey):
+    secret: str  # returned once, when the key is issued or rotated
+
+class PartnerApiKeyCreate(BaseModel):
+    name: str = Field(..., min_length=2, max_length=40)
+
+class PartnerApiLog(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    partner_id: str
+    key_id: str
+    method: str
+    path: str
+    status: int
+    error: Optional[str] = None
+    duration_ms: int
+    ip: Optional[str] = None
+    at: datetime = Field(default_factory=datetime.utcnow)
+
+class PartnerApiOrderItem(BaseModel):
+    sku: str
+    quantity: int = Field(1, ge=1)
+    recipient: Dict[str, str] = {}
+
+class PartnerApiOrderCreate(BaseModel):
+    items: List[PartnerApiOrderItem] = Field(..., min_length=1)
+    reference: Optional[str] = Field(None, max_length=64)  # the partner's own order id
+
+class PartnerApiOrder(BaseModel):
+    id: str
+    number: str
+    reference: Optional[str] = None
+    status: str
+    total: float
+    currency: str
+    items: List[OrderItem]
+    status_history: List[StatusEvent]
+    created_at: datetime
+
+class PartnerApiBalance(BaseModel):
+    wallet: float
+    commission: float
+    currency: str = "YER"
+
+# Partner webhooks: order events are POSTed to the partner's endpoints, signed with the endpoint secret
+class WebhookEndpoint(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    partner_id: str
+    user_id: str
+    url: str
+    events: List[str]
+    secret_encrypted: str  # Fernet, see api_secret_cipher()
+    secret_last4: str
+    active: bool = True
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+
+class PublicWebhookEndpoint(BaseModel):
+    id: str
+    url: str
+    events: List[str]
+    secret_hint: str
+    active: bool
+    created_at: datetime
+
+class WebhookEndpointCreated(PublicWebhookEndpoint):
+    secret: str  # returned once, when the endpoint is added or its secret is rotated
+
+class WebhookEndpointCreate(BaseModel):
+    url: str = Field(..., max_length=500)
+    events: List[str] = Field(..., min_length=1)
+
+class WebhookEndpointUpdate(BaseModel):
+    url: Optional[str] = Field(None, max_length=500)
+    events: Optional[List[str]] = Field(None, min_length=1)
+    active: Optional[bool] = None
+
+class WebhookEvent(BaseModel):
+    """The JSON body of a delivery; `id` stays the same across retries and redeliveries."""
+    id: str = Field(default_factory=lambda: "evt_" + uuid.uuid4().hex)
+    type: str
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    order: Optional[PartnerApiOrder] = None
+    refund_amount: Optional[float] = None  # refund.issued only
+
+class WebhookDelivery(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    endpoint_id: str
+    partner_id: str
+    event_id: str
+    event_type: str
+    order_id: Optional[str] = None
+    payload: str  # the exact body, so retries and redeliveries send the same bytes
+    status: str = "pending"  # pending, succeeded, failed
+    attempts: int = 0
+    next_attempt_at: Optional[datetime] = Field(default_factory=datetime.utcnow)
+    response_status: Optional[int] = None
+    error: Optional[str] = None
+    redelivery_of: Optional[str] = None
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    last_attempt_at: Optional[datetime] = None
+
+# Crypto models: rates are maintained by admins, quotes lock a rate for QUOTE_TTL_SECONDS
+class CryptoRate(BaseModel):
+    asset: str
+    name: str
+    networks: List[str]
+    mid_rate: float  # BASE_CURRENCY per one unit
+    buy_spread: float = 0.02  # customer buys at mid * (1 + buy_spread)
+    sell_spread: float = 0.02  # customer sells at mid * (1 - sell_spread)
+    min_amount: float = 1
+    max_amount: float = 10000
+    active: bool = True
+    updated_at: datetime = Field(default_factory=datetime.utcnow)
+
+class CryptoRateUpdate(BaseModel):
+    mid_rate: Optional[float] = Field(None, gt=0)
+    buy_spread: Optional[float] = Field(None, ge=0, lt=1)
+    sell_spread: Optional[float] = Field(None, ge=0, lt=1)
+    min_amount: Optional[float] = Field(None, gt=0)
+    max_amount: Optional[float] = Field(None, gt=0)
+    networks: Optional[List[str]] = None
+    active: Optional[bool] = None
+
+class PublicCryptoRate(BaseModel):
+    asset: str
+    name: str
+    networks: List[str]
+    buy_rate: float
+    sell_rate: float
+    min_amount: float
+    max_amount: float
+
+class CryptoQuoteCreate(BaseModel):
+    asset: str
+    side: str  # "buy" | "sell"
+    network: str
+    amount: float = Field(..., gt=0)
+
+class CryptoQuote(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    asset: str
+    side: str
+    network: str
+    amount: float
+    rate: float
+    total: float
+    currency: str = "YER"
+    status: str = "open"  # open -> locked
+    ttl_seconds: int
+    expires_at: datetime
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    locked_at: Optional[datetime] = None
+    order_id: Optional[str] = None
+
+class CryptoQuoteConfirm(BaseModel):
+    wallet_address: Optional[str] = None  # required when buying: where we send the coins
+    contact_phone: Optional[str] = None
+
+class CryptoConfirmation(BaseModel):
+    quote: CryptoQuote
+    order: Order
+
+# Currencies: the catalog and ledger are in BASE_CURRENCY, admins set what other currencies are worth
+class ExchangeRate(BaseModel):
+    currency: str  # ISO 4217 code
+    name: str
+    rate: float  # BASE_CURRENCY per one unit
+    decimals: int = 2  # prices in this currency are rounded to this many places
+    updated_at: datetime = Field(default_factory=datetime.utcnow)
+
+class ExchangeRateUpdate(BaseModel):
+    rate: float = Field(..., gt=0)
+    note: Optional[str] = Field(None, max_length=200)
+
+class ExchangeRateChange(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    currency: str
+    rate: float
+    previous_rate: float
+    note: Optional[str] = None
+    changed_at: datetime = Field(default_factory=datetime.utcnow)
+
+# Coupons: admin-defined discounts entered in the cart. The cart only previews them; the order
+# route prices them again and counts the order against the coupon's limits
+class CouponFields(BaseModel):
+    code: str  # matched case-insensitively, stored upper-case
+    description: Optional[str] = Field(None, max_length=120)  # shown to the shopper next to the discount
+    kind: str = "percent"  # percent / fixed
+    value: float = Field(..., gt=0)  # percent off, or an amount in BASE_CURRENCY
+    max_discount: Optional[float] = Field(None, gt=0)  # cap for percent coupons
+    product_ids: List[str] = []  # scope: when both lists are empty the coupon covers the whole cart
+    product_types: List[str] = []  # scope by category (Product.type)
+    min_subtotal: float = Field(0, ge=0)  # of the whole cart, before the discount
+    usage_limit: Optional[int] = Field(None, ge=1)  # orders in total
+    per_user_limit: Optional[int] = Field(None, ge=1)  # orders per account; such coupons need sign-in
+    starts_at: Optional[datetime] = None
+    ends_at: Optional[datetime] = None
+    active: bool = True
+
+class Coupon(CouponFields):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    used_count: int = 0  # orders currently holding a use, see redeem_coupon
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+
+
+BASE_CURRENCY = "YER"
+QUOTE_TTL_SECONDS = 90
+
+ORDER_TERMINAL_STATUSES = {"delivered", "failed", "refunded"}
+ORDER_STREAM_RECHECK_SECONDS = 10  # picks up changes made by other workers
+
+OTP_LENGTH = 6
+OTP_TTL_MINUTES = 5
+OTP_RESEND_SECONDS = 60
+OTP_MAX_ATTEMPTS = 5  # per code; a new code resets the count
+OTP_MAX_SENDS = 5  # per phone within OTP_SEND_WINDOW_MINUTES
+OTP_MAX_SENDS_PER_IP = 20
+OTP_SEND_WINDOW_MINUTES = 60
+
+SESSION_COOKIE = "ostora_session"
+SESSION_TTL_DAYS = 30
+ORDER_HISTORY_PAGE_SIZE = 10
+MAX_SAVED_RECIPIENTS = 50
+WALLET_TOPUP_MIN = 1000
+WALLET_TOPUP_MAX = 500000
+WALLET_POSTING_RETRIES = 5
+WALLET_ENTRY_LABELS = {
+    "topup": "شحن رصيد", "spend": "دفع طلب", "refund": "استرداد", "commission_payout": "تحويل عمولات",
+    "referral": "مكافأة دعوة", "commission_reversal": "إلغاء عمولة",
+}
+GIFT_MESSAGE_MAX_LENGTH = 300
+GIFT_MAX_SCHEDULE_DAYS = 90
+GIFT_MAX_ATTEMPTS = 5
+GIFT_RETRY_BASE_SECONDS = 60  # doubles after every failed attempt
+GIFT_POLL_SECONDS = 60
+RECURRING_FREQUENCIES = ["monthly", "interval"]
+RECURRING_FUNDING_SOURCES = ["wallet"]
+RECURRING_PRODUCT_TYPES = ["credit", "bundle", "game", "subscription"]
+RECURRING_MAX_DAY_OF_MONTH = 28  # every month has it
+RECURRING_MIN_INTERVAL_DAYS = 1
+RECURRING_MAX_INTERVAL_DAYS = 90
+RECURRING_MAX_PER_USER = 10
+RECURRING_RUN_HOUR_UTC = 6
+RECURRING_LOCAL_OFFSET = timedelta(hours=3)  # SMS notices give times in Sana'a
+RECURRING_REMINDER_HOURS = 24
+RECURRING_MAX_ATTEMPTS = 4  # then the run is skipped until the next one
+RECURRING_RETRY_BASE_MINUTES = 60  # doubles after every failed attempt: 1, 2, 4 hours
+RECURRING_POLL_SECONDS = 60
+REFERRAL_REWARD = 1000  # BASE_CURRENCY, to each side
+REFERRAL_CODE_LENGTH = 6
+REFERRAL_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"  # no 0/O or 1/I, codes get read out loud
+LOYALTY_POINT_VALUE = 1  # BASE_CURRENCY per point at checkout
+LOYALTY_MIN_REDEEM = 100  # points
+LOYALTY_EXPIRY_DAYS = 365
+LOYALTY_EXPIRY_WARNING_DAYS = 30
+LOYALTY_HISTORY_LIMIT = 100
+LOYALTY_POLL_SECONDS = 3600
+REAUTH_MINUTES = 15  # revealing voucher codes needs a code confirmed this recently
+BULK_MAX_ROWS = 200
+BULK_MAX_UNITS = 1000  # sum of quantities across the rows of one bulk order
+BULK_OUTCOME_LABELS = {"delivered": "تم التنفيذ", "failed": "تعذر التنفيذ", "refunded": "تم استرداد المبلغ"}
+PARTNER_API_MAX_KEYS = 5  # active keys per partner
+PARTNER_API_CLOCK_SKEW_SECONDS = 300  # how old (or early) a signed request's X-Timestamp may be
+PARTNER_API_ROTATION_GRACE_HOURS = 24
+PARTNER_API_LOG_DAYS = 30
+SUPPLIER_LABELS = {"manual": "يدوي من لوحة الإدارة", "inventory": "مخزون الأكواد", "mock": "مورد تجريبي"}
+FULFILLMENT_MAX_ATTEMPTS = 5
+FULFILLMENT_RETRY_BASE_SECONDS = 30  # doubles after every failed attempt
+FULFILLMENT_CHECK_SECONDS = 5  # between status checks of a submitted line
+FULFILLMENT_SUBMITTED_TIMEOUT_MINUTES = 30  # a supplier that confirms nothing by then goes to dead_letter
+FULFILLMENT_POLL_SECONDS = 5
+FULFILLMENT_STATS_DAYS = 30
+INVENTORY_PRODUCT_TYPES = ["card", "subscription"]  # delivered as codes, so they can come from stock
+INVENTORY_RESERVATION_MINUTES = 30
+INVENTORY_LOW_STOCK_DEFAULT = 10
+INVENTORY_IMPORT_MAX_ROWS = 5000
+INVENTORY_RELEASE_POLL_SECONDS = 60
+WEBHOOK_EVENTS = ["order.created", "order.paid", "order.fulfilled", "order.failed", "refund.issued"]
+WEBHOOK_STATUS_EVENTS = {"paid": "order.paid", "delivered": "order.fulfilled", "failed": "order.failed"}
+WEBHOOK_MAX_ENDPOINTS = 5  # per partner
+WEBHOOK_MAX_ATTEMPTS = 8
+WEBHOOK_RETRY_BASE_SECONDS = 60  # doubles after every failed attempt: 1, 2, 4 … 64 minutes
+WEBHOOK_TIMEOUT_SECONDS = 10
+WEBHOOK_POLL_SECONDS = 15
+WEBHOOK_LOG_DAYS = 30
+COUPON_KINDS = ["percent", "fixed"]
+COUPON_CODE_PATTERN = re.compile(r"^[A-Z0-9_-]{3,32}$")
+
+RECEIPT_MAX_BYTES = 5 * 1024 * 1024
+RECEIPT_CONTENT_TYPES = {
+    "image/jpeg": ".jpg",
+    "image/png": ".png",
+    "image/webp": ".webp",
+    "application/pdf": ".pdf",
+}
+
+DEFAULT_PAYMENT_METHODS = [
+    {
+        "id": "kuraimi", "kind": "bank", "name": "بنك الكريمي",
+        "account_name": "الأسطورة أونلاين", "account_number": "3012345678",
+        "instructions": "حوّل المبلغ إلى الحساب عبر تطبيق الكريمي أو أي فرع، ثم ارفع صورة الإيصال.",
+    },
+    {
+        "id": "najm", "kind": "exchange", "name": "شبكة النجم للحوالات",
+        "account_name": "الأسطورة أونلاين", "account_number": "779995884",
+        "instructions": "أرسل حوالة باسم المستلم ورقم الجوال، واكتب رقم الحوالة عند رفع الإيصال.",
+    },
+    {
+        "id": "alamqi", "kind": "exchange", "name": "العمقي للصرافة",
+        "account_name": "الأسطورة أونلاين", "account_number": "739995884",
+        "instructions": "أرسل حوالة باسم المستلم ورقم الجوال، واكتب رقم الحوالة عند رفع الإيصال.",
+    },
+]
+
+# Shape-only checks; checksums (Base58Check, bech32, EIP-55) are verified in the browser
+WALLET_ADDRESS_PATTERNS = {
+    "BTC": r"(bc1[02-9ac-hj-np-z]{11,71}|BC1[02-9AC-HJ-NP-Z]{11,71}|[13][1-9A-HJ-NP-Za-km-z]{25,34})",
+    "ERC20": r"0x[0-9a-fA-F]{40}",
+    "BEP20": r"0x[0-9a-fA-F]{40}",
+    "TRC20": r"T[1-9A-HJ-NP-Za-km-z]{33}",
+}
+
+DEFAULT_CRYPTO_RATES = [
+    {"asset": "USDT", "name": "تيثر", "networks": ["TRC20", "ERC20", "BEP20"], "mid_rate": 540, "buy_spread": 0.015, "sell_spread": 0.02, "min_amount": 10, "max_amount": 20000},
+    {"asset": "BTC", "name": "بيتكوين", "networks": ["BTC"], "mid_rate": 36000000, "buy_spread": 0.02, "sell_spread": 0.025, "min_amount": 0.0001, "max_amount": 1},
+    {"asset": "ETH", "name": "إيثريوم", "networks": ["ERC20"], "mid_rate": 1350000, "buy_spread": 0.02, "sell_spread": 0.025, "min_amount": 0.005, "max_amount": 20},
+    {"asset": "BNB", "name": "بي إن بي", "networks": ["BEP20"], "mid_rate": 320000, "buy_spread": 0.02, "sell_spread": 0.025, "min_amount": 0.02, "max_amount": 100},
+]
+
+DEFAULT_EXCHANGE_RATES = [
+    {"currency": "YER", "name": "ريال يمني", "rate": 1, "decimals": 0},
+    {"currency": "SAR", "name": "ريال سعودي", "rate": 144, "decimals": 2},
+    {"currency": "USD", "name": "دولار أمريكي", "rate": 540, "decimals": 2},
+]
+
+DEFAULT_PARTNER_TIERS = [
+    {"id": "bronze", "name": "برونزي", "discount_percent": 3, "commission_percent": 1, "min_monthly_sales": 0},
+    {"id": "silver", "name": "فضي", "discount_percent": 5, "commission_percent": 1.5, "min_monthly_sales": 2000000},
+    {"id": "gold", "name": "ذهبي", "discount_percent": 8, "commission_percent": 2, "min_monthly_sales": 10000000},
+]
+
+DEFAULT_LOYALTY_TIERS = [
+    {"id": "silver", "name": "فضي", "earn_percent": 1, "min_monthly_spend": 0},
+    {"id": "gold", "name": "ذهبي", "earn_percent": 1.5, "min_monthly_spend": 50000},
+    {"id": "platinum", "name": "بلاتيني", "earn_percent": 2, "min_monthly_spend": 150000},
+]
+
+# Default catalog, inserted on startup for any id that is missing
+DEFAULT_PRODUCTS = [
+    {
+        "id": "card-google-play-us", "type": "card", "brand": "Google Play", "region": "US",
+        "name": "بطاقة جوجل بلاي (أمريكي)",
+        "description": "رصيد متجر جوجل بلاي للحسابات الأمريكية.",
+        "denominations": [
+            {"sku": "GP-US-10", "label": "$10", "value": 10, "price": 5600},
+            {"sku": "GP-US-25", "label": "$25", "value": 25, "price": 13900},
+            {"sku": "GP-US-50", "label": "$50", "value": 50, "price": 27600},
+        ],
+    },
+    {
+        "id": "card-itunes-us", "type": "card", "brand": "iTunes", "region": "US",
+        "name": "بطاقة آيتونز (أمريكي)",
+        "description": "رصيد آب ستور وآيتونز للحسابات الأمريكية.",
+        "denominations": [
+            {"sku": "IT-US-10", "label": "$10", "value": 10, "price": 5700},
+            {"sku": "IT-US-25", "label": "$25", "value": 25, "price": 14100},
+            {"sku": "IT-US-100", "label": "$100", "value": 100, "price": 55900, "in_stock": False},
+        ],
+    },
+    {
+        "id": "card-itunes-sa", "type": "card", "brand": "iTunes", "region": "SA",
+        "name": "بطاقة آيتونز (سعودي)",
+        "description": "رصيد آب ستور للحسابات السعودية.",
+        "denominations": [
+            {"sku": "IT-SA-50", "label": "50 ر.س", "value": 50, "price": 7500},
+            {"sku": "IT-SA-100", "label": "100 ر.س", "value": 100, "price": 14900},
+        ],
+    },
+    {
+        "id": "card-playstation-us", "type": "card", "brand": "PlayStation", "region": "US",
+        "name": "بطاقة بلايستيشن (أمريكي)",
+        "description": "رصيد متجر بلايستيشن ستور للحسابات الأمريكية.",
+        "denominations": [
+            {"sku": "PSN-US-10", "label": "$10", "value": 10, "price": 5800},
+            {"sku": "PSN-US-25", "label": "$25", "value": 25, "price": 14300},
+            {"sku": "PSN-US-50", "label": "$50", "value": 50, "price": 28400},
+        ],
+    },
+    {
+        "id": "card-steam-global", "type": "card", "brand": "Steam", "region": "GLOBAL",
+        "name": "بطاقة ستيم",
+        "description": "رصيد محفظة ستيم صالح لجميع المناطق التي تدعم الدولار.",
+        "denominations": [
+            {"sku": "STEAM-20", "label": "$20", "value": 20, "price": 11500},
+            {"sku": "STEAM-50", "label": "$50", "value": 50, "price": 28500, "in_stock": False},
+        ],
+    },
+    {
+        "id": "game-pubg-mobile", "type": "game", "brand": "PUBG Mobile", "region": "GLOBAL",
+        "name": "شدات ببجي موبايل",
+        "description": "شحن شدات UC مباشرة إلى حسابك عبر معرّف اللاعب.",
+        "account_rules": {"label": "معرّف اللاعب (ID)", "placeholder": "5123456789", "min_length": 8, "max_length": 12, "numeric": True},
+        "denominations": [
+            {"sku": "PUBG-60", "label": "60 UC", "value": 60, "price": 550},
+            {"sku": "PUBG-325", "label": "325 UC", "value": 325, "price": 2750},
+            {"sku": "PUBG-660", "label": "660 UC", "value": 660, "price": 5500},
+            {"sku": "PUBG-1800", "label": "1800 UC", "value": 1800, "price": 13800},
+        ],
+    },
+    {
+        "id": "game-free-fire", "type": "game", "brand": "Free Fire", "region": "GLOBAL",
+        "name": "جواهر فري فاير",
+        "description": "شحن الجواهر فوراً عبر معرّف اللاعب.",
+        "account_rules": {"label": "معرّف اللاعب (ID)", "placeholder": "123456789", "min_length": 8, "max_length": 11, "numeric": True},
+        "denominations": [
+            {"sku": "FF-100", "label": "100 جوهرة", "value": 100, "price": 550},
+            {"sku": "FF-530", "label": "530 جوهرة", "value": 530, "price": 2750},
+            {"sku": "FF-1080", "label": "1080 جوهرة", "value": 1080, "price": 5500},
+        ],
+    },
+    {
+        "id": "game-mobile-legends", "type": "game", "brand": "Mobile Legends", "region": "GLOBAL",
+        "name": "ألماس موبايل ليجندز",
+        "description": "يتطلب معرّف اللاعب ورقم السيرفر (Zone ID) الظاهر بين القوسين في الملف الشخصي.",
+        "account_rules": {
+            "label": "معرّف اللاعب (User ID)", "placeholder": "12345678", "min_length": 6, "max_length": 10, "numeric": True,
+            "zone_label": "رقم السيرفر (Zone ID)", "zone_pattern": "^[0-9]{4,5}$",
+        },
+        "denominations": [
+            {"sku": "MLBB-86", "label": "86 ألماسة", "value": 86, "price": 900},
+            {"sku": "MLBB-172", "label": "172 ألماسة", "value": 172, "price": 1800},
+            {"sku": "MLBB-514", "label": "514 ألماسة", "value": 514, "price": 5300},
+        ],
+    },
+    {
+        "id": "game-genshin", "type": "game", "brand": "Genshin Impact", "region": "GLOBAL",
+        "name": "كريستالات جينشين إمباكت",
+        "description": "الشحن عبر UID المكون من 9 أرقام مع اختيار السيرفر.",
+        "account_rules": {
+            "label": "UID", "placeholder": "812345678", "min_length": 9, "max_length": 10, "numeric": True,
+            "zone_label": "السيرفر", "zones": ["America", "Europe", "Asia", "TW, HK, MO"],
+        },
+        "denominations": [
+            {"sku": "GI-60", "label": "60 كريستالة", "value": 60, "price": 550},
+            {"sku": "GI-330", "label": "330 كريستالة", "value": 330, "price": 2750},
+            {"sku": "GI-1090", "label": "1090 كريستالة", "value": 1090, "price": 8300},
+        ],
+    },
+]
+
+DEFAULT_CARRIERS = [
+    {"id": "yemen-mobile", "name": "يمن موبايل", "country": "YE", "dial_code": "967", "prefixes": ["77", "78"]},
+    {"id": "sabafon", "name": "سبأفون", "country": "YE", "dial_code": "967", "prefixes": ["71"]},
+    {"id": "you", "name": "YOU", "country": "YE", "dial_code": "967", "prefixes": ["73"]},
+    {"id": "y-telecom", "name": "واي", "country": "YE", "dial_code": "967", "prefixes": ["70"]},
+    {"id": "stc", "name": "STC", "country": "SA", "dial_code": "966", "prefixes": ["50", "53", "55"]},
+    {"id": "mobily", "name": "موبايلي", "country": "SA", "dial_code": "966", "prefixes": ["54", "56"]},
+    {"id": "zain-sa", "name": "زين السعودية", "country": "SA", "dial_code": "966", "prefixes": ["58", "59"]},
+    {"id": "virgin-sa", "name": "فيرجن موبايل", "country": "SA", "dial_code": "966", "prefixes": ["570", "571", "572"]},
+    {"id": "lebara-sa", "name": "ليبارا", "country": "SA", "dial_code": "966", "prefixes": ["576", "577", "578"]},
+]
+
+# Credit and bundle products per carrier share the catalog model (type "credit" / "bundle")
+DEFAULT_PRODUCTS += [
+    {
+        "id": "credit-yemen-mobile", "type": "credit", "brand": "يمن موبايل", "region": "YE", "carrier_id": "yemen-mobile",
+        "name": "رصيد يمن موبايل",
+        "denominations": [
+            {"sku": "YM-CR-500", "label": "500 ريال", "value": 500, "price": 500},
+            {"sku": "YM-CR-1000", "label": "1000 ريال", "value": 1000, "price": 1000},
+            {"sku": "YM-CR-2000", "label": "2000 ريال", "value": 2000, "price": 2000},
+            {"sku": "YM-CR-5000", "label": "5000 ريال", "value": 5000, "price": 5000},
+        ],
+    },
+    {
+        "id": "bundle-yemen-mobile", "type": "bundle", "brand": "يمن موبايل", "region": "YE", "carrier_id": "yemen-mobile",
+        "name": "باقات يمن موبايل",
+        "denominations": [
+            {"sku": "YM-4G-DAY", "label": "باقة 4G يومية 1GB", "value": 1, "price": 350},
+            {"sku": "YM-4G-WEEK", "label": "باقة 4G أسبوعية 5GB", "value": 5, "price": 1500},
+            {"sku": "YM-4G-MONTH", "label": "باقة 4G شهرية 20GB", "value": 20, "price": 4800},
+        ],
+    },
+    {
+        "id": "credit-sabafon", "type": "credit", "brand": "سبأفون", "region": "YE", "carrier_id": "sabafon",
+        "name": "رصيد سبأفون",
+        "denominations": [
+            {"sku": "SB-CR-500", "label": "500 ريال", "value": 500, "price": 500},
+            {"sku": "SB-CR-1000", "label": "1000 ريال", "value": 1000, "price": 1000},
+            {"sku": "SB-CR-3000", "label": "3000 ريال", "value": 3000, "price": 3000},
+        ],
+    },
+    {
+        "id": "credit-you", "type": "credit", "brand": "YOU", "region": "YE", "carrier_id": "you",
+        "name": "رصيد YOU",
+        "denominations": [
+            {"sku": "YOU-CR-500", "label": "500 ريال", "value": 500, "price": 500},
+            {"sku": "YOU-CR-1000", "label": "1000 ريال", "value": 1000, "price": 1000},
+        ],
+    },
+    {
+        "id": "bundle-you", "type": "bundle", "brand": "YOU", "region": "YE", "carrier_id": "you",
+        "name": "باقات YOU",
+        "denominations": [
+            {"sku": "YOU-NET-WEEK", "label": "باقة إنترنت أسبوعية 3GB", "value": 3, "price": 1200},
+            {"sku": "YOU-MIX-MONTH", "label": "باقة مزايا شهرية", "value": 30, "price": 3500},
+        ],
+    },
+    {
+        "id": "credit-stc", "type": "credit", "brand": "STC", "region": "SA", "carrier_id": "stc",
+        "name": "رصيد سوا STC",
+        "denominations": [
+            {"sku": "STC-CR-20", "label": "20 ر.س", "value": 20, "price": 3000},
+            {"sku": "STC-CR-50", "label": "50 ر.س", "value": 50, "price": 7400},
+            {"sku": "STC-CR-100", "label": "100 ر.س", "value": 100, "price": 14700},
+        ],
+    },
+    {
+        "id": "bundle-stc", "type": "bundle", "brand": "STC", "region": "SA", "carrier_id": "stc",
+        "name": "باقات سوا",
+        "denominations": [
+            {"sku": "STC-SAWA-30", "label": "سوا لايك 30 يوم", "value": 30, "price": 8900},
+            {"sku": "STC-DATA-10", "label": "بيانات 10GB", "value": 10, "price": 5200},
+        ],
+    },
+    {
+        "id": "credit-mobily", "type": "credit", "brand": "موبايلي", "region": "SA", "carrier_id": "mobily",
+        "name": "رصيد موبايلي",
+        "denominations": [
+            {"sku": "MOB-CR-20", "label": "20 ر.س", "value": 20, "price": 3000},
+            {"sku": "MOB-CR-50", "label": "50 ر.س", "value": 50, "price": 7400},
+        ],
+    },
+    {
+        "id": "credit-zain-sa", "type": "credit", "brand": "زين السعودية", "region": "SA", "carrier_id": "zain-sa",
+        "name": "رصيد زين",
+        "denominations": [
+            {"sku": "ZAIN-CR-20", "label": "20 ر.س", "value": 20, "price": 3000},
+            {"sku": "ZAIN-CR-50", "label": "50 ر.س", "value": 50, "price": 7400},
+        ],
+    },
+]
+
+
+# Digital subscriptions: each denomination is a plan duration
+DEFAULT_PRODUCTS += [
+    {
+        "id": "sub-netflix", "type": "subscription", "category": "streaming", "brand": "Netflix", "region": "GLOBAL",
+        "name": "نتفليكس بريميوم",
+        "description": "اشتراك نتفليكس بريميوم بجودة 4K وأربع شاشات في نفس الوقت.",
+        "features": ["جودة 4K", "4 شاشات", "تحميل للمشاهدة دون إنترنت"],
+        "denominations": [
+            {"sku": "NFX-1M", "label": "شهر", "value": 1, "price": 6500, "duration_days": 30},
+            {"sku": "NFX-3M", "label": "3 أشهر", "value": 3, "price": 18900, "duration_days": 90},
+            {"sku": "NFX-12M", "label": "سنة", "value": 12, "price": 72000, "duration_days": 365},
+        ],
+    },
+    {
+        "id": "sub-shahid", "type": "subscription", "category": "streaming", "brand": "Shahid", "region": "MENA",
+        "name": "شاهد VIP",
+        "description": "مسلسلات وأفلام عربية حصرية مع البث المباشر للقنوات.",
+        "features": ["محتوى عربي حصري", "بث مباشر", "شاشتان"],
+        "denominations": [
+            {"sku": "SHD-1M", "label": "شهر", "value": 1, "price": 2600, "duration_days": 30},
+            {"sku": "SHD-12M", "label": "سنة", "value": 12, "price": 24500, "duration_days": 365},
+        ],
+    },
+    {
+        "id": "sub-spotify", "type": "subscription", "category": "streaming", "brand": "Spotify", "region": "GLOBAL",
+        "name": "سبوتيفاي بريميوم",
+        "description": "موسيقى بدون إعلانات مع إمكانية التحميل.",
+        "features": ["بدون إعلانات", "تحميل للمشاهدة دون إنترنت", "جودة صوت عالية"],
+        "denominations": [
+            {"sku": "SPT-1M", "label": "شهر", "value": 1, "price": 3200, "duration_days": 30},
+            {"sku": "SPT-3M", "label": "3 أشهر", "value": 3, "price": 9300, "duration_days": 90},
+            {"sku": "SPT-12M", "label": "سنة", "value": 12, "price": 35000, "duration_days": 365},
+        ],
+    },
+    {
+        "id": "sub-youtube", "type": "subscription", "category": "streaming", "brand": "YouTube", "region": "GLOBAL",
+        "name": "يوتيوب بريميوم",
+        "description": "يوتيوب ويوتيوب ميوزك بدون إعلانات مع التشغيل في الخلفية.",
+        "features": ["بدون إعلانات", "التشغيل في الخلفية", "تحميل للمشاهدة دون إنترنت"],
+        "denominations": [
+            {"sku": "YT-1M", "label": "شهر", "value": 1, "price": 3600, "duration_days": 30},
+            {"sku": "YT-12M", "label": "سنة", "value": 12, "price": 39000, "duration_days": 365},
+        ],
+    },
+    {
+        "id": "sub-microsoft-365", "type": "subscription", "category": "software", "brand": "Microsoft", "region": "GLOBAL",
+        "name": "مايكروسوفت 365 فاملي",
+        "description": "برامج أوفيس كاملة مع 1 تيرابايت تخزين سحابي لكل مستخدم.",
+        "features": ["6 مستخدمين", "1TB تخزين سحابي", "وورد وإكسل وباوربوينت"],
+        "denominations": [
+            {"sku": "M365-12M", "label": "سنة", "value": 12, "price": 56000, "duration_days": 365},
+        ],
+    },
+    {
+        "id": "sub-canva", "type": "subscription", "category": "software", "brand": "Canva", "region": "GLOBAL",
+        "name": "كانفا برو",
+        "description": "قوالب وعناصر تصميم احترافية بلا حدود.",
+        "features": ["قوالب مميزة", "إزالة الخلفية", "1TB تخزين سحابي"],
+        "denominations": [
+            {"sku": "CNV-1M", "label": "شهر", "value": 1, "price": 7200, "duration_days": 30},
+            {"sku": "CNV-12M", "label": "سنة", "value": 12, "price": 62000, "duration_days": 365, "in_stock": False},
+        ],
+    },
+    {
+        "id": "sub-xbox-game-pass", "type": "subscription", "category": "gaming", "brand": "Xbox", "region": "US",
+        "name": "إكس بوكس جيم باس ألتميت",
+        "description": "مئات الألعاب على الكونسول والكمبيوتر مع اللعب الجماعي أونلاين.",
+        "features": ["مكتبة ألعاب ضخمة", "لعب جماعي أونلاين", "ألعاب الكمبيوتر"],
+        "denominations": [
+            {"sku": "XGP-1M", "label": "شهر", "value": 1, "price": 9800, "duration_days": 30},
+            {"sku": "XGP-3M", "label": "3 أشهر", "value": 3, "price": 28900, "duration_days": 90},
+        ],
+    },
+    {
+        "id": "sub-ps-plus", "type": "subscription", "category": "gaming", "brand": "PlayStation", "region": "US",
+        "name": "بلايستيشن بلس إسنشال",
+        "description": "اللعب الجماعي أونلاين وألعاب مجانية شهرياً.",
+        "features": ["لعب جماعي أونلاين", "ألعاب مجانية شهرياً", "تخزين سحابي"],
+        "denominations": [
+            {"sku": "PSP-3M", "label": "3 أشهر", "value": 3, "price": 14500, "duration_days": 90},
+            {"sku": "PSP-12M", "label": "سنة", "value": 12, "price": 44000, "duration_days": 365},
+        ],
+    },
+]
+
+
+def generate_order_number() -> str:
+    return f"UST-{datetime.utcnow():%y%m%d}-{secrets.randbelow(10**5):05d}"
+
+
+def validate_account_id(rules: AccountRules, player_id: str, zone: Optional[str]) -> Optional[str]:
+    """Returns an Arabic error message, or None when the id/zone match the game's rules."""
+    player_id = (player_id or "").strip()
+    if not player_id:
+        return f"{rules.label} مطلوب"
+    if len(player_id) < rules.min_length or len(player_id) > rules.max_length:
+        if rules.min_length == rules.max_length:
+            return f"{rules.label} يجب أن يتكون من {rules.min_length} خانات"
+        return f"{rules.label} يجب أن يكون بين {rules.min_length} و {rules.max_length} خانات"
+    if rules.numeric and not re.fullmatch(r"[0-9]+", player_id):
+        return f"{rules.label} يجب أن يحتوي على أرقام فقط"
+    if rules.pattern and not re.fullmatch(rules.pattern, player_id):
+        return f"صيغة {rules.label} غير صحيحة"
+    zone = (zone or "").strip()
+    if rules.zones and zone not in rules.zones:
+        return f"يرجى اختيار {rules.zone_label or 'السيرفر'}"
+    if rules.zone_pattern and not re.fullmatch(rules.zone_pattern, zone):
+        return f"{rules.zone_label or 'رقم السيرفر'} غير صحيح"
+    return None
+
+
+def normalize_phone(phone: str) -> str:
+    digits = re.sub(r"\D", "", phone or "")
+    if digits.startswith("00"):
+        digits = digits[2:]
+    return digits
+
+
+def detect_carrier(phone: str, carriers: List[Carrier]) -> CarrierDetection:
+    """Matches the longest configured prefix; raises 422 with an Arabic message otherwise."""
+    digits = normalize_phone(phone)
+    if not digits:
+        raise HTTPException(status_code=422, detail="رقم الهاتف مطلوب")
+
+    candidates = []
+    for carrier in carriers:
+        national = digits
+        if digits.startswith(carrier.dial_code) and len(digits) > carrier.number_length:
+            national = digits[len(carrier.dial_code):]
+        elif digits.startswith("0"):
+            national = digits[1:]
+        for prefix in carrier.prefixes:
+            if national.startswith(prefix):
+                candidates.append((len(prefix), carrier, national))
+    if not candidates:
+        raise HTTPException(status_code=422, detail="بادئة الرقم غير معروفة لأي مشغل مدعوم")
+
+    _, carrier, national = max(candidates, key=lambda c: c[0])
+    if len(national) != carrier.number_length:
+        raise HTTPException(
+            status_code=422,
+            detail=f"رقم {carrier.name} يجب أن يتكون من {carrier.number_length} أرقام",
+        )
+    return CarrierDetection(carrier=carrier, national_number=national, international_number=f"+{carrier.dial_code}{national}")
+
+
+def wholesale_price(price: float, tier: Optional[PartnerTier]) -> float:
+    return round(price * (1 - tier.discount_percent / 100)) if tier else price
+
+
+def partner_priced(product: Product, tier: Optional[PartnerTier]) -> Product:
+    """The product as a partner sees it: wholesale `price`, catalog price kept in `retail_price`."""
+    if tier:
+        for option in product.denominations:
+            option.retail_price = option.price
+            option.price = wholesale_price(option.price, tier)
+    return product
+
+
+def partner_order_fields(items: List[OrderItem], total: float, tier: Optional[PartnerTier]) -> dict:
+    if not tier:
+        return {}
+    return {
+        "partner_tier": tier.id,
+        "retail_total": round(sum((item.retail_price or item.unit_price) * item.quantity for item in items), 2),
+        "partner_commission": round(total * tier.commission_percent / 100, 2),
+    }
+
+
+async def exchange_rate_for(currency: str) -> ExchangeRate:
+    doc = await db.exchange_rates.find_one({"currency": (currency or "").upper()}, {"_id": 0})
     if not doc:
-        default = TrustMetrics(
-            items=[
-                MetricItem(key="rating", label="تقييم العملاء", value="4.9/5", icon="Star"),
-                MetricItem(key="shipments", label="عمليات الشحن", value="120K+", icon="Zap"),
-                MetricItem(key="downloads", label="عدد التحميلات", value="85K+", icon="Download"),
-                MetricItem(key="uptime", label="زمن الاستجابة", value="1.2s", icon="Gauge"),
-            ]
+        raise HTTPException(status_code=422, detail="العملة غير مدعومة")
+    return ExchangeRate(**doc)
+
+
+def from_base(amount: float, rate: ExchangeRate) -> float:
+    return round(amount / rate.rate, rate.decimals)
+
+
+def payment_fields(total: float, wallet_amount: float, rate: ExchangeRate) -> dict:
+    """Order fields fixing what is left to transfer, in the customer's currency at today's rate."""
+    return {"payment_currency": rate.currency, "exchange_rate": rate.rate, "payment_amount": from_base(total - wallet_amount, rate)}
+
+
+async def price_cart(items: List[CartItemIn], tier: Optional[PartnerTier] = None,
+                     rate: Optional[ExchangeRate] = None, coupon_code: Optional[str] = None,
+                     user_id: Optional[str] = None) -> CartPricing:
+    """Re-prices cart lines from the catalog (at wholesale for a partner `tier`), dropping
+    unavailable ones and clamping quantities so the total per product never exceeds its max_quantity.
+    A `coupon_code` is applied for `user_id` when it is usable, otherwise `coupon_error` says why.
+    Lines stay in BASE_CURRENCY; the total is also converted at `rate` when given."""
+    ids = list({item.product_id for item in items})
+    docs = await db.products.find({"id": {"$in": ids}, "active": True}, {"_id": 0}).to_list(len(ids) or 1)
+    products = {doc["id"]: Product(**doc) for doc in docs}
+    used: Dict[str, int] = {}
+    priced: List[PricedCartItem] = []
+    for item in items:
+        product = products.get(item.product_id)
+        option = next((d for d in product.denominations if d.sku == item.sku), None) if product else None
+        if not option:
+            priced.append(PricedCartItem(
+                product_id=item.product_id, sku=item.sku, quantity=item.quantity, available=False,
+                recipient=item.recipient, notice="المنتج لم يعد متوفراً في المتجر",
+            ))
+            continue
+        line = PricedCartItem(
+            product_id=product.id, sku=option.sku, type=product.type, name=product.name, label=option.label,
+            quantity=item.quantity, unit_price=wholesale_price(option.price, tier), max_quantity=product.max_quantity,
+            retail_price=option.price if tier else None, available=option.in_stock, recipient=item.recipient,
         )
-        await db.trust_metrics.insert_one(default.dict())
-        return default
-    # Convert existing doc to TrustMetrics model (ignore _id if present)
-    doc.pop("_id", None)
-    return TrustMetrics(**doc)
+        if not option.in_stock:
+            line.notice = "هذه الفئة غير متوفرة حالياً"
+        else:
+            allowed = max(product.max_quantity - used.get(product.id, 0), 0)
+            if item.quantity > allowed:
+                line.quantity = allowed
+                line.available = allowed > 0
+                line.notice = f"الحد الأقصى لـ {product.name} هو {product.max_quantity} في الطلب الواحد"
+            used[product.id] = used.get(product.id, 0) + line.quantity
+            line.line_total = round(line.unit_price * line.quantity, 2)
+        priced.append(line)
+    subtotal = round(sum(line.line_total for line in priced if line.available), 2)
+    pricing = CartPricing(items=priced, subtotal=subtotal, currency=BASE_CURRENCY)
+    if coupon_code:
+        coupon = await db.coupons.find_one({"code": coupon_code.strip().upper()}, {"_id": 0})
+        coupon = Coupon(**coupon) if coupon else None
+        pricing.coupon_error = await coupon_error(coupon, subtotal, user_id, tier)
+        if not pricing.coupon_error:
+            pricing.discount = coupon_discount(coupon, [line for line in priced if line.available], products)
+            if pricing.discount > 0:
+                pricing.coupon = AppliedCoupon(code=coupon.code, description=coupon.description, discount=pricing.discount)
+            else:
+                pricing.coupon_error = "الكوبون لا يشمل أي منتج في السلة"
+    pricing.total = pricing.payment_total = round(subtotal - pricing.discount, 2)
+    if rate:
+        pricing.payment_currency, pricing.exchange_rate = rate.currency, rate.rate
+        pricing.payment_total = from_base(pricing.total, rate)
+    return pricing
 
-# Include the router in the main app
-app.include_router(api_router)
 
-app.add_middleware(
-    CORSMiddleware,
-    allow_credentials=True,
-    allow_origins=os.environ.get('CORS_ORIGINS', '*').split(','),
-    allow_methods=["*"],
-    allow_headers=["*"],
-)
+async def coupon_error(coupon: Optional[Coupon], subtotal: float, user_id: Optional[str],
+                       tier: Optional[PartnerTier]) -> Optional[str]:
+    """Why `coupon` cannot be used on a cart worth `subtotal`, or None when it can."""
+    now = datetime.utcnow()
+    if not coupon or not coupon.active:
+        return "كود الخصم غير صحيح"
+    if tier:
+        return "لا تُطبق أكواد الخصم على أسعار الجملة"
+    if (coupon.starts_at and now < coupon.starts_at) or (coupon.ends_at and now >= coupon.ends_at):
+        return "كود الخصم غير صالح في هذا الوقت"
+    if subtotal < coupon.min_subtotal:
+        return f"الحد الأدنى للطلب لاستخدام هذا الكود {coupon.min_subtotal:,.0f} ريال"
+    if coupon.usage_limit is not None and coupon.used_count >= coupon.usage_limit:
+        return "نفدت مرات استخدام هذا الكود"
+    if coupon.per_user_limit is not None:
+        if not user_id:
+            return "سجّل الدخول لاستخدام هذا الكود"
+        used = await db.coupon_redemptions.count_documents({"coupon_id": coupon.id, "user_id": user_id})
+        if used >= coupon.per_user_limit:
+            return "استخدمت هذا الكود بالحد الأقصى المسموح"
+    return None
 
-# Configure logging
-logging.basicConfig(
-    level=logging.INFO,
-    format='%(asctime)s - %(name)s - %(levelname)s - %(message)s'
-)
-logger = logging.getLogger(__name__)
+
+def coupon_discount(coupon: Coupon, lines: List[PricedCartItem], products: Dict[str, Product]) -> float:
+    """The discount on the lines within the coupon's scope, never more than they cost."""
+    scoped = bool(coupon.product_ids or coupon.product_types)
+    eligible = sum(
+        line.line_total for line in lines
+        if not scoped or line.product_id in coupon.product_ids or products[line.product_id].type in coupon.product_types
+    )
+    if coupon.kind == "percent":
+        discount = eligible * coupon.value / 100
+        if coupon.max_discount:
+            discount = min(discount, coupon.max_discount)
+    else:
+        discount = min(coupon.value, eligible)
+    return round(discount, 2)
+
+
+async def redeem_coupon(order: Order):
+    """Counts a new order against its coupon's limits; raises 409 when another order took the
+    last use since the cart was priced. release_coupon gives the use back, and so does
+    release_next_expired_reservation once an order is left unpaid as long as its stock is held."""
+    query = {"code": order.coupon_code, "active": True}
+    coupon = await db.coupons.find_one(query, {"_id": 0})
+    if coupon and coupon.get("usage_limit") is not None:
+        query["used_count"] = {"$lt": coupon["usage_limit"]}
+    if not coupon or not await db.coupons.find_one_and_update(query, {"$inc": {"used_count": 1}}):
+        raise HTTPException(status_code=409, detail="نفدت مرات استخدام كود الخصم")
+    await db.coupon_redemptions.insert_one({
+        "coupon_id": coupon["id"], "order_id": order.id, "user_id": order.user_id,
+        "discount": order.discount, "created_at": datetime.utcnow(),
+        "reserved_until": datetime.utcnow() + timedelta(minutes=INVENTORY_RESERVATION_MINUTES),
+    })
+    limit = coupon.get("per_user_limit")
+    if limit is not None and await db.coupon_redemptions.count_documents(
+        {"coupon_id": coupon["id"], "user_id": order.user_id}
+    ) > limit:
+        await release_coupon(order.id)
+        raise HTTPException(status_code=409, detail="استخدمت هذا الكود بالحد الأقصى المسموح")
+
+
+async def release_coupon(order_id: str):
+    """Gives back the coupon use of an order that was dropped, left unpaid, failed or refunded."""
+    doc = await db.coupon_redemptions.find_one_and_delete({"order_id": order_id})
+    if doc:
+        await db.coupons.update_one({"id": doc["coupon_id"]}, {"$inc": {"used_count": -1}})
+
+
+def validate_recipient(product: Product, recipient: Dict[str, str], carriers: List[Carrier]) -> Dict[str, str]:
+    """Checks the per-line recipient required by the product type and returns it normalised."""
+    if product.type == "game":
+        error = validate_account_id(product.account_rules or AccountRules(), recipient.get("player_id"), recipient.get("zone"))
+        if error:
+            raise HTTPException(status_code=422, detail=f"{product.name}: {error}")
+        cleaned = {"player_id": recipient["player_id"].strip()}
+        if recipient.get("zone"):
+            cleaned["zone"] = recipient["zone"].strip()
+        return cleaned
+    if product.type in ("credit", "bundle"):
+        detection = detect_carrier(recipient.get("phone", ""), carriers)
+        if product.carrier_id != detection.carrier.id:
+            raise HTTPException(status_code=422, detail=f"{product.name}: الرقم لا يتبع مشغل هذه الباقة")
+        return {"phone": detection.international_number, "carrier": detection.carrier.id}
+    return {}
+
+
+# In-process fan-out for the order event stream; set_order_status publishes here
+order_listeners: Dict[str, List[asyncio.Queue]] = {}
+
+def publish_order_update(order: Order):
+    for queue in order_listeners.get(order.id, []):
+        queue.put_nowait(order)
+
+
+def phones_match(a: Optional[str], b: Optional[str]) -> bool:
+    """Compares the last 9 digits so local (07...) and international (+967 7...) forms match."""
+    a, b = normalize_phone(a or ""), normalize_phone(b or "")
+    return len(a) >= 9 and len(b) >= 9 and a[-9:] == b[-9:]
+
+
+def voucher_cipher() -> Fernet:
+    if not VOUCHER_ENCRYPTION_KEY:
+        raise HTTPException(status_code=503, detail="تسليم الأكواد غير مفعل على هذا الخادم")
+    return Fernet(VOUCHER_ENCRYPTION_KEY)
+
+
+def mask_code(last4: str) -> str:
+    return f"•••• •••• {last4 or '••••'}"
+
+
+class SmsProvider:
+    """Delivers a text message; pick an implementation with SMS_PROVIDER (see SMS_PROVIDERS)."""
+
+    async def send(self, phone: str, message: str):
+        raise NotImplementedError
+
+
+class ConsoleSmsProvider(SmsProvider):
+    """Development stand-in: writes the message to the server log instead of sending it."""
+
+    async def send(self, phone: str, message: str):
+        logger.info("SMS to %s: %s", phone, message)
+
+
+class HttpSmsProvider(SmsProvider):
+    """Generic JSON gateway: POST SMS_API_URL {to, sender, message} with SMS_API_KEY as a bearer token."""
+
+    def __init__(self):
+        self.url = os.environ.get('SMS_API_URL')
+        self.api_key = os.environ.get('SMS_API_KEY')
+        self.sender = os.environ.get('SMS_SENDER', 'Ostora')
+        if not self.url or not self.api_key:
+            raise HTTPException(status_code=503, detail="خدمة الرسائل غير مفعلة على هذا الخادم")
+
+    async def send(self, phone: str, message: str):
+        response = await asyncio.to_thread(
+            requests.post, self.url, timeout=10,
+            json={"to": phone, "sender": self.sender, "message": message},
+            headers={"Authorization": f"Bearer {self.api_key}"},
+        )
+        response.raise_for_status()
+
+
+SMS_PROVIDERS = {"console": ConsoleSmsProvider, "http": HttpSmsProvider}
+
+def sms_provider() -> SmsProvider:
+    provider = SMS_PROVIDERS.get(SMS_PROVIDER)
+    if not provider:
+        raise HTTPException(status_code=503, detail="خدمة الرسائل غير مفعلة على هذا الخادم")
+    return provider()
+
+
+def otp_digest(phone: str, code: str) -> str:
+    if not SECRET_KEY:
+        raise HTTPException(status_code=503, detail="تسجيل الدخول غير مفعل على هذا الخادم")
+    return hmac.new(SECRET_KEY.encode(), f"{phone}:{code}".encode(), hashlib.sha256).hexdigest()
+
+
+def session_digest(token: str) -> str:
+    return hashlib.sha256(token.encode()).hexdigest()
+
+
+async def optional_session(token: Optional[str] = Cookie(None, alias=SESSION_COOKIE)) -> Optional[AuthSession]:
+    if not token:
+        return None
+    doc = await db.sessions.find_one(
+        {"token_hash": session_digest(token), "expires_at": {"$gt": datetime.utcnow()}}, {"_id": 0}
+    )
+    return AuthSession(**doc) if doc else None
+
+
+async def require_session(session: Optional[AuthSession] = Depends(optional_session)) -> AuthSession:
+    if not session:
+        raise HTTPException(status_code=401, detail="يرجى تسجيل الدخول")
+    return session
+
+
+async def require_user(session: AuthSession = Depends(require_session)) -> User:
+    doc = await db.users.find_one({"id": session.user_id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=401, detail="يرجى تسجيل الدخول")
+    return User(**doc)
+
+
+async def require_admin(x_admin_token: Optional[str] = Header(None)):
+    if not ADMIN_TOKEN:
+        raise HTTPException(status_code=503, detail="لوحة الإدارة غير مفعلة على هذا الخادم")
+    if not x_admin_token or not secrets.compare_digest(x_admin_token, ADMIN_TOKEN):
+        raise HTTPException(status_code=401, detail="رمز الإدارة غير صحيح")
+
+
+async def partner_tier_for(user_id: Optional[str]) -> Optional[PartnerTier]:
+    """The wholesale tier of an approved partner; None for everyone else."""
+    partner = await db.partners.find_one({"user_id": user_id, "status": "approved"}, {"_id": 0, "tier": 1}) if user_id else None
+    doc = await db.partner_tiers.find_one({"id": partner["tier"]}, {"_id": 0}) if partner else None
+    return PartnerTier(**doc) if doc else None
+
+
+async def optional_partner_tier(session: Optional[AuthSession] = Depends(optional_session)) -> Optional[PartnerTier]:
+    return await partner_tier_for(session.user_id if session else None)
+
+
+def owns_order(user: User, order: Order) -> bool:
+    """Orders placed while signed in, or as a guest with the phone the account was verified with."""
+    return order.user_id == user.id or phones_match(user.phone, order.contact_phone)
+
+
+def order_phones(order: Order) -> List[Optional[str]]:
+    """The contact phone and every recipient phone; a guest proves an order is theirs with one of them."""
+    return [order.contact_phone] + [item.recipient.get("phone") for item in order.items]
+
+
+def owned_orders_query(user: User) -> dict:
+    """Mongo counterpart of owns_order(): guest contact phones are stored as typed, so the last
+    9 digits are matched with any separators between them."""
+    last9 = normalize_phone(user.phone)[-9:]
+    phone_pattern = r"\D*".join(last9) + r"\D*$"
+    return {"$or": [{"user_id": user.id}, {"user_id": None, "contact_phone": {"$regex": phone_pattern}}]}
+
+
+async def validate_saved_recipient(input: SavedRecipientCreate) -> dict:
+    """Checks a recipient the same way checkout would and returns its normalized fields."""
+    value = input.value.strip()
+    if input.kind == "game":
+        doc = await db.products.find_one({"id": input.product_id, "type": "game"}, {"_id": 0})
+        if not doc:
+            raise HTTPException(status_code=422, detail="اختر اللعبة")
+        product = Product(**doc)
+        error = validate_account_id(product.account_rules or AccountRules(), value, input.zone)
+        if error:
+            raise HTTPException(status_code=422, detail=error)
+        return {"value": value, "product_id": product.id, "zone": input.zone or None}
+    if input.kind == "phone":
+        return {"value": detect_carrier(value, await load_carriers()).international_number}
+    if input.kind == "wallet":
+        pattern = WALLET_ADDRESS_PATTERNS.get(input.network or "")
+        if not pattern:
+            raise HTTPException(status_code=422, detail="اختر شبكة المحفظة")
+        if not re.fullmatch(pattern, value):
+            raise HTTPException(status_code=422, detail=f"عنوان المحفظة لا يطابق صيغة شبكة {input.network}")
+        return {"value": value, "network": input.network}
+    raise HTTPException(status_code=422, detail="نوع المستلم غير معروف")
+
+
+def wallet_account(user_id: str) -> str:
+    return f"wallet:{user_id}"
+
+
+def commission_account(user_id: str) -> str:
+    return f"commission:{user_id}"
+
+
+async def account_balance(account: str) -> float:
+    rows = await db.ledger_transactions.aggregate([
+        {"$match": {"postings.account": account}},
+        {"$unwind": "$postings"},
+        {"$match": {"postings.account": account}},
+        {"$group": {"_id": None, "balance": {"$sum": "$postings.amount"}}},
+    ]).to_list(1)
+    return round(rows[0]["balance"], 2) if rows else 0.0
+
+
+async def wallet_balance(user_id: str) -> float:
+    return await account_balance(wallet_account(user_id))
+
+
+def replayed_transaction(doc: dict, user_id: str, kind: str, amount: float) -> LedgerTransaction:
+    if doc["user_id"] != user_id or doc["kind"] != kind or doc["amount"] != amount:
+        raise HTTPException(status_code=409, detail="مفتاح العملية مستخدم مسبقاً لعملية مختلفة")
+    return LedgerTransaction(**doc)
+
+
+async def post_ledger_transaction(user_id: str, kind: str, amount: float, idempotency_key: str,
+                                  credit_account: str, debit_account: str,
+                                  order_id: Optional[str] = None, memo: Optional[str] = None) -> LedgerTransaction:
+    """Moves `amount` from `debit_account` to `credit_account`. A replayed idempotency key returns
+    the original transaction; debiting a customer account (wallet, commission) below zero raises 409."""
+    amount = round(amount, 2)
+    doc = await db.ledger_transactions.find_one({"idempotency_key": idempotency_key}, {"_id": 0})
+    if doc:
+        return replayed_transaction(doc, user_id, kind, amount)
+    overdraft_message = LEDGER_GUARDED_ACCOUNTS.get(debit_account.split(":")[0])
+    for _ in range(WALLET_POSTING_RETRIES):
+        # Read the sequence before the balance: a posting that lands in between takes our seq and fails the insert
+        last = await db.ledger_transactions.find_one({"user_id": user_id}, {"_id": 0, "seq": 1}, sort=[("seq", -1)])
+        if overdraft_message:
+            balance = await account_balance(debit_account)
+            if balance < amount:
+                raise HTTPException(status_code=409, detail={"message": overdraft_message, "balance": balance})
+        transaction = LedgerTransaction(
+            kind=kind, idempotency_key=idempotency_key, user_id=user_id, seq=(last["seq"] if last else 0) + 1,
+            amount=amount, order_id=order_id, memo=memo,
+            postings=[LedgerPosting(account=credit_account, amount=amount),
+                      LedgerPosting(account=debit_account, amount=-amount)],
+        )
+        try:
+            await db.ledger_transactions.insert_one(transaction.dict())
+            return transaction
+        except DuplicateKeyError:
+            doc = await db.ledger_transactions.find_one({"idempotency_key": idempotency_key}, {"_id": 0})
+            if doc:
+                return replayed_transaction(doc, user_id, kind, amount)
+    raise HTTPException(status_code=503, detail="المحفظة مشغولة حالياً، حاول مرة أخرى")
+
+
+async def post_wallet_transaction(user_id: str, kind: str, amount: float, idempotency_key: str, contra_account: str,
+                                  order_id: Optional[str] = None, memo: Optional[str] = None) -> LedgerTransaction:
+    """Posts `amount` between the user's wallet and `contra_account`, in the direction of `kind`."""
+    wallet = wallet_account(user_id)
+    credit, debit = (wallet, contra_account) if kind in LEDGER_CREDIT_KINDS else (contra_account, wallet)
+    return await post_ledger_transaction(user_id, kind, amount, idempotency_key, credit, debit, order_id=order_id, memo=memo)
+
+
+async def apply_wallet_credit(order: Order, user_id: str, amount: float, idempotency_key: str) -> Order:
+    """Pays `amount` of an unpaid order from the user's wallet; the order moves to paid once
+    store credit covers the whole total. Replaying the key returns the order unchanged."""
+    doc = await db.ledger_transactions.find_one({"idempotency_key": idempotency_key}, {"_id": 0})
+    if doc:
+        if doc["kind"] != "spend" or doc.get("order_id") != order.id:
+            raise HTTPException(status_code=409, detail="مفتاح العملية مستخدم مسبقاً لعملية مختلفة")
+        if doc["id"] in order.wallet_transactions:
+            return order
+        transaction = LedgerTransaction(**doc)  # posted, but the order update never landed
+    else:
+        if order.status != "created":
+            raise HTTPException(status_code=409, detail="لا يمكن الدفع من الرصيد لهذا الطلب في حالته الحالية")
+        amount = round(min(amount, order.total - order.wallet_amount), 2)
+        if amount <= 0:
+            return order
+        transaction = await post_wallet_transaction(
+            user_id, "spend", amount, idempotency_key, "sales:orders",
+            order_id=order.id, memo=f"الطلب {order.number}",
+        )
+    doc = await db.orders.find_one_and_update(
+        {"id": order.id, "status": "created", "wallet_transactions": {"$ne": transaction.id},
+         "wallet_amount": {"$not": {"$gt": order.total - transaction.amount + 0.005}}},  # also matches older orders
+        {"$inc": {"wallet_amount": transaction.amount}, "$push": {"wallet_transactions": transaction.id},
+         "$set": {"user_id": user_id}},
+        projection={"_id": 0},
+        return_document=True,
+    )
+    if not doc:
+        current = Order(**await db.orders.find_one({"id": order.id}, {"_id": 0}))
+        if transaction.id in current.wallet_transactions:
+            return current
+        await post_wallet_transaction(
+            user_id, "refund", transaction.amount, f"{idempotency_key}:reversal", "sales:orders",
+            order_id=order.id, memo=f"إلغاء خصم الطلب {order.number}",
+        )
+        raise HTTPException(status_code=409, detail="تغيرت حالة الطلب، لم يُخصم شيء من رصيدك")
+    order = Order(**doc)
+    if order.wallet_amount >= order.total - 0.005:
+        order = await set_order_status(
+            order.id, "paid", note="تم الدفع من رصيد المحفظة", expected=["created"], extra={"payment_method": "wallet"},
+        ) or order
+    else:
+        publish_order_update(order)
+    return order
+
+
+async def refund_wallet_credit(order: Order, note: str):
+    """Returns the store-credit part of an order that will not be fulfilled."""
+    if order.user_id and order.wallet_amount > 0:
+        await post_wallet_transaction(
+            order.user_id, "refund", order.wallet_amount, f"order:{order.id}:refund", "sales:orders",
+            order_id=order.id, memo=note,
+        )
+        await emit_webhook_event(order, "refund.issued", refund_amount=order.wallet_amount)
+
+
+async def credit_wallet_topup(order: Order) -> Order:
+    """Books a verified top-up order into the wallet and closes it."""
+    await post_wallet_transaction(
+        order.user_id, "topup", order.total, f"order:{order.id}:topup", f"clearing:{order.payment_method}",
+        order_id=order.id, memo=f"شحن عبر الطلب {order.number}",
+    )
+    return await set_order_status(order.id, "delivered", note="أضيف المبلغ إلى رصيد المحفظة", expected=["paid"]) or order
+
+
+def clean_idempotency_key(value: Optional[str], required: bool = False) -> Optional[str]:
+    key = (value or "").strip()
+    if required and not key:
+        raise HTTPException(status_code=422, detail="ترويسة Idempotency-Key مطلوبة")
+    if len(key) > 100:
+        raise HTTPException(status_code=422, detail="ترويسة Idempotency-Key طويلة جداً")
+    return key or None
+
+
+async def insert_order_once(order: Order) -> Order:
+    """Inserts the order unless a concurrent retry with the same idempotency key got there first."""
+    try:
+        await db.orders.insert_one(order.dict())
+    except DuplicateKeyError:
+        doc = await db.orders.find_one({"user_id": order.user_id, "idempotency_key": order.idempotency_key}, {"_id": 0})
+        if not doc:
+            raise
+        return Order(**doc)
+    return order
+
+
+async def wallet_entries(user_id: str) -> List[WalletEntry]:
+    """The user's wallet movements, oldest first, with the running balance after each one."""
+    account = wallet_account(user_id)
+    docs = await db.ledger_transactions.find({"user_id": user_id, "postings.account": account}, {"_id": 0}) \
+        .sort("seq", 1).to_list(None)
+    entries, balance = [], 0.0
+    for doc in docs:
+        amount = sum(p["amount"] for p in doc["postings"] if p["account"] == account)
+        balance = round(balance + amount, 2)
+        entries.append(WalletEntry(
+            id=doc["id"], kind=doc["kind"], amount=amount, balance_after=balance,
+            order_id=doc.get("order_id"), memo=doc.get("memo"), created_at=doc["created_at"],
+        ))
+    return entries
+
+
+def code_items(order: Order) -> List[int]:
+    """Indexes of lines delivered as codes (no per-line recipient, unlike top-ups and recharges)."""
+    return [i for i, item in enumerate(order.items) if not item.recipient]
+
+
+async def set_order_status(order_id: str, status: str, note: Optional[str] = None,
+                           expected: Optional[List[str]] = None, extra: Optional[dict] = None) -> Optional[Order]:
+    """Moves an order to `status` and appends the history event; returns None when the order
+    does not exist or is not in one of the `expected` statuses."""
+    query = {"id": order_id}
+    if expected:
+        query["status"] = {"$in": expected}
+    doc = await db.orders.find_one_and_update(
+        query,
+        {"$set": {"status": status, **(extra or {})}, "$push": {"status_history": StatusEvent(status=status, note=note).dict()}},
+        projection={"_id": 0},
+        return_document=True,
+    )
+    if not doc:
+        return None
+    order = Order(**doc)
+    publish_order_update(order)
+    if status in WEBHOOK_STATUS_EVENTS:
+        await emit_webhook_event(order, WEBHOOK_STATUS_EVENTS[status])
+    if status == "paid":
+        await queue_fulfillment(order)
+        await reward_referral(order)
+    if status == "failed":
+        await release_inventory(order.id)
+    if status in ("failed", "refunded"):
+        await release_coupon(order.id)
+        await restore_points(order)
+        await db.gifts.update_one({"order_id": order.id, "status": "scheduled"}, {"$set": {"status": "cancelled"}})
+    if status == "refunded":
+        await reverse_points(order)
+    if status == "delivered" and order.partner_commission > 0:
+        await post_ledger_transaction(
+            order.user_id, "commission", order.partner_commission, f"order:{order.id}:commission",
+            commission_account(order.user_id), "expense:commissions", order_id=order.id, memo=f"عمولة الطلب {order.number}",
+        )
+    if status == "delivered":
+        await earn_points(order)
+        await schedule_gift(order)
+    return order
+
+
+async def attribute_referral(user: User, code: str):
+    """Records that a just-created account signed up through `code`; unknown codes are ignored."""
+    referrer = await db.users.find_one({"referral_code": code.strip().upper()}, {"_id": 0, "id": 1})
+    if referrer and referrer["id"] != user.id:
+        try:
+            await db.referrals.insert_one(Referral(referrer_id=referrer["id"], referee_id=user.id).dict())
+        except DuplicateKeyError:
+            pass
+
+
+async def reward_referral(order: Order):
+    """Credits both sides of a pending referral once the referee has a paid order. Wallet top-ups
+    do not count, since the money would come straight back to the referee."""
+    if not order.user_id or order.kind == "wallet_topup":
+        return
+    doc = await db.referrals.find_one_and_update(
+        {"referee_id": order.user_id, "status": "pending"},
+        {"$set": {"status": "rewarded", "order_id": order.id, "rewarded_at": datetime.utcnow()}},
+        projection={"_id": 0},
+        return_document=True,
+    )
+    if not doc:
+        return
+    referral = Referral(**doc)
+    for user_id, side, memo in (
+        (referral.referrer_id, "referrer", "مكافأة دعوة صديق"),
+        (referral.referee_id, "referee", "مكافأة التسجيل عبر دعوة"),
+    ):
+        await post_wallet_transaction(
+            user_id, "referral", REFERRAL_REWARD, f"referral:{referral.id}:{side}", "expense:referrals",
+            order_id=order.id, memo=memo,
+        )
+
+
+async def ensure_referral_code(user: User) -> str:
+    if user.referral_code:
+        return user.referral_code
+    while True:
+        code = "".join(secrets.choice(REFERRAL_CODE_ALPHABET) for _ in range(REFERRAL_CODE_LENGTH))
+        try:
+            await db.users.update_one({"id": user.id, "referral_code": None}, {"$set": {"referral_code": code}})
+        except DuplicateKeyError:
+            continue
+        doc = await db.users.find_one({"id": user.id}, {"_id": 0, "referral_code": 1})
+        return doc["referral_code"]
+
+
+def mask_phone(phone: str) -> str:
+    return f"{phone[:-7]}•••{phone[-4:]}"
+
+
+async def loyalty_tiers() -> List[LoyaltyTier]:
+    docs = await db.loyalty_tiers.find({}, {"_id": 0}).sort("min_monthly_spend", 1).to_list(20)
+    return [LoyaltyTier(**doc) for doc in docs]
+
+
+async def loyalty_tier_for(user_id: str) -> LoyaltyTier:
+    user = await db.users.find_one({"id": user_id}, {"_id": 0, "loyalty_tier": 1})
+    tiers = await loyalty_tiers()
+    return next((tier for tier in tiers if tier.id == (user or {}).get("loyalty_tier")), tiers[0])
+
+
+def month_start(moment: datetime) -> datetime:
+    return moment.replace(day=1, hour=0, minute=0, second=0, microsecond=0)
+
+
+async def delivered_spend(user_id: str, since: datetime, until: Optional[datetime] = None) -> float:
+    """What the customer spent on delivered orders placed in [since, until), the basis of their tier."""
+    created = {"$gte": since, **({"$lt": until} if until else {})}
+    rows = await db.orders.aggregate([
+        {"$match": {"user_id": user_id, "status": "delivered", "kind": {"$ne": "wallet_topup"},
+                    "partner_tier": None, "created_at": created}},
+        {"$group": {"_id": None, "total": {"$sum": "$total"}}},
+    ]).to_list(1)
+    return round(rows[0]["total"], 2) if rows else 0
+
+
+async def points_balance(user_id: str) -> int:
+    rows = await db.loyalty_points.aggregate([
+        {"$match": {"user_id": user_id, "remaining": {"$gt": 0}, "expires_at": {"$gt": datetime.utcnow()}}},
+        {"$group": {"_id": None, "points": {"$sum": "$remaining"}}},
+    ]).to_list(1)
+    return rows[0]["points"] if rows else 0
+
+
+async def add_points(user_id: str, kind: str, points: int, key: str, order_id: Optional[str] = None,
+                     memo: Optional[str] = None):
+    """Adds a lot of `points` that expires LOYALTY_EXPIRY_DAYS from now."""
+    if points <= 0:
+        return
+    entry = PointsEntry(
+        user_id=user_id, kind=kind, points=points, key=key, order_id=order_id, memo=memo,
+        remaining=points, expires_at=datetime.utcnow() + timedelta(days=LOYALTY_EXPIRY_DAYS),
+    )
+    try:
+        await db.loyalty_points.insert_one(entry.dict())
+    except DuplicateKeyError:
+        pass
+
+
+async def take_points(user_id: str, kind: str, points: int, key: str, order_id: Optional[str] = None,
+                      memo: Optional[str] = None, partial: bool = False) -> int:
+    """Takes `points` from the user's lots, soonest to expire first, and records it as one entry.
+    Without `partial` a short balance raises 409 and nothing is taken; returns the points taken."""
+    if points <= 0 or await db.loyalty_points.find_one({"key": key}, {"_id": 1}):
+        return 0
+    taken, left = [], points
+    while left > 0:
+        lot = await db.loyalty_points.find_one(
+            {"user_id": user_id, "remaining": {"$gt": 0}, "expires_at": {"$gt": datetime.utcnow()}},
+            {"_id": 0, "id": 1, "remaining": 1}, sort=[("expires_at", 1)],
+        )
+        if not lot:
+            break
+        amount = min(left, lot["remaining"])
+        if await db.loyalty_points.find_one_and_update({"id": lot["id"], "remaining": {"$gte": amount}},
+                                                       {"$inc": {"remaining": -amount}}):
+            taken.append((lot["id"], amount))
+            left -= amount
+
+    async def put_back():
+        for lot_id, amount in taken:
+            await db.loyalty_points.update_one({"id": lot_id}, {"$inc": {"remaining": amount}})
+
+    if left and not partial:
+        await put_back()
+        raise HTTPException(status_code=409, detail={"message": "رصيد النقاط غير كافٍ", "points": points - left})
+    if left == points:
+        return 0
+    try:
+        await db.loyalty_points.insert_one(PointsEntry(
+            user_id=user_id, kind=kind, points=left - points, key=key, order_id=order_id, memo=memo,
+        ).dict())
+    except DuplicateKeyError:  # a concurrent call with the same key recorded it first
+        await put_back()
+        return 0
+    return points - left
+
+
+async def redeem_points(order: Order):
+    await take_points(order.user_id, "redeem", order.points_redeemed, f"order:{order.id}:redeem", order.id,
+                      f"خصم على الطلب {order.number}")
+
+
+async def restore_points(order: Order):
+    """Gives back the points spent on an order that was dropped, failed or refunded."""
+    spent = await db.loyalty_points.find_one({"key": f"order:{order.id}:redeem"}, {"_id": 0})
+    if spent:
+        await add_points(order.user_id, "restore", -spent["points"], f"order:{order.id}:restore", order.id,
+                         f"إعادة نقاط الطلب {order.number}")
+
+
+async def reverse_points(order: Order):
+    """Takes back what a refunded order earned, as far as the balance allows."""
+    earned = await db.loyalty_points.find_one({"key": f"order:{order.id}:earn"}, {"_id": 0})
+    if earned:
+        await take_points(order.user_id, "reverse", earned["points"], f"order:{order.id}:reverse", order.id,
+                          f"استرداد الطلب {order.number}", partial=True)
+
+
+async def earn_points(order: Order):
+    """Credits a delivered order's points at the buyer's current tier. Partner orders earn a
+    commission instead, and wallet top-ups are not purchases."""
+    if not order.user_id or order.partner_tier or order.kind == "wallet_topup":
+        return
+    tier = await loyalty_tier_for(order.user_id)
+    points = int(order.total * tier.earn_percent / 100 / LOYALTY_POINT_VALUE)
+    await add_points(order.user_id, "earn", points, f"order:{order.id}:earn", order.id, f"الطلب {order.number}")
+
+
+loyalty_wakeup = asyncio.Event()  # nothing sets it: expiry and the monthly tiers are picked up by polling
+
+
+async def expire_next_points() -> bool:
+    lot = await db.loyalty_points.find_one_and_update(
+        {"remaining": {"$gt": 0}, "expires_at": {"$lte": datetime.utcnow()}},
+        {"$set": {"remaining": 0}},
+        projection={"_id": 0},
+    )
+    if not lot:
+        return False
+    await db.loyalty_points.insert_one(PointsEntry(
+        user_id=lot["user_id"], kind="expire", points=-lot["remaining"], key=f"expire:{lot['id']}",
+        memo="انتهت صلاحية النقاط",
+    ).dict())
+    return True
+
+
+async def recalculate_next_tier() -> bool:
+    """Sets the tier of one account not yet done this month, from last month's delivered spend."""
+    now = datetime.utcnow()
+    month = f"{now:%Y-%m}"
+    user = await db.users.find_one_and_update(
+        {"loyalty_tier_month": {"$ne": month}}, {"$set": {"loyalty_tier_month": month}}, projection={"_id": 0, "id": 1},
+    )
+    if not user:
+        return False
+    this_month = month_start(now)
+    spend = await delivered_spend(user["id"], month_start(this_month - timedelta(days=1)), this_month)
+    tier = [tier for tier in await loyalty_tiers() if tier.min_monthly_spend <= spend][-1]
+    await db.users.update_one({"id": user["id"]}, {"$set": {"loyalty_tier": tier.id}})
+    return True
+
+
+async def advance_loyalty() -> bool:
+    return await expire_next_points() or await recalculate_next_tier()
+
+
+async def load_carriers() -> List[Carrier]:
+    docs = await db.carriers.find({"active": True}, {"_id": 0}).to_list(100)
+    return [Carrier(**doc) for doc in docs]
+
+
+def quoted_rate(rate: CryptoRate, side: str) -> float:
+    spread = rate.buy_spread if side == "buy" else -rate.sell_spread
+    return round(rate.mid_rate * (1 + spread), 6)
+
+
+def to_public_rate(rate: CryptoRate) -> PublicCryptoRate:
+    return PublicCryptoRate(
+        asset=rate.asset, name=rate.name, networks=rate.networks,
+        buy_rate=quoted_rate(rate, "buy"), sell_rate=quoted_rate(rate, "sell"),
+        min_amount=rate.min_amount, max_amount=rate.max_amount,
+    )
+
+
+# Add your routes to the router instead of directly to app
+@api_router.get("/")
+async def root():
+    return {"message": "Hello World"}
+
+@api_router.post("/status", response_model=StatusCheck)
+async def create_status_check(input: StatusCheckCreate):
+    status_dict = input.dict()
+    status_obj = StatusCheck(**status_dict)
+    _ = await db.status_checks.insert_one(status_obj.dict())
+    return status_obj
+
+@api_router.get("/status", response_model=List[StatusCheck])
+async def get_status_checks():
+    status_checks = await db.status_checks.find().to_list(1000)
+    return [StatusCheck(**status_check) for status_check in status_checks]
+
+
+# New: Dynamic trust metrics endpoint (creates default doc if empty)
+@api_router.get("/metrics", response_model=TrustMetrics)
+async def get_metrics():
+    doc = await db.trust_metrics.find_one()
+    if not doc:
+        default = TrustMetrics(
+            items=[
+                MetricItem(key="rating", label="تقييم العملاء", value="4.9/5", icon="Star"),
+                MetricItem(key="shipments", label="عمليات الشحن", value="120K+", icon="Zap"),
+                MetricItem(key="downloads", label="عدد التحميلات", value="85K+", icon="Download"),
+                MetricItem(key="uptime", label="زمن الاستجابة", value="1.2s", icon="Gauge"),
+            ]
+        )
+        await db.trust_metrics.insert_one(default.dict())
+        return default
+    # Convert existing doc to TrustMetrics model (ignore _id if present)
+    doc.pop("_id", None)
+    return TrustMetrics(**doc)
+
+
+# Catalog
+@api_router.get("/products", response_model=List[Product])
+async def list_products(
+    type: Optional[str] = None,
+    brand: Optional[str] = None,
+    region: Optional[str] = None,
+    category: Optional[str] = None,
+    denomination: Optional[float] = Query(None, description="Face value offered by the product"),
+    in_stock: Optional[bool] = None,
+    carrier_id: Optional[str] = None,
+    q: Optional[str] = None,
+    tier: Optional[PartnerTier] = Depends(optional_partner_tier),
+):
+    query = {"active": True}
+    if type:
+        query["type"] = {"$in": type.split(",")}
+    if carrier_id:
+        query["carrier_id"] = carrier_id
+    if brand:
+        query["brand"] = brand
+    if region:
+        query["region"] = region
+    if category:
+        query["category"] = category
+    if denomination is not None:
+        query["denominations.value"] = denomination
+    if in_stock:
+        query["denominations.in_stock"] = True
+    if q:
+        query["name"] = {"$regex": re.escape(q.strip()), "$options": "i"}
+    docs = await db.products.find(query, {"_id": 0}).sort("brand", 1).to_list(500)
+    return [partner_priced(Product(**doc), tier) for doc in docs]
+
+@api_router.get("/products/facets", response_model=CatalogFacets)
+async def get_product_facets(type: str = "card"):
+    query = {"active": True, "type": type}
+    brands = await db.products.distinct("brand", query)
+    regions = await db.products.distinct("region", query)
+    values = await db.products.distinct("denominations.value", query)
+    categories = await db.products.distinct("category", query)
+    return CatalogFacets(
+        brands=sorted(brands), regions=sorted(regions), denominations=sorted(values),
+        categories=sorted(c for c in categories if c),
+    )
+
+@api_router.get("/products/{product_id}", response_model=Product)
+async def get_product(product_id: str, tier: Optional[PartnerTier] = Depends(optional_partner_tier)):
+    doc = await db.products.find_one({"id": product_id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="المنتج غير موجود")
+    return partner_priced(Product(**doc), tier)
+
+
+# Mobile carriers
+@api_router.get("/carriers", response_model=List[Carrier])
+async def list_carriers():
+    return await load_carriers()
+
+@api_router.get("/carriers/detect", response_model=CarrierDetection)
+async def detect_phone_carrier(phone: str):
+    return detect_carrier(phone, await load_carriers())
+
+
+# Crypto buy/sell quotes
+@api_router.get("/crypto/rates", response_model=List[PublicCryptoRate])
+async def list_crypto_rates():
+    docs = await db.crypto_rates.find({"active": True}, {"_id": 0}).to_list(100)
+    return [to_public_rate(CryptoRate(**doc)) for doc in docs]
+
+@api_router.post("/crypto/quotes", response_model=CryptoQuote)
+async def create_crypto_quote(input: CryptoQuoteCreate):
+    if input.side not in ("buy", "sell"):
+        raise HTTPException(status_code=422, detail="نوع العملية يجب أن يكون شراء أو بيع")
+    doc = await db.crypto_rates.find_one({"asset": input.asset, "active": True}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="العملة غير متاحة حالياً")
+    rate = CryptoRate(**doc)
+    if input.network not in rate.networks:
+        raise HTTPException(status_code=422, detail=f"الشبكة {input.network} غير مدعومة لعملة {rate.asset}")
+    if input.amount < rate.min_amount or input.amount > rate.max_amount:
+        raise HTTPException(
+            status_code=422,
+            detail=f"الكمية يجب أن تكون بين {rate.min_amount:g} و {rate.max_amount:g} {rate.asset}",
+        )
+
+    unit = quoted_rate(rate, input.side)
+    now = datetime.utcnow()
+    quote = CryptoQuote(
+        asset=rate.asset, side=input.side, network=input.network, amount=input.amount,
+        rate=unit, total=round(unit * input.amount), currency=BASE_CURRENCY,
+        ttl_seconds=QUOTE_TTL_SECONDS, expires_at=now + timedelta(seconds=QUOTE_TTL_SECONDS), created_at=now,
+    )
+    await db.crypto_quotes.insert_one(quote.dict())
+    return quote
+
+@api_router.post("/crypto/quotes/{quote_id}/confirm", response_model=CryptoConfirmation)
+async def confirm_crypto_quote(quote_id: str, input: CryptoQuoteConfirm, session: Optional[AuthSession] = Depends(optional_session)):
+    pending = await db.crypto_quotes.find_one({"id": quote_id}, {"_id": 0, "side": 1, "network": 1})
+    wallet_address = (input.wallet_address or "").strip()
+    if pending and pending["side"] == "buy":
+        pattern = WALLET_ADDRESS_PATTERNS.get(pending["network"])
+        if not wallet_address:
+            raise HTTPException(status_code=422, detail="عنوان المحفظة مطلوب لإتمام الشراء")
+        if pattern and not re.fullmatch(pattern, wallet_address):
+            raise HTTPException(status_code=422, detail=f"عنوان المحفظة لا يطابق صيغة شبكة {pending['network']}")
+
+    now = datetime.utcnow()
+    # Atomically lock the quote only while it is still open and unexpired
+    doc = await db.crypto_quotes.find_one_and_update(
+        {"id": quote_id, "status": "open", "expires_at": {"$gt": now}},
+        {"$set": {"status": "locked", "locked_at": now}},
+        projection={"_id": 0},
+        return_document=True,
+    )
+    if not doc:
+        existing = await db.crypto_quotes.find_one({"id": quote_id}, {"_id": 0})
+        if not existing:
+            raise HTTPException(status_code=404, detail="عرض السعر غير موجود")
+        if existing["status"] == "locked":
+            raise HTTPException(status_code=409, detail="تم تأكيد عرض السعر مسبقاً")
+        raise HTTPException(status_code=410, detail="انتهت صلاحية عرض السعر، يرجى طلب سعر جديد")
+
+    quote = CryptoQuote(**doc)
+    side_label = "شراء" if quote.side == "buy" else "بيع"
+    order = Order(
+        kind=f"crypto_{quote.side}",
+        items=[OrderItem(
+            product_id=f"crypto-{quote.asset.lower()}", sku=f"{quote.asset}-{quote.network}",
+            name=f"{side_label} {quote.asset}", label=f"{quote.amount:g} {quote.asset} ({quote.network})",
+            unit_price=quote.total,
+            recipient={"network": quote.network, "quote_id": quote.id, **({"wallet_address": wallet_address} if wallet_address else {})},
+        )],
+        total=quote.total,
+        currency=quote.currency,
+        user_id=session.user_id if session else None,
+        contact_phone=input.contact_phone,
+    )
+    await db.orders.insert_one(order.dict())
+    await emit_webhook_event(order, "order.created")
+    await db.crypto_quotes.update_one({"id": quote.id}, {"$set": {"order_id": order.id}})
+    quote.order_id = order.id
+    return CryptoConfirmation(quote=quote, order=order)
+
+
+# Admin: crypto rates
+@api_router.get("/admin/crypto-rates", response_model=List[CryptoRate], dependencies=[Depends(require_admin)])
+async def admin_list_crypto_rates():
+    docs = await db.crypto_rates.find({}, {"_id": 0}).to_list(100)
+    return [CryptoRate(**doc) for doc in docs]
+
+@api_router.put("/admin/crypto-rates/{asset}", response_model=CryptoRate, dependencies=[Depends(require_admin)])
+async def admin_update_crypto_rate(asset: str, input: CryptoRateUpdate):
+    changes = {k: v for k, v in input.dict().items() if v is not None}
+    changes["updated_at"] = datetime.utcnow()
+    doc = await db.crypto_rates.find_one_and_update(
+        {"asset": asset}, {"$set": changes}, projection={"_id": 0}, return_document=True
+    )
+    if not doc:
+        raise HTTPException(status_code=404, detail="العملة غير موجودة")
+    return CryptoRate(**doc)
+
+
+# Currencies and exchange rates
+@api_router.get("/currencies", response_model=List[ExchangeRate])
+async def list_currencies():
+    docs = await db.exchange_rates.find({}, {"_id": 0}).sort("rate", 1).to_list(50)
+    return [ExchangeRate(**doc) for doc in docs]
+
+@api_router.put("/admin/exchange-rates/{currency}", response_model=ExchangeRate, dependencies=[Depends(require_admin)])
+async def admin_update_exchange_rate(currency: str, input: ExchangeRateUpdate):
+    """Applies to carts priced and orders placed from now on; placed orders keep their rate."""
+    currency = currency.upper()
+    if currency == BASE_CURRENCY:
+        raise HTTPException(status_code=422, detail="سعر العملة الأساسية ثابت")
+    previous = await db.exchange_rates.find_one_and_update(
+        {"currency": currency}, {"$set": {"rate": input.rate, "updated_at": datetime.utcnow()}}, projection={"_id": 0}
+    )
+    if not previous:
+        raise HTTPException(status_code=404, detail="العملة غير موجودة")
+    await db.exchange_rate_history.insert_one(ExchangeRateChange(
+        currency=currency, rate=input.rate, previous_rate=previous["rate"], note=(input.note or "").strip() or None,
+    ).dict())
+    return await exchange_rate_for(currency)
+
+@api_router.get("/admin/exchange-rates/history", response_model=List[ExchangeRateChange], dependencies=[Depends(require_admin)])
+async def admin_exchange_rate_history(currency: Optional[str] = None, limit: int = Query(100, le=500)):
+    query = {"currency": currency.upper()} if currency else {}
+    docs = await db.exchange_rate_history.find(query, {"_id": 0}).sort("changed_at", -1).to_list(limit)
+    return [ExchangeRateChange(**doc) for doc in docs]
+
+
+# Admin: coupons
+def naive_utc(value: Optional[datetime]) -> Optional[datetime]:
+    """Browsers send offsets; stored datetimes are naive UTC like datetime.utcnow()."""
+    return value.astimezone(timezone.utc).replace(tzinfo=None) if value and value.tzinfo else value
+
+async def checked_coupon_fields(input: CouponFields) -> dict:
+    input.starts_at, input.ends_at = naive_utc(input.starts_at), naive_utc(input.ends_at)
+    code = input.code.strip().upper()
+    if not COUPON_CODE_PATTERN.match(code):
+        raise HTTPException(status_code=422, detail="الكود من 3 إلى 32 حرفاً إنجليزياً أو رقماً")
+    if input.kind not in COUPON_KINDS:
+        raise HTTPException(status_code=422, detail="نوع الخصم غير معروف")
+    if input.kind == "percent" and input.value > 100:
+        raise HTTPException(status_code=422, detail="نسبة الخصم لا تتجاوز 100%")
+    if input.starts_at and input.ends_at and input.ends_at <= input.starts_at:
+        raise HTTPException(status_code=422, detail="تاريخ الانتهاء يجب أن يكون بعد تاريخ البدء")
+    unknown = set(input.product_ids) - {
+        doc["id"] for doc in await db.products.find({"id": {"$in": input.product_ids}}, {"_id": 0, "id": 1}).to_list(None)
+    }
+    if unknown:
+        raise HTTPException(status_code=422, detail="بعض المنتجات المحددة غير موجودة")
+    return {**input.dict(), "code": code, "description": (input.description or "").strip() or None,
+            "max_discount": input.max_discount if input.kind == "percent" else None}
+
+@api_router.get("/admin/coupons", response_model=List[Coupon], dependencies=[Depends(require_admin)])
+async def admin_list_coupons():
+    docs = await db.coupons.find({}, {"_id": 0}).sort("created_at", -1).to_list(500)
+    return [Coupon(**doc) for doc in docs]
+
+@api_router.post("/admin/coupons", response_model=Coupon, dependencies=[Depends(require_admin)])
+async def admin_create_coupon(input: CouponFields):
+    coupon = Coupon(**await checked_coupon_fields(input))
+    try:
+        await db.coupons.insert_one(coupon.dict())
+    except DuplicateKeyError:
+        raise HTTPException(status_code=409, detail="يوجد كوبون بهذا الكود")
+    return coupon
+
+# Orders placed earlier keep their discount; used_count is left alone
+@api_router.put("/admin/coupons/{coupon_id}", response_model=Coupon, dependencies=[Depends(require_admin)])
+async def admin_update_coupon(coupon_id: str, input: CouponFields):
+    try:
+        doc = await db.coupons.find_one_and_update(
+            {"id": coupon_id}, {"$set": await checked_coupon_fields(input)}, projection={"_id": 0}, return_document=True,
+        )
+    except DuplicateKeyError:
+        raise HTTPException(status_code=409, detail="يوجد كوبون بهذا الكود")
+    if not doc:
+        raise HTTPException(status_code=404, detail="الكوبون غير موجود")
+    return Coupon(**doc)
+
+
+# Accounts: phone number + one-time code
+@api_router.post("/auth/otp", response_model=OtpChallenge)
+async def request_sign_in_code(input: OtpRequest, request: Request):
+    phone = detect_carrier(input.phone, await load_carriers()).international_number
+    ip = request.client.host if request.client else None
+    now = datetime.utcnow()
+    last = await db.otp_sends.find_one({"phone": phone}, {"_id": 0}, sort=[("at", -1)])
+    wait = OTP_RESEND_SECONDS - int((now - last["at"]).total_seconds()) if last else 0
+    if wait > 0:
+        raise HTTPException(status_code=429, detail={"message": f"يمكنك طلب رمز جديد بعد {wait} ثانية", "retry_after": wait})
+    since = now - timedelta(minutes=OTP_SEND_WINDOW_MINUTES)
+    sends = await db.otp_sends.count_documents({"phone": phone, "at": {"$gt": since}})
+    ip_sends = await db.otp_sends.count_documents({"ip": ip, "at": {"$gt": since}}) if ip else 0
+    if sends >= OTP_MAX_SENDS or ip_sends >= OTP_MAX_SENDS_PER_IP:
+        raise HTTPException(status_code=429, detail="تجاوزت عدد الرموز المسموح به، يرجى المحاولة بعد ساعة")
+
+    code = "".join(secrets.choice("0123456789") for _ in range(OTP_LENGTH))
+    provider = sms_provider()
+    await db.otp_challenges.update_one(
+        {"phone": phone},
+        {"$set": {"phone": phone, "code_hash": otp_digest(phone, code), "attempts": 0,
+                  "expires_at": now + timedelta(minutes=OTP_TTL_MINUTES)}},
+        upsert=True,
+    )
+    try:
+        await provider.send(phone, f"رمز الدخول إلى الأسطورة أونلاين: {code}\nصالح لمدة {OTP_TTL_MINUTES} دقائق، لا تشاركه مع أحد.")
+    except Exception:
+        logger.exception("Failed to send sign-in code to %s", phone)
+        raise HTTPException(status_code=502, detail="تعذر إرسال الرمز، يرجى المحاولة مرة أخرى")
+    await db.otp_sends.insert_one({"phone": phone, "ip": ip, "at": now})
+    return OtpChallenge(phone=phone, length=OTP_LENGTH, expires_in=OTP_TTL_MINUTES * 60, resend_in=OTP_RESEND_SECONDS)
+
+@api_router.post("/auth/verify", response_model=User)
+async def verify_sign_in_code(input: OtpVerify, request: Request, response: Response,
+                              previous: Optional[AuthSession] = Depends(optional_session)):
+    """Confirms the code, creating the account on first sign-in, and starts a cookie session."""
+    phone = detect_carrier(input.phone, await load_carriers()).international_number
+    now = datetime.utcnow()
+    challenge = await db.otp_challenges.find_one_and_update(
+        {"phone": phone, "expires_at": {"$gt": now}, "attempts": {"$lt": OTP_MAX_ATTEMPTS}},
+        {"$inc": {"attempts": 1}},
+        projection={"_id": 0},
+        return_document=True,
+    )
+    if not challenge:
+        raise HTTPException(status_code=400, detail="انتهت صلاحية الرمز أو استنفدت المحاولات، اطلب رمزاً جديداً")
+    if not hmac.compare_digest(challenge["code_hash"], otp_digest(phone, input.code.strip())):
+        left = OTP_MAX_ATTEMPTS - challenge["attempts"]
+        message = f"الرمز غير صحيح، تبقى {left} محاولات" if left else "الرمز غير صحيح، اطلب رمزاً جديداً"
+        raise HTTPException(status_code=400, detail={"message": message, "attempts_left": left})
+    await db.otp_challenges.delete_one({"phone": phone})
+
+    candidate = User(phone=phone)
+    doc = await db.users.find_one_and_update(
+        {"phone": phone},
+        {"$setOnInsert": candidate.dict(exclude={"last_login_at", "referral_code"}), "$set": {"last_login_at": now}},
+        projection={"_id": 0},
+        upsert=True,
+        return_document=True,
+    )
+    user = User(**doc)
+    if user.id == candidate.id and input.referral_code:
+        await attribute_referral(user, input.referral_code)
+    if previous:
+        await db.sessions.delete_one({"id": previous.id})
+    token = secrets.token_urlsafe(32)
+    session = AuthSession(
+        user_id=user.id, token_hash=session_digest(token), expires_at=now + timedelta(days=SESSION_TTL_DAYS),
+        ip=request.client.host if request.client else None, user_agent=request.headers.get("user-agent"),
+    )
+    await db.sessions.insert_one(session.dict())
+    response.set_cookie(
+        SESSION_COOKIE, token, max_age=SESSION_TTL_DAYS * 24 * 3600,
+        httponly=True, secure=SESSION_COOKIE_SECURE, samesite="lax", path="/",
+    )
+    return user
+
+@api_router.get("/auth/me", response_model=User)
+async def get_current_user(user: User = Depends(require_user)):
+    return user
+
+@api_router.post("/auth/logout", status_code=204)
+async def sign_out(response: Response, session: Optional[AuthSession] = Depends(optional_session)):
+    if session:
+        await db.sessions.delete_one({"id": session.id})
+    response.delete_cookie(SESSION_COOKIE, path="/", httponly=True, secure=SESSION_COOKIE_SECURE, samesite="lax")
+
+
+# Account area
+@api_router.patch("/account/profile", response_model=User)
+async def update_profile(input: ProfileUpdate, user: User = Depends(require_user)):
+    email = (input.email or "").strip() or None
+    if email and not re.fullmatch(r"[^@\s]+@[^@\s]+\.[^@\s]+", email):
+        raise HTTPException(status_code=422, detail="البريد الإلكتروني غير صحيح")
+    doc = await db.users.find_one_and_update(
+        {"id": user.id},
+        {"$set": {"name": (input.name or "").strip() or None, "email": email}},
+        projection={"_id": 0},
+        return_document=True,
+    )
+    return User(**doc)
+
+@api_router.get("/account/orders", response_model=OrderHistory)
+async def list_account_orders(
+    status: Optional[str] = None,
+    q: Optional[str] = Query(None, description="Part of the order number"),
+    page: int = Query(1, ge=1),
+    user: User = Depends(require_user),
+):
+    query = owned_orders_query(user)
+    if status:
+        query["status"] = status
+    if q and q.strip():
+        query["number"] = {"$regex": re.escape(q.strip().upper())}
+    total = await db.orders.count_documents(query)
+    docs = await db.orders.find(query, {"_id": 0}).sort("created_at", -1) \
+        .skip((page - 1) * ORDER_HISTORY_PAGE_SIZE).to_list(ORDER_HISTORY_PAGE_SIZE)
+    return OrderHistory(
+        items=[Order(**doc) for doc in docs], total=total, page=page,
+        pages=max(1, -(-total // ORDER_HISTORY_PAGE_SIZE)),
+    )
+
+@api_router.get("/account/recipients", response_model=List[SavedRecipient])
+async def list_saved_recipients(kind: Optional[str] = None, user: User = Depends(require_user)):
+    query = {"user_id": user.id, **({"kind": kind} if kind else {})}
+    docs = await db.saved_recipients.find(query, {"_id": 0}).sort("created_at", -1).to_list(MAX_SAVED_RECIPIENTS)
+    return [SavedRecipient(**doc) for doc in docs]
+
+@api_router.post("/account/recipients", response_model=SavedRecipient)
+async def create_saved_recipient(input: SavedRecipientCreate, user: User = Depends(require_user)):
+    if await db.saved_recipients.count_documents({"user_id": user.id}) >= MAX_SAVED_RECIPIENTS:
+        raise HTTPException(status_code=409, detail=f"الحد الأقصى {MAX_SAVED_RECIPIENTS} مستلماً محفوظاً")
+    fields = await validate_saved_recipient(input)
+    if await db.saved_recipients.find_one({"user_id": user.id, "kind": input.kind, "value": fields["value"],
+                                           "product_id": fields.get("product_id")}):
+        raise HTTPException(status_code=409, detail="هذا المستلم محفوظ مسبقاً")
+    recipient = SavedRecipient(user_id=user.id, kind=input.kind, nickname=input.nickname.strip(), **fields)
+    await db.saved_recipients.insert_one(recipient.dict())
+    return recipient
+
+@api_router.delete("/account/recipients/{recipient_id}", status_code=204)
+async def delete_saved_recipient(recipient_id: str, user: User = Depends(require_user)):
+    result = await db.saved_recipients.delete_one({"id": recipient_id, "user_id": user.id})
+    if not result.deleted_count:
+        raise HTTPException(status_code=404, detail="المستلم غير موجود")
+
+@api_router.get("/account/sessions", response_model=List[SessionInfo])
+async def list_account_sessions(session: AuthSession = Depends(require_session)):
+    docs = await db.sessions.find(
+        {"user_id": session.user_id, "expires_at": {"$gt": datetime.utcnow()}}, {"_id": 0}
+    ).sort("created_at", -1).to_list(100)
+    return [SessionInfo(**doc, current=doc["id"] == session.id) for doc in docs]
+
+@api_router.delete("/account/sessions/{session_id}", status_code=204)
+async def revoke_account_session(session_id: str, session: AuthSession = Depends(require_session)):
+    if session_id == session.id:
+        raise HTTPException(status_code=400, detail="استخدم تسجيل الخروج لإنهاء الجلسة الحالية")
+    result = await db.sessions.delete_one({"id": session_id, "user_id": session.user_id})
+    if not result.deleted_count:
+        raise HTTPException(status_code=404, detail="الجلسة غير موجودة")
+
+@api_router.post("/account/sessions/revoke-others", status_code=204)
+async def revoke_other_sessions(session: AuthSession = Depends(require_session)):
+    await db.sessions.delete_many({"user_id": session.user_id, "id": {"$ne": session.id}})
+
+@api_router.get("/account/referrals", response_model=ReferralDashboard)
+async def get_referral_dashboard(user: User = Depends(require_user)):
+    code = await ensure_referral_code(user)
+    referrals = [Referral(**doc) for doc in await db.referrals.find({"referrer_id": user.id}, {"_id": 0})
+                 .sort("created_at", -1).to_list(500)]
+    referees = {
+        doc["id"]: doc for doc in await db.users.find(
+            {"id": {"$in": [r.referee_id for r in referrals]}}, {"_id": 0, "id": 1, "name": 1, "phone": 1}
+        ).to_list(None)
+    }
+    rewarded = sum(1 for r in referrals if r.status == "rewarded")
+    earned = await db.ledger_transactions.find(
+        {"user_id": user.id, "kind": "referral", "idempotency_key": {"$regex": ":referrer$"}}, {"_id": 0, "amount": 1}
+    ).to_list(None)
+    entries = []
+    for r in referrals:
+        referee = referees.get(r.referee_id, {})
+        entries.append(ReferralEntry(
+            id=r.id, referee=referee.get("name") or mask_phone(referee.get("phone", "")),
+            status=r.status, created_at=r.created_at, rewarded_at=r.rewarded_at,
+        ))
+    return ReferralDashboard(
+        code=code, reward_amount=REFERRAL_REWARD, invited=len(referrals), rewarded=rewarded,
+        earned=round(sum(doc["amount"] for doc in earned), 2), referrals=entries,
+    )
+
+@api_router.get("/account/loyalty", response_model=LoyaltySummary)
+async def get_loyalty_summary(user: User = Depends(require_user)):
+    tiers = await loyalty_tiers()
+    tier = next((t for t in tiers if t.id == user.loyalty_tier), tiers[0])
+    now = datetime.utcnow()
+    expiring = await db.loyalty_points.find(
+        {"user_id": user.id, "remaining": {"$gt": 0},
+         "expires_at": {"$gt": now, "$lte": now + timedelta(days=LOYALTY_EXPIRY_WARNING_DAYS)}},
+        {"_id": 0, "remaining": 1, "expires_at": 1},
+    ).sort("expires_at", 1).to_list(None)
+    return LoyaltySummary(
+        balance=await points_balance(user.id), point_value=LOYALTY_POINT_VALUE, min_redeem=LOYALTY_MIN_REDEEM,
+        tier=tier, next_tier=next((t for t in tiers if t.min_monthly_spend > tier.min_monthly_spend), None),
+        month_spend=await delivered_spend(user.id, month_start(now)),
+        expiring_points=sum(lot["remaining"] for lot in expiring),
+        expiring_at=expiring[0]["expires_at"] if expiring else None,
+    )
+
+@api_router.get("/account/loyalty/history", response_model=List[PointsEntry])
+async def list_loyalty_history(user: User = Depends(require_user)):
+    docs = await db.loyalty_points.find({"user_id": user.id}, {"_id": 0}).sort("created_at", -1).to_list(LOYALTY_HISTORY_LIMIT)
+    return [PointsEntry(**doc) for doc in docs]
+
+
+# Cart
+@api_router.post("/cart/price", response_model=CartPricing)
+async def price_cart_items(input: CartPriceRequest, session: Optional[AuthSession] = Depends(optional_session)):
+    user_id = session.user_id if session else None
+    return await price_cart(
+        input.items, await partner_tier_for(user_id), await exchange_rate_for(input.currency), input.coupon_code, user_id,
+    )
+
+# Signed-in users also keep a copy on the server so the cart follows them across devices
+@api_router.get("/cart", response_model=CartPricing)
+async def get_saved_cart(currency: str = BASE_CURRENCY, user: User = Depends(require_user)):
+    doc = await db.carts.find_one({"user_id": user.id}, {"_id": 0})
+    items = [CartItemIn(**item) for item in (doc or {}).get("items", [])]
+    return await price_cart(items, await partner_tier_for(user.id), await exchange_rate_for(currency))
+
+@api_router.put("/cart", status_code=204)
+async def save_cart(input: CartPriceRequest, user: User = Depends(require_user)):
+    await db.carts.update_one(
+        {"user_id": user.id},
+        {"$set": {"items": [item.dict() for item in input.items], "updated_at": datetime.utcnow()}},
+        upsert=True,
+    )
+
+
+# Store-credit wallet: funded through top-up orders paid by transfer, spent at checkout
+@api_router.get("/wallet", response_model=WalletSummary)
+async def get_wallet(user: User = Depends(require_user)):
+    pending = await db.orders.aggregate([
+        {"$match": {"user_id": user.id, "kind": "wallet_topup", "status": {"$in": ["created", "verifying", "paid"]}}},
+        {"$group": {"_id": None, "total": {"$sum": "$total"}}},
+    ]).to_list(1)
+    return WalletSummary(balance=await wallet_balance(user.id), pending_topups=pending[0]["total"] if pending else 0)
+
+@api_router.get("/wallet/transactions", response_model=List[WalletEntry])
+async def list_wallet_transactions(user: User = Depends(require_user)):
+    return list(reversed(await wallet_entries(user.id)))
+
+@api_router.get("/wallet/statement.csv")
+async def export_wallet_statement(user: User = Depends(require_user)):
+    buffer = io.StringIO()
+    writer = csv.writer(buffer)
+    writer.writerow(["التاريخ (UTC)", "العملية", "المبلغ", "الرصيد بعد العملية", "الوصف", "رقم العملية"])
+    for entry in await wallet_entries(user.id):
+        writer.writerow([
+            entry.created_at.strftime("%Y-%m-%d %H:%M"), WALLET_ENTRY_LABELS.get(entry.kind, entry.kind),
+            f"{entry.amount:.2f}", f"{entry.balance_after:.2f}", entry.memo or "", entry.id,
+        ])
+    # The BOM makes Excel read the Arabic columns as UTF-8
+    return Response(
+        content="\ufeff" + buffer.getvalue(),
+        media_type="text/csv; charset=utf-8",
+        headers={"Content-Disposition": 'attachment; filename="wallet-statement.csv"'},
+    )
+
+@api_router.post("/wallet/topups", response_model=Order)
+async def create_wallet_topup(input: WalletTopupCreate, idempotency_key: Optional[str] = Header(None),
+                              user: User = Depends(require_user)):
+    key = clean_idempotency_key(idempotency_key, required=True)
+    doc = await db.orders.find_one({"user_id": user.id, "idempotency_key": key}, {"_id": 0})
+    if doc:
+        return Order(**doc)
+    if not WALLET_TOPUP_MIN <= input.amount <= WALLET_TOPUP_MAX:
+        raise HTTPException(status_code=422, detail=f"مبلغ الشحن يجب أن يكون بين {WALLET_TOPUP_MIN:,} و{WALLET_TOPUP_MAX:,} ريال")
+    method = await db.payment_methods.find_one({"id": input.payment_method, "active": True}, {"_id": 0})
+    if not method:
+        raise HTTPException(status_code=400, detail="طريقة الدفع غير متاحة")
+
+    amount = round(input.amount, 2)
+    order = Order(
+        kind="wallet_topup",
+        items=[OrderItem(
+            product_id="wallet", sku="topup", name="رصيد المحفظة", label="شحن رصيد",
+            unit_price=amount, recipient={"wallet": "store_credit"},
+        )],
+        total=amount,
+        currency=BASE_CURRENCY,
+        user_id=user.id,
+        contact_name=user.name,
+        contact_phone=user.phone,
+        payment_method=method["id"],
+        idempotency_key=key,
+    )
+    return await insert_order_once(order)
+
+@api_router.post("/wallet/spend", response_model=Order)
+async def spend_wallet_credit(input: WalletSpend, idempotency_key: Optional[str] = Header(None),
+                              user: User = Depends(require_user)):
+    key = clean_idempotency_key(idempotency_key, required=True)
+    doc = await db.orders.find_one({"id": input.order_id}, {"_id": 0})
+    order = Order(**doc) if doc else None
+    if not order or not owns_order(user, order):
+        raise HTTPException(status_code=404, detail="الطلب غير موجود")
+    if order.kind == "wallet_topup":
+        raise HTTPException(status_code=400, detail="لا يمكن دفع شحن الرصيد من الرصيد نفسه")
+    return await apply_wallet_credit(order, user.id, input.amount or order.total, f"spend:{user.id}:{key}")
+
+
+# Partner program
+async def partner_stats(user_id: str, since: Optional[datetime] = None) -> PartnerStats:
+    match = {"user_id": user_id, "partner_tier": {"$ne": None}, "status": {"$in": ["paid", "fulfilling", "delivered"]}}
+    if since:
+        match["created_at"] = {"$gte": since}
+    rows = await db.orders.aggregate([
+        {"$match": match},
+        {"$group": {
+            "_id": None,
+            "orders": {"$sum": 1},
+            "sales": {"$sum": "$total"},
+            "retail": {"$sum": "$retail_total"},
+            "commission": {"$sum": {"$cond": [{"$eq": ["$status", "delivered"]}, "$partner_commission", 0]}},
+        }},
+    ]).to_list(1)
+    if not rows:
+        return PartnerStats()
+    row = rows[0]
+    return PartnerStats(
+        orders=row["orders"], sales=round(row["sales"], 2), retail=round(row["retail"], 2),
+        margin=round(row["retail"] - row["sales"], 2), commission=round(row["commission"], 2),
+    )
+
+async def approved_partner(user: User = Depends(require_user)) -> Partner:
+    doc = await db.partners.find_one({"user_id": user.id}, {"_id": 0})
+    if not doc or doc["status"] != "approved":
+        raise HTTPException(status_code=403, detail="لوحة الوكيل متاحة للشركاء المعتمدين فقط")
+    return Partner(**doc)
+
+async def build_partner_dashboard(partner: Partner) -> PartnerDashboard:
+    tier = await db.partner_tiers.find_one({"id": partner.tier}, {"_id": 0})
+    month_start = datetime.utcnow().replace(day=1, hour=0, minute=0, second=0, microsecond=0)
+    recent = await db.orders.find({"user_id": partner.user_id, "partner_tier": {"$ne": None}}, {"_id": 0}) \
+        .sort("created_at", -1).to_list(10)
+    return PartnerDashboard(
+        partner=partner,
+        tier=PartnerTier(**tier),
+        this_month=await partner_stats(partner.user_id, since=month_start),
+        all_time=await partner_stats(partner.user_id),
+        commission_balance=await account_balance(commission_account(partner.user_id)),
+        recent_orders=[Order(**doc) for doc in recent],
+    )
+
+@api_router.get("/partners/tiers", response_model=List[PartnerTier])
+async def list_partner_tiers():
+    docs = await db.partner_tiers.find({}, {"_id": 0}).sort("min_monthly_sales", 1).to_list(20)
+    return [PartnerTier(**doc) for doc in docs]
+
+@api_router.get("/partners/me", response_model=Partner)
+async def get_partner_application(user: User = Depends(require_user)):
+    doc = await db.partners.find_one({"user_id": user.id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="لم تقدّم طلب شراكة بعد")
+    return Partner(**doc)
+
+@api_router.post("/partners/apply", response_model=Partner)
+async def apply_for_partnership(input: PartnerApplication, user: User = Depends(require_user)):
+    if input.monthly_volume not in PARTNER_VOLUMES:
+        raise HTTPException(status_code=422, detail="اختر حجم المبيعات الشهري المتوقع")
+    existing = await db.partners.find_one({"user_id": user.id}, {"_id": 0, "status": 1})
+    if existing and existing["status"] != "rejected":
+        raise HTTPException(status_code=409, detail="لديك طلب شراكة قائم بالفعل")
+    partner = Partner(
+        user_id=user.id,
+        business_name=input.business_name.strip(),
+        city=input.city.strip(),
+        phone=detect_carrier(input.phone, await load_carriers()).international_number,
+        monthly_volume=input.monthly_volume,
+        channels=(input.channels or "").strip() or None,
+    )
+    # A rejected applicant may apply again; the new application replaces the old one
+    await db.partners.replace_one({"user_id": user.id}, partner.dict(), upsert=True)
+    return partner
+
+@api_router.get("/partners/dashboard", response_model=PartnerDashboard)
+async def get_partner_dashboard(partner: Partner = Depends(approved_partner)):
+    return await build_partner_dashboard(partner)
+
+@api_router.post("/partners/commission/payout", response_model=PartnerDashboard)
+async def pay_out_partner_commission(idempotency_key: Optional[str] = Header(None),
+                                     partner: Partner = Depends(approved_partner)):
+    key = f"payout:{partner.user_id}:{clean_idempotency_key(idempotency_key, required=True)}"
+    if not await db.ledger_transactions.find_one({"idempotency_key": key}, {"_id": 1}):
+        balance = await account_balance(commission_account(partner.user_id))
+        if balance <= 0:
+            raise HTTPException(status_code=409, detail="لا توجد عمولات لتحويلها")
+        await post_ledger_transaction(
+            partner.user_id, "commission_payout", balance, key,
+            wallet_account(partner.user_id), commission_account(partner.user_id),
+            memo="تحويل العمولات إلى رصيد المحفظة",
+        )
+    return await build_partner_dashboard(partner)
+
+@api_router.get("/admin/partners", response_model=List[Partner], dependencies=[Depends(require_admin)])
+async def admin_list_partners(status: Optional[str] = None):
+    query = {"status": status} if status else {}
+    docs = await db.partners.find(query, {"_id": 0}).sort("created_at", -1).to_list(200)
+    return [Partner(**doc) for doc in docs]
+
+# Approving an approved partner again just moves them to another tier
+@api_router.post("/admin/partners/{partner_id}/approve", response_model=Partner, dependencies=[Depends(require_admin)])
+async def admin_approve_partner(partner_id: str, input: PartnerReview):
+    if not input.tier or not await db.partner_tiers.find_one({"id": input.tier}):
+        raise HTTPException(status_code=422, detail="اختر فئة الشريك")
+    doc = await db.partners.find_one_and_update(
+        {"id": partner_id},
+        {"$set": {"status": "approved", "tier": input.tier, "review_note": input.note, "reviewed_at": datetime.utcnow()}},
+        projection={"_id": 0},
+        return_document=True,
+    )
+    if not doc:
+        raise HTTPException(status_code=404, detail="طلب الشراكة غير موجود")
+    return Partner(**doc)
+
+@api_router.post("/admin/partners/{partner_id}/reject", response_model=Partner, dependencies=[Depends(require_admin)])
+async def admin_reject_partner(partner_id: str, input: PartnerReview):
+    doc = await db.partners.find_one_and_update(
+        {"id": partner_id},
+        {"$set": {"status": "rejected", "review_note": input.note, "reviewed_at": datetime.utcnow()}},
+        projection={"_id": 0},
+        return_document=True,
+    )
+    if not doc:
+        raise HTTPException(status_code=404, detail="طلب الشراكة غير موجود")
+    return Partner(**doc)
+
+
+# Partner API keys, managed from the partner portal
+def api_secret_cipher() -> Fernet:
+    """API secrets are encrypted with a key derived from SECRET_KEY, so no extra setting is needed."""
+    if not SECRET_KEY:
+        raise HTTPException(status_code=503, detail="واجهة الشركاء البرمجية غير مفعلة على هذا الخادم")
+    return Fernet(base64.urlsafe_b64encode(hashlib.sha256(f"partner-api:{SECRET_KEY}".encode()).digest()))
+
+
+def partner_api_signature(secret: str, timestamp: str, method: str, path: str, body: bytes) -> str:
+    """Hex HMAC-SHA256 of "timestamp\\nMETHOD\\npath?query\\nsha256(body)"; partner-api/client.mjs signs the same string."""
+    payload = "\n".join([timestamp, method.upper(), path, hashlib.sha256(body).hexdigest()])
+    return hmac.new(secret.encode(), payload.encode(), hashlib.sha256).hexdigest()
+
+
+def active_api_keys_query(partner_id: str) -> dict:
+    return {
+        "partner_id": partner_id, "revoked_at": None,
+        "$or": [{"expires_at": None}, {"expires_at": {"$gt": datetime.utcnow()}}],
+    }
+
+
+def to_public_api_key(key: PartnerApiKey) -> PublicPartnerApiKey:
+    return PublicPartnerApiKey(**key.dict(exclude={"secret_encrypted"}), secret_hint=f"sk_…{key.secret_last4}")
+
+
+async def issue_partner_api_key(partner: Partner, name: str) -> PartnerApiKeyCreated:
+    secret = "sk_" + secrets.token_urlsafe(32)
+    key = PartnerApiKey(
+        partner_id=partner.id, user_id=partner.user_id, name=name.strip(), key_id="pk_" + secrets.token_hex(8),
+        secret_encrypted=api_secret_cipher().encrypt(secret.encode()).decode(), secret_last4=secret[-4:],
+    )
+    await db.partner_api_keys.insert_one(key.dict())
+    return PartnerApiKeyCreated(**to_public_api_key(key).dict(), secret=secret)
+
+@api_router.get("/partners/api-keys", response_model=List[PublicPartnerApiKey])
+async def list_partner_api_keys(partner: Partner = Depends(approved_partner)):
+    docs = await db.partner_api_keys.find({"partner_id": partner.id}, {"_id": 0}).sort("created_at", -1).to_list(50)
+    return [to_public_api_key(PartnerApiKey(**doc)) for doc in docs]
+
+@api_router.post("/partners/api-keys", response_model=PartnerApiKeyCreated)
+async def create_partner_api_key(input: PartnerApiKeyCreate, partner: Partner = Depends(approved_partner)):
+    if await db.partner_api_keys.count_documents(active_api_keys_query(partner.id)) >= PARTNER_API_MAX_KEYS:
+        raise HTTPException(status_code=409, detail=f"الحد الأقصى {PARTNER_API_MAX_KEYS} مفاتيح فعالة، ألغِ مفتاحاً لا تستخدمه أولاً")
+    return await issue_partner_api_key(partner, input.name)
+
+@api_router.post("/partners/api-keys/{api_key_id}/rotate", response_model=PartnerApiKeyCreated)
+async def rotate_partner_api_key(api_key_id: str, partner: Partner = Depends(approved_partner)):
+    """Issues a replacement key; the old one keeps working for PARTNER_API_ROTATION_GRACE_HOURS so
+    the partner can deploy the new secret without downtime."""
+    doc = await db.partner_api_keys.find_one({"id": api_key_id, **active_api_keys_query(partner.id)}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="المفتاح غير موجود أو لم يعد فعالاً")
+    if doc.get("replaced_by"):
+        raise HTTPException(status_code=409, detail="تم تدوير هذا المفتاح مسبقاً، استخدم المفتاح الجديد")
+    issued = await issue_partner_api_key(partner, doc["name"])
+    await db.partner_api_keys.update_one({"id": api_key_id}, {"$set": {
+        "expires_at": datetime.utcnow() + timedelta(hours=PARTNER_API_ROTATION_GRACE_HOURS), "replaced_by": issued.id,
+    }})
+    return issued
+
+@api_router.delete("/partners/api-keys/{api_key_id}", status_code=204)
+async def revoke_partner_api_key(api_key_id: str, partner: Partner = Depends(approved_partner)):
+    result = await db.partner_api_keys.update_one(
+        {"id": api_key_id, "partner_id": partner.id, "revoked_at": None}, {"$set": {"revoked_at": datetime.utcnow()}}
+    )
+    if not result.matched_count:
+        raise HTTPException(status_code=404, detail="المفتاح غير موجود أو ملغى مسبقاً")
+
+@api_router.get("/partners/api-logs", response_model=List[PartnerApiLog])
+async def list_partner_api_logs(limit: int = Query(50, le=200), partner: Partner = Depends(approved_partner)):
+    docs = await db.partner_api_logs.find({"partner_id": partner.id}, {"_id": 0}).sort("at", -1).to_list(limit)
+    return [PartnerApiLog(**doc) for doc in docs]
+
+
+# Partner webhooks. Events are queued in db.webhook_deliveries and sent by send_next_webhook();
+# failed attempts are retried with exponential backoff and can be redelivered from the portal
+webhook_wakeup = asyncio.Event()
+
+
+def webhook_address(url: str) -> str:
+    """The address to deliver to: endpoints must be public HTTPS URLs, and every address the host
+    resolves to must be public, which keeps deliveries off our own network. Raises ValueError otherwise."""
+    parts = urlsplit(url)
+    if parts.scheme != "https" or not parts.hostname:
+        raise ValueError("يجب أن يبدأ العنوان بـ https://")
+    try:
+        addresses = [info[4][0].split("%")[0] for info in socket.getaddrinfo(parts.hostname, parts.port or 443)]
+    except (socket.gaierror, UnicodeError, ValueError):
+        raise ValueError("تعذر الوصول إلى هذا النطاق")
+    if not addresses or any(not ipaddress.ip_address(address).is_global for address in addresses):
+        raise ValueError("لا يمكن استخدام عنوان داخلي")
+    return addresses[0]
+
+
+def webhook_url_error(url: str) -> Optional[str]:
+    try:
+        webhook_address(url)
+    except ValueError as error:
+        return str(error)
+    return None
+
+
+def webhook_signature(secret: str, timestamp: str, body: str) -> str:
+    """Hex HMAC-SHA256 of "timestamp.body", sent as X-Webhook-Signature: t=<timestamp>,v1=<hex>."""
+    return hmac.new(secret.encode(), f"{timestamp}.{body}".encode(), hashlib.sha256).hexdigest()
+
+
+class PinnedHostAdapter(requests.adapters.HTTPAdapter):
+    """Keeps `hostname` for SNI and the certificate check when the request URL names an address instead."""
+
+    def __init__(self, hostname: str, **kwargs):
+        self.hostname = hostname
+        super().__init__(**kwargs)
+
+    def init_poolmanager(self, *args, **kwargs):
+        super().init_poolmanager(*args, server_hostname=self.hostname, assert_hostname=self.hostname, **kwargs)
+
+
+def post_webhook(url: str, body: str, headers: dict) -> requests.Response:
+    # Checked again on every attempt, since the host may resolve somewhere else by now, and then sent to the
+    # checked address: resolving once more for the request would let a host answer the check with a public
+    # address and the request with an internal one
+    address = webhook_address(url)
+    parts = urlsplit(url)
+    host = f"[{address}]" if ":" in address else address
+    pinned = parts._replace(netloc=f"{host}:{parts.port}" if parts.port else host).geturl()
+    with requests.Session() as session:
+        session.mount("https://", PinnedHostAdapter(parts.hostname))
+        return session.post(
+            pinned, data=body.encode(), headers={**headers, "Host": parts.netloc.rpartition("@")[2]},
+            timeout=WEBHOOK_TIMEOUT_SECONDS, allow_redirects=False,
+        )
+
+
+async def emit_webhook_event(order: Order, event_type: str, refund_amount: Optional[float] = None):
+    """Queues `event_type` for every active endpoint of the order's owner that subscribed to it."""
+    if not order.user_id or order.kind == "wallet_topup":
+        return
+    docs = await db.webhook_endpoints.find(
+        {"user_id": order.user_id, "active": True, "events": event_type}, {"_id": 0}
+    ).to_list(WEBHOOK_MAX_ENDPOINTS)
+    if not docs:
+        return
+    event = WebhookEvent(type=event_type, order=to_api_order(order), refund_amount=refund_amount)
+    payload = event.json()
+    await db.webhook_deliveries.insert_many([
+        WebhookDelivery(
+            endpoint_id=doc["id"], partner_id=doc["partner_id"], event_id=event.id, event_type=event_type,
+            order_id=order.id, payload=payload,
+        ).dict()
+        for doc in docs
+    ])
+    webhook_wakeup.set()
+
+
+async def attempt_webhook_delivery(delivery: WebhookDelivery) -> WebhookDelivery:
+    """Sends one attempt and records the outcome; schedules the next attempt while any are left."""
+    doc = await db.webhook_endpoints.find_one({"id": delivery.endpoint_id}, {"_id": 0})
+    endpoint = WebhookEndpoint(**doc) if doc else None
+    response_status, error = None, None
+    if not endpoint or not endpoint.active:
+        error = "العنوان محذوف أو متوقف"
+    else:
+        timestamp = str(int(time.time()))
+        secret = api_secret_cipher().decrypt(endpoint.secret_encrypted.encode()).decode()
+        headers = {
+            "Content-Type": "application/json",
+            "User-Agent": "Ostora-Webhooks/1.0",
+            "X-Webhook-Id": delivery.event_id,
+            "X-Webhook-Event": delivery.event_type,
+            "X-Webhook-Signature": f"t={timestamp},v1={webhook_signature(secret, timestamp, delivery.payload)}",
+        }
+        try:
+            response = await asyncio.to_thread(post_webhook, endpoint.url, delivery.payload, headers)
+            response_status = response.status_code
+            if not 200 <= response_status < 300:
+                error = f"رد الخادم بالرمز {response_status}"
+        except requests.Timeout:
+            error = f"لم يرد الخادم خلال {WEBHOOK_TIMEOUT_SECONDS} ثوانٍ"
+        except requests.RequestException:
+            error = "تعذر الاتصال بالعنوان"
+        except ValueError as e:
+            error = str(e)
+
+    now = datetime.utcnow()
+    attempts = delivery.attempts + 1
+    update = {"attempts": attempts, "last_attempt_at": now, "response_status": response_status, "error": error}
+    if not error:
+        update.update(status="succeeded", next_attempt_at=None)
+    elif attempts >= WEBHOOK_MAX_ATTEMPTS or not endpoint or not endpoint.active:
+        update.update(status="failed", next_attempt_at=None)
+    else:
+        update.update(next_attempt_at=now + timedelta(seconds=WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1)))
+    doc = await db.webhook_deliveries.find_one_and_update(
+        {"id": delivery.id}, {"$set": update}, projection={"_id": 0}, return_document=True
+    )
+    return WebhookDelivery(**doc)
+
+
+async def claim_webhook_delivery(query: dict) -> Optional[WebhookDelivery]:
+    """Pushes next_attempt_at past the request timeout so concurrent workers skip this delivery;
+    if the process dies mid-attempt it is picked up again afterwards."""
+    doc = await db.webhook_deliveries.find_one_and_update(
+        {**query, "status": "pending"},
+        {"$set": {"next_attempt_at": datetime.utcnow() + timedelta(seconds=WEBHOOK_TIMEOUT_SECONDS * 3)}},
+        projection={"_id": 0}, sort=[("next_attempt_at", 1)], return_document=True,
+    )
+    return WebhookDelivery(**doc) if doc else None
+
+
+async def send_next_webhook() -> bool:
+    delivery = await claim_webhook_delivery({"next_attempt_at": {"$lte": datetime.utcnow()}})
+    if delivery:
+        await attempt_webhook_delivery(delivery)
+    return delivery is not None
+
+
+async def send_webhook_now(delivery: WebhookDelivery) -> WebhookDelivery:
+    """Queues a delivery and makes its first attempt within the request, for the portal buttons."""
+    await db.webhook_deliveries.insert_one(delivery.dict())
+    claimed = await claim_webhook_delivery({"id": delivery.id})
+    return await attempt_webhook_delivery(claimed) if claimed else delivery
+
+
+def to_public_webhook(endpoint: WebhookEndpoint) -> PublicWebhookEndpoint:
+    return PublicWebhookEndpoint(**endpoint.dict(exclude={"secret_encrypted"}), secret_hint=f"whsec_…{endpoint.secret_last4}")
+
+
+def new_webhook_secret() -> tuple:
+    """The plain secret for the one-time response, and the fields stored on the endpoint."""
+    secret = "whsec_" + secrets.token_urlsafe(32)
+    return secret, {"secret_encrypted": api_secret_cipher().encrypt(secret.encode()).decode(), "secret_last4": secret[-4:]}
+
+
+async def checked_webhook_fields(url: Optional[str], events: Optional[List[str]]) -> dict:
+    fields = {}
+    if url is not None:
+        url = url.strip()
+        error = await asyncio.to_thread(webhook_url_error, url)
+        if error:
+            raise HTTPException(status_code=422, detail=error)
+        fields["url"] = url
+    if events is not None:
+        unknown = set(events) - set(WEBHOOK_EVENTS)
+        if unknown:
+            raise HTTPException(status_code=422, detail=f"أحداث غير معروفة: {', '.join(sorted(unknown))}")
+        fields["events"] = [event for event in WEBHOOK_EVENTS if event in events]
+    return fields
+
+
+async def partner_webhook(endpoint_id: str, partner: Partner) -> WebhookEndpoint:
+    doc = await db.webhook_endpoints.find_one({"id": endpoint_id, "partner_id": partner.id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="العنوان غير موجود")
+    return WebhookEndpoint(**doc)
+
+@api_router.get("/partners/webhooks", response_model=List[PublicWebhookEndpoint])
+async def list_partner_webhooks(partner: Partner = Depends(approved_partner)):
+    docs = await db.webhook_endpoints.find({"partner_id": partner.id}, {"_id": 0}).sort("created_at", 1).to_list(WEBHOOK_MAX_ENDPOINTS)
+    return [to_public_webhook(WebhookEndpoint(**doc)) for doc in docs]
+
+@api_router.post("/partners/webhooks", response_model=WebhookEndpointCreated)
+async def create_partner_webhook(input: WebhookEndpointCreate, partner: Partner = Depends(approved_partner)):
+    if await db.webhook_endpoints.count_documents({"partner_id": partner.id}) >= WEBHOOK_MAX_ENDPOINTS:
+        raise HTTPException(status_code=409, detail=f"الحد الأقصى {WEBHOOK_MAX_ENDPOINTS} عناوين لكل شريك")
+    fields = await checked_webhook_fields(input.url, input.events)
+    secret, stored = new_webhook_secret()
+    endpoint = WebhookEndpoint(partner_id=partner.id, user_id=partner.user_id, **fields, **stored)
+    await db.webhook_endpoints.insert_one(endpoint.dict())
+    return WebhookEndpointCreated(**to_public_webhook(endpoint).dict(), secret=secret)
+
+@api_router.patch("/partners/webhooks/{endpoint_id}", response_model=PublicWebhookEndpoint)
+async def update_partner_webhook(endpoint_id: str, input: WebhookEndpointUpdate, partner: Partner = Depends(approved_partner)):
+    endpoint = await partner_webhook(endpoint_id, partner)
+    fields = await checked_webhook_fields(input.url, input.events)
+    if input.active is not None:
+        fields["active"] = input.active
+    doc = await db.webhook_endpoints.find_one_and_update(
+        {"id": endpoint.id}, {"$set": fields}, projection={"_id": 0}, return_document=True
+    )
+    return to_public_webhook(WebhookEndpoint(**doc))
+
+@api_router.post("/partners/webhooks/{endpoint_id}/secret", response_model=WebhookEndpointCreated)
+async def rotate_partner_webhook_secret(endpoint_id: str, partner: Partner = Depends(approved_partner)):
+    endpoint = await partner_webhook(endpoint_id, partner)
+    secret, stored = new_webhook_secret()
+    await db.webhook_endpoints.update_one({"id": endpoint.id}, {"$set": stored})
+    endpoint.secret_last4 = stored["secret_last4"]
+    return WebhookEndpointCreated(**to_public_webhook(endpoint).dict(), secret=secret)
+
+@api_router.delete("/partners/webhooks/{endpoint_id}", status_code=204)
+async def delete_partner_webhook(endpoint_id: str, partner: Partner = Depends(approved_partner)):
+    endpoint = await partner_webhook(endpoint_id, partner)
+    await db.webhook_endpoints.delete_one({"id": endpoint.id})
+    await db.webhook_deliveries.update_many(
+        {"endpoint_id": endpoint.id, "status": "pending"},
+        {"$set": {"status": "failed", "next_attempt_at": None, "error": "العنوان محذوف أو متوقف"}},
+    )
+    return Response(status_code=204)
+
+@api_router.post("/partners/webhooks/{endpoint_id}/test", response_model=WebhookDelivery)
+async def send_partner_webhook_test(endpoint_id: str, partner: Partner = Depends(approved_partner)):
+    """Sends a webhook.test event carrying the partner's latest order, or no order before the first one."""
+    endpoint = await partner_webhook(endpoint_id, partner)
+    doc = await db.orders.find_one({"user_id": partner.user_id, "kind": {"$ne": "wallet_topup"}}, {"_id": 0}, sort=[("created_at", -1)])
+    event = WebhookEvent(type="webhook.test", order=to_api_order(Order(**doc)) if doc else None)
+    return await send_webhook_now(WebhookDelivery(
+        endpoint_id=endpoint.id, partner_id=partner.id, event_id=event.id, event_type=event.type,
+        order_id=doc["id"] if doc else None, payload=event.json(),
+    ))
+
+@api_router.get("/partners/webhook-deliveries", response_model=List[WebhookDelivery])
+async def list_partner_webhook_deliveries(endpoint_id: Optional[str] = None, limit: int = Query(50, le=200),
+                                          partner: Partner = Depends(approved_partner)):
+    query = {"partner_id": partner.id}
+    if endpoint_id:
+        query["endpoint_id"] = endpoint_id
+    docs = await db.webhook_deliveries.find(query, {"_id": 0}).sort("created_at", -1).to_list(limit)
+    return [WebhookDelivery(**doc) for doc in docs]
+
+@api_router.post("/partners/webhook-deliveries/{delivery_id}/redeliver", response_model=WebhookDelivery)
+async def redeliver_partner_webhook(delivery_id: str, partner: Partner = Depends(approved_partner)):
+    """Sends the same event again (same id and body) as a new delivery with its own retries."""
+    doc = await db.webhook_deliveries.find_one({"id": delivery_id, "partner_id": partner.id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="عملية الإرسال غير موجودة")
+    original = WebhookDelivery(**doc)
+    endpoint = await partner_webhook(original.endpoint_id, partner)
+    if not endpoint.active:
+        raise HTTPException(status_code=409, detail="فعّل العنوان أولاً لإعادة الإرسال إليه")
+    return await send_webhook_now(WebhookDelivery(
+        endpoint_id=endpoint.id, partner_id=partner.id, event_id=original.event_id, event_type=original.event_type,
+        order_id=original.order_id, payload=original.payload, redelivery_of=original.id,
+    ))
+
+
+# Versioned API for partners' own systems (POS, shop software). Authenticated per request with an
+# API key and HMAC signature instead of the session cookie; see partner-api/README.md
+class PartnerApiRoute(APIRoute):
+    """Writes every call made with a known key to db.partner_api_logs for the partner portal."""
+
+    def get_route_handler(self):
+        handler = super().get_route_handler()
+
+        async def logged_handler(request: Request) -> Response:
+            started = time.monotonic()
+            status, error = 500, None
+            try:
+                response = await handler(request)
+                status = response.status_code
+                return response
+            except HTTPException as e:
+                status = e.status_code
+                error = e.detail.get("message") if isinstance(e.detail, dict) else str(e.detail)
+                raise
+            except RequestValidationError:
+                status, error = 422, "بيانات الطلب غير صالحة"
+                raise
+            finally:
+                key = getattr(request.state, "partner_api_key", None)
+                if key:
+                    await db.partner_api_logs.insert_one(PartnerApiLog(
+                        partner_id=key.partner_id, key_id=key.key_id, method=request.method, path=request.url.path,
+                        status=status, error=error, duration_ms=int((time.monotonic() - started) * 1000),
+                        ip=request.client.host if request.client else None,
+                    ).dict())
+
+        return logged_handler
+
+
+partner_api_router = APIRouter(prefix="/api/v1/partner", route_class=PartnerApiRoute)
+
+
+def partner_api_error(status_code: int, code: str, message: str) -> HTTPException:
+    """Auth failures carry a stable English `code` next to the message for integrators to branch on."""
+    return HTTPException(status_code=status_code, detail={"message": message, "code": code})
+
+
+async def partner_api_client(request: Request, x_api_key: Optional[str] = Header(None),
+                             x_timestamp: Optional[str] = Header(None), x_signature: Optional[str] = Header(None)) -> Partner:
+    if not (x_api_key and x_timestamp and x_signature):
+        raise partner_api_error(401, "missing_signature", "الترويسات X-Api-Key و X-Timestamp و X-Signature مطلوبة")
+    doc = await db.partner_api_keys.find_one({"key_id": x_api_key.strip()}, {"_id": 0})
+    key = PartnerApiKey(**doc) if doc else None
+    now = datetime.utcnow()
+    if not key or key.revoked_at or (key.expires_at and key.expires_at <= now):
+        raise partner_api_error(401, "invalid_key", "مفتاح API غير صالح أو ملغى")
+    request.state.partner_api_key = key  # logged by PartnerApiRoute even if the signature is wrong
+    try:
+        skew = abs(time.time() - int(x_timestamp))
+    except ValueError:
+        raise partner_api_error(401, "invalid_timestamp", "X-Timestamp يجب أن يكون وقت يونكس بالثواني")
+    if skew > PARTNER_API_CLOCK_SKEW_SECONDS:
+        raise partner_api_error(401, "stale_timestamp", "انتهت صلاحية التوقيع، تحقق من ضبط ساعة نظامك")
+    path = request.url.path + (f"?{request.url.query}" if request.url.query else "")
+    secret = api_secret_cipher().decrypt(key.secret_encrypted.encode()).decode()
+    expected = partner_api_signature(secret, x_timestamp, request.method, path, await request.body())
+    if not hmac.compare_digest(expected, x_signature.strip().lower()):
+        raise partner_api_error(401, "invalid_signature", "التوقيع غير مطابق")
+    # A signature is accepted once; it is remembered for as long as its timestamp could pass the skew check
+    try:
+        await db.partner_api_signatures.insert_one({"signature": expected, "key_id": key.key_id, "at": now})
+    except DuplicateKeyError:
+        raise partner_api_error(401, "replayed_request", "سبق استخدام هذا التوقيع، وقّع الطلب من جديد")
+    partner_doc = await db.partners.find_one({"id": key.partner_id}, {"_id": 0})
+    if not partner_doc or partner_doc["status"] != "approved":
+        raise partner_api_error(403, "partner_inactive", "حساب الشريك غير معتمد")
+    await db.partner_api_keys.update_one({"id": key.id}, {"$set": {"last_used_at": now}})
+    return Partner(**partner_doc)
+
+
+def to_api_order(order: Order) -> PartnerApiOrder:
+    return PartnerApiOrder(
+        id=order.id, number=order.number, reference=order.external_reference, status=order.status, total=order.total,
+        currency=order.currency, items=order.items, status_history=order.status_history, created_at=order.created_at,
+    )
+
+@partner_api_router.get("/catalog", response_model=List[Product])
+async def api_list_catalog(type: Optional[str] = None, partner: Partner = Depends(partner_api_client)):
+    query = {"active": True}
+    if type:
+        query["type"] = {"$in": type.split(",")}
+    docs = await db.products.find(query, {"_id": 0}).sort("brand", 1).to_list(500)
+    tier = await partner_tier_for(partner.user_id)
+    return [partner_priced(Product(**doc), tier) for doc in docs]
+
+@partner_api_router.get("/balance", response_model=PartnerApiBalance)
+async def api_get_balance(partner: Partner = Depends(partner_api_client)):
+    return PartnerApiBalance(
+        wallet=await wallet_balance(partner.user_id),
+        commission=await account_balance(commission_account(partner.user_id)),
+    )
+
+@partner_api_router.post("/orders", response_model=PartnerApiOrder)
+async def api_create_order(input: PartnerApiOrderCreate, idempotency_key: Optional[str] = Header(None),
+                           partner: Partner = Depends(partner_api_client)):
+    """Paid in full from the partner's wallet. A retry with the same Idempotency-Key returns the
+    original order instead of charging again."""
+    key = f"api:{clean_idempotency_key(idempotency_key, required=True)}"
+    doc = await db.orders.find_one({"user_id": partner.user_id, "idempotency_key": key}, {"_id": 0})
+    if doc:
+        return to_api_order(Order(**doc))
+    tier = await partner_tier_for(partner.user_id)
+    rows = [BulkOrderRow(row=index + 1, **item.dict()) for index, item in enumerate(input.items)]
+    items = await bulk_order_items(rows, tier)
+    total = round(sum(item.unit_price * item.quantity for item in items), 2)
+    balance = await wallet_balance(partner.user_id)
+    if total > balance:
+        raise HTTPException(status_code=409, detail={"message": "رصيد المحفظة غير كافٍ", "balance": balance})
+
+    order = Order(
+        kind="api",
+        items=items,
+        total=total,
+        currency=BASE_CURRENCY,
+        user_id=partner.user_id,
+        contact_name=partner.business_name,
+        contact_phone=partner.phone,
+        payment_method="wallet",
+        idempotency_key=key,
+        external_reference=(input.reference or "").strip() or None,
+        **partner_order_fields(items, total, tier),
+    )
+    stored = await insert_order_once(order)
+    is_new, order = stored.id == order.id, stored  # False when a retry returned the first request's order
+    try:
+        if is_new:
+            await reserve_inventory(order)
+        if not order.wallet_transactions:
+            order = await apply_wallet_credit(order, partner.user_id, total, f"order:{order.id}:api")
+    except HTTPException:
+        if (await db.orders.delete_one({"id": order.id, "wallet_transactions": []})).deleted_count:
+            await release_inventory(order.id)
+        raise
+    if is_new:
+        await emit_webhook_event(order, "order.created")
+    return to_api_order(order)
+
+@partner_api_router.get("/orders/{order_ref}", response_model=PartnerApiOrder)
+async def api_get_order(order_ref: str, partner: Partner = Depends(partner_api_client)):
+    """Looks the order up by id or by its number (UST-…)."""
+    doc = await db.orders.find_one(
+        {"user_id": partner.user_id, "$or": [{"id": order_ref}, {"number": order_ref.strip().upper()}]}, {"_id": 0}
+    )
+    if not doc:
+        raise HTTPException(status_code=404, detail="الطلب غير موجود")
+    return to_api_order(Order(**doc))
+
+
+# Checkout
+@api_router.get("/payment-methods", response_model=List[PaymentMethod])
+async def list_payment_methods():
+    docs = await db.payment_methods.find({"active": True}, {"_id": 0}).to_list(50)
+    return [PaymentMethod(**doc) for doc in docs]
+
+@api_router.post("/orders/checkout", response_model=Order)
+async def create_checkout_order(input: CheckoutCreate, session: Optional[AuthSession] = Depends(optional_session),
+                                idempotency_key: Optional[str] = Header(None)):
+    key = clean_idempotency_key(idempotency_key) if session else None
+    if key:
+        doc = await db.orders.find_one({"user_id": session.user_id, "idempotency_key": key}, {"_id": 0})
+        if doc:
+            return Order(**doc)
+    if not input.contact_name.strip():
+        raise HTTPException(status_code=422, detail="الاسم مطلوب")
+    if len(normalize_phone(input.contact_phone)) < 9:
+        raise HTTPException(status_code=422, detail="رقم الجوال غير صحيح")
+    if input.wallet_amount and not session:
+        raise HTTPException(status_code=401, detail="سجّل الدخول للدفع من رصيد المحفظة")
+    if input.points and not session:
+        raise HTTPException(status_code=401, detail="سجّل الدخول لاستخدام نقاطك")
+    if 0 < input.points < LOYALTY_MIN_REDEEM:
+        raise HTTPException(status_code=422, detail=f"أقل عدد من النقاط يمكن استخدامه {LOYALTY_MIN_REDEEM}")
+    gift_fields = await checked_gift(input.gift) if input.gift else None
+
+    tier = await partner_tier_for(session.user_id if session else None)
+    rate = await exchange_rate_for(input.currency)
+    pricing = await price_cart(input.items, tier, rate, input.coupon_code, session.user_id if session else None)
+    if any(not line.available or line.notice for line in pricing.items):
+        raise HTTPException(status_code=409, detail="تغير توفر أو كمية بعض المنتجات، يرجى مراجعة السلة")
+    if pricing.coupon_error:
+        raise HTTPException(status_code=409, detail=pricing.coupon_error)
+    points_discount = round(input.points * LOYALTY_POINT_VALUE, 2)
+    if points_discount > pricing.total:
+        raise HTTPException(status_code=422, detail="قيمة النقاط أكبر من إجمالي الطلب")
+    if input.points:
+        balance = await points_balance(session.user_id)
+        if input.points > balance:
+            raise HTTPException(status_code=409, detail={"message": "رصيد النقاط غير كافٍ", "points": balance})
+    total = round(pricing.total - points_discount, 2)
+    wallet_amount = round(min(input.wallet_amount, total), 2)
+    method = None
+    if wallet_amount < total:
+        method = await db.payment_methods.find_one({"id": input.payment_method, "active": True}, {"_id": 0})
+        if not method:
+            raise HTTPException(status_code=400, detail="طريقة الدفع غير متاحة")
+    if wallet_amount:
+        balance = await wallet_balance(session.user_id)
+        if wallet_amount > balance:
+            raise HTTPException(status_code=409, detail={"message": "رصيد المحفظة غير كافٍ", "balance": balance})
+    docs = await db.products.find({"id": {"$in": [line.product_id for line in pricing.items]}}, {"_id": 0}).to_list(100)
+    products = {doc["id"]: Product(**doc) for doc in docs}
+    carriers = await load_carriers()
+    items = [
+        OrderItem(
+            product_id=line.product_id, sku=line.sku, name=line.name, label=line.label,
+            quantity=line.quantity, unit_price=line.unit_price, retail_price=line.retail_price,
+            recipient=validate_recipient(products[line.product_id], line.recipient, carriers),
+        )
+        for line in pricing.items
+    ]
+
+    order = Order(
+        kind="checkout",
+        items=items,
+        total=total,
+        currency=pricing.currency,
+        coupon_code=pricing.coupon.code if pricing.coupon else None,
+        discount=pricing.discount,
+        points_redeemed=input.points,
+        points_discount=points_discount,
+        contact_name=input.contact_name.strip(),
+        user_id=session.user_id if session else None,
+        contact_phone=input.contact_phone.strip(),
+        contact_email=(input.contact_email or "").strip() or None,
+        payment_method=method["id"] if method else "wallet",
+        idempotency_key=key,
+        **payment_fields(total, wallet_amount, rate),
+        **partner_order_fields(items, total, tier),
+    )
+    gift = None
+    if gift_fields:
+        gift = Gift(order_id=order.id, order_number=order.number, sender_name=order.contact_name, **gift_fields)
+        order.gift_id = gift.id
+    stored = await insert_order_once(order)
+    is_new, order = stored.id == order.id, stored
+    try:
+        if is_new:
+            if gift:
+                await db.gifts.insert_one(gift.dict())
+            await reserve_inventory(order)
+            if order.coupon_code:
+                await redeem_coupon(order)
+            if order.points_redeemed:
+                await redeem_points(order)
+        if wallet_amount and not order.wallet_transactions:
+            order = await apply_wallet_credit(order, session.user_id, wallet_amount, f"order:{order.id}:checkout")
+    except HTTPException:
+        if (await db.orders.delete_one({"id": order.id, "wallet_transactions": []})).deleted_count:
+            await release_inventory(order.id)
+            await release_coupon(order.id)
+            await restore_points(order)
+            await db.gifts.delete_one({"order_id": order.id})
+        raise
+    if is_new:
+        await emit_webhook_event(order, "order.created")
+    return order
+
+async def bulk_order_items(rows: List[BulkOrderRow], tier: Optional[PartnerTier]) -> List[OrderItem]:
+    """Order lines for bulk and API orders, at the partner's wholesale price. Looks SKUs up across
+    the whole catalog and skips max_quantity; raises 422 listing every row with an error."""
+    if len(rows) > BULK_MAX_ROWS:
+        raise HTTPException(status_code=422, detail=f"الحد الأقصى {BULK_MAX_ROWS} صف في الطلب الجماعي الواحد")
+    if sum(row.quantity for row in rows) > BULK_MAX_UNITS:
+        raise HTTPException(status_code=422, detail=f"الحد الأقصى {BULK_MAX_UNITS} وحدة في الطلب الجماعي الواحد")
+
+    skus = list({row.sku.strip() for row in rows})
+    docs = await db.products.find({"denominations.sku": {"$in": skus}, "active": True}, {"_id": 0}).to_list(None)
+    options: Dict[str, tuple] = {}
+    for product in (Product(**doc) for doc in docs):
+        for option in product.denominations:
+            options[option.sku] = (product, option)
+    carriers = await load_carriers()
+    items: List[OrderItem] = []
+    errors: List[BulkRowError] = []
+    for row in rows:
+        product, option = options.get(row.sku.strip(), (None, None))
+        if not option:
+            errors.append(BulkRowError(row=row.row, error=f"رمز المنتج {row.sku} غير موجود"))
+            continue
+        if not option.in_stock:
+            errors.append(BulkRowError(row=row.row, error=f"{product.name} {option.label}: الفئة غير متوفرة حالياً"))
+            continue
+        try:
+            recipient = validate_recipient(product, row.recipient, carriers)
+        except HTTPException as e:
+            errors.append(BulkRowError(row=row.row, error=e.detail))
+            continue
+        items.append(OrderItem(
+            product_id=product.id, sku=option.sku, name=product.name, label=option.label, quantity=row.quantity,
+            unit_price=wholesale_price(option.price, tier), retail_price=option.price if tier else None,
+            recipient=recipient, row=row.row,
+        ))
+    if errors:
+        raise HTTPException(status_code=422, detail={
+            "message": f"لم يُنشأ الطلب: يوجد {len(errors)} سطر به أخطاء",
+            "rows": [error.dict() for error in errors],
+        })
+    return items
+
+@api_router.post("/orders/bulk", response_model=Order)
+async def create_bulk_order(input: BulkOrderCreate, idempotency_key: Optional[str] = Header(None),
+                            user: User = Depends(require_user), partner: Partner = Depends(approved_partner)):
+    """One order for a whole file of rows. Every row is validated first and the order is only
+    created when none has an error, so a file is never half-submitted."""
+    key = clean_idempotency_key(idempotency_key, required=True)
+    doc = await db.orders.find_one({"user_id": user.id, "idempotency_key": key}, {"_id": 0})
+    if doc:
+        return Order(**doc)
+    tier = await partner_tier_for(user.id)
+    items = await bulk_order_items(input.rows, tier)
+
+    total = round(sum(item.unit_price * item.quantity for item in items), 2)
+    wallet_amount = round(min(input.wallet_amount, total), 2)
+    method = None
+    if wallet_amount < total:
+        method = await db.payment_methods.find_one({"id": input.payment_method, "active": True}, {"_id": 0})
+        if not method:
+            raise HTTPException(status_code=400, detail="طريقة الدفع غير متاحة")
+    if wallet_amount:
+        balance = await wallet_balance(user.id)
+        if wallet_amount > balance:
+            raise HTTPException(status_code=409, detail={"message": "رصيد المحفظة غير كافٍ", "balance": balance})
+
+    order = Order(
+        kind="bulk",
+        items=items,
+        total=total,
+        currency=BASE_CURRENCY,
+        user_id=user.id,
+        contact_name=partner.business_name,
+        contact_phone=user.phone,
+        payment_method=method["id"] if method else "wallet",
+        idempotency_key=key,
+        **partner_order_fields(items, total, tier),
+    )
+    stored = await insert_order_once(order)
+    is_new, order = stored.id == order.id, stored
+    try:
+        if is_new:
+            await reserve_inventory(order)
+        if wallet_amount and not order.wallet_transactions:
+            order = await apply_wallet_credit(order, user.id, wallet_amount, f"order:{order.id}:bulk")
+    except HTTPException:
+        if (await db.orders.delete_one({"id": order.id, "wallet_transactions": []})).deleted_count:
+            await release_inventory(order.id)
+        raise
+    if is_new:
+        await emit_webhook_event(order, "order.created")
+    return order
+
+# Recurring orders
+def next_recurring_run(schedule: RecurringOrderFields, after: datetime) -> datetime:
+    """The first run strictly after `after`, at RECURRING_RUN_HOUR_UTC."""
+    day = after.replace(hour=RECURRING_RUN_HOUR_UTC, minute=0, second=0, microsecond=0)
+    if schedule.frequency == "interval":
+        return (day if day > after else day + timedelta(days=1)) + timedelta(days=schedule.interval_days - 1)
+    run = day.replace(day=schedule.day_of_month)
+    if run <= after:
+        month_end = month_start(run) + timedelta(days=32)
+        run = run.replace(year=month_end.year, month=month_end.month)
+    return run
+
+
+async def checked_recurring_fields(input: RecurringOrderFields) -> dict:
+    """The schedule fields with the recipient normalised; raises 422 on anything the runs would trip over."""
+    if input.frequency not in RECURRING_FREQUENCIES:
+        raise HTTPException(status_code=422, detail="نوع التكرار غير معروف")
+    if input.funding not in RECURRING_FUNDING_SOURCES:
+        raise HTTPException(status_code=422, detail="مصدر الدفع غير متاح")
+    if input.frequency == "monthly" and not 1 <= (input.day_of_month or 0) <= RECURRING_MAX_DAY_OF_MONTH:
+        raise HTTPException(status_code=422, detail=f"اختر يوماً من الشهر بين 1 و{RECURRING_MAX_DAY_OF_MONTH}")
+    if input.frequency == "interval" and not (
+        RECURRING_MIN_INTERVAL_DAYS <= (input.interval_days or 0) <= RECURRING_MAX_INTERVAL_DAYS
+    ):
+        raise HTTPException(
+            status_code=422, detail=f"اختر عدد أيام بين {RECURRING_MIN_INTERVAL_DAYS} و{RECURRING_MAX_INTERVAL_DAYS}",
+        )
+    doc = await db.products.find_one({"id": input.product_id, "active": True}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="المنتج غير موجود")
+    product = Product(**doc)
+    if product.type not in RECURRING_PRODUCT_TYPES:
+        raise HTTPException(status_code=422, detail="لا يمكن جدولة هذا المنتج")
+    option = next((o for o in product.denominations if o.sku == input.sku), None)
+    if not option:
+        raise HTTPException(status_code=422, detail="الفئة غير موجودة")
+    if input.quantity > product.max_quantity:
+        raise HTTPException(status_code=422, detail=f"الحد الأقصى {product.max_quantity} لهذا المنتج")
+    fields = input.dict()
+    fields.update(
+        recipient=validate_recipient(product, input.recipient, await load_carriers()),
+        day_of_month=input.day_of_month if input.frequency == "monthly" else None,
+        interval_days=input.interval_days if input.frequency == "interval" else None,
+        name=product.name, label=option.label,
+    )
+    return fields
+
+
+async def notify_recurring(schedule: RecurringOrder, message: str):
+    """SMS to the schedule's owner. Best effort: a failed notice never holds up a run."""
+    user = await db.users.find_one({"id": schedule.user_id}, {"_id": 0, "phone": 1})
+    try:
+        await sms_provider().send(user["phone"], message)
+    except Exception:
+        logger.exception("Recurring order %s notice failed", schedule.id)
+
+
+def recurring_summary(schedule: RecurringOrder) -> str:
+    recipient = schedule.recipient.get("phone") or schedule.recipient.get("player_id")
+    return f"{schedule.name} {schedule.label}" + (f" إلى {recipient}" if recipient else "")
+
+
+async def place_recurring_order(schedule: RecurringOrder) -> Order:
+    """Places the current run and pays it from the wallet. The run's idempotency key makes a retry
+    pick up the order an interrupted attempt left behind instead of charging twice."""
+    user = User(**await db.users.find_one({"id": schedule.user_id}, {"_id": 0}))
+    key = f"recurring:{schedule.id}:{schedule.next_run_at:%Y%m%d}"
+    doc = await db.orders.find_one({"user_id": user.id, "idempotency_key": key}, {"_id": 0})
+    if doc and doc["status"] != "created":
+        return Order(**doc)
+    tier = await partner_tier_for(user.id)
+    pricing = await price_cart([CartItemIn(
+        product_id=schedule.product_id, sku=schedule.sku, quantity=schedule.quantity, recipient=schedule.recipient,
+    )], tier)
+    line = pricing.items[0] if pricing.items else None
+    if not line or not line.available or line.notice:
+        raise HTTPException(status_code=409, detail="المنتج أو الفئة غير متوفرة حالياً")
+    product = Product(**await db.products.find_one({"id": line.product_id}, {"_id": 0}))
+    items = [OrderItem(
+        product_id=line.product_id, sku=line.sku, name=line.name, label=line.label, quantity=line.quantity,
+        unit_price=line.unit_price, retail_price=line.retail_price,
+        recipient=validate_recipient(product, schedule.recipient, await load_carriers()),
+    )]
+    balance = await wallet_balance(user.id)
+    if pricing.total > balance:
+        raise HTTPException(status_code=409, detail={"message": "رصيد المحفظة غير كافٍ", "balance": balance})
+
+    order = Order(
+        kind="recurring",
+        items=items,
+        total=pricing.total,
+        currency=BASE_CURRENCY,
+        user_id=user.id,
+        contact_name=user.name or user.phone,
+        contact_phone=user.phone,
+        payment_method="wallet",
+        idempotency_key=key,
+        recurring_id=schedule.id,
+        **partner_order_fields(items, pricing.total, tier),
+    )
+    stored = await insert_order_once(order)
+    is_new, order = stored.id == order.id, stored
+    try:
+        if is_new:
+            await reserve_inventory(order)
+        if not order.wallet_transactions:
+            order = await apply_wallet_credit(order, user.id, order.total, f"order:{order.id}:recurring")
+    except HTTPException:
+        if (await db.orders.delete_one({"id": order.id, "wallet_transactions": []})).deleted_count:
+            await release_inventory(order.id)
+        raise
+    if is_new:
+        await emit_webhook_event(order, "order.created")
+    return order
+
+
+recurring_wakeup = asyncio.Event()
+
+
+async def remind_next_recurring() -> bool:
+    now = datetime.utcnow()
+    doc = await db.recurring_orders.find_one_and_update(
+        {"status": "active", "reminded": False, "next_run_at": {"$lte": now + timedelta(hours=RECURRING_REMINDER_HOURS)}},
+        {"$set": {"reminded": True}},
+        projection={"_id": 0},
+    )
+    if not doc:
+        return False
+    schedule = RecurringOrder(**doc)
+    if schedule.next_run_at <= now:
+        return True  # came due before it could be reminded, e.g. created for today
+    pricing = await price_cart([CartItemIn(product_id=schedule.product_id, sku=schedule.sku, quantity=schedule.quantity)],
+                               await partner_tier_for(schedule.user_id))
+    line = pricing.items[0] if pricing.items else None
+    when = f"{schedule.next_run_at + RECURRING_LOCAL_OFFSET:%Y-%m-%d %H:%M}"
+    if not line or not line.available or line.notice:
+        # the run fails the same way unless the item is back by then, so there is no charge to announce
+        await notify_recurring(schedule, (
+            f"تنبيه من الأسطورة أونلاين: {recurring_summary(schedule)} غير متوفر حالياً، "
+            f"ولن نشحنه في {when} ما لم يتوفر قبل الموعد."
+        ))
+        return True
+    balance = await wallet_balance(schedule.user_id)
+    message = (
+        f"تذكير من الأسطورة أونلاين: سنشحن {recurring_summary(schedule)} "
+        f"في {when} ونخصم {pricing.total:,.0f} ريال من محفظتك."
+    )
+    if balance < pricing.total:
+        message += f"\nرصيدك الحالي {balance:,.0f} ريال لا يكفي، اشحن محفظتك قبل الموعد."
+    await notify_recurring(schedule, message)
+    return True
+
+
+async def run_next_recurring() -> bool:
+    now = datetime.utcnow()
+    doc = await db.recurring_orders.find_one_and_update(
+        {"status": "active", "next_attempt_at": {"$lte": now}},
+        # claimed for longer than placing an order takes, so other processes leave it alone
+        {"$set": {"next_attempt_at": now + timedelta(minutes=2)}},
+        projection={"_id": 0}, sort=[("next_attempt_at", 1)],
+    )
+    if not doc:
+        return False
+    schedule = RecurringOrder(**doc)
+    try:
+        order = await place_recurring_order(schedule)
+    except Exception as e:
+        attempts = schedule.attempts + 1
+        error = getattr(e, "detail", None) or str(e)
+        if isinstance(error, dict):
+            error = error["message"]
+        logger.warning("Recurring order %s attempt %s failed: %s", schedule.id, attempts, error)
+        update = {"attempts": attempts, "last_error": error}
+        if attempts >= RECURRING_MAX_ATTEMPTS:
+            next_run = next_recurring_run(schedule, schedule.next_run_at)
+            update.update(attempts=0, next_run_at=next_run, next_attempt_at=next_run, reminded=False)
+            notice = (f"تعذر شحن {recurring_summary(schedule)}: {error}. تخطينا هذه المرة، "
+                      f"والموعد التالي {next_run + RECURRING_LOCAL_OFFSET:%Y-%m-%d}.")
+        else:
+            update["next_attempt_at"] = now + timedelta(minutes=RECURRING_RETRY_BASE_MINUTES * 2 ** (attempts - 1))
+            notice = f"تعذر شحن {recurring_summary(schedule)}: {error}. سنعيد المحاولة تلقائياً." if attempts == 1 else None
+        await db.recurring_orders.update_one({"id": schedule.id, "status": "active"}, {"$set": update})
+        if notice:
+            await notify_recurring(schedule, notice)
+        return True
+    next_run = next_recurring_run(schedule, schedule.next_run_at)
+    await db.recurring_orders.update_one({"id": schedule.id, "status": "active"}, {"$set": {
+        "next_run_at": next_run, "next_attempt_at": next_run, "reminded": False, "attempts": 0, "last_error": None,
+        "last_order_id": order.id, "last_run_at": now,
+    }})
+    await notify_recurring(
+        schedule, f"تم طلب {recurring_summary(schedule)} (الطلب {order.number}) وخُصم {order.total:,.0f} ريال من محفظتك.",
+    )
+    return True
+
+
+async def advance_recurring() -> bool:
+    return await remind_next_recurring() or await run_next_recurring()
+
+
+async def owned_recurring_order(recurring_id: str, user: User) -> RecurringOrder:
+    doc = await db.recurring_orders.find_one(
+        {"id": recurring_id, "user_id": user.id, "status": {"$ne": "cancelled"}}, {"_id": 0},
+    )
+    if not doc:
+        raise HTTPException(status_code=404, detail="الجدولة غير موجودة")
+    return RecurringOrder(**doc)
+
+
+def recurring_run_fields(schedule: RecurringOrderFields) -> dict:
+    """Starts the schedule over from now, as after creating, editing or resuming it."""
+    next_run = next_recurring_run(schedule, datetime.utcnow())
+    return {"next_run_at": next_run, "next_attempt_at": next_run, "reminded": False, "attempts": 0}
+
+@api_router.get("/account/recurring", response_model=List[RecurringOrder])
+async def list_recurring_orders(user: User = Depends(require_user)):
+    docs = await db.recurring_orders.find(
+        {"user_id": user.id, "status": {"$ne": "cancelled"}}, {"_id": 0},
+    ).sort("created_at", 1).to_list(RECURRING_MAX_PER_USER)
+    return [RecurringOrder(**doc) for doc in docs]
+
+@api_router.post("/account/recurring", response_model=RecurringOrder)
+async def create_recurring_order(input: RecurringOrderFields, user: User = Depends(require_user)):
+    if await db.recurring_orders.count_documents({"user_id": user.id, "status": {"$ne": "cancelled"}}) >= RECURRING_MAX_PER_USER:
+        raise HTTPException(status_code=409, detail=f"الحد الأقصى {RECURRING_MAX_PER_USER} جدولات لكل حساب")
+    schedule = RecurringOrder(user_id=user.id, **await checked_recurring_fields(input), **recurring_run_fields(input))
+    await db.recurring_orders.insert_one(schedule.dict())
+    recurring_wakeup.set()
+    return schedule
+
+@api_router.put("/account/recurring/{recurring_id}", response_model=RecurringOrder)
+async def update_recurring_order(recurring_id: str, input: RecurringOrderFields, user: User = Depends(require_user)):
+    schedule = await owned_recurring_order(recurring_id, user)
+    fields = await checked_recurring_fields(input)
+    if schedule.status == "active":
+        fields.update(recurring_run_fields(input))
+    doc = await db.recurring_orders.find_one_and_update(
+        {"id": schedule.id, "status": schedule.status},
+        {"$set": {**fields, "last_error": None, "updated_at": datetime.utcnow()}},
+        projection={"_id": 0}, return_document=True,
+    )
+    if not doc:
+        raise HTTPException(status_code=409, detail="تغيرت حالة الجدولة، حدّث الصفحة وحاول مجدداً")
+    recurring_wakeup.set()
+    return RecurringOrder(**doc)
+
+@api_router.post("/account/recurring/{recurring_id}/pause", response_model=RecurringOrder)
+async def pause_recurring_order(recurring_id: str, user: User = Depends(require_user)):
+    schedule = await owned_recurring_order(recurring_id, user)
+    doc = await db.recurring_orders.find_one_and_update(
+        {"id": schedule.id, "status": "active"},
+        {"$set": {"status": "paused", "next_run_at": None, "next_attempt_at": None, "updated_at": datetime.utcnow()}},
+        projection={"_id": 0}, return_document=True,
+    )
+    if not doc:
+        raise HTTPException(status_code=409, detail="الجدولة متوقفة مسبقاً")
+    return RecurringOrder(**doc)
+
+@api_router.post("/account/recurring/{recurring_id}/resume", response_model=RecurringOrder)
+async def resume_recurring_order(recurring_id: str, user: User = Depends(require_user)):
+    schedule = await owned_recurring_order(recurring_id, user)
+    doc = await db.recurring_orders.find_one_and_update(
+        {"id": schedule.id, "status": "paused"},
+        {"$set": {"status": "active", "last_error": None, "updated_at": datetime.utcnow(), **recurring_run_fields(schedule)}},
+        projection={"_id": 0}, return_document=True,
+    )
+    if not doc:
+        raise HTTPException(status_code=409, detail="الجدولة مفعلة مسبقاً")
+    recurring_wakeup.set()
+    return RecurringOrder(**doc)
+
+@api_router.delete("/account/recurring/{recurring_id}", status_code=204)
+async def cancel_recurring_order(recurring_id: str, user: User = Depends(require_user)):
+    """Kept as cancelled so the orders it placed still point at it."""
+    schedule = await owned_recurring_order(recurring_id, user)
+    await db.recurring_orders.update_one({"id": schedule.id}, {"$set": {
+        "status": "cancelled", "next_run_at": None, "next_attempt_at": None, "updated_at": datetime.utcnow(),
+    }})
+
+@api_router.post("/orders/{order_id}/receipt", response_model=Order)
+async def upload_payment_receipt(order_id: str, file: UploadFile = File(...), reference: Optional[str] = Form(None),
+                                 phone: Optional[str] = Form(None),
+                                 session: Optional[AuthSession] = Depends(optional_session)):
+    """Open to the signed-in customer who placed the order, or to a guest sending one of its phones
+    (the same proof as POST /orders/lookup)."""
+    doc = await db.orders.find_one({"id": order_id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="الطلب غير موجود")
+    order = Order(**doc)
+    signed_in_owner = session is not None and order.user_id == session.user_id
+    if not signed_in_owner and not any(phones_match(phone, known) for known in order_phones(order)):
+        raise HTTPException(status_code=403, detail="لا يمكنك إرفاق إيصال بهذا الطلب")
+    if doc["status"] not in ("created", "verifying"):
+        raise HTTPException(status_code=409, detail="لا يمكن إرفاق إيصال بهذا الطلب في حالته الحالية")
+    extension = RECEIPT_CONTENT_TYPES.get(file.content_type)
+    if not extension:
+        raise HTTPException(status_code=415, detail="يجب أن يكون الإيصال صورة (JPG أو PNG أو WEBP) أو ملف PDF")
+    content = await file.read(RECEIPT_MAX_BYTES + 1)
+    if len(content) > RECEIPT_MAX_BYTES:
+        raise HTTPException(status_code=413, detail="حجم الإيصال يتجاوز 5 ميجابايت")
+    if not content:
+        raise HTTPException(status_code=422, detail="ملف الإيصال فارغ")
+
+    receipt = Receipt(
+        filename=file.filename or f"receipt{extension}", content_type=file.content_type, size=len(content),
+        stored_as=f"{uuid.uuid4()}{extension}", reference=(reference or "").strip()[:64] or None,
+    )
+    receipts_dir = UPLOAD_DIR / "receipts"
+    receipts_dir.mkdir(parents=True, exist_ok=True)
+    (receipts_dir / receipt.stored_as).write_bytes(content)
+
+    await db.orders.update_one({"id": order_id}, {"$push": {"receipts": receipt.dict()}})
+    if doc["status"] == "created":
+        order = await set_order_status(order_id, "verifying", note="تم رفع إيصال الدفع", expected=["created"])
+        if order:
+            return order
+    return Order(**await db.orders.find_one({"id": order_id}, {"_id": 0}))
+
+
+# Order tracking
+@api_router.post("/orders/lookup", response_model=Order)
+async def lookup_order(input: OrderLookup):
+    doc = await db.orders.find_one({"number": input.number.strip().upper()}, {"_id": 0})
+    order = Order(**doc) if doc else None
+    if not order or not any(phones_match(input.phone, phone) for phone in order_phones(order)):
+        raise HTTPException(status_code=404, detail="لم نعثر على طلب بهذا الرقم ورقم الجوال")
+    return order
+
+@api_router.get("/orders/{order_id}", response_model=Order)
+async def get_order(order_id: str):
+    doc = await db.orders.find_one({"id": order_id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="الطلب غير موجود")
+    return Order(**doc)
+
+@api_router.get("/orders/{order_id}/events")
+async def stream_order_events(order_id: str, request: Request):
+    """Server-Sent Events: sends the order once, then again on every status change, and closes
+    after a terminal status. Clients fall back to polling GET /orders/{id} if the stream drops."""
+    doc = await db.orders.find_one({"id": order_id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="الطلب غير موجود")
+    queue: asyncio.Queue = asyncio.Queue()
+    order_listeners.setdefault(order_id, []).append(queue)
+
+    async def events():
+        order = Order(**doc)
+        try:
+            yield f"event: order\ndata: {order.json()}\n\n"
+            while order.status not in ORDER_TERMINAL_STATUSES:
+                if await request.is_disconnected():
+                    break
+                try:
+                    order = await asyncio.wait_for(queue.get(), timeout=ORDER_STREAM_RECHECK_SECONDS)
+                except asyncio.TimeoutError:
+                    fresh = Order(**await db.orders.find_one({"id": order_id}, {"_id": 0}))
+                    if len(fresh.status_history) == len(order.status_history):
+                        yield ": keep-alive\n\n"
+                        continue
+                    order = fresh
+                yield f"event: order\ndata: {order.json()}\n\n"
+        finally:
+            listeners = order_listeners.get(order_id, [])
+            if queue in listeners:
+                listeners.remove(queue)
+            if not listeners:
+                order_listeners.pop(order_id, None)
+
+    return StreamingResponse(
+        events(), media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+
+# Voucher codes
+async def order_for_code_reveal(order_id: str, user: User, session: AuthSession) -> Order:
+    doc = await db.orders.find_one({"id": order_id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="الطلب غير موجود")
+    order = Order(**doc)
+    if not owns_order(user, order):
+        raise HTTPException(status_code=403, detail="هذا الطلب غير مرتبط بحسابك")
+    if session.created_at < datetime.utcnow() - timedelta(minutes=REAUTH_MINUTES):
+        raise HTTPException(status_code=401, detail={"message": "يرجى تأكيد هويتك برمز التحقق لعرض الأكواد", "reauth": True})
+    return order
+
+
+async def reveal_voucher(voucher: VoucherCode, user: Optional[User], request: Request) -> str:
+    """Decrypts the code and records who saw it (no user for a gift recipient), from where."""
+    try:
+        code = voucher_cipher().decrypt(voucher.encrypted.encode()).decode()
+    except InvalidToken:
+        logger.error("Voucher %s could not be decrypted with the configured key", voucher.id)
+        raise HTTPException(status_code=500, detail="تعذر فك تشفير الكود، يرجى التواصل مع الدعم")
+
+    now = datetime.utcnow()
+    await db.voucher_reveals.insert_one({
+        "id": str(uuid.uuid4()), "code_id": voucher.id, "order_id": voucher.order_id, "user_id": user.id if user else None, "at": now,
+        "ip": request.client.host if request.client else None, "user_agent": request.headers.get("user-agent"),
+    })
+    await db.voucher_codes.update_one({"id": voucher.id}, {"$inc": {"reveal_count": 1}})
+    await db.voucher_codes.update_one({"id": voucher.id, "first_revealed_at": None}, {"$set": {"first_revealed_at": now}})
+    return code
+
+@api_router.get("/orders/{order_id}/codes", response_model=List[PublicVoucherCode])
+async def list_order_codes(order_id: str):
+    doc = await db.orders.find_one({"id": order_id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="الطلب غير موجود")
+    return await public_voucher_codes(Order(**doc))
+
+
+async def public_voucher_codes(order: Order) -> List[PublicVoucherCode]:
+    codes = await db.voucher_codes.find({"order_id": order.id}, {"_id": 0}).sort("created_at", 1).to_list(500)
+    return [
+        PublicVoucherCode(
+            id=c["id"], item_index=c["item_index"], name=order.items[c["item_index"]].name,
+            label=order.items[c["item_index"]].label, masked=mask_code(c["last4"]),
+            reveal_count=c["reveal_count"], first_revealed_at=c.get("first_revealed_at"),
+        )
+        for c in codes
+    ]
+
+@api_router.post("/orders/{order_id}/codes/{code_id}/reveal", response_model=RevealedVoucherCode)
+async def reveal_order_code(order_id: str, code_id: str, request: Request,
+                            user: User = Depends(require_user), session: AuthSession = Depends(require_session)):
+    """Only the order's owner, and only shortly after confirming a sign-in code, sees the plain code."""
+    order = await order_for_code_reveal(order_id, user, session)
+    if order.gift_id:
+        raise HTTPException(status_code=409, detail="هذا الطلب هدية، ويكشف المستلم الكود من رابط الهدية")
+    voucher_doc = await db.voucher_codes.find_one({"id": code_id, "order_id": order_id}, {"_id": 0})
+    if not voucher_doc:
+        raise HTTPException(status_code=404, detail="الكود غير موجود")
+    voucher = VoucherCode(**voucher_doc)
+    code = await reveal_voucher(voucher, user, request)
+    item = order.items[voucher.item_index]
+    return RevealedVoucherCode(id=voucher.id, code=code, name=item.name, label=item.label)
+
+@api_router.get("/orders/{order_id}/bulk-result.csv")
+async def export_bulk_result(order_id: str, request: Request,
+                             user: User = Depends(require_user), session: AuthSession = Depends(require_session)):
+    """Each uploaded row with its outcome and, for code lines, the delivered codes in plain text.
+    Same access rule as revealing a single code, and every code in the file is logged as revealed."""
+    order = await order_for_code_reveal(order_id, user, session)
+    if order.kind not in ("bulk", "api"):
+        raise HTTPException(status_code=404, detail="ملف النتائج متاح للطلبات الجماعية وطلبات الواجهة البرمجية فقط")
+    docs = await db.voucher_codes.find({"order_id": order_id}, {"_id": 0}).sort("created_at", 1).to_list(None)
+    codes: Dict[int, List[str]] = {}
+    for voucher in (VoucherCode(**doc) for doc in docs):
+        codes.setdefault(voucher.item_index, []).append(await reveal_voucher(voucher, user, request))
+
+    buffer = io.StringIO()
+    writer = csv.writer(buffer)
+    writer.writerow(["الصف", "رمز المنتج", "المنتج", "الكمية", "المستلم", "سعر الوحدة", "النتيجة", "الأكواد"])
+    for index, item in enumerate(order.items):
+        delivered = codes.get(index, [])
+        if not item.recipient and len(delivered) >= item.quantity:
+            outcome = BULK_OUTCOME_LABELS["delivered"]
+        elif not item.recipient and order.status not in ORDER_TERMINAL_STATUSES:
+            outcome = f"بانتظار الأكواد ({len(delivered)}/{item.quantity})"
+        else:
+            outcome = BULK_OUTCOME_LABELS.get(order.status, "قيد التنفيذ")
+        recipient = item.recipient.get("phone") or ":".join(filter(None, [item.recipient.get("player_id"), item.recipient.get("zone")]))
+        writer.writerow([
+            item.row or index + 1, item.sku, f"{item.name} - {item.label}", item.quantity, recipient,
+            f"{item.unit_price:.2f}", outcome, " | ".join(delivered),
+        ])
+    # The BOM makes Excel read the Arabic columns as UTF-8
+    return Response(
+        content="\ufeff" + buffer.getvalue(),
+        media_type="text/csv; charset=utf-8",
+        headers={"Content-Disposition": f'attachment; filename="bulk-{order.number}.csv"'},
+    )
+
+# Gifts
+async def checked_gift(input: GiftCreate) -> dict:
+    """Gift fields from checkout, validated and tidied; the claim SMS goes to the international
+    form of recipient_phone and deliver_at becomes naive UTC."""
+    recipient_name = input.recipient_name.strip()
+    if not 2 <= len(recipient_name) <= 80:
+        raise HTTPException(status_code=422, detail="اسم مستلم الهدية مطلوب")
+    try:
+        recipient_phone = detect_carrier(input.recipient_phone, await load_carriers()).international_number
+    except HTTPException as e:
+        raise HTTPException(status_code=422, detail=f"رقم جوال مستلم الهدية: {e.detail}")
+    message = input.message.strip()
+    if len(message) > GIFT_MESSAGE_MAX_LENGTH:
+        raise HTTPException(status_code=422, detail=f"رسالة الإهداء أطول من {GIFT_MESSAGE_MAX_LENGTH} حرفاً")
+    now = datetime.utcnow()
+    deliver_at = max(naive_utc(input.deliver_at), now) if input.deliver_at else now
+    if deliver_at > now + timedelta(days=GIFT_MAX_SCHEDULE_DAYS):
+        raise HTTPException(status_code=422, detail=f"يمكن جدولة الهدية حتى {GIFT_MAX_SCHEDULE_DAYS} يوماً مقدماً")
+    return {
+        "recipient_name": recipient_name, "recipient_phone": recipient_phone,
+        "message": message, "deliver_at": deliver_at,
+    }
+
+
+def gift_token(gift_id: str) -> str:
+    if not SECRET_KEY:
+        raise HTTPException(status_code=503, detail="الهدايا غير مفعلة على هذا الخادم")
+    return hmac.new(f"gift:{SECRET_KEY}".encode(), gift_id.encode(), hashlib.sha256).hexdigest()[:32]
+
+
+def gift_link(gift: Gift) -> str:
+    return f"{SITE_URL}/gift/{gift.id}/{gift_token(gift.id)}"
+
+
+async def schedule_gift(order: Order):
+    """Once the order is delivered, its gift link goes out on the delivery date."""
+    if not order.gift_id:
+        return
+    gift = await db.gifts.find_one({"id": order.gift_id}, {"_id": 0, "deliver_at": 1})
+    if gift:
+        await db.gifts.update_one(
+            {"id": order.gift_id, "status": "scheduled", "next_attempt_at": None},
+            {"$set": {"next_attempt_at": gift["deliver_at"]}},
+        )
+        gift_wakeup.set()
+
+
+gift_wakeup = asyncio.Event()
+
+
+async def send_next_gift() -> bool:
+    now = datetime.utcnow()
+    doc = await db.gifts.find_one_and_update(
+        {"status": "scheduled", "next_attempt_at": {"$lte": now}},
+        # claimed for longer than an SMS takes, so other processes leave it alone
+        {"$set": {"next_attempt_at": now + timedelta(minutes=2)}},
+        projection={"_id": 0}, sort=[("next_attempt_at", 1)],
+    )
+    if not doc:
+        return False
+    gift = Gift(**doc)
+    try:
+        await sms_provider().send(
+            gift.recipient_phone,
+            f"🎁 {gift.recipient_name}، أرسل لك {gift.sender_name} هدية من الأسطورة أونلاين!\nافتحها من هنا: {gift_link(gift)}",
+        )
+    except Exception as e:
+        attempts = gift.attempts + 1
+        error = e.detail if isinstance(e, HTTPException) else str(e)
+        logger.warning("Gift %s SMS attempt %s failed: %s", gift.id, attempts, error)
+        update = {"attempts": attempts, "error": error}
+        if attempts >= GIFT_MAX_ATTEMPTS:
+            update.update(status="failed", next_attempt_at=None)
+        else:
+            update["next_attempt_at"] = now + timedelta(seconds=GIFT_RETRY_BASE_SECONDS * 2 ** (attempts - 1))
+        await db.gifts.update_one({"id": gift.id}, {"$set": update})
+        return True
+    await db.gifts.update_one(
+        {"id": gift.id}, {"$set": {"status": "sent", "sent_at": datetime.utcnow(), "next_attempt_at": None, "error": None}},
+    )
+    return True
+
+
+async def claimed_gift(gift_id: str, token: str) -> Tuple[Gift, Order]:
+    doc = await db.gifts.find_one({"id": gift_id}, {"_id": 0})
+    if not doc or not hmac.compare_digest(gift_token(gift_id), token):
+        raise HTTPException(status_code=404, detail="الهدية غير موجودة")
+    gift = Gift(**doc)
+    if gift.status == "cancelled":
+        raise HTTPException(status_code=410, detail="أُلغيت هذه الهدية")
+    if gift.status not in ("sent", "opened"):
+        raise HTTPException(status_code=404, detail="الهدية غير موجودة")
+    order = Order(**await db.orders.find_one({"id": gift.order_id}, {"_id": 0}))
+    return gift, order
+
+@api_router.get("/gifts/{gift_id}/{token}", response_model=GiftView)
+async def open_gift(gift_id: str, token: str):
+    """The recipient's claim link; the first visit marks the gift opened for the buyer."""
+    gift, order = await claimed_gift(gift_id, token)
+    await db.gifts.update_one(
+        {"id": gift.id, "opened_at": None}, {"$set": {"status": "opened", "opened_at": datetime.utcnow()}},
+    )
+    return GiftView(
+        sender_name=gift.sender_name, recipient_name=gift.recipient_name, message=gift.message, sent_at=gift.sent_at,
+        items=[GiftItem(name=i.name, label=i.label, quantity=i.quantity, recipient=i.recipient) for i in order.items],
+        codes=await public_voucher_codes(order),
+    )
+
+@api_router.post("/gifts/{gift_id}/{token}/codes/{code_id}/reveal", response_model=RevealedVoucherCode)
+async def reveal_gift_code(gift_id: str, token: str, code_id: str, request: Request):
+    gift, order = await claimed_gift(gift_id, token)
+    voucher_doc = await db.voucher_codes.find_one({"id": code_id, "order_id": order.id}, {"_id": 0})
+    if not voucher_doc:
+        raise HTTPException(status_code=404, detail="الكود غير موجود")
+    voucher = VoucherCode(**voucher_doc)
+    code = await reveal_voucher(voucher, None, request)
+    await db.gifts.update_one({"id": gift.id, "revealed_at": None}, {"$set": {"revealed_at": datetime.utcnow()}})
+    item = order.items[voucher.item_index]
+    return RevealedVoucherCode(id=voucher.id, code=code, name=item.name, label=item.label)
+
+@api_router.get("/orders/{order_id}/gift", response_model=GiftStatus)
+async def get_order_gift(order_id: str):
+    """Whether the recipient got and opened the gift. Like the order itself it is readable by its id,
+    so only the delivery status is returned, never who the gift is for."""
+    doc = await db.gifts.find_one({"order_id": order_id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="لا توجد هدية لهذا الطلب")
+    return GiftStatus(**doc)
+
+
+async def store_voucher_codes(order: Order, item_index: int, codes: List[str]):
+    item = order.items[item_index]
+    cipher = voucher_cipher()
+    await db.voucher_codes.insert_many([
+        VoucherCode(
+            order_id=order.id, item_index=item_index, product_id=item.product_id, sku=item.sku,
+            # short codes keep no plaintext hint at all
+            encrypted=cipher.encrypt(code.encode()).decode(), last4=code[-4:] if len(code) >= 8 else "",
+        ).dict()
+        for code in codes
+    ])
+
+
+async def deliver_if_complete(order: Order, note: str) -> Optional[Order]:
+    """Marks the order delivered once every code line has all its codes and every line sent to a
+    supplier is fulfilled or resolved by an admin. Top-up lines without a supplier job are handled
+    outside the system."""
+    delivered = await db.voucher_codes.aggregate([
+        {"$match": {"order_id": order.id}}, {"$group": {"_id": "$item_index", "count": {"$sum": 1}}},
+    ]).to_list(100)
+    counts = {row["_id"]: row["count"] for row in delivered}
+    open_jobs = await db.fulfillment_jobs.find(
+        {"order_id": order.id, "status": {"$ne": "fulfilled"}, "resolved_at": None}, {"_id": 0, "item_index": 1}
+    ).to_list(None)
+    code_lines = code_items(order)
+    if not all(counts.get(i, 0) >= order.items[i].quantity for i in code_lines):
+        return None
+    if any(job["item_index"] not in code_lines for job in open_jobs):
+        return None
+    return await set_order_status(order.id, "delivered", note=note, expected=["paid", "fulfilling"])
+
+@api_router.post("/admin/orders/{order_id}/codes", response_model=Order, dependencies=[Depends(require_admin)])
+async def admin_add_order_codes(order_id: str, input: VoucherCodesCreate):
+    doc = await db.orders.find_one({"id": order_id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="الطلب غير موجود")
+    order = Order(**doc)
+    if order.status not in ("paid", "fulfilling"):
+        raise HTTPException(status_code=409, detail="لا يمكن تسليم أكواد قبل تأكيد الدفع")
+    if input.item_index not in code_items(order):
+        raise HTTPException(status_code=422, detail="هذا المنتج لا يُسلّم على شكل كود")
+    codes = [c.strip() for c in input.codes if c.strip()]
+    if not codes:
+        raise HTTPException(status_code=422, detail="لم يتم إدخال أي كود")
+    item = order.items[input.item_index]
+    if await db.fulfillment_jobs.count_documents(
+        {"order_id": order_id, "item_index": input.item_index, "status": {"$in": ["pending", "submitted"]}}
+    ):
+        raise HTTPException(status_code=409, detail="هذا المنتج قيد التنفيذ لدى المورد")
+    existing = await db.voucher_codes.count_documents({"order_id": order_id, "item_index": input.item_index})
+    if existing + len(codes) > item.quantity:
+        raise HTTPException(status_code=422, detail=f"عدد الأكواد يتجاوز الكمية المطلوبة ({item.quantity})")
+
+    await store_voucher_codes(order, input.item_index, codes)
+    updated = await deliver_if_complete(order, "تم تسليم الأكواد")
+    if not updated and order.status == "paid":
+        updated = await set_order_status(order_id, "fulfilling", expected=["paid"])
+    return updated or Order(**await db.orders.find_one({"id": order_id}, {"_id": 0}))
+
+
+# Supplier fulfilment. Paid lines of products with an automated supplier are queued as jobs and
+# advanced by advance_next_fulfillment(). Failed and dead-letter jobs wait for an admin to retry
+# them, possibly with another supplier, or to resolve them by hand; the order is never failed or
+# refunded automatically.
+class SupplierError(Exception):
+    """A supplier call that did not go through; retryable errors are tried again with backoff."""
+
+    def __init__(self, message: str, retryable: bool = True):
+        super().__init__(message)
+        self.retryable = retryable
+
+
+class SupplierProvider:
+    """One upstream supplier. submit() places a job's order line and check() follows up on a
+    submitted one; both return a SupplierResult or raise SupplierError. The constructor raises
+    SupplierError(retryable=False) when the provider is not configured on this server."""
+
+    async def submit(self, job: FulfillmentJob) -> SupplierResult:
+        raise NotImplementedError
+
+    async def check(self, job: FulfillmentJob) -> SupplierResult:
+        raise NotImplementedError
+
+
+class MockSupplierProvider(SupplierProvider):
+    """Simulates a supplier for offline development: random latency, transient failures
+    (MOCK_SUPPLIER_FAILURE_RATE), out-of-stock (MOCK_SUPPLIER_OUT_OF_STOCK_RATE, or always for the
+    comma-separated MOCK_SUPPLIER_OUT_OF_STOCK_SKUS) and a few seconds of processing before
+    made-up codes come back."""
+
+    def __init__(self):
+        if not MOCK_SUPPLIER_ENABLED:
+            raise SupplierError("المورد التجريبي غير مفعّل على هذا الخادم", retryable=False)
+        self.latency = int(os.environ.get('MOCK_SUPPLIER_LATENCY_MS', '800')) / 1000
+        self.failure_rate = float(os.environ.get('MOCK_SUPPLIER_FAILURE_RATE', '0.1'))
+        self.out_of_stock_rate = float(os.environ.get('MOCK_SUPPLIER_OUT_OF_STOCK_RATE', '0.05'))
+        self.out_of_stock_skus = set(filter(None, os.environ.get('MOCK_SUPPLIER_OUT_OF_STOCK_SKUS', '').split(',')))
+
+    async def call(self):
+        await asyncio.sleep(self.latency * random.uniform(0.5, 1.5))
+        if random.random() < self.failure_rate:
+            raise SupplierError("انتهت مهلة الاتصال بالمورد (محاكاة)")
+
+    async def submit(self, job: FulfillmentJob) -> SupplierResult:
+        await self.call()
+        if job.sku in self.out_of_stock_skus or random.random() < self.out_of_stock_rate:
+            return SupplierResult(status="failed", error="نفد المخزون لدى المورد (محاكاة)")
+        ready_at = int(time.time()) + random.randint(2, 8)
+        return SupplierResult(status="submitted", reference=f"MOCK-{secrets.token_hex(4).upper()}-{ready_at}")
+
+    async def check(self, job: FulfillmentJob) -> SupplierResult:
+        await self.call()
+        if time.time() < int(job.supplier_reference.rsplit("-", 1)[1]):
+            return SupplierResult(status="submitted", reference=job.supplier_reference)
+        codes = [] if job.recipient else [
+            "MOCK-" + "-".join(secrets.token_hex(2).upper() for _ in range(4)) for _ in range(job.quantity)
+        ]
+        return SupplierResult(status="fulfilled", reference=job.supplier_reference, codes=codes)
+
+
+class InventorySupplierProvider(SupplierProvider):
+    """Fulfils code lines from db.inventory_codes: the codes reserved for the order at checkout
+    first, then any available ones. Fails without taking anything when stock is short."""
+
+    def __init__(self):
+        if not VOUCHER_ENCRYPTION_KEY:
+            raise SupplierError("تسليم الأكواد غير مفعل على هذا الخادم", retryable=False)
+
+    async def submit(self, job: FulfillmentJob) -> SupplierResult:
+        line = {"order_id": job.order_id, "item_index": job.item_index}
+        await db.inventory_codes.update_many(
+            {**line, "status": "reserved"}, {"$set": {"status": "sold", "sold_at": datetime.utcnow(), "reserved_until": None}}
+        )
+        sold = await db.inventory_codes.count_documents({**line, "status": "sold"})
+        if sold < job.quantity:
+            await take_inventory(job.product_id, job.sku, job.quantity - sold, line, {"status": "sold", "sold_at": datetime.utcnow()})
+        docs = await db.inventory_codes.find({**line, "status": "sold"}, {"_id": 0, "encrypted": 1}).to_list(None)
+        if len(docs) < job.quantity:
+            await release_inventory(job.order_id, job.item_index, "sold")  # back on the shelf for a retry
+            return SupplierResult(status="failed", error=f"نفد المخزون: المتوفر {len(docs)} من {job.quantity}")
+        await sync_inventory_stock(job.product_id, job.sku)
+        cipher = voucher_cipher()
+        return SupplierResult(status="fulfilled", codes=[cipher.decrypt(doc["encrypted"].encode()).decode() for doc in docs])
+
+    async def check(self, job: FulfillmentJob) -> SupplierResult:
+        raise SupplierError("المخزون ينفذ الطلبات فوراً", retryable=False)
+
+
+SUPPLIER_PROVIDERS = {"inventory": InventorySupplierProvider, "mock": MockSupplierProvider}
+fulfillment_wakeup = asyncio.Event()
+
+
+def supplier_provider(provider: str) -> SupplierProvider:
+    provider_class = SUPPLIER_PROVIDERS.get(provider)
+    if not provider_class:
+        raise SupplierError(f"مورد غير معروف: {provider}", retryable=False)
+    return provider_class()
+
+
+def supplier_available(provider: str) -> bool:
+    if provider == "manual":
+        return True
+    try:
+        supplier_provider(provider)
+        return True
+    except SupplierError:
+        return False
+
+
+async def queue_fulfillment(order: Order):
+    """Queues a job for each line whose product has an automated supplier; safe to call twice."""
+    product_ids = list({item.product_id for item in order.items})
+    docs = await db.products.find(
+        {"id": {"$in": product_ids}, "supplier": {"$nin": [None, "manual"]}}, {"_id": 0, "id": 1, "supplier": 1}
+    ).to_list(None)
+    suppliers = {doc["id"]: doc["supplier"] for doc in docs}
+    start = datetime.utcnow()
+    if order.gift_id:  # a gift is fulfilled on its delivery date, so a top-up arrives with the message
+        gift = await db.gifts.find_one({"id": order.gift_id}, {"_id": 0, "deliver_at": 1})
+        start = max(start, gift["deliver_at"]) if gift else start
+    jobs = [
+        FulfillmentJob(
+            order_id=order.id, order_number=order.number, item_index=index, product_id=item.product_id, sku=item.sku,
+            name=f"{item.name} - {item.label}", quantity=item.quantity, recipient=item.recipient,
+            provider=suppliers[item.product_id], history=[FulfillmentEvent(status="pending")], next_attempt_at=start,
+        ).dict()
+        for index, item in enumerate(order.items) if item.product_id in suppliers
+    ]
+    if not jobs:
+        return
+    try:
+        await db.fulfillment_jobs.insert_many(jobs, ordered=False)
+    except BulkWriteError:
+        pass  # already queued: (order_id, item_index) is unique
+    fulfillment_wakeup.set()
+
+
+async def advance_fulfillment_job(job: FulfillmentJob):
+    """Submits a pending job or checks on a submitted one, then records the outcome."""
+    result, retryable = None, True
+    try:
+        provider = supplier_provider(job.provider)
+        result = await (provider.check(job) if job.status == "submitted" else provider.submit(job))
+    except SupplierError as e:
+        error, retryable = str(e), e.retryable
+    except Exception:
+        logger.exception("Supplier %s failed on fulfilment job %s", job.provider, job.id)
+        error = "خطأ غير متوقع من المورد"
+
+    now = datetime.utcnow()
+    finished = {"next_attempt_at": None, "finished_at": now}
+    status, note, update = job.status, None, {}
+    if result is None:
+        attempts = job.attempts + 1
+        update = {"attempts": attempts, "error": error}
+        if not retryable:
+            status, note = "failed", error
+            update.update(finished)
+        elif attempts >= FULFILLMENT_MAX_ATTEMPTS:
+            status, note = "dead_letter", f"توقفت المحاولات بعد {attempts} محاولات: {error}"
+            update.update(finished)
+        else:
+            update["next_attempt_at"] = now + timedelta(seconds=FULFILLMENT_RETRY_BASE_SECONDS * 2 ** (attempts - 1))
+    elif result.status == "submitted":
+        update = {"next_attempt_at": now + timedelta(seconds=FULFILLMENT_CHECK_SECONDS), "error": None}
+        if job.status == "pending":
+            status = "submitted"
+            update.update(submitted_at=now, supplier_reference=result.reference)
+        elif now - job.submitted_at > timedelta(minutes=FULFILLMENT_SUBMITTED_TIMEOUT_MINUTES):
+            status, note = "dead_letter", f"لم يؤكد المورد التنفيذ خلال {FULFILLMENT_SUBMITTED_TIMEOUT_MINUTES} دقيقة"
+            update = {"error": note, **finished}
+    elif result.status == "fulfilled":
+        status = "fulfilled"
+        update = {"supplier_reference": result.reference or job.supplier_reference, "error": None, **finished}
+        if not job.recipient:
+            order = Order(**await db.orders.find_one({"id": job.order_id}, {"_id": 0}))
+            existing = await db.voucher_codes.count_documents({"order_id": job.order_id, "item_index": job.item_index})
+            codes = [code.strip() for code in result.codes if code.strip()][:max(job.quantity - existing, 0)]
+            if codes:
+                await store_voucher_codes(order, job.item_index, codes)
+            if existing + len(codes) < job.quantity:
+                status = "failed"
+                note = update["error"] = f"أعاد المورد {existing + len(codes)} من {job.quantity} أكواد"
+    else:
+        status, note = "failed", result.error or "رفض المورد الطلب"
+        update = {"error": note, **finished}
+
+    changes = {"$set": {**update, "status": status}}
+    if status != job.status:
+        changes["$push"] = {"history": FulfillmentEvent(status=status, note=note).dict()}
+    # an admin may have retried or resolved the job while the supplier call was running
+    if not await db.fulfillment_jobs.find_one_and_update({"id": job.id, "status": job.status}, changes):
+        return
+    if status in ("submitted", "fulfilled"):
+        await set_order_status(job.order_id, "fulfilling", expected=["paid"])
+    if status == "fulfilled":
+        order = Order(**await db.orders.find_one({"id": job.order_id}, {"_id": 0}))
+        await deliver_if_complete(order, "تم التنفيذ لدى المورد")
+
+
+async def advance_next_fulfillment() -> bool:
+    now = datetime.utcnow()
+    doc = await db.fulfillment_jobs.find_one_and_update(
+        {"status": {"$in": ["pending", "submitted"]}, "next_attempt_at": {"$lte": now}},
+        # claimed for longer than any supplier call takes, so other processes leave it alone
+        {"$set": {"next_attempt_at": now + timedelta(minutes=2)}},
+        projection={"_id": 0}, sort=[("next_attempt_at", 1)], return_document=True,
+    )
+    if doc:
+        await advance_fulfillment_job(FulfillmentJob(**doc))
+    return doc is not None
+
+
+# Admin: suppliers
+@api_router.get("/admin/suppliers", response_model=List[SupplierStats], dependencies=[Depends(require_admin)])
+async def admin_supplier_stats():
+    """Outcomes of the jobs queued in the last FULFILLMENT_STATS_DAYS, per automated supplier."""
+    rows = await db.fulfillment_jobs.aggregate([
+        {"$match": {"created_at": {"$gte": datetime.utcnow() - timedelta(days=FULFILLMENT_STATS_DAYS)}}},
+        {"$group": {
+            "_id": {"provider": "$provider", "status": "$status"}, "count": {"$sum": 1},
+            "duration_ms": {"$avg": {"$subtract": ["$finished_at", "$created_at"]}},
+        }},
+    ]).to_list(None)
+    stats = {
+        provider: SupplierStats(provider=provider, label=label, available=supplier_available(provider))
+        for provider, label in SUPPLIER_LABELS.items() if provider != "manual"
+    }
+    for row in rows:
+        entry, status = stats.get(row["_id"]["provider"]), row["_id"]["status"]
+        if not entry:
+            continue
+        if status in ("pending", "submitted"):
+            entry.in_progress += row["count"]
+        else:
+            setattr(entry, status, getattr(entry, status) + row["count"])
+        if status == "fulfilled" and row["duration_ms"] is not None:
+            entry.average_seconds = round(row["duration_ms"] / 1000, 1)
+    for entry in stats.values():
+        finished = entry.fulfilled + entry.failed + entry.dead_letter
+        if finished:
+            entry.success_rate = round(entry.fulfilled / finished, 4)
+    return list(stats.values())
+
+@api_router.get("/admin/products", response_model=List[Product], dependencies=[Depends(require_admin)])
+async def admin_list_products():
+    docs = await db.products.find({}, {"_id": 0}).sort([("type", 1), ("brand", 1)]).to_list(1000)
+    return [Product(**doc) for doc in docs]
+
+@api_router.put("/admin/products/{product_id}/supplier", response_model=Product, dependencies=[Depends(require_admin)])
+async def admin_set_product_supplier(product_id: str, input: ProductSupplierUpdate):
+    """Applies to lines paid from now on; jobs already queued keep their supplier."""
+    if input.supplier not in SUPPLIER_LABELS:
+        raise HTTPException(status_code=422, detail="مورد غير معروف")
+    if not supplier_available(input.supplier):
+        raise HTTPException(status_code=409, detail="هذا المورد غير مفعّل على هذا الخادم")
+    query = {"id": product_id}
+    if input.supplier == "inventory":
+        query["type"] = {"$in": INVENTORY_PRODUCT_TYPES}
+    doc = await db.products.find_one_and_update(
+        query, {"$set": {"supplier": input.supplier}}, projection={"_id": 0}, return_document=True
+    )
+    if not doc:
+        if input.supplier == "inventory" and await db.products.count_documents({"id": product_id}):
+            raise HTTPException(status_code=422, detail="البيع من المخزون متاح للبطاقات والاشتراكات فقط")
+        raise HTTPException(status_code=404, detail="المنتج غير موجود")
+    product = Product(**doc)
+    if product.supplier == "inventory":
+        for option in product.denominations:
+            await sync_inventory_stock(product.id, option.sku)
+        product = Product(**await db.products.find_one({"id": product.id}, {"_id": 0}))
+    return product
+
+@api_router.get("/admin/fulfillment-jobs", response_model=List[FulfillmentJob], dependencies=[Depends(require_admin)])
+async def admin_list_fulfillment_jobs(status: str = "failed,dead_letter", limit: int = Query(50, le=200)):
+    """Defaults to the jobs waiting for an admin: failed or dead-lettered and not resolved by hand."""
+    query = {"status": {"$in": status.split(",")}, "resolved_at": None}
+    docs = await db.fulfillment_jobs.find(query, {"_id": 0}).sort("created_at", -1).to_list(limit)
+    return [FulfillmentJob(**doc) for doc in docs]
+
+@api_router.post("/admin/fulfillment-jobs/{job_id}/retry", response_model=FulfillmentJob, dependencies=[Depends(require_admin)])
+async def admin_retry_fulfillment_job(job_id: str, input: FulfillmentRetry):
+    doc = await db.fulfillment_jobs.find_one({"id": job_id}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="المهمة غير موجودة")
+    provider = input.provider or doc["provider"]
+    if provider not in SUPPLIER_PROVIDERS or not supplier_available(provider):
+        raise HTTPException(status_code=409, detail="هذا المورد غير مفعّل على هذا الخادم")
+    doc = await db.fulfillment_jobs.find_one_and_update(
+        {"id": job_id, "status": {"$in": ["failed", "dead_letter"]}, "resolved_at": None},
+        {"$set": {
+            "status": "pending", "provider": provider, "attempts": 0, "next_attempt_at": datetime.utcnow(),
+            "supplier_reference": None, "error": None, "submitted_at": None, "finished_at": None,
+        }, "$push": {"history": FulfillmentEvent(status="pending", note=f"إعادة المحاولة عبر {SUPPLIER_LABELS[provider]}").dict()}},
+        projection={"_id": 0}, return_document=True,
+    )
+    if not doc:
+        raise HTTPException(status_code=409, detail="لا يمكن إعادة محاولة هذه المهمة في حالتها الحالية")
+    fulfillment_wakeup.set()
+    return FulfillmentJob(**doc)
+
+@api_router.post("/admin/fulfillment-jobs/{job_id}/resolve", response_model=FulfillmentJob, dependencies=[Depends(require_admin)])
+async def admin_resolve_fulfillment_job(job_id: str):
+    """Records that a failed line was handled outside the system, e.g. topped up from the supplier's
+    own portal. The job keeps its status for the supplier statistics; codes still go through
+    the code delivery panel."""
+    doc = await db.fulfillment_jobs.find_one_and_update(
+        {"id": job_id, "status": {"$in": ["failed", "dead_letter"]}, "resolved_at": None},
+        {"$set": {"resolved_at": datetime.utcnow()},
+         "$push": {"history": FulfillmentEvent(status="resolved", note="نُفّذ يدوياً").dict()}},
+        projection={"_id": 0}, return_document=True,
+    )
+    if not doc:
+        raise HTTPException(status_code=409, detail="لا يمكن إغلاق هذه المهمة في حالتها الحالية")
+    job = FulfillmentJob(**doc)
+    await set_order_status(job.order_id, "fulfilling", expected=["paid"])
+    order = Order(**await db.orders.find_one({"id": job.order_id}, {"_id": 0}))
+    await deliver_if_complete(order, "تم التنفيذ")
+    return job
+
+
+# Code inventory
+inventory_wakeup = asyncio.Event()  # nothing sets it: expired reservations are picked up by polling
+
+
+def inventory_fingerprint(code: str) -> str:
+    if not SECRET_KEY:
+        raise HTTPException(status_code=503, detail="مخزون الأكواد غير مفعل على هذا الخادم")
+    return hmac.new(f"inventory:{SECRET_KEY}".encode(), code.strip().encode(), hashlib.sha256).hexdigest()
+
+
+async def take_inventory(product_id: str, sku: str, count: int, line: dict, fields: dict) -> int:
+    """Moves up to `count` available codes of the SKU to the order line with `fields`; returns how many."""
+    taken = 0
+    while taken < count:
+        docs = await db.inventory_codes.find(
+            {"product_id": product_id, "sku": sku, "status": "available"}, {"_id": 0, "id": 1}
+        ).sort("created_at", 1).limit(count - taken).to_list(count - taken)
+        if not docs:
+            break
+        result = await db.inventory_codes.update_many(
+            {"id": {"$in": [doc["id"] for doc in docs]}, "status": "available"}, {"$set": {**line, **fields}}
+        )
+        taken += result.modified_count  # codes another checkout took first are looked up again
+    return taken
+
+
+async def inventory_lines(order: Order) -> List[int]:
+    """Indexes of the order lines sold from our own stock."""
+    docs = await db.products.find(
+        {"id": {"$in": list({item.product_id for item in order.items})}, "supplier": "inventory"}, {"_id": 0, "id": 1}
+    ).to_list(None)
+    ids = {doc["id"] for doc in docs}
+    return [index for index, item in enumerate(order.items) if item.product_id in ids]
+
+
+async def reserve_inventory(order: Order):
+    """Holds stock for the order's inventory lines for INVENTORY_RESERVATION_MINUTES; raises 409,
+    keeping nothing, when there is not enough."""
+    until = datetime.utcnow() + timedelta(minutes=INVENTORY_RESERVATION_MINUTES)
+    lines = await inventory_lines(order)
+    for index in lines:
+        item = order.items[index]
+        line = {"order_id": order.id, "item_index": index}
+        taken = await take_inventory(item.product_id, item.sku, item.quantity, line, {"status": "reserved", "reserved_until": until})
+        if taken < item.quantity:
+            await release_inventory(order.id)
+            raise HTTPException(status_code=409, detail=f"الكمية المتوفرة من {item.name} ({item.label}) أقل من المطلوب")
+    for item in {(order.items[index].product_id, order.items[index].sku) for index in lines}:
+        await sync_inventory_stock(*item)
+
+
+async def release_inventory(order_id: str, item_index: Optional[int] = None, status: str = "reserved"):
+    """Puts the order's codes in `status` (one line's with `item_index`) back in stock."""
+    query = {"order_id": order_id, "status": status}
+    if item_index is not None:
+        query["item_index"] = item_index
+    skus = {(doc["product_id"], doc["sku"]) for doc in await db.inventory_codes.find(query, {"_id": 0, "product_id": 1, "sku": 1}).to_list(None)}
+    if not skus:
+        return
+    await db.inventory_codes.update_many(query, {"$set": {
+        "status": "available", "order_id": None, "item_index": None, "reserved_until": None, "sold_at": None,
+    }})
+    for product_id, sku in skus:
+        await sync_inventory_stock(product_id, sku)
+
+
+async def release_next_expired_reservation() -> bool:
+    """Frees the stock, then the coupon use, held by an order that was not paid in time."""
+    doc = await db.inventory_codes.find_one(
+        {"status": "reserved", "reserved_until": {"$lte": datetime.utcnow()}}, {"_id": 0, "order_id": 1}
+    )
+    if doc:
+        order = await db.orders.find_one({"id": doc["order_id"]}, {"_id": 0, "status": 1})
+        if order and order["status"] in ("paid", "fulfilling", "delivered"):
+            # paid just in time: the fulfilment job sells these codes
+            await db.inventory_codes.update_many(
+                {"order_id": doc["order_id"], "status": "reserved"}, {"$set": {"reserved_until": None}}
+            )
+        else:
+            await release_inventory(doc["order_id"])
+        return True
+    doc = await db.coupon_redemptions.find_one({"reserved_until": {"$lte": datetime.utcnow()}}, {"_id": 0, "order_id": 1})
+    if not doc:
+        return False
+    order = await db.orders.find_one({"id": doc["order_id"]}, {"_id": 0, "status": 1})
+    if order and order["status"] != "created":
+        # paid, or a receipt is waiting for review: the use stays until the order fails or is refunded
+        await db.coupon_redemptions.update_one({"order_id": doc["order_id"]}, {"$set": {"reserved_until": None}})
+    else:
+        await release_coupon(doc["order_id"])
+    return True
+
+
+async def inventory_threshold(product_id: str, sku: str) -> int:
+    doc = await db.inventory_thresholds.find_one({"product_id": product_id, "sku": sku}, {"_id": 0})
+    return doc["threshold"] if doc else INVENTORY_LOW_STOCK_DEFAULT
+
+
+async def sync_inventory_stock(product_id: str, sku: str):
+    """Keeps the denomination's in_stock flag in line with the available codes of an inventory
+    product, and opens or closes its low-stock alert when the threshold is crossed."""
+    product = await db.products.find_one({"id": product_id, "supplier": "inventory"}, {"_id": 0})
+    option = next((d for d in product["denominations"] if d["sku"] == sku), None) if product else None
+    if not option:
+        return
+    available = await db.inventory_codes.count_documents({"product_id": product_id, "sku": sku, "status": "available"})
+    await db.products.update_one(
+        {"id": product_id, "denominations.sku": sku}, {"$set": {"denominations.$.in_stock": available > 0}}
+    )
+    threshold = await inventory_threshold(product_id, sku)
+    alert = {"product_id": product_id, "sku": sku, "resolved_at": None}
+    if available > threshold:
+        await db.inventory_alerts.update_many(alert, {"$set": {"resolved_at": datetime.utcnow()}})
+    elif not await db.inventory_alerts.find_one_and_update(alert, {"$set": {"available": available, "threshold": threshold}}):
+        await db.inventory_alerts.insert_one(InventoryAlert(
+            product_id=product_id, sku=sku, name=product["name"], label=option["label"], available=available, threshold=threshold,
+        ).dict())
+
+
+@api_router.get("/admin/inventory", response_model=List[InventoryStock], dependencies=[Depends(require_admin)])
+async def admin_inventory_stock():
+    """Stock per denomination of every code product, whether or not it sells from inventory yet."""
+    rows = await db.inventory_codes.aggregate([
+        {"$group": {"_id": {"product_id": "$product_id", "sku": "$sku", "status": "$status"}, "count": {"$sum": 1}}},
+    ]).to_list(None)
+    counts = {(row["_id"]["product_id"], row["_id"]["sku"], row["_id"]["status"]): row["count"] for row in rows}
+    thresholds = {
+        (doc["product_id"], doc["sku"]): doc["threshold"]
+        for doc in await db.inventory_thresholds.find({}, {"_id": 0}).to_list(None)
+    }
+    docs = await db.products.find({"type": {"$in": INVENTORY_PRODUCT_TYPES}}, {"_id": 0}).sort([("type", 1), ("brand", 1)]).to_list(1000)
+    stock = []
+    for product in (Product(**doc) for doc in docs):
+        for option in product.denominations:
+            key = (product.id, option.sku)
+            entry = InventoryStock(
+                product_id=product.id, name=product.name, sku=option.sku, label=option.label, supplier=product.supplier,
+                available=counts.get((*key, "available"), 0), reserved=counts.get((*key, "reserved"), 0),
+                sold=counts.get((*key, "sold"), 0), threshold=thresholds.get(key, INVENTORY_LOW_STOCK_DEFAULT),
+            )
+            entry.low = product.supplier == "inventory" and entry.available <= entry.threshold
+            stock.append(entry)
+    return stock
+
+@api_router.post("/admin/inventory/import", response_model=InventoryImportResult, dependencies=[Depends(require_admin)])
+async def admin_import_inventory(input: InventoryImport):
+    """Checks every row against the file itself and all stock ever imported; with dry_run off,
+    stores the new codes and reports the same per-row result."""
+    if len(input.rows) > INVENTORY_IMPORT_MAX_ROWS:
+        raise HTTPException(status_code=422, detail=f"الحد الأقصى {INVENTORY_IMPORT_MAX_ROWS} كود في الملف الواحد")
+    skus = list({row.sku.strip() for row in input.rows})
+    docs = await db.products.find(
+        {"type": {"$in": INVENTORY_PRODUCT_TYPES}, "denominations.sku": {"$in": skus}}, {"_id": 0}
+    ).to_list(None)
+    products = {d.sku: Product(**doc) for doc in docs for d in Product(**doc).denominations}
+    # By position: row numbers come from the client and need not be unique
+    fingerprints = [inventory_fingerprint(row.code) if row.code.strip() else None for row in input.rows]
+    existing = {
+        doc["fingerprint"] for doc in await db.inventory_codes.find(
+            {"fingerprint": {"$in": [f for f in fingerprints if f]}}, {"_id": 0, "fingerprint": 1}
+        ).to_list(None)
+    }
+
+    results, new_codes, seen = [], [], set()
+    batch_id = str(uuid.uuid4())
+    cipher = None if input.dry_run else voucher_cipher()
+    for row, fingerprint in zip(input.rows, fingerprints):
+        code, sku = row.code.strip(), row.sku.strip()
+        if not code:
+            status = "empty"
+        elif sku not in products:
+            status = "unknown_sku"
+        elif fingerprint in seen:
+            status = "duplicate_file"
+        elif fingerprint in existing:
+            status = "duplicate_stock"
+        else:
+            status = "new"
+        if fingerprint:
+            seen.add(fingerprint)
+        results.append(InventoryImportRowResult(row=row.row, sku=sku, last4=code[-4:] if len(code) >= 8 else "", status=status))
+        if status == "new" and cipher:
+            new_codes.append(InventoryCode(
+                product_id=products[sku].id, sku=sku, encrypted=cipher.encrypt(code.encode()).decode(),
+                last4=code[-4:] if len(code) >= 8 else "", fingerprint=fingerprint, batch_id=batch_id,
+            ).dict())
+
+    imported = 0
+    if new_codes:
+        try:
+            imported = len((await db.inventory_codes.insert_many(new_codes, ordered=False)).inserted_ids)
+        except BulkWriteError as e:  # a concurrent import stored some of the same codes
+            imported = e.details["nInserted"]
+        for product_id, sku in {(c["product_id"], c["sku"]) for c in new_codes}:
+            await sync_inventory_stock(product_id, sku)
+    return InventoryImportResult(rows=results, imported=imported)
+
+@api_router.put("/admin/inventory/thresholds", response_model=InventoryStock, dependencies=[Depends(require_admin)])
+async def admin_set_inventory_threshold(input: InventoryThresholdUpdate):
+    doc = await db.products.find_one({"id": input.product_id, "denominations.sku": input.sku}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="المنتج غير موجود")
+    await db.inventory_thresholds.update_one(
+        {"product_id": input.product_id, "sku": input.sku}, {"$set": {"threshold": input.threshold}}, upsert=True
+    )
+    await sync_inventory_stock(input.product_id, input.sku)
+    stock = await admin_inventory_stock()
+    return next(entry for entry in stock if entry.product_id == input.product_id and entry.sku == input.sku)
+
+@api_router.get("/admin/inventory/alerts", response_model=List[InventoryAlert], dependencies=[Depends(require_admin)])
+async def admin_inventory_alerts():
+    docs = await db.inventory_alerts.find({"resolved_at": None}, {"_id": 0}).sort("available", 1).to_list(200)
+    return [InventoryAlert(**doc) for doc in docs]
+
+
+# Admin: payment verification
+@api_router.get("/admin/orders", response_model=List[Order], dependencies=[Depends(require_admin)])
+async def admin_list_orders(status: Optional[str] = None, limit: int = Query(50, le=200)):
+    query = {"status": status} if status else {}
+    docs = await db.orders.find(query, {"_id": 0}).sort("created_at", -1).to_list(limit)
+    return [Order(**doc) for doc in docs]
+
+@api_router.get("/admin/orders/{order_id}/receipts/{receipt_id}", dependencies=[Depends(require_admin)])
+async def admin_get_receipt(order_id: str, receipt_id: str):
+    doc = await db.orders.find_one({"id": order_id}, {"_id": 0, "receipts": 1})
+    receipt = next((r for r in (doc or {}).get("receipts", []) if r["id"] == receipt_id), None)
+    path = UPLOAD_DIR / "receipts" / receipt["stored_as"] if receipt else None
+    if not path or not path.is_file():
+        raise HTTPException(status_code=404, detail="الإيصال غير موجود")
+    return FileResponse(path, media_type=receipt["content_type"], filename=receipt["filename"])
+
+@api_router.post("/admin/orders/{order_id}/approve", response_model=Order, dependencies=[Depends(require_admin)])
+async def admin_approve_payment(order_id: str, input: OrderReview):
+    order = await set_order_status(order_id, "paid", note=input.note or "تم التحقق من الدفع", expected=["verifying"])
+    if not order:
+        raise HTTPException(status_code=409, detail="الطلب غير موجود أو ليس بانتظار التحقق")
+    if order.kind == "wallet_topup":
+        order = await credit_wallet_topup(order)
+    return order
+
+@api_router.post("/admin/orders/{order_id}/reject", response_model=Order, dependencies=[Depends(require_admin)])
+async def admin_reject_payment(order_id: str, input: OrderReview):
+    order = await set_order_status(order_id, "failed", note=input.note or "تعذر التحقق من الدفع", expected=["verifying"])
+    if not order:
+        raise HTTPException(status_code=409, detail="الطلب غير موجود أو ليس بانتظار التحقق")
+    await refund_wallet_credit(order, f"استرداد الرصيد المدفوع للطلب {order.number}")
+    return order
+
+@api_router.post("/admin/orders/{order_id}/refund", response_model=Order, dependencies=[Depends(require_admin)])
+async def admin_refund_order(order_id: str, input: OrderReview):
+    """Refunds a delivered order in full as store credit and takes back a partner's commission on it.
+    Both are posted first under fixed keys, so a retry after a failure in between posts them once
+    and still moves the order to refunded."""
+    doc = await db.orders.find_one({"id": order_id}, {"_id": 0})
+    order = Order(**doc) if doc else None
+    if not order or order.status != "delivered":
+        raise HTTPException(status_code=409, detail="الطلب غير موجود أو لم يُسلَّم بعد")
+    if order.kind == "wallet_topup":
+        raise HTTPException(status_code=409, detail="لا يمكن استرداد شحن المحفظة، فالمبلغ في الرصيد أصلاً")
+    if not order.user_id:
+        raise HTTPException(status_code=409, detail="الطلب غير مرتبط بحساب لرد المبلغ إلى محفظته")
+    await post_wallet_transaction(
+        order.user_id, "refund", order.total, f"order:{order.id}:refund", "sales:orders",
+        order_id=order.id, memo=f"استرداد الطلب {order.number}",
+    )
+    if order.partner_commission > 0:
+        # Commission already paid out to the wallet comes back from the wallet, which the refund has just credited
+        commission = commission_account(order.user_id)
+        source = commission if await account_balance(commission) >= order.partner_commission else wallet_account(order.user_id)
+        await post_ledger_transaction(
+            order.user_id, "commission_reversal", order.partner_commission, f"order:{order.id}:commission:reversal",
+            "expense:commissions", source, order_id=order.id, memo=f"إلغاء عمولة الطلب {order.number}",
+        )
+    refunded = await set_order_status(
+        order_id, "refunded", note=input.note or "تم رد المبلغ إلى رصيد المحفظة", expected=["delivered"],
+    )
+    if refunded:
+        await emit_webhook_event(refunded, "refund.issued", refund_amount=order.total)
+    return refunded or Order(**await db.orders.find_one({"id": order_id}, {"_id": 0}))
+
+
+# Orders
+@api_router.post("/orders/recharge", response_model=Order)
+async def create_recharge_order(input: RechargeCreate, session: Optional[AuthSession] = Depends(optional_session)):
+    detection = detect_carrier(input.phone, await load_carriers())
+    doc = await db.products.find_one(
+        {"id": input.product_id, "type": {"$in": ["credit", "bundle"]}, "active": True}, {"_id": 0}
+    )
+    if not doc:
+        raise HTTPException(status_code=404, detail="الباقة غير موجودة")
+    product = Product(**doc)
+    if product.carrier_id != detection.carrier.id:
+        raise HTTPException(status_code=422, detail=f"هذه الباقة لا تخص مشغل الرقم ({detection.carrier.name})")
+    option = next((d for d in product.denominations if d.sku == input.sku), None)
+    if not option:
+        raise HTTPException(status_code=400, detail="المبلغ أو الباقة المختارة غير موجودة")
+    if not option.in_stock:
+        raise HTTPException(status_code=409, detail="الباقة المختارة غير متوفرة حالياً")
+
+    tier = await partner_tier_for(session.user_id if session else None)
+    item = OrderItem(
+        product_id=product.id, sku=option.sku, name=product.name, label=option.label,
+        unit_price=wholesale_price(option.price, tier), retail_price=option.price if tier else None,
+        recipient={"phone": detection.international_number, "carrier": detection.carrier.id},
+    )
+    order = Order(
+        kind="recharge",
+        items=[item],
+        total=item.unit_price,
+        currency=BASE_CURRENCY,
+        user_id=session.user_id if session else None,
+        contact_phone=input.contact_phone,
+        **payment_fields(item.unit_price, 0, await exchange_rate_for(input.currency)),
+        **partner_order_fields([item], item.unit_price, tier),
+    )
+    await db.orders.insert_one(order.dict())
+    await emit_webhook_event(order, "order.created")
+    return order
+
+@api_router.post("/orders/game-topup", response_model=Order)
+async def create_game_topup_order(input: GameTopupCreate, session: Optional[AuthSession] = Depends(optional_session)):
+    doc = await db.products.find_one({"id": input.product_id, "type": "game", "active": True}, {"_id": 0})
+    if not doc:
+        raise HTTPException(status_code=404, detail="اللعبة غير موجودة")
+    product = Product(**doc)
+    package = next((d for d in product.denominations if d.sku == input.sku), None)
+    if not package:
+        raise HTTPException(status_code=400, detail="الباقة المختارة غير موجودة")
+    if not package.in_stock:
+        raise HTTPException(status_code=409, detail="الباقة المختارة غير متوفرة حالياً")
+    rules = product.account_rules or AccountRules()
+    error = validate_account_id(rules, input.player_id, input.zone)
+    if error:
+        raise HTTPException(status_code=422, detail=error)
+
+    recipient = {"player_id": input.player_id.strip()}
+    if input.zone:
+        recipient["zone"] = input.zone.strip()
+    tier = await partner_tier_for(session.user_id if session else None)
+    item = OrderItem(
+        product_id=product.id, sku=package.sku, name=product.name, label=package.label,
+        unit_price=wholesale_price(package.price, tier), retail_price=package.price if tier else None,
+        recipient=recipient,
+    )
+    order = Order(
+        kind="game_topup",
+        items=[item],
+        total=item.unit_price,
+        currency=BASE_CURRENCY,
+        user_id=session.user_id if session else None,
+        contact_phone=input.contact_phone,
+        **payment_fields(item.unit_price, 0, await exchange_rate_for(input.currency)),
+        **partner_order_fields([item], item.unit_price, tier),
+    )
+    await db.orders.insert_one(order.dict())
+    await emit_webhook_event(order, "order.created")
+    return order
+
+# Include the routers in the main app
+app.include_router(api_router)
+app.include_router(partner_api_router)
+
+app.add_middleware(
+    CORSMiddleware,
+    allow_credentials=True,
+    allow_origins=os.environ.get('CORS_ORIGINS', '*').split(','),
+    allow_methods=["*"],
+    allow_headers=["*"],
+)
+
+# Configure logging
+logging.basicConfig(
+    level=logging.INFO,
+    format='%(asctime)s - %(name)s - %(levelname)s - %(message)s'
+)
+logger = logging.getLogger(__name__)
+
+@app.on_event("startup")
+async def seed_defaults():
+    for product in DEFAULT_PRODUCTS:
+        doc = Product(**product).dict()
+        await db.products.update_one({"id": doc["id"]}, {"$setOnInsert": doc}, upsert=True)
+    for carrier in DEFAULT_CARRIERS:
+        doc = Carrier(**carrier).dict()
+        await db.carriers.update_one({"id": doc["id"]}, {"$setOnInsert": doc}, upsert=True)
+    for method in DEFAULT_PAYMENT_METHODS:
+        doc = PaymentMethod(**method).dict()
+        await db.payment_methods.update_one({"id": doc["id"]}, {"$setOnInsert": doc}, upsert=True)
+    for rate in DEFAULT_CRYPTO_RATES:
+        doc = CryptoRate(**rate).dict()
+        await db.crypto_rates.update_one({"asset": doc["asset"]}, {"$setOnInsert": doc}, upsert=True)
+    for rate in DEFAULT_EXCHANGE_RATES:
+        doc = ExchangeRate(**rate).dict()
+        await db.exchange_rates.update_one({"currency": doc["currency"]}, {"$setOnInsert": doc}, upsert=True)
+    for tier in DEFAULT_PARTNER_TIERS:
+        doc = PartnerTier(**tier).dict()
+        await db.partner_tiers.update_one({"id": doc["id"]}, {"$setOnInsert": doc}, upsert=True)
+    for tier in DEFAULT_LOYALTY_TIERS:
+        doc = LoyaltyTier(**tier).dict()
+        await db.loyalty_tiers.update_one({"id": doc["id"]}, {"$setOnInsert": doc}, upsert=True)
+    # The wallet ledger relies on these for idempotency and for serializing postings per wallet
+    await db.ledger_transactions.create_index("idempotency_key", unique=True)
+    await db.ledger_transactions.create_index([("user_id", 1), ("seq", 1)], unique=True)
+    await db.orders.create_index(
+        [("user_id", 1), ("idempotency_key", 1)], unique=True,
+        partialFilterExpression={"idempotency_key": {"$type": "string"}},
+    )
+    await db.partners.create_index("user_id", unique=True)  # one application per account
+    await db.users.create_index(
+        "referral_code", unique=True, partialFilterExpression={"referral_code": {"$type": "string"}},
+    )
+    await db.referrals.create_index("referee_id", unique=True)  # an account is referred at most once
+    await db.referrals.create_index([("referrer_id", 1), ("created_at", -1)])
+    await db.users.create_index("loyalty_tier_month")
+    await db.gifts.create_index("order_id", unique=True)
+    await db.gifts.create_index([("status", 1), ("next_attempt_at", 1)])
+    await db.recurring_orders.create_index([("user_id", 1), ("created_at", 1)])
+    await db.recurring_orders.create_index([("status", 1), ("next_attempt_at", 1)])
+    await db.recurring_orders.create_index([("status", 1), ("reminded", 1), ("next_run_at", 1)])
+    await db.loyalty_points.create_index("key", unique=True)
+    await db.loyalty_points.create_index([("user_id", 1), ("expires_at", 1)])
+    await db.loyalty_points.create_index([("user_id", 1), ("created_at", -1)])
+    await db.loyalty_points.create_index([("remaining", 1), ("expires_at", 1)])
+    await db.partner_api_keys.create_index("key_id", unique=True)
+    await db.partner_api_logs.create_index([("partner_id", 1), ("at", -1)])
+    await db.partner_api_logs.create_index("at", expireAfterSeconds=PARTNER_API_LOG_DAYS * 24 * 3600)
+    await db.partner_api_signatures.create_index("signature", unique=True)
+    await db.partner_api_signatures.create_index("at", expireAfterSeconds=2 * PARTNER_API_CLOCK_SKEW_SECONDS)
+    await db.webhook_endpoints.create_index("user_id")
+    await db.webhook_deliveries.create_index([("status", 1), ("next_attempt_at", 1)])
+    await db.webhook_deliveries.create_index([("partner_id", 1), ("created_at", -1)])
+    await db.webhook_deliveries.create_index("created_at", expireAfterSeconds=WEBHOOK_LOG_DAYS * 24 * 3600)
+    await db.fulfillment_jobs.create_index([("order_id", 1), ("item_index", 1)], unique=True)
+    await db.fulfillment_jobs.create_index([("status", 1), ("next_attempt_at", 1)])
+    await db.fulfillment_jobs.create_index([("created_at", -1)])
+    await db.exchange_rate_history.create_index([("currency", 1), ("changed_at", -1)])
+    await db.inventory_codes.create_index("fingerprint", unique=True)
+    await db.inventory_codes.create_index([("product_id", 1), ("sku", 1), ("status", 1)])
+    await db.inventory_codes.create_index([("status", 1), ("reserved_until", 1)])
+    await db.inventory_codes.create_index([("order_id", 1), ("item_index", 1)])
+    await db.inventory_thresholds.create_index([("product_id", 1), ("sku", 1)], unique=True)
+    await db.inventory_alerts.create_index([("product_id", 1), ("sku", 1), ("resolved_at", 1)])
+    await db.coupons.create_index("code", unique=True)
+    await db.coupon_redemptions.create_index("order_id", unique=True)
+    await db.coupon_redemptions.create_index([("coupon_id", 1), ("user_id", 1)])
+    await db.coupon_redemptions.create_index("reserved_until")
+
+async def run_background_queue(name: str, wakeup: asyncio.Event, process_next, poll_seconds: int):
+    """Calls process_next() until it reports that nothing is due, then sleeps until woken up or for
+    poll_seconds. Work is claimed in the database, so every app process can run its own loop."""
+    while True:
+        wakeup.clear()
+        try:
+            while await process_next():
+                pass
+        except Exception:
+            logger.exception("%s queue failed", name)
+        try:
+            await asyncio.wait_for(wakeup.wait(), poll_seconds)
+        except asyncio.TimeoutError:
+            pass
+
+@app.on_event("startup")
+async def start_background_queues():
+    app.state.background_queues = [
+        asyncio.create_task(run_background_queue("Webhook", webhook_wakeup, send_next_webhook, WEBHOOK_POLL_SECONDS)),
+        asyncio.create_task(run_background_queue(
+            "Fulfillment", fulfillment_wakeup, advance_next_fulfillment, FULFILLMENT_POLL_SECONDS,
+        )),
+        asyncio.create_task(run_background_queue(
+            "Inventory", inventory_wakeup, release_next_expired_reservation, INVENTORY_RELEASE_POLL_SECONDS,
+        )),
+        asyncio.create_task(run_background_queue("Loyalty", loyalty_wakeup, advance_loyalty, LOYALTY_POLL_SECONDS)),
+        asyncio.create_task(run_background_queue("Gift", gift_wakeup, send_next_gift, GIFT_POLL_SECONDS)),
+        asyncio.create_task(run_background_queue(
+            "Recurring", recurring_wakeup, advance_recurring, RECURRING_POLL_SECONDS,
+        )),
+    ]
 
 @app.on_event("shutdown")
 async def shutdown_db_client():
+    for task in app.state.background_queues:
+        task.cancel()
     client.close()
\ No newline at end of file
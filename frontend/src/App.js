@@ -1,6 +1,12 @@
 import React, { Suspense } from "react";
 import "./App.css";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
+import { AuthProvider } from "./context/AuthContext";
+import { CartProvider } from "./context/CartContext";
+import { CurrencyProvider } from "./context/CurrencyContext";
+import CartSheet from "./components/CartSheet";
+import RequireAuth from "./components/RequireAuth";
+import { Toaster } from "./components/ui/toaster";
 
 // Lazy loading للصفحات - تقسيم الكود حسب الصفحات
 import HomePage from "./pages/HomePage";
@@ -8,6 +14,22 @@ const ServicesPage = React.lazy(() => import("./pages/ServicesPage"));
 const FeaturesPage = React.lazy(() => import("./pages/FeaturesPage"));
 const PricingPage = React.lazy(() => import("./pages/PricingPage"));
 const ContactPage = React.lazy(() => import("./pages/ContactPage"));
+const PrepaidCardsPage = React.lazy(() => import("./pages/PrepaidCardsPage"));
+const GamingPage = React.lazy(() => import("./pages/GamingPage"));
+const RechargePage = React.lazy(() => import("./pages/RechargePage"));
+const CryptoPage = React.lazy(() => import("./pages/CryptoPage"));
+const SubscriptionsPage = React.lazy(() => import("./pages/SubscriptionsPage"));
+const CheckoutPage = React.lazy(() => import("./pages/CheckoutPage"));
+const AdminPage = React.lazy(() => import("./pages/AdminPage"));
+const OrderLookupPage = React.lazy(() => import("./pages/OrderLookupPage"));
+const OrderPage = React.lazy(() => import("./pages/OrderPage"));
+const LoginPage = React.lazy(() => import("./pages/LoginPage"));
+const VerifyPage = React.lazy(() => import("./pages/VerifyPage"));
+const AccountPage = React.lazy(() => import("./pages/AccountPage"));
+const WalletPage = React.lazy(() => import("./pages/WalletPage"));
+const PartnersPage = React.lazy(() => import("./pages/PartnersPage"));
+const BulkOrderPage = React.lazy(() => import("./pages/BulkOrderPage"));
+const GiftPage = React.lazy(() => import("./pages/GiftPage"));
 
 // Loading Component
 const PageLoader = () => (
@@ -23,17 +45,41 @@ function App() {
   return (
     <div className="App" dir="rtl">
       <BrowserRouter>
-        <Suspense fallback={<PageLoader />}> 
-          <main id="main-content" tabIndex="-1">
-            <Routes>
-              <Route path="/" element={<HomePage />} />
-              <Route path="/services" element={<ServicesPage />} />
-              <Route path="/features" element={<FeaturesPage />} />
-              <Route path="/pricing" element={<PricingPage />} />
-              <Route path="/contact" element={<ContactPage />} />
-            </Routes>
-          </main>
-        </Suspense>
+        <AuthProvider>
+          <CurrencyProvider>
+            <CartProvider>
+              <Suspense fallback={<PageLoader />}> 
+                <main id="main-content" tabIndex="-1">
+                  <Routes>
+                    <Route path="/" element={<HomePage />} />
+                    <Route path="/services" element={<ServicesPage />} />
+                    <Route path="/features" element={<FeaturesPage />} />
+                    <Route path="/pricing" element={<PricingPage />} />
+                    <Route path="/contact" element={<ContactPage />} />
+                    <Route path="/services/prepaid-cards" element={<PrepaidCardsPage />} />
+                    <Route path="/services/gaming" element={<GamingPage />} />
+                    <Route path="/services/recharge" element={<RechargePage />} />
+                    <Route path="/services/crypto" element={<CryptoPage />} />
+                    <Route path="/services/subscriptions" element={<SubscriptionsPage />} />
+                    <Route path="/checkout" element={<CheckoutPage />} />
+                    <Route path="/orders" element={<OrderLookupPage />} />
+                    <Route path="/orders/:id" element={<OrderPage />} />
+                    <Route path="/gift/:id/:token" element={<GiftPage />} />
+                    <Route path="/admin" element={<AdminPage />} />
+                    <Route path="/login" element={<LoginPage />} />
+                    <Route path="/verify" element={<VerifyPage />} />
+                    <Route path="/account" element={<RequireAuth fallback={<PageLoader />}><AccountPage /></RequireAuth>} />
+                    <Route path="/wallet" element={<RequireAuth fallback={<PageLoader />}><WalletPage /></RequireAuth>} />
+                    <Route path="/partners" element={<PartnersPage />} />
+                    <Route path="/partners/bulk" element={<RequireAuth fallback={<PageLoader />}><BulkOrderPage /></RequireAuth>} />
+                  </Routes>
+                </main>
+              </Suspense>
+              <CartSheet />
+              <Toaster />
+            </CartProvider>
+          </CurrencyProvider>
+        </AuthProvider>
       </BrowserRouter>
     </div>
   );
@@ -0,0 +1,158 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ShoppingCart, ShoppingBag, Minus, Plus, Trash2, AlertCircle, Info } from 'lucide-react';
+import { Sheet, SheetContent, SheetDescription, SheetFooter, SheetHeader, SheetTitle } from './ui/sheet';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Skeleton } from './ui/skeleton';
+import CouponField from './CouponField';
+import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { DEFAULT_MAX_QUANTITY, quantityForProduct, recipientSummary } from '../lib/cart';
+
+const CartLine = ({ item, items, onQuantity, onRemove }) => {
+  const max = item.max_quantity || DEFAULT_MAX_QUANTITY;
+  const atLimit = quantityForProduct(items, item.product_id) >= max;
+  const recipient = recipientSummary(item.recipient);
+  const { formatPrice } = useCurrency();
+
+  return (
+    <li className={`flex gap-3 py-4 ${item.available === false ? 'opacity-60' : ''}`}>
+      <div className="flex-1 min-w-0">
+        <div className="font-semibold text-gray-900 truncate">{item.name}</div>
+        <div className="text-sm text-gray-500">{item.label}</div>
+        {recipient && <div className="text-xs text-gray-500 mt-1" dir="ltr">{recipient}</div>}
+        {item.available === false && <Badge variant="destructive" className="mt-1">غير متوفر</Badge>}
+        <div className="flex items-center gap-2 mt-2">
+          <Button
+            variant="outline"
+            size="icon"
+            className="h-7 w-7"
+            onClick={() => onQuantity(item.key, item.quantity - 1)}
+            aria-label={`إنقاص كمية ${item.name}`}
+          >
+            <Minus className="w-3 h-3" />
+          </Button>
+          <span className="w-6 text-center font-semibold" aria-live="polite">{item.quantity}</span>
+          <Button
+            variant="outline"
+            size="icon"
+            className="h-7 w-7"
+            disabled={atLimit || item.available === false}
+            onClick={() => onQuantity(item.key, item.quantity + 1)}
+            aria-label={`زيادة كمية ${item.name}`}
+          >
+            <Plus className="w-3 h-3" />
+          </Button>
+          {atLimit && <span className="text-xs text-gray-500">الحد الأقصى {max}</span>}
+        </div>
+      </div>
+      <div className="flex flex-col items-end justify-between">
+        <span className="font-bold text-yellow-600">{formatPrice(item.unit_price * item.quantity)}</span>
+        <button
+          type="button"
+          onClick={() => onRemove(item.key)}
+          aria-label={`حذف ${item.name} من السلة`}
+          className="p-1 rounded text-gray-400 hover:text-red-600 focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-500"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+    </li>
+  );
+};
+
+const CartSheet = () => {
+  const { items, count, subtotal, discount, total, pricing, isOpen, setOpen, updateQuantity, removeItem } = useCart();
+  const canCheckout = items.some((item) => item.available !== false) && pricing.status !== 'loading';
+  const { formatPrice } = useCurrency();
+
+  return (
+    <Sheet open={isOpen} onOpenChange={setOpen}>
+      <SheetContent side="left" dir="rtl" className="flex flex-col w-full sm:max-w-md">
+        <SheetHeader className="text-right sm:text-right">
+          <SheetTitle className="flex items-center gap-2">
+            <ShoppingCart className="w-5 h-5 text-yellow-600" />
+            سلة المشتريات
+          </SheetTitle>
+          <SheetDescription>{count > 0 ? `${count} منتج في السلة` : 'السلة فارغة'}</SheetDescription>
+        </SheetHeader>
+
+        {items.length === 0 ? (
+          <div className="flex-1 flex flex-col items-center justify-center text-center gap-4">
+            <div className="w-20 h-20 bg-yellow-100 rounded-full flex items-center justify-center">
+              <ShoppingCart className="w-10 h-10 text-yellow-600" />
+            </div>
+            <p className="text-gray-600">لم تضف أي منتج بعد</p>
+            <Button asChild className="bg-yellow-500 hover:bg-yellow-600" onClick={() => setOpen(false)}>
+              <Link to="/services">تصفح الخدمات</Link>
+            </Button>
+          </div>
+        ) : (
+          <>
+            <div className="flex-1 overflow-y-auto -mx-6 px-6">
+              {pricing.status === 'error' && (
+                <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-3 mt-4 text-sm" role="alert">
+                  <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                  <span>تعذر تحديث الأسعار: {pricing.error}</span>
+                </div>
+              )}
+              {pricing.notices.length > 0 && (
+                <ul className="bg-amber-50 text-amber-800 rounded-xl p-3 mt-4 text-sm space-y-1" role="status">
+                  {pricing.notices.map((notice) => (
+                    <li key={notice} className="flex items-start gap-2">
+                      <Info className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                      <span>{notice}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <ul className="divide-y">
+                {items.map((item) => (
+                  <CartLine key={item.key} item={item} items={items} onQuantity={updateQuantity} onRemove={removeItem} />
+                ))}
+              </ul>
+            </div>
+
+            <SheetFooter className="border-t pt-4 flex-col sm:flex-col sm:space-x-0 gap-3">
+              <CouponField />
+              {discount > 0 && (
+                <>
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-600">المجموع</span>
+                    <span className="text-gray-900">{formatPrice(subtotal)}</span>
+                  </div>
+                  <div className="flex items-center justify-between text-sm text-green-700">
+                    <span>الخصم ({pricing.coupon.code})</span>
+                    <span>−{formatPrice(discount)}</span>
+                  </div>
+                </>
+              )}
+              <div className="flex items-center justify-between">
+                <span className="text-gray-600">الإجمالي</span>
+                {pricing.status === 'loading' ? (
+                  <Skeleton className="h-6 w-24" />
+                ) : (
+                  <span className="text-xl font-bold text-yellow-600">{formatPrice(total)}</span>
+                )}
+              </div>
+              <Button asChild size="lg" className="bg-yellow-500 hover:bg-yellow-600">
+                <Link
+                  to="/checkout"
+                  onClick={() => setOpen(false)}
+                  aria-disabled={!canCheckout}
+                  className={canCheckout ? '' : 'pointer-events-none opacity-50'}
+                >
+                  <ShoppingBag className="w-4 h-4" />
+                  إتمام الطلب
+                </Link>
+              </Button>
+            </SheetFooter>
+          </>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default CartSheet;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Tag, X } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { useCart } from '../context/CartContext';
+
+// Coupon entry for the cart and checkout review; the discount itself comes from the server pricing.
+// Not a <form>, since the checkout review step wraps it in its own
+const CouponField = () => {
+  const { couponCode, applyCoupon, removeCoupon, pricing } = useCart();
+  const [code, setCode] = useState(couponCode);
+  const checking = Boolean(couponCode) && pricing.status === 'loading';
+
+  if (pricing.coupon && pricing.coupon.code === couponCode) {
+    return (
+      <div className="flex items-center gap-2 bg-green-50 text-green-800 rounded-xl p-3 text-sm" role="status">
+        <Tag className="w-4 h-4 flex-shrink-0" />
+        <span className="flex-1 min-w-0">
+          تم تطبيق الكود <span className="font-semibold" dir="ltr">{pricing.coupon.code}</span>
+          {pricing.coupon.description && <> — {pricing.coupon.description}</>}
+        </span>
+        <button
+          type="button"
+          onClick={() => {
+            setCode('');
+            removeCoupon();
+          }}
+          aria-label="إزالة كود الخصم"
+          className="p-1 rounded hover:text-red-600 focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-500"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    );
+  }
+
+  const apply = () => {
+    if (code.trim()) applyCoupon(code);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <Input
+          dir="ltr"
+          className="uppercase"
+          placeholder="كود الخصم"
+          aria-label="كود الخصم"
+          autoComplete="off"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            apply();
+          }}
+        />
+        <Button type="button" variant="outline" onClick={apply} disabled={!code.trim() || checking}>
+          {checking ? 'جاري التحقق...' : 'تطبيق'}
+        </Button>
+      </div>
+      {couponCode && pricing.couponError && !checking && (
+        <p className="text-sm text-red-600" role="alert">{pricing.couponError}</p>
+      )}
+    </div>
+  );
+};
+
+export default CouponField;
@@ -21,6 +21,7 @@ const Footer = () => {
     services: [
       { name: 'بطاقات الدفع المسبق', path: '/services/prepaid-cards' },
       { name: 'شحن الألعاب', path: '/services/gaming' },
+      { name: 'شحن الرصيد والباقات', path: '/services/recharge' },
       { name: 'العملات الرقمية', path: '/services/crypto' },
       { name: 'الاشتراكات الرقمية', path: '/services/subscriptions' }
     ],
@@ -32,6 +33,7 @@ const Footer = () => {
     ],
     support: [
       { name: 'مركز المساعدة', path: '/help-center' },
+      { name: 'تتبع الطلب', path: '/orders' },
       { name: 'الأسئلة الشائعة', path: '/faq' },
       { name: 'اتصل بنا', path: '/contact' },
       { name: 'الدعم الفني', path: '/technical-support' }
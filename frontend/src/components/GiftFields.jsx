@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { ar } from 'date-fns/locale';
+import { CalendarDays, Gift } from 'lucide-react';
+import { Button } from './ui/button';
+import { Calendar } from './ui/calendar';
+import { Checkbox } from './ui/checkbox';
+import { FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Textarea } from './ui/textarea';
+import { GIFT_MESSAGE_MAX_LENGTH, giftDateDisabled } from '../lib/gifts';
+
+// "Send as a gift" on the checkout recipient step: who gets it, the message shown on their gift page,
+// and the day the order is delivered and the claim link goes out
+const GiftFields = ({ form }) => {
+  const [calendarOpen, setCalendarOpen] = useState(false);
+  const asGift = form.watch('send_as_gift');
+  const message = form.watch('gift_message');
+
+  return (
+    <div className="space-y-4">
+      <FormField
+        control={form.control}
+        name="send_as_gift"
+        render={({ field }) => (
+          <FormItem
+            className={`flex items-center gap-4 space-y-0 rounded-xl border p-4 transition-colors ${
+              field.value ? 'border-yellow-500 bg-yellow-50' : 'border-gray-200'
+            }`}
+          >
+            <FormControl>
+              <Checkbox checked={field.value} onCheckedChange={(checked) => field.onChange(checked === true)} />
+            </FormControl>
+            <Gift className="w-5 h-5 text-yellow-600" />
+            <div>
+              <FormLabel className="font-semibold text-gray-900 cursor-pointer">أرسله هدية</FormLabel>
+              <p className="text-sm text-gray-500">يصل المستلم رابط برسالتك يكشف منه الكود، وتتابع أنت فتحه من صفحة الطلب.</p>
+            </div>
+          </FormItem>
+        )}
+      />
+      {asGift && (
+        <div className="space-y-4 border-s-2 border-yellow-200 ps-4">
+          <FormField
+            control={form.control}
+            name="gift_name"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>اسم المستلم</FormLabel>
+                <FormControl>
+                  <Input autoComplete="off" {...field} />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+          <FormField
+            control={form.control}
+            name="gift_phone"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>رقم جوال المستلم</FormLabel>
+                <FormControl>
+                  <Input type="tel" dir="ltr" autoComplete="off" placeholder="+967 7XX XXX XXX" {...field} />
+                </FormControl>
+                <FormDescription>نرسل رابط الهدية إلى هذا الرقم برسالة نصية، ويمكن أن يكون خارج اليمن.</FormDescription>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+          <FormField
+            control={form.control}
+            name="gift_message"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>رسالة الإهداء (اختياري)</FormLabel>
+                <FormControl>
+                  <Textarea dir="rtl" rows={3} maxLength={GIFT_MESSAGE_MAX_LENGTH} placeholder="كل عام وأنت بخير…" {...field} />
+                </FormControl>
+                <FormDescription>{message.length}/{GIFT_MESSAGE_MAX_LENGTH}</FormDescription>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+          <FormField
+            control={form.control}
+            name="gift_date"
+            render={({ field }) => (
+              <FormItem className="flex flex-col">
+                <FormLabel>موعد التسليم</FormLabel>
+                <Popover open={calendarOpen} onOpenChange={setCalendarOpen}>
+                  <PopoverTrigger asChild>
+                    <FormControl>
+                      <Button type="button" variant="outline" className="justify-start font-normal">
+                        <CalendarDays className="w-4 h-4" />
+                        {field.value ? format(field.value, 'EEEE d MMMM yyyy', { locale: ar }) : 'فور تأكيد الدفع'}
+                      </Button>
+                    </FormControl>
+                  </PopoverTrigger>
+                  <PopoverContent className="w-auto p-0" align="start">
+                    <Calendar
+                      mode="single"
+                      dir="rtl"
+                      locale={ar}
+                      selected={field.value || undefined}
+                      onSelect={(day) => {
+                        field.onChange(day || null);
+                        setCalendarOpen(false);
+                      }}
+                      disabled={giftDateDisabled}
+                      initialFocus
+                    />
+                  </PopoverContent>
+                </Popover>
+                <FormDescription>ننفذ الطلب ونرسل الرابط مع بداية هذا اليوم بتوقيتك.</FormDescription>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GiftFields;
@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from 'react';
+import { Gift } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { apiGet } from '../lib/api';
+import { formatDateTime } from '../lib/format';
+import { giftStatusLabels } from '../lib/gifts';
+
+const Row = ({ label, value }) => (
+  <div className="flex justify-between gap-4 p-4 text-sm">
+    <span className="text-gray-500">{label}</span>
+    <span className="text-gray-900 text-end">{value}</span>
+  </div>
+);
+
+// Shown to the buyer of a gift order instead of the codes: when the claim link goes out and
+// whether the recipient has opened it
+const GiftStatusCard = ({ order }) => {
+  const [gift, setGift] = useState(null);
+
+  useEffect(() => {
+    apiGet(`/orders/${order.id}/gift`)
+      .then(setGift)
+      .catch((e) => console.warn('Failed to load gift status:', e.message));
+  }, [order.id, order.status]);
+
+  if (!gift) return null;
+  const status = giftStatusLabels[gift.status];
+
+  return (
+    <Card className="bg-white rounded-2xl lg:col-span-2">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <CardTitle className="text-xl font-bold flex items-center gap-2">
+            <Gift className="w-5 h-5 text-yellow-600" />
+            حالة الهدية
+          </CardTitle>
+          <Badge className={status?.tone}>{status?.label || gift.status}</Badge>
+        </div>
+        <CardDescription>يكشف المستلم الكود من رابط الهدية، لذلك لا يظهر الكود هنا.</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="divide-y border rounded-xl">
+          <Row label="موعد التسليم" value={formatDateTime(gift.deliver_at)} />
+          {gift.sent_at && <Row label="أُرسل الرابط" value={formatDateTime(gift.sent_at)} />}
+          {gift.opened_at && <Row label="فتح المستلم الهدية" value={formatDateTime(gift.opened_at)} />}
+          {gift.revealed_at && <Row label="كشف الكود" value={formatDateTime(gift.revealed_at)} />}
+        </div>
+        {gift.status === 'failed' && (
+          <p className="text-sm text-red-600 mt-4" role="alert">
+            لم نتمكن من إرسال الرابط إلى رقم المستلم. تواصل معنا عبر واتساب لنرسله بطريقة أخرى.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default GiftStatusCard;
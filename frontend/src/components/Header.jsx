@@ -1,6 +1,19 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { Phone, MessageCircle, Facebook, X, Instagram, Menu, X as CloseIcon, Home, Wrench, Star, HelpCircle, Newspaper, Info, PhoneCall, BadgePercent, Rocket, Download } from 'lucide-react';
+import { Phone, MessageCircle, Facebook, X, Instagram, Menu, X as CloseIcon, Home, Wrench, Star, HelpCircle, Newspaper, Info, PhoneCall, BadgePercent, Rocket, Download, ShoppingCart, UserRound, LogOut, Package, Wallet } from 'lucide-react';
+import { useCart } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
+import { useCurrency } from '../context/CurrencyContext';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
 
 // رابط التحميل المباشر
 const DOWNLOAD_URL = 'https://github.com/knxprox3/Eeee1/releases/download/v1.0.0/USO.apk';
@@ -145,6 +158,99 @@ const PromoBanner = () => {
   );
 };
 
+// عداد عناصر السلة فوق الأيقونة
+const CartCountBadge = ({ count }) => (
+  count > 0 ? (
+    <span
+      className="absolute -top-1.5 -left-1.5 min-w-[1.125rem] h-[1.125rem] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold leading-[1.125rem] text-center"
+      aria-hidden="true"
+    >
+      {count > 99 ? '99+' : count}
+    </span>
+  ) : null
+);
+
+const iconButtonClass = 'relative w-8 h-8 lg:w-10 lg:h-10 flex items-center justify-center rounded-full bg-white text-gray-700 shadow-[0_8px_24px_rgba(0,0,0,0.10)] ring-1 ring-black/5 hover:text-yellow-600 hover:shadow-[0_12px_32px_rgba(0,0,0,0.14)] transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-500 focus-visible:ring-offset-2 focus-visible:ring-offset-white';
+
+// زر الحساب: تسجيل الدخول للزوار، وقائمة الحساب بعد الدخول
+const AccountButton = () => {
+  const { user, signOut } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return (
+      <Link to="/login" state={{ from: location }} aria-label="تسجيل الدخول" className={iconButtonClass}>
+        <UserRound className="w-5 h-5" />
+      </Link>
+    );
+  }
+
+  return (
+    <DropdownMenu dir="rtl">
+      <DropdownMenuTrigger className={iconButtonClass} aria-label="حسابي">
+        <UserRound className="w-5 h-5 text-yellow-600" />
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuLabel>
+          <div>{user.name || 'حسابي'}</div>
+          <div className="text-xs font-normal text-gray-500" dir="ltr">{user.phone}</div>
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        <DropdownMenuItem asChild>
+          <Link to="/account">
+            <UserRound className="w-4 h-4" />
+            حسابي
+          </Link>
+        </DropdownMenuItem>
+        <DropdownMenuItem asChild>
+          <Link to="/account?tab=orders">
+            <Package className="w-4 h-4" />
+            طلباتي
+          </Link>
+        </DropdownMenuItem>
+        <DropdownMenuItem asChild>
+          <Link to="/wallet">
+            <Wallet className="w-4 h-4" />
+            محفظتي
+          </Link>
+        </DropdownMenuItem>
+        <DropdownMenuSeparator />
+        <DropdownMenuItem onSelect={signOut}>
+          <LogOut className="w-4 h-4" />
+          تسجيل الخروج
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+// اختيار عملة عرض الأسعار، تظهر فقط بعد تحميل أسعار الصرف
+const CurrencySwitcher = () => {
+  const { currency, rates, setCurrency } = useCurrency();
+
+  if (rates.length < 2) return null;
+
+  return (
+    <DropdownMenu dir="rtl">
+      <DropdownMenuTrigger className={`${iconButtonClass} text-[10px] lg:text-xs font-bold`} aria-label={`عملة الأسعار: ${currency}`}>
+        {currency}
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuLabel>عرض الأسعار بـ</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        <DropdownMenuRadioGroup value={currency} onValueChange={setCurrency}>
+          {rates.map((rate) => (
+            <DropdownMenuRadioItem key={rate.currency} value={rate.currency}>
+              {rate.name}
+              <span className="ms-auto ps-4 text-xs text-gray-500" dir="ltr">{rate.currency}</span>
+            </DropdownMenuRadioItem>
+          ))}
+        </DropdownMenuRadioGroup>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
 // أيقونات لكل رابط
 const linkIcons = {
   '/': Home,
@@ -163,6 +269,8 @@ const Header = () => {
   const [isScrolled, setIsScrolled] = useState(false);
   const location = useLocation();
   const menuBtnWrapperRef = useRef(null);
+  const { count: cartCount, openCart } = useCart();
+  const cartLabel = cartCount > 0 ? `فتح السلة (${cartCount} منتج)` : 'فتح السلة';
 
   useEffect(() => {
     const handleScroll = () => {
@@ -231,6 +339,21 @@ const Header = () => {
                 شحن سريع
               </Link>
               
+              <CurrencySwitcher />
+
+              <AccountButton />
+
+              {/* زر السلة */}
+              <button
+                type="button"
+                onClick={openCart}
+                aria-label={cartLabel}
+                className={iconButtonClass}
+              >
+                <ShoppingCart className="w-5 h-5" />
+                <CartCountBadge count={cartCount} />
+              </button>
+
               {/* زر تحميل */}
               <a
                 href={DOWNLOAD_URL}
@@ -258,6 +381,22 @@ const Header = () => {
                     aria-label="قائمة الجوال بالأيقونات"
                   >
                     <ul className="flex flex-col items-center gap-3">
+                      <li>
+                        <a
+                          href="#cart"
+                          onClick={(e) => {
+                            e.preventDefault();
+                            setIsMenuOpen(false);
+                            openCart();
+                          }}
+                          aria-label={cartLabel}
+                          className="relative flex items-center justify-center rounded-full w-8 h-8 bg-white shadow-[0_8px_24px_rgba(0,0,0,0.10)] ring-1 ring-black/5 transition-all duration-200 hover:shadow-[0_12px_32px_rgba(0,0,0,0.14)] text-gray-700"
+                          style={{ pointerEvents: 'auto' }}
+                        >
+                          <ShoppingCart className="w-5 h-5" strokeWidth={2.5} />
+                          <CartCountBadge count={cartCount} />
+                        </a>
+                      </li>
                       {navLinks.map((link) => {
                         const IconComp = linkIcons[link.path] || Star;
                         const active = location.pathname === link.path;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { Landmark, Store, Wallet } from 'lucide-react';
+import PaymentDetails from './PaymentDetails';
+import { FormControl, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Checkbox } from './ui/checkbox';
+import { RadioGroup, RadioGroupItem } from './ui/radio-group';
+import { formatPrice } from '../lib/format';
+import { fromBase } from '../lib/currency';
+import { walletPortion } from '../lib/wallet';
+
+const methodIcons = { bank: Landmark, exchange: Store };
+
+// The "pay from wallet" checkbox and transfer method choice of a form built on paymentSchema;
+// used by checkout and bulk orders. Amounts are in the base currency like the wallet; with an
+// exchange `rate` the transfer is shown in that currency instead
+const PaymentChoiceFields = ({ form, methods, total, walletBalance, rate = null }) => {
+  const selected = methods.find((m) => m.id === form.watch('payment_method'));
+  const fromWallet = walletPortion(form.watch('use_wallet'), walletBalance, total);
+  const remaining = total - fromWallet;
+  const transfer = rate ? fromBase(remaining, rate) : remaining;
+  const transferCurrency = rate?.currency;
+
+  return (
+    <>
+      {walletBalance > 0 && (
+        <FormField
+          control={form.control}
+          name="use_wallet"
+          render={({ field }) => (
+            <FormItem
+              className={`flex items-center gap-4 space-y-0 rounded-xl border p-4 transition-colors ${
+                field.value ? 'border-yellow-500 bg-yellow-50' : 'border-gray-200'
+              }`}
+            >
+              <FormControl>
+                <Checkbox checked={field.value} onCheckedChange={(checked) => field.onChange(checked === true)} />
+              </FormControl>
+              <Wallet className="w-5 h-5 text-yellow-600" />
+              <div>
+                <FormLabel className="font-semibold text-gray-900 cursor-pointer">الدفع من رصيد المحفظة</FormLabel>
+                <p className="text-sm text-gray-500">الرصيد المتاح {formatPrice(walletBalance)}</p>
+              </div>
+            </FormItem>
+          )}
+        />
+      )}
+      {remaining > 0 ? (
+        <FormField
+          control={form.control}
+          name="payment_method"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel>{fromWallet > 0 ? `اختر طريقة تحويل المبلغ المتبقي (${formatPrice(transfer, transferCurrency)})` : 'اختر طريقة التحويل'}</FormLabel>
+              <FormControl>
+                <RadioGroup value={field.value} onValueChange={field.onChange} dir="rtl" className="gap-3">
+                  {methods.map((method) => {
+                    const Icon = methodIcons[method.kind] || Landmark;
+                    return (
+                      <label
+                        key={method.id}
+                        htmlFor={`method-${method.id}`}
+                        className={`flex items-center gap-4 rounded-xl border p-4 cursor-pointer transition-colors ${
+                          field.value === method.id ? 'border-yellow-500 bg-yellow-50' : 'border-gray-200 hover:border-yellow-400'
+                        }`}
+                      >
+                        <RadioGroupItem id={`method-${method.id}`} value={method.id} />
+                        <Icon className="w-5 h-5 text-yellow-600" />
+                        <span className="font-semibold text-gray-900">{method.name}</span>
+                      </label>
+                    );
+                  })}
+                </RadioGroup>
+              </FormControl>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+      ) : (
+        <p className="bg-yellow-50 text-gray-700 rounded-xl p-4">
+          سيُخصم {formatPrice(total)} من رصيدك ويُؤكَّد الدفع فوراً دون الحاجة إلى تحويل.
+        </p>
+      )}
+      {remaining > 0 && selected && <PaymentDetails method={selected} amount={transfer} currency={transferCurrency} />}
+    </>
+  );
+};
+
+export default PaymentChoiceFields;
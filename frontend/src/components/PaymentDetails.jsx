@@ -0,0 +1,29 @@
+import React from 'react';
+import { Info } from 'lucide-react';
+import { formatPrice } from '../lib/format';
+
+// Where to send a manual transfer (see PaymentMethod in backend/server.py) and how much
+const PaymentDetails = ({ method, amount, currency }) => (
+  <dl className="divide-y border rounded-xl bg-gray-50">
+    <div className="flex justify-between p-4">
+      <dt className="text-gray-500">المبلغ المطلوب تحويله</dt>
+      <dd className="font-bold text-yellow-600">{formatPrice(amount, currency)}</dd>
+    </div>
+    <div className="flex justify-between p-4">
+      <dt className="text-gray-500">اسم المستفيد</dt>
+      <dd className="font-semibold">{method.account_name}</dd>
+    </div>
+    <div className="flex justify-between p-4">
+      <dt className="text-gray-500">{method.kind === 'bank' ? 'رقم الحساب' : 'رقم الجوال'}</dt>
+      <dd className="font-semibold" dir="ltr">{method.account_number}</dd>
+    </div>
+    {method.instructions && (
+      <div className="flex items-start gap-2 p-4 text-sm text-gray-600">
+        <Info className="w-4 h-4 flex-shrink-0 mt-0.5" />
+        <span>{method.instructions}</span>
+      </div>
+    )}
+  </dl>
+);
+
+export default PaymentDetails;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { AlertCircle, Upload } from 'lucide-react';
+import PaymentDetails from './PaymentDetails';
+import { Form, FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { Button } from './ui/button';
+import { apiPost } from '../lib/api';
+import { amountDue } from '../lib/orders';
+import { receiptSchema } from '../lib/checkoutSchemas';
+
+// Transfer details plus the receipt upload of an unpaid order; used by checkout and wallet top-ups
+const ReceiptUploadForm = ({ order, method, onUploaded }) => {
+  const form = useForm({ resolver: zodResolver(receiptSchema), defaultValues: { file: undefined, reference: '' } });
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const upload = async ({ file, reference }) => {
+    const body = new FormData();
+    body.append('file', file);
+    if (reference) body.append('reference', reference);
+    // Guest orders have no session to prove ownership; the contact phone does, as in order lookup
+    if (order.contact_phone) body.append('phone', order.contact_phone);
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      onUploaded(await apiPost(`/orders/${order.id}/receipt`, body));
+    } catch (e) {
+      setSubmitError(e.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(upload)} className="space-y-6" noValidate>
+        <div className="flex items-center justify-between bg-yellow-50 rounded-xl p-4">
+          <span className="text-gray-600">رقم الطلب</span>
+          <span className="font-bold text-gray-900" dir="ltr">{order.number}</span>
+        </div>
+        {method && <PaymentDetails method={method} amount={amountDue(order)} currency={order.payment_currency} />}
+        <FormField
+          control={form.control}
+          name="file"
+          render={({ field: { value, onChange, ...field } }) => (
+            <FormItem>
+              <FormLabel>صورة إيصال التحويل</FormLabel>
+              <FormControl>
+                <Input
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp,application/pdf"
+                  onChange={(e) => onChange(e.target.files?.[0])}
+                  {...field}
+                />
+              </FormControl>
+              <FormDescription>صورة أو ملف PDF بحجم لا يتجاوز 5 ميجابايت.</FormDescription>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+        <FormField
+          control={form.control}
+          name="reference"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel>رقم الحوالة أو العملية (اختياري)</FormLabel>
+              <FormControl>
+                <Input dir="ltr" {...field} />
+              </FormControl>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+        {submitError && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{submitError}</span>
+          </div>
+        )}
+        <div className="flex justify-end">
+          <Button type="submit" className="bg-yellow-500 hover:bg-yellow-600" disabled={submitting}>
+            <Upload className="w-4 h-4" />
+            {submitting ? 'جاري الرفع...' : 'رفع الإيصال'}
+          </Button>
+        </div>
+      </form>
+    </Form>
+  );
+};
+
+export default ReceiptUploadForm;
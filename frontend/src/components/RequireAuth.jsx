@@ -0,0 +1,15 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+// Route guard: sends guests to /login, which returns them here after the code is confirmed
+const RequireAuth = ({ children, fallback = null }) => {
+  const { isSignedIn, status } = useAuth();
+  const location = useLocation();
+
+  if (status === 'loading') return fallback;
+  if (!isSignedIn) return <Navigate to="/login" replace state={{ from: location, reason: 'protected' }} />;
+  return children;
+};
+
+export default RequireAuth;
@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Bookmark } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { apiGet } from '../lib/api';
+
+// One-tap chips for recipients saved under /account; renders nothing for guests or when none match.
+// `match` narrows the list (e.g. to the selected game or wallet network).
+const SavedRecipientPicker = ({ kind, match = () => true, onPick }) => {
+  const { isSignedIn } = useAuth();
+  const [recipients, setRecipients] = useState([]);
+
+  useEffect(() => {
+    if (!isSignedIn) {
+      setRecipients([]);
+      return undefined;
+    }
+    const controller = new AbortController();
+    apiGet('/account/recipients', { kind }, { signal: controller.signal })
+      .then(setRecipients)
+      .catch((e) => {
+        if (e.name !== 'AbortError') console.warn('Failed to load saved recipients:', e.message);
+      });
+    return () => controller.abort();
+  }, [isSignedIn, kind]);
+
+  const options = recipients.filter(match);
+  if (options.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <span className="flex items-center gap-1 text-gray-600">
+          <Bookmark className="w-4 h-4" />
+          المحفوظة
+        </span>
+        <Link to="/account?tab=recipients" className="text-yellow-700 hover:underline">إدارة</Link>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {options.map((recipient) => (
+          <button
+            key={recipient.id}
+            type="button"
+            onClick={() => onPick(recipient)}
+            className="rounded-full border border-gray-200 px-3 py-1 text-sm hover:border-yellow-400 hover:bg-yellow-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-500"
+          >
+            {recipient.nickname}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SavedRecipientPicker;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { CheckCircle } from 'lucide-react';
+
+// Numbered progress for multi-step flows; `steps` is a list of { key, label }
+const StepIndicator = ({ steps, current, label = 'خطوات الطلب' }) => (
+  <ol className="flex items-center justify-center gap-2 sm:gap-4 mb-10" aria-label={label}>
+    {steps.map((step, index) => {
+      const done = index < current;
+      const active = index === current;
+      return (
+        <li key={step.key} className="flex items-center gap-2" aria-current={active ? 'step' : undefined}>
+          <span
+            className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold ${
+              done || active ? 'bg-gradient-to-br from-yellow-400 to-orange-500 text-white' : 'bg-gray-200 text-gray-500'
+            }`}
+          >
+            {done ? <CheckCircle className="w-4 h-4" /> : index + 1}
+          </span>
+          <span className={`hidden sm:inline text-sm font-medium ${active ? 'text-gray-900' : 'text-gray-500'}`}>{step.label}</span>
+        </li>
+      );
+    })}
+  </ol>
+);
+
+export default StepIndicator;
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Eye, EyeOff, Copy, Printer, Download, KeyRound } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../hooks/use-toast';
+import { apiGet, apiPost } from '../lib/api';
+import { formatDateTime } from '../lib/format';
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const voucherText = (order, voucher) => [
+  'الأسطورة أونلاين — قسيمة شراء',
+  `رقم الطلب: ${order.number}`,
+  `المنتج: ${voucher.name} (${voucher.label})`,
+  `الكود: ${voucher.code}`,
+].join('\n');
+
+const printVoucher = (order, voucher) => {
+  const win = window.open('', '_blank', 'width=480,height=640');
+  if (!win) return false;
+  win.document.write(`<!doctype html><html dir="rtl" lang="ar"><head><meta charset="utf-8"><title>${escapeHtml(order.number)}</title>
+<style>body{font-family:sans-serif;padding:32px;color:#111}.card{border:2px dashed #eab308;border-radius:16px;padding:24px;text-align:center}
+h1{font-size:20px;margin:0 0 8px}.code{font-family:monospace;font-size:24px;letter-spacing:2px;direction:ltr;margin:24px 0;padding:12px;background:#fef9c3;border-radius:8px}
+p{margin:4px 0;color:#555}</style></head><body><div class="card"><h1>الأسطورة أونلاين</h1>
+<p>${escapeHtml(voucher.name)} — ${escapeHtml(voucher.label)}</p><div class="code">${escapeHtml(voucher.code)}</div>
+<p>رقم الطلب: <span dir="ltr">${escapeHtml(order.number)}</span></p></div></body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+};
+
+const downloadVoucher = (order, voucher, index) => {
+  const url = URL.createObjectURL(new Blob([voucherText(order, voucher)], { type: 'text/plain;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `voucher-${order.number}-${index + 1}.txt`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Masked voucher codes of a delivered order. Revealing needs the owner's account with a recently
+// confirmed sign-in code; each reveal is logged by the backend
+const VoucherCodes = ({ order }) => {
+  const { toast } = useToast();
+  const { isSignedIn } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [codes, setCodes] = useState([]);
+  const [revealed, setRevealed] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    apiGet(`/orders/${order.id}/codes`)
+      .then(setCodes)
+      .catch((e) => console.warn('Failed to load voucher codes:', e.message));
+  }, [order.id, order.status]);
+
+  const confirmIdentity = () => navigate('/login', { state: { from: location, reason: 'codes' } });
+
+  const reveal = async (codeId) => {
+    if (!isSignedIn) {
+      confirmIdentity();
+      return;
+    }
+    setBusyId(codeId);
+    try {
+      const voucher = await apiPost(`/orders/${order.id}/codes/${codeId}/reveal`);
+      setRevealed((prev) => ({ ...prev, [codeId]: voucher }));
+    } catch (e) {
+      if (e.status === 401) confirmIdentity();
+      else toast({ variant: 'destructive', title: 'تعذر عرض الكود', description: e.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const hide = (codeId) => setRevealed(({ [codeId]: _, ...rest }) => rest);
+
+  const print = (voucher) => {
+    if (!printVoucher(order, voucher)) {
+      toast({ variant: 'destructive', title: 'تعذر فتح نافذة الطباعة', description: 'اسمح بالنوافذ المنبثقة لهذا الموقع.' });
+    }
+  };
+
+  const copy = async (code) => {
+    try {
+      await navigator.clipboard.writeText(code);
+      toast({ title: 'تم نسخ الكود', description: 'الصقه في التطبيق أو المتجر لاستخدامه.' });
+    } catch {
+      toast({ variant: 'destructive', title: 'تعذر النسخ', description: 'انسخ الكود يدوياً.' });
+    }
+  };
+
+  if (codes.length === 0) return null;
+
+  return (
+    <Card className="bg-white rounded-2xl lg:col-span-2">
+      <CardHeader>
+        <CardTitle className="text-xl font-bold flex items-center gap-2">
+          <KeyRound className="w-5 h-5 text-yellow-600" />
+          أكواد الشحن
+        </CardTitle>
+        <CardDescription>الأكواد مخفية لحمايتك. لا تشاركها مع أي شخص.</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ul className="divide-y border rounded-xl">
+          {codes.map((code, index) => {
+            const voucher = revealed[code.id];
+            return (
+              <li key={code.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4">
+                <div>
+                  <div className="font-semibold text-gray-900">{code.name} — {code.label}</div>
+                  <div className="font-mono text-lg tracking-wider mt-1" dir="ltr">{voucher ? voucher.code : code.masked}</div>
+                  {code.first_revealed_at && !voucher && (
+                    <div className="text-xs text-gray-500 mt-1">تم عرضه لأول مرة: {formatDateTime(code.first_revealed_at)}</div>
+                  )}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {voucher ? (
+                    <>
+                      <Button size="sm" className="bg-yellow-500 hover:bg-yellow-600" onClick={() => copy(voucher.code)}>
+                        <Copy className="w-4 h-4" />
+                        نسخ
+                      </Button>
+                      <Button size="sm" variant="outline" onClick={() => print(voucher)} aria-label="طباعة القسيمة">
+                        <Printer className="w-4 h-4" />
+                      </Button>
+                      <Button size="sm" variant="outline" onClick={() => downloadVoucher(order, voucher, index)} aria-label="تحميل القسيمة">
+                        <Download className="w-4 h-4" />
+                      </Button>
+                      <Button size="sm" variant="ghost" onClick={() => hide(code.id)} aria-label="إخفاء الكود">
+                        <EyeOff className="w-4 h-4" />
+                      </Button>
+                    </>
+                  ) : (
+                    <Button size="sm" variant="outline" onClick={() => reveal(code.id)} disabled={busyId === code.id}>
+                      <Eye className="w-4 h-4" />
+                      {busyId === code.id ? 'جاري العرض...' : 'إظهار الكود'}
+                    </Button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default VoucherCodes;
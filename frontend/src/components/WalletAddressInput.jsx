@@ -0,0 +1,65 @@
+import React, { useMemo, useState } from 'react';
+import { CheckCircle, AlertTriangle, Info } from 'lucide-react';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { NETWORKS, validateAddressForNetwork } from '../lib/walletAddress';
+
+// Wallet address field that shows the detected network and flags checksum or network mismatches.
+// Parents gate submission with validateAddressForNetwork() from lib/walletAddress.
+const WalletAddressInput = ({ id = 'wallet-address', network, value, onChange, label = 'عنوان المحفظة' }) => {
+  const [touched, setTouched] = useState(false);
+  const result = useMemo(() => validateAddressForNetwork(value, network), [value, network]);
+
+  const valid = Boolean(value) && result.valid;
+  const showError = Boolean(value) && !result.valid && (touched || result.mismatch || value.trim().length >= 26);
+
+  return (
+    <div>
+      <Label htmlFor={id}>{label}</Label>
+      <Input
+        id={id}
+        dir="ltr"
+        spellCheck={false}
+        autoComplete="off"
+        autoCapitalize="off"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onBlur={() => setTouched(true)}
+        aria-invalid={showError}
+        aria-describedby={`${id}-status`}
+        className={`mt-2 h-12 font-mono text-sm ${showError ? 'border-red-400 focus-visible:ring-red-400' : ''}`}
+        placeholder={network === 'BTC' ? 'bc1q...' : network === 'TRC20' ? 'T...' : '0x...'}
+      />
+      <div id={`${id}-status`} className="mt-2 space-y-2" aria-live="polite">
+        {result.family && (
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-gray-500">الشبكة المكتشفة:</span>
+            <Badge variant="outline">{NETWORKS[result.family].label}</Badge>
+            {valid && <CheckCircle className="w-4 h-4 text-green-600" aria-label="العنوان صحيح" />}
+          </div>
+        )}
+        {showError && (
+          <p className="flex items-center gap-2 text-sm text-red-600" role="alert">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            {result.error}
+          </p>
+        )}
+        {valid && result.checksummed === false && (
+          <p className="flex items-center gap-2 text-sm text-amber-700">
+            <Info className="w-4 h-4 flex-shrink-0" />
+            العنوان مكتوب بدون رمز تحقق (أحرف صغيرة فقط)، يرجى نسخه مباشرة من محفظتك والتأكد منه.
+          </p>
+        )}
+        {valid && (network === 'ERC20' || network === 'BEP20') && (
+          <p className="flex items-center gap-2 text-sm text-gray-500">
+            <Info className="w-4 h-4 flex-shrink-0" />
+            عناوين ERC20 و BEP20 متشابهة، تأكد أن محفظتك تدعم شبكة {network}.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WalletAddressInput;
@@ -0,0 +1,19 @@
+import React from 'react';
+import { useCurrency } from '../context/CurrencyContext';
+
+// A catalog option's price; approved partners also see the retail price it replaces
+// (`retail_price` is only set on responses priced for a partner, see partner_priced in backend/server.py)
+const WholesalePrice = ({ option, className = '' }) => {
+  const { formatPrice } = useCurrency();
+
+  return (
+    <span className={className}>
+      {formatPrice(option.price)}
+      {option.retail_price > option.price && (
+        <span className="ms-2 text-sm font-normal text-gray-400 line-through">{formatPrice(option.retail_price)}</span>
+      )}
+    </span>
+  );
+};
+
+export default WholesalePrice;
@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+import { Star, Clock, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { Progress } from '../ui/progress';
+import { Skeleton } from '../ui/skeleton';
+import { apiGet } from '../../lib/api';
+import { formatDateTime, formatNumber, formatPrice } from '../../lib/format';
+import { pointsEntryLabels, tierProgress, tierTones } from '../../lib/loyalty';
+
+// Points balance, the customer's tier with progress toward the next one, and the points history
+const LoyaltyPanel = () => {
+  const [loyalty, setLoyalty] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    Promise.all([apiGet('/account/loyalty'), apiGet('/account/loyalty/history')])
+      .then(([summary, entries]) => {
+        setLoyalty(summary);
+        setHistory(entries);
+      })
+      .catch((e) => setError(e.message));
+  }, []);
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <CardTitle className="text-xl font-bold flex items-center gap-2">
+          <Star className="w-5 h-5 text-yellow-600" />
+          نقاطي
+        </CardTitle>
+        <CardDescription>
+          {loyalty
+            ? `تكسب نقاطاً عن كل طلب يتم تسليمه، وكل نقطة تساوي ${formatPrice(loyalty.point_value)} عند الدفع (${formatNumber(loyalty.min_redeem)} نقطة على الأقل).`
+            : 'تكسب نقاطاً عن كل طلب يتم تسليمه وتستخدمها خصماً عند الدفع.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {error && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        {!loyalty ? (
+          !error && <Skeleton className="h-48 rounded-xl" />
+        ) : (
+          <>
+            <div className="grid sm:grid-cols-2 gap-3">
+              <div className="bg-gray-50 rounded-xl p-4">
+                <div className="text-sm text-gray-500">رصيد النقاط</div>
+                <div className="text-3xl font-bold text-gray-900">{formatNumber(loyalty.balance)}</div>
+                <div className="text-sm text-gray-500">بقيمة {formatPrice(loyalty.balance * loyalty.point_value)}</div>
+              </div>
+              <div className="bg-gray-50 rounded-xl p-4 space-y-3">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-sm text-gray-500">مستواك هذا الشهر</span>
+                  <Badge className={tierTones[loyalty.tier.id]}>{loyalty.tier.name}</Badge>
+                </div>
+                <div className="text-sm text-gray-700">
+                  {formatNumber(loyalty.tier.earn_percent)}% من قيمة كل طلب نقاطاً
+                </div>
+                {loyalty.next_tier ? (
+                  <div className="space-y-1">
+                    {/* fills from the right, the start of the line in RTL */}
+                    <Progress value={tierProgress(loyalty)} className="h-2 bg-yellow-100 [&>div]:bg-yellow-500 -scale-x-100" />
+                    <div className="text-xs text-gray-500">
+                      {formatPrice(loyalty.month_spend)} من {formatPrice(loyalty.next_tier.min_monthly_spend)} هذا الشهر
+                      للوصول إلى المستوى {loyalty.next_tier.name} من الشهر القادم
+                    </div>
+                  </div>
+                ) : (
+                  <div className="text-xs text-gray-500">
+                    أعلى مستوى. مشترياتك هذا الشهر {formatPrice(loyalty.month_spend)}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {loyalty.expiring_points > 0 && (
+              <div className="flex items-center gap-3 bg-amber-50 text-amber-800 rounded-xl p-4 text-sm" role="status">
+                <Clock className="w-5 h-5 flex-shrink-0" />
+                <span>
+                  تنتهي صلاحية {formatNumber(loyalty.expiring_points)} نقطة بدءاً من {formatDateTime(loyalty.expiring_at)}، استخدمها في طلبك القادم.
+                </span>
+              </div>
+            )}
+
+            {history.length === 0 ? (
+              <p className="text-center text-gray-500 py-4">لا توجد حركات نقاط بعد.</p>
+            ) : (
+              <ul className="divide-y border rounded-xl">
+                {history.map((entry) => (
+                  <li key={entry.id} className="flex items-center justify-between gap-4 p-4">
+                    <div>
+                      <div className="font-semibold text-gray-900">{pointsEntryLabels[entry.kind] || entry.kind}</div>
+                      <div className="text-xs text-gray-500">
+                        {entry.memo && `${entry.memo} — `}{formatDateTime(entry.created_at)}
+                        {entry.expires_at && entry.remaining > 0 && ` — تنتهي ${formatDateTime(entry.expires_at)}`}
+                      </div>
+                    </div>
+                    <span className={`font-semibold ${entry.points > 0 ? 'text-green-700' : 'text-gray-900'}`} dir="ltr">
+                      {entry.points > 0 ? '+' : ''}{formatNumber(entry.points)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LoyaltyPanel;
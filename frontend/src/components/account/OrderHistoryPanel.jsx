@@ -0,0 +1,196 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertCircle, Eye, RotateCcw, Search } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Skeleton } from '../ui/skeleton';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Pagination, PaginationContent, PaginationItem, PaginationLink } from '../ui/pagination';
+import { useCart } from '../../context/CartContext';
+import { toast } from '../../hooks/use-toast';
+import { apiGet } from '../../lib/api';
+import { cartLinesFromOrder } from '../../lib/cart';
+import { canBuyAgain } from '../../lib/account';
+import { formatDateTime, formatPrice } from '../../lib/format';
+import { statusLabels } from '../../lib/orders';
+
+const ALL = 'all';
+const SEARCH_DELAY_MS = 400;
+
+// Page numbers around the current one, with null marking a gap
+const pageWindow = (page, pages) => {
+  const numbers = [...new Set([1, page - 1, page, page + 1, pages])].filter((n) => n >= 1 && n <= pages).sort((a, b) => a - b);
+  return numbers.flatMap((n, i) => (i > 0 && n - numbers[i - 1] > 1 ? [null, n] : [n]));
+};
+
+const OrderHistoryPanel = () => {
+  const { mergeItems, openCart } = useCart();
+  const [status, setStatus] = useState(ALL);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [page, setPage] = useState(1);
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(search.trim());
+      setPage(1);
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setError(null);
+    apiGet('/account/orders', { status: status === ALL ? undefined : status, q: query, page }, { signal: controller.signal })
+      .then(setHistory)
+      .catch((e) => {
+        if (e.name !== 'AbortError') setError(e.message);
+      });
+    return () => controller.abort();
+  }, [status, query, page]);
+
+  const buyAgain = (order) => {
+    mergeItems(cartLinesFromOrder(order));
+    toast({ title: 'تمت إضافة الطلب إلى السلة', description: 'سيتم تحديث الأسعار قبل الدفع.' });
+    openCart();
+  };
+
+  const goTo = (e, target) => {
+    e.preventDefault();
+    setPage(target);
+  };
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <CardTitle className="text-xl font-bold">طلباتي</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="flex flex-col sm:flex-row gap-3">
+          <div className="relative flex-1">
+            <Search className="absolute start-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" aria-hidden="true" />
+            <Input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="ابحث برقم الطلب"
+              aria-label="ابحث برقم الطلب"
+              className="ps-9"
+            />
+          </div>
+          <Select
+            value={status}
+            onValueChange={(value) => {
+              setStatus(value);
+              setPage(1);
+            }}
+            dir="rtl"
+          >
+            <SelectTrigger className="sm:w-56" aria-label="حالة الطلب">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>كل الحالات</SelectItem>
+              {Object.entries(statusLabels).map(([value, label]) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {error && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {!history ? (
+          <div className="space-y-3">
+            <Skeleton className="h-24 rounded-xl" />
+            <Skeleton className="h-24 rounded-xl" />
+          </div>
+        ) : history.items.length === 0 ? (
+          <p className="text-center text-gray-500 py-12">
+            {query || status !== ALL ? 'لا توجد طلبات مطابقة.' : 'لم تقم بأي طلب بعد.'}
+          </p>
+        ) : (
+          <ul className="divide-y border rounded-xl">
+            {history.items.map((order) => (
+              <li key={order.id} className="flex flex-col md:flex-row md:items-center justify-between gap-4 p-4">
+                <div className="space-y-1">
+                  <div className="flex items-center gap-3">
+                    <span className="font-semibold text-gray-900" dir="ltr">{order.number}</span>
+                    <Badge variant="outline">{statusLabels[order.status] || order.status}</Badge>
+                  </div>
+                  <div className="text-sm text-gray-600">
+                    {order.items.map((item) => `${item.name} (${item.label})`).join('، ')}
+                  </div>
+                  <div className="text-xs text-gray-500">{formatDateTime(order.created_at)}</div>
+                </div>
+                <div className="flex items-center gap-3">
+                  <span className="font-bold text-yellow-600">{formatPrice(order.total, order.currency)}</span>
+                  <Button asChild size="sm" variant="outline">
+                    <Link to={`/orders/${order.id}`}>
+                      <Eye className="w-4 h-4" />
+                      التفاصيل
+                    </Link>
+                  </Button>
+                  {canBuyAgain(order) && (
+                    <Button size="sm" className="bg-yellow-500 hover:bg-yellow-600" onClick={() => buyAgain(order)}>
+                      <RotateCcw className="w-4 h-4" />
+                      اطلب مجدداً
+                    </Button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {history && history.pages > 1 && (
+          <Pagination aria-label="صفحات الطلبات">
+            <PaginationContent>
+              <PaginationItem>
+                <PaginationLink
+                  href="#"
+                  size="default"
+                  aria-disabled={page === 1}
+                  className={page === 1 ? 'pointer-events-none opacity-50' : ''}
+                  onClick={(e) => goTo(e, page - 1)}
+                >
+                  السابق
+                </PaginationLink>
+              </PaginationItem>
+              {pageWindow(page, history.pages).map((n, i) => (
+                <PaginationItem key={n ?? `gap-${i}`}>
+                  {n === null ? (
+                    <span className="px-2 text-gray-400">…</span>
+                  ) : (
+                    <PaginationLink href="#" isActive={n === page} onClick={(e) => goTo(e, n)}>{n}</PaginationLink>
+                  )}
+                </PaginationItem>
+              ))}
+              <PaginationItem>
+                <PaginationLink
+                  href="#"
+                  size="default"
+                  aria-disabled={page === history.pages}
+                  className={page === history.pages ? 'pointer-events-none opacity-50' : ''}
+                  onClick={(e) => goTo(e, page + 1)}
+                >
+                  التالي
+                </PaginationLink>
+              </PaginationItem>
+            </PaginationContent>
+          </Pagination>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default OrderHistoryPanel;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { AlertCircle, Save } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Form, FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from '../ui/form';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Button } from '../ui/button';
+import { useAuth } from '../../context/AuthContext';
+import { toast } from '../../hooks/use-toast';
+import { apiRequest } from '../../lib/api';
+import { formatDateTime } from '../../lib/format';
+
+const profileSchema = z.object({
+  name: z.string().trim().max(80, 'الاسم طويل جداً'),
+  email: z.union([z.literal(''), z.string().trim().email('البريد الإلكتروني غير صحيح')]),
+});
+
+const ProfilePanel = () => {
+  const { user, updateUser } = useAuth();
+  const [error, setError] = useState(null);
+  const form = useForm({
+    resolver: zodResolver(profileSchema),
+    defaultValues: { name: user.name || '', email: user.email || '' },
+  });
+
+  const submit = async (values) => {
+    setError(null);
+    try {
+      const updated = await apiRequest('/account/profile', { method: 'PATCH', body: values });
+      updateUser(updated);
+      form.reset({ name: updated.name || '', email: updated.email || '' });
+      toast({ title: 'تم حفظ بياناتك' });
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <CardTitle className="text-xl font-bold">الملف الشخصي</CardTitle>
+        <CardDescription>عضو منذ {formatDateTime(user.created_at)}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(submit)} className="space-y-6 max-w-md" noValidate>
+            <div>
+              <Label htmlFor="account-phone">رقم الجوال</Label>
+              <Input id="account-phone" dir="ltr" value={user.phone} readOnly disabled className="mt-2" />
+              <p className="text-sm text-gray-500 mt-2">رقم الجوال هو هوية حسابك ويُستخدم لتسجيل الدخول.</p>
+            </div>
+            <FormField
+              control={form.control}
+              name="name"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>الاسم</FormLabel>
+                  <FormControl>
+                    <Input autoComplete="name" {...field} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <FormField
+              control={form.control}
+              name="email"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>البريد الإلكتروني (اختياري)</FormLabel>
+                  <FormControl>
+                    <Input type="email" dir="ltr" autoComplete="email" {...field} />
+                  </FormControl>
+                  <FormDescription>يُقترح تلقائياً عند إتمام الطلب.</FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            {error && (
+              <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+                <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+            <Button
+              type="submit"
+              className="bg-yellow-500 hover:bg-yellow-600"
+              disabled={form.formState.isSubmitting || !form.formState.isDirty}
+            >
+              <Save className="w-4 h-4" />
+              {form.formState.isSubmitting ? 'جاري الحفظ...' : 'حفظ'}
+            </Button>
+          </form>
+        </Form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ProfilePanel;
@@ -0,0 +1,315 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Gamepad2, Smartphone, Wallet, Plus, Trash2, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Skeleton } from '../ui/skeleton';
+import WalletAddressInput from '../WalletAddressInput';
+import { toast } from '../../hooks/use-toast';
+import { apiGet, apiPost, apiRequest } from '../../lib/api';
+import { recipientKindLabels, WALLET_NETWORKS } from '../../lib/account';
+import { validateAccountId, needsZone } from '../../lib/accountRules';
+import { normalizePhone } from '../../lib/carriers';
+import { validateAddressForNetwork } from '../../lib/walletAddress';
+
+const kindIcons = { game: Gamepad2, phone: Smartphone, wallet: Wallet };
+
+const emptyDraft = { kind: 'game', nickname: '', value: '', product_id: '', zone: '', network: 'TRC20' };
+
+const draftError = (draft, game) => {
+  if (!draft.nickname.trim()) return 'أدخل اسماً مميزاً للمستلم';
+  if (draft.kind === 'game') {
+    if (!game) return 'اختر اللعبة';
+    return validateAccountId(game.account_rules || {}, draft.value, draft.zone);
+  }
+  if (draft.kind === 'phone') return normalizePhone(draft.value).length >= 9 ? null : 'رقم الجوال غير صحيح';
+  return validateAddressForNetwork(draft.value, draft.network).error || null;
+};
+
+const AddRecipientDialog = ({ open, onOpenChange, games, onAdded }) => {
+  const [draft, setDraft] = useState(emptyDraft);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const game = games.find((g) => g.id === draft.product_id);
+  const rules = game?.account_rules || {};
+  const invalid = draftError(draft, game);
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  useEffect(() => {
+    if (!open) {
+      setDraft(emptyDraft);
+      setError(null);
+    }
+  }, [open]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const saved = await apiPost('/account/recipients', {
+        kind: draft.kind,
+        nickname: draft.nickname.trim(),
+        value: draft.value.trim(),
+        product_id: draft.kind === 'game' ? draft.product_id : undefined,
+        zone: draft.kind === 'game' && needsZone(rules) ? draft.zone.trim() : undefined,
+        network: draft.kind === 'wallet' ? draft.network : undefined,
+      });
+      onAdded(saved);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent dir="rtl">
+        <form onSubmit={submit} className="space-y-4">
+          <DialogHeader className="text-right sm:text-right">
+            <DialogTitle>إضافة مستلم</DialogTitle>
+            <DialogDescription>احفظه مرة واحدة واختره بضغطة عند الشراء.</DialogDescription>
+          </DialogHeader>
+          <div>
+            <Label htmlFor="recipient-kind">النوع</Label>
+            <Select value={draft.kind} onValueChange={(kind) => update({ kind, value: '', zone: '' })} dir="rtl">
+              <SelectTrigger id="recipient-kind" className="mt-2">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(recipientKindLabels).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <Label htmlFor="recipient-nickname">اسم مميز</Label>
+            <Input
+              id="recipient-nickname"
+              maxLength={40}
+              placeholder="مثال: حساب أخي في ببجي"
+              value={draft.nickname}
+              onChange={(e) => update({ nickname: e.target.value })}
+              className="mt-2"
+            />
+          </div>
+
+          {draft.kind === 'game' && (
+            <>
+              <div>
+                <Label htmlFor="recipient-game">اللعبة</Label>
+                <Select value={draft.product_id} onValueChange={(product_id) => update({ product_id, zone: '' })} dir="rtl">
+                  <SelectTrigger id="recipient-game" className="mt-2">
+                    <SelectValue placeholder="اختر اللعبة" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {games.map((g) => <SelectItem key={g.id} value={g.id}>{g.name}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label htmlFor="recipient-player">{rules.label || 'معرّف اللاعب'}</Label>
+                <Input
+                  id="recipient-player"
+                  dir="ltr"
+                  inputMode={rules.numeric ? 'numeric' : 'text'}
+                  placeholder={rules.placeholder}
+                  maxLength={rules.max_length}
+                  value={draft.value}
+                  onChange={(e) => update({ value: e.target.value })}
+                  className="mt-2"
+                />
+              </div>
+              {needsZone(rules) && (
+                <div>
+                  <Label htmlFor="recipient-zone">{rules.zone_label || 'السيرفر'}</Label>
+                  {rules.zones && rules.zones.length > 0 ? (
+                    <Select value={draft.zone} onValueChange={(zone) => update({ zone })} dir="rtl">
+                      <SelectTrigger id="recipient-zone" className="mt-2">
+                        <SelectValue placeholder="اختر السيرفر" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {rules.zones.map((z) => <SelectItem key={z} value={z}>{z}</SelectItem>)}
+                      </SelectContent>
+                    </Select>
+                  ) : (
+                    <Input
+                      id="recipient-zone"
+                      dir="ltr"
+                      inputMode="numeric"
+                      value={draft.zone}
+                      onChange={(e) => update({ zone: e.target.value })}
+                      className="mt-2"
+                    />
+                  )}
+                </div>
+              )}
+            </>
+          )}
+
+          {draft.kind === 'phone' && (
+            <div>
+              <Label htmlFor="recipient-phone">رقم الجوال</Label>
+              <Input
+                id="recipient-phone"
+                type="tel"
+                dir="ltr"
+                placeholder="+967 7XX XXX XXX"
+                value={draft.value}
+                onChange={(e) => update({ value: e.target.value })}
+                className="mt-2"
+              />
+            </div>
+          )}
+
+          {draft.kind === 'wallet' && (
+            <>
+              <div>
+                <Label htmlFor="recipient-network">الشبكة</Label>
+                <Select value={draft.network} onValueChange={(network) => update({ network })} dir="rtl">
+                  <SelectTrigger id="recipient-network" className="mt-2">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {WALLET_NETWORKS.map((n) => <SelectItem key={n} value={n}>{n}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </div>
+              <WalletAddressInput
+                id="recipient-wallet"
+                network={draft.network}
+                value={draft.value}
+                onChange={(value) => update({ value })}
+              />
+            </>
+          )}
+
+          {error && (
+            <p className="flex items-center gap-2 text-sm text-red-600" role="alert">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </p>
+          )}
+          <DialogFooter>
+            <Button type="submit" className="bg-yellow-500 hover:bg-yellow-600" disabled={submitting || Boolean(invalid)} title={invalid || undefined}>
+              {submitting ? 'جاري الحفظ...' : 'حفظ'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+const RecipientsPanel = () => {
+  const [recipients, setRecipients] = useState(null);
+  const [games, setGames] = useState([]);
+  const [error, setError] = useState(null);
+  const [adding, setAdding] = useState(false);
+
+  const load = useCallback(() => {
+    apiGet('/account/recipients')
+      .then(setRecipients)
+      .catch((e) => setError(e.message));
+  }, []);
+
+  useEffect(() => {
+    load();
+    apiGet('/products', { type: 'game' })
+      .then(setGames)
+      .catch((e) => console.warn('Failed to load games:', e.message));
+  }, [load]);
+
+  const remove = async (recipient) => {
+    try {
+      await apiRequest(`/account/recipients/${recipient.id}`, { method: 'DELETE' });
+      setRecipients((prev) => prev.filter((r) => r.id !== recipient.id));
+      toast({ title: 'تم حذف المستلم', description: recipient.nickname });
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذر الحذف', description: e.message });
+    }
+  };
+
+  const detail = (recipient) => {
+    if (recipient.kind === 'game') {
+      const game = games.find((g) => g.id === recipient.product_id);
+      return [game?.name, recipient.zone && `${game?.account_rules?.zone_label || 'السيرفر'} ${recipient.zone}`].filter(Boolean).join(' — ');
+    }
+    return recipient.kind === 'wallet' ? recipient.network : null;
+  };
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="text-xl font-bold">المستلمون المحفوظون</CardTitle>
+            <CardDescription className="mt-1">معرّفات اللاعبين وأرقام الجوال وعناوين المحافظ التي تشحن لها باستمرار.</CardDescription>
+          </div>
+          <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={() => setAdding(true)}>
+            <Plus className="w-4 h-4" />
+            إضافة
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        {!recipients ? (
+          !error && <Skeleton className="h-32 rounded-xl" />
+        ) : recipients.length === 0 ? (
+          <p className="text-center text-gray-500 py-12">لم تحفظ أي مستلم بعد.</p>
+        ) : (
+          <ul className="divide-y border rounded-xl">
+            {recipients.map((recipient) => {
+              const Icon = kindIcons[recipient.kind] || Wallet;
+              return (
+                <li key={recipient.id} className="flex items-center justify-between gap-4 p-4">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <div className="w-10 h-10 rounded-xl bg-yellow-100 flex items-center justify-center flex-shrink-0">
+                      <Icon className="w-5 h-5 text-yellow-700" />
+                    </div>
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-semibold text-gray-900">{recipient.nickname}</span>
+                        <Badge variant="outline">{recipientKindLabels[recipient.kind]}</Badge>
+                      </div>
+                      <div className="text-sm text-gray-600 font-mono truncate" dir="ltr">{recipient.value}</div>
+                      {detail(recipient) && <div className="text-xs text-gray-500">{detail(recipient)}</div>}
+                    </div>
+                  </div>
+                  <Button variant="ghost" size="sm" onClick={() => remove(recipient)} aria-label={`حذف ${recipient.nickname}`}>
+                    <Trash2 className="w-4 h-4 text-red-600" />
+                  </Button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardContent>
+      <AddRecipientDialog
+        open={adding}
+        onOpenChange={setAdding}
+        games={games}
+        onAdded={(saved) => {
+          setRecipients((prev) => [saved, ...(prev || [])]);
+          setAdding(false);
+          toast({ title: 'تم حفظ المستلم', description: saved.nickname });
+        }}
+      />
+    </Card>
+  );
+};
+
+export default RecipientsPanel;
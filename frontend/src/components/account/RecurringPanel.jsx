@@ -0,0 +1,408 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Plus, Pencil, Pause, Play, Trash2, Repeat, AlertCircle, AlertTriangle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../ui/dialog';
+import {
+  AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription,
+  AlertDialogFooter, AlertDialogHeader, AlertDialogTitle,
+} from '../ui/alert-dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Skeleton } from '../ui/skeleton';
+import { toast } from '../../hooks/use-toast';
+import { apiGet, apiPost, apiRequest } from '../../lib/api';
+import { formatDateTime, formatPrice } from '../../lib/format';
+import { needsZone, validateAccountId } from '../../lib/accountRules';
+import { productTypeLabels } from '../../lib/suppliers';
+import {
+  RECURRING_MAX_DAY_OF_MONTH, RECURRING_MAX_INTERVAL_DAYS, RECURRING_PRODUCT_TYPES, emptyRecurringForm,
+  frequencyLabels, recurringFromForm, recurringStatusLabels, recurringToForm, scheduleLabel,
+} from '../../lib/recurring';
+
+// Creates a schedule, or edits `schedule`
+const RecurringDialog = ({ open, schedule, products, onOpenChange, onSaved }) => {
+  const [form, setForm] = useState(emptyRecurringForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setForm(schedule ? recurringToForm(schedule) : emptyRecurringForm);
+      setError(null);
+    }
+  }, [open, schedule]);
+
+  const update = (changes) => setForm((current) => ({ ...current, ...changes }));
+  const product = products.find((p) => p.id === form.product_id);
+  const option = product?.denominations.find((d) => d.sku === form.sku);
+  const rules = product?.account_rules || {};
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const invalid = product?.type === 'game' && validateAccountId(rules, form.player_id, form.zone);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    try {
+      const body = recurringFromForm(form, product);
+      onSaved(schedule
+        ? await apiRequest(`/account/recurring/${schedule.id}`, { method: 'PUT', body })
+        : await apiPost('/account/recurring', body));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent dir="rtl" className="max-h-[90vh] overflow-y-auto">
+        <form onSubmit={submit} className="space-y-4">
+          <DialogHeader className="text-right sm:text-right">
+            <DialogTitle>{schedule ? 'تعديل الشحن التلقائي' : 'شحن تلقائي جديد'}</DialogTitle>
+            <DialogDescription>نطلبه في موعده ونخصم ثمنه من رصيد محفظتك، ونرسل لك رسالة قبل الخصم وبعده.</DialogDescription>
+          </DialogHeader>
+
+          <div>
+            <Label htmlFor="recurring-product">المنتج</Label>
+            <Select value={form.product_id} onValueChange={(product_id) => update({ product_id, sku: '', zone: '' })} dir="rtl">
+              <SelectTrigger id="recurring-product" className="mt-2">
+                <SelectValue placeholder="اختر المنتج" />
+              </SelectTrigger>
+              <SelectContent>
+                {products.map((p) => (
+                  <SelectItem key={p.id} value={p.id}>{p.name} ({productTypeLabels[p.type] || p.type})</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {product && (
+            <div>
+              <Label htmlFor="recurring-sku">الفئة</Label>
+              <Select value={form.sku} onValueChange={(sku) => update({ sku })} dir="rtl">
+                <SelectTrigger id="recurring-sku" className="mt-2">
+                  <SelectValue placeholder="اختر الفئة" />
+                </SelectTrigger>
+                <SelectContent>
+                  {product.denominations.map((d) => (
+                    <SelectItem key={d.sku} value={d.sku}>{d.label} — {formatPrice(d.price)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {['credit', 'bundle'].includes(product?.type) && (
+            <div>
+              <Label htmlFor="recurring-phone">رقم الجوال</Label>
+              <Input
+                id="recurring-phone"
+                type="tel"
+                dir="ltr"
+                placeholder="+967 7XX XXX XXX"
+                value={form.phone}
+                onChange={(e) => update({ phone: e.target.value })}
+                className="mt-2"
+              />
+            </div>
+          )}
+
+          {product?.type === 'game' && (
+            <>
+              <div>
+                <Label htmlFor="recurring-player">{rules.label || 'معرّف اللاعب'}</Label>
+                <Input
+                  id="recurring-player"
+                  dir="ltr"
+                  inputMode={rules.numeric ? 'numeric' : 'text'}
+                  placeholder={rules.placeholder}
+                  maxLength={rules.max_length}
+                  value={form.player_id}
+                  onChange={(e) => update({ player_id: e.target.value })}
+                  className="mt-2"
+                />
+              </div>
+              {needsZone(rules) && (
+                <div>
+                  <Label htmlFor="recurring-zone">{rules.zone_label || 'السيرفر'}</Label>
+                  {rules.zones && rules.zones.length > 0 ? (
+                    <Select value={form.zone} onValueChange={(zone) => update({ zone })} dir="rtl">
+                      <SelectTrigger id="recurring-zone" className="mt-2">
+                        <SelectValue placeholder="اختر السيرفر" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {rules.zones.map((z) => <SelectItem key={z} value={z}>{z}</SelectItem>)}
+                      </SelectContent>
+                    </Select>
+                  ) : (
+                    <Input
+                      id="recurring-zone"
+                      dir="ltr"
+                      inputMode="numeric"
+                      value={form.zone}
+                      onChange={(e) => update({ zone: e.target.value })}
+                      className="mt-2"
+                    />
+                  )}
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="grid sm:grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="recurring-frequency">التكرار</Label>
+              <Select value={form.frequency} onValueChange={(frequency) => update({ frequency })} dir="rtl">
+                <SelectTrigger id="recurring-frequency" className="mt-2">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(frequencyLabels).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {form.frequency === 'monthly' ? (
+              <div>
+                <Label htmlFor="recurring-day">يوم الشهر</Label>
+                <Input
+                  id="recurring-day"
+                  type="number"
+                  min={1}
+                  max={RECURRING_MAX_DAY_OF_MONTH}
+                  dir="ltr"
+                  value={form.day_of_month}
+                  onChange={(e) => update({ day_of_month: e.target.value })}
+                  className="mt-2"
+                />
+              </div>
+            ) : (
+              <div>
+                <Label htmlFor="recurring-interval">كل (يوم)</Label>
+                <Input
+                  id="recurring-interval"
+                  type="number"
+                  min={1}
+                  max={RECURRING_MAX_INTERVAL_DAYS}
+                  dir="ltr"
+                  value={form.interval_days}
+                  onChange={(e) => update({ interval_days: e.target.value })}
+                  className="mt-2"
+                />
+              </div>
+            )}
+          </div>
+
+          <div>
+            <Label htmlFor="recurring-quantity">الكمية</Label>
+            <Input
+              id="recurring-quantity"
+              type="number"
+              min={1}
+              max={product?.max_quantity}
+              dir="ltr"
+              value={form.quantity}
+              onChange={(e) => update({ quantity: e.target.value })}
+              className="mt-2 w-28"
+            />
+          </div>
+
+          <div className="bg-gray-50 rounded-xl p-4 text-sm text-gray-600">
+            الدفع من رصيد المحفظة
+            {option && <> — {formatPrice(option.price * Number(form.quantity || 0))} في كل مرة بسعر يوم التنفيذ</>}
+          </div>
+
+          {error && (
+            <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+              <AlertCircle className="w-5 h-5 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+          <DialogFooter>
+            <Button type="submit" className="bg-yellow-500 hover:bg-yellow-600" disabled={!option || submitting}>
+              {submitting ? 'جاري الحفظ...' : 'حفظ'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+// Recurring top-ups paid from store credit: what runs when, with pause, edit and cancel
+const RecurringPanel = () => {
+  const [schedules, setSchedules] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // a schedule, or 'new'
+  const [cancelling, setCancelling] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const load = useCallback(() => {
+    apiGet('/account/recurring')
+      .then(setSchedules)
+      .catch((e) => setError(e.message));
+  }, []);
+
+  useEffect(() => {
+    load();
+    apiGet('/products', { type: RECURRING_PRODUCT_TYPES.join(',') })
+      .then(setProducts)
+      .catch((e) => console.warn('Failed to load products:', e.message));
+  }, [load]);
+
+  const replace = (saved) => setSchedules((prev) => (
+    prev.some((s) => s.id === saved.id) ? prev.map((s) => (s.id === saved.id ? saved : s)) : [...prev, saved]
+  ));
+
+  const setPaused = async (schedule, paused) => {
+    setBusyId(schedule.id);
+    try {
+      replace(await apiPost(`/account/recurring/${schedule.id}/${paused ? 'pause' : 'resume'}`));
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذر تحديث الجدولة', description: e.message });
+      load();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const cancel = async () => {
+    const schedule = cancelling;
+    setCancelling(null);
+    try {
+      await apiRequest(`/account/recurring/${schedule.id}`, { method: 'DELETE' });
+      setSchedules((prev) => prev.filter((s) => s.id !== schedule.id));
+      toast({ title: 'تم إلغاء الشحن التلقائي', description: `${schedule.name} ${schedule.label}` });
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذر الإلغاء', description: e.message });
+    }
+  };
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="text-xl font-bold flex items-center gap-2">
+              <Repeat className="w-5 h-5 text-yellow-600" />
+              الشحن التلقائي
+            </CardTitle>
+            <CardDescription className="mt-1">
+              اشحن الرقم أو الاشتراك نفسه تلقائياً من رصيد <Link to="/wallet" className="text-yellow-700 hover:underline">محفظتك</Link>،
+              وإن لم يكفِ الرصيد نعيد المحاولة وننبهك برسالة.
+            </CardDescription>
+          </div>
+          <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={() => setEditing('new')}>
+            <Plus className="w-4 h-4" />
+            جدولة
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        {!schedules ? (
+          !error && <Skeleton className="h-32 rounded-xl" />
+        ) : schedules.length === 0 ? (
+          <p className="text-center text-gray-500 py-12">لا توجد عمليات شحن تلقائي بعد.</p>
+        ) : (
+          <ul className="divide-y border rounded-xl">
+            {schedules.map((schedule) => {
+              const status = recurringStatusLabels[schedule.status];
+              const recipient = schedule.recipient.phone || schedule.recipient.player_id;
+              return (
+                <li key={schedule.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4">
+                  <div className="min-w-0 space-y-1">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="font-semibold text-gray-900">{schedule.name} — {schedule.label}</span>
+                      {schedule.quantity > 1 && <span className="text-sm text-gray-500">× {schedule.quantity}</span>}
+                      <Badge className={status?.tone}>{status?.label || schedule.status}</Badge>
+                    </div>
+                    {recipient && <div className="text-sm text-gray-600 font-mono" dir="ltr">{recipient}</div>}
+                    <div className="text-xs text-gray-500">
+                      {scheduleLabel(schedule)}
+                      {schedule.next_run_at && ` — القادم: ${formatDateTime(schedule.next_run_at)}`}
+                      {schedule.last_order_id && (
+                        <> — <Link to={`/orders/${schedule.last_order_id}`} className="text-yellow-700 hover:underline">آخر طلب</Link></>
+                      )}
+                    </div>
+                    {schedule.last_error && (
+                      <div className="text-xs text-red-600">
+                        آخر محاولة لم تنجح: {schedule.last_error}
+                        {schedule.attempts > 0 && ' — سنعيد المحاولة تلقائياً'}
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex gap-2">
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => setPaused(schedule, schedule.status === 'active')}
+                      disabled={busyId === schedule.id}
+                      aria-label={schedule.status === 'active' ? 'إيقاف مؤقت' : 'استئناف'}
+                    >
+                      {schedule.status === 'active' ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                    </Button>
+                    <Button size="sm" variant="outline" onClick={() => setEditing(schedule)} aria-label="تعديل">
+                      <Pencil className="w-4 h-4" />
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => setCancelling(schedule)} aria-label="إلغاء الجدولة">
+                      <Trash2 className="w-4 h-4 text-red-600" />
+                    </Button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardContent>
+
+      <RecurringDialog
+        open={Boolean(editing)}
+        schedule={editing === 'new' ? null : editing}
+        products={products}
+        onOpenChange={(open) => !open && setEditing(null)}
+        onSaved={(saved) => {
+          toast({ title: editing === 'new' ? 'تمت جدولة الشحن' : 'تم حفظ التعديلات', description: `${saved.name} ${saved.label}` });
+          replace(saved);
+          setEditing(null);
+        }}
+      />
+
+      <AlertDialog open={Boolean(cancelling)} onOpenChange={(open) => !open && setCancelling(null)}>
+        <AlertDialogContent dir="rtl">
+          <AlertDialogHeader className="text-right sm:text-right">
+            <AlertDialogTitle className="flex items-center gap-2">
+              <AlertTriangle className="w-5 h-5 text-red-600" />
+              إلغاء الشحن التلقائي؟
+            </AlertDialogTitle>
+            <AlertDialogDescription>
+              لن نطلب {cancelling?.name} {cancelling?.label} مجدداً. للتوقف مؤقتاً استخدم الإيقاف بدلاً من ذلك.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter className="gap-2">
+            <AlertDialogCancel>تراجع</AlertDialogCancel>
+            <AlertDialogAction className="bg-red-600 hover:bg-red-700" onClick={cancel}>إلغاء الجدولة</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+};
+
+export default RecurringPanel;
@@ -0,0 +1,106 @@
+import React, { useEffect, useState } from 'react';
+import { Gift, MessageCircle, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { Skeleton } from '../ui/skeleton';
+import CopyableValue from '../partners/CopyableValue';
+import { apiGet } from '../../lib/api';
+import { formatDateTime, formatNumber, formatPrice, whatsappShareLink } from '../../lib/format';
+import { referralLink, referralMessage, referralStatusLabels } from '../../lib/referrals';
+
+const Stat = ({ label, value }) => (
+  <div className="bg-gray-50 rounded-xl p-4 text-center">
+    <div className="text-2xl font-bold text-gray-900">{value}</div>
+    <div className="text-sm text-gray-500">{label}</div>
+  </div>
+);
+
+// The customer's referral link, a WhatsApp share button, and the friends who signed up through it
+const ReferralsPanel = () => {
+  const [dashboard, setDashboard] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiGet('/account/referrals')
+      .then(setDashboard)
+      .catch((e) => setError(e.message));
+  }, []);
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <CardTitle className="text-xl font-bold flex items-center gap-2">
+          <Gift className="w-5 h-5 text-yellow-600" />
+          ادعُ أصدقاءك
+        </CardTitle>
+        <CardDescription>
+          {dashboard
+            ? `شارك رابطك، وحين يُدفع أول طلب لصديق سجّل من خلاله يحصل كل منكما على ${formatPrice(dashboard.reward_amount)} في المحفظة.`
+            : 'شارك رابطك واحصل على رصيد في محفظتك مع كل صديق يطلب لأول مرة.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {error && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        {!dashboard ? (
+          !error && <Skeleton className="h-48 rounded-xl" />
+        ) : (
+          <>
+            <div className="space-y-3">
+              <div>
+                <div className="text-sm font-medium">رابط الدعوة</div>
+                <CopyableValue value={referralLink(dashboard.code)} label="رابط الدعوة" />
+              </div>
+              <div className="text-sm text-gray-500">
+                أو كود الدعوة: <span className="font-mono font-semibold text-gray-900" dir="ltr">{dashboard.code}</span>
+              </div>
+              <a
+                href={whatsappShareLink(referralMessage(dashboard.code, dashboard.reward_amount))}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center justify-center gap-2 bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+              >
+                <MessageCircle className="w-4 h-4" />
+                شارك عبر واتساب
+              </a>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3">
+              <Stat label="سجّلوا برابطك" value={formatNumber(dashboard.invited)} />
+              <Stat label="أتموا أول طلب" value={formatNumber(dashboard.rewarded)} />
+              <Stat label="ربحت" value={formatPrice(dashboard.earned)} />
+            </div>
+
+            {dashboard.referrals.length === 0 ? (
+              <p className="text-center text-gray-500 py-4">لم يسجّل أحد برابطك بعد.</p>
+            ) : (
+              <ul className="divide-y border rounded-xl">
+                {dashboard.referrals.map((referral) => {
+                  const status = referralStatusLabels[referral.status];
+                  return (
+                    <li key={referral.id} className="flex items-center justify-between gap-4 p-4">
+                      <div>
+                        <div className="font-semibold text-gray-900" dir="auto">{referral.referee}</div>
+                        <div className="text-xs text-gray-500">
+                          سجّل في {formatDateTime(referral.created_at)}
+                          {referral.rewarded_at && ` — كوفئ في ${formatDateTime(referral.rewarded_at)}`}
+                        </div>
+                      </div>
+                      <Badge className={status?.tone}>{status?.label || referral.status}</Badge>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ReferralsPanel;
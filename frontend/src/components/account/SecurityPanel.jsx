@@ -0,0 +1,119 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { MonitorSmartphone, LogOut, ShieldOff, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Skeleton } from '../ui/skeleton';
+import { useAuth } from '../../context/AuthContext';
+import { toast } from '../../hooks/use-toast';
+import { apiGet, apiPost, apiRequest } from '../../lib/api';
+import { deviceLabel } from '../../lib/account';
+import { formatDateTime } from '../../lib/format';
+
+// Signed-in devices (server sessions) with per-device and "everywhere else" sign-out
+const SecurityPanel = () => {
+  const { signOut } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(() => {
+    apiGet('/account/sessions')
+      .then(setSessions)
+      .catch((e) => setError(e.message));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const revoke = async (session) => {
+    try {
+      await apiRequest(`/account/sessions/${session.id}`, { method: 'DELETE' });
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذر إنهاء الجلسة', description: e.message });
+    }
+  };
+
+  const revokeOthers = async () => {
+    setBusy(true);
+    try {
+      await apiPost('/account/sessions/revoke-others');
+      setSessions((prev) => prev.filter((s) => s.current));
+      toast({ title: 'تم تسجيل الخروج من الأجهزة الأخرى' });
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذر إنهاء الجلسات', description: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const signOutHere = async () => {
+    await signOut();
+    navigate('/', { replace: true });
+  };
+
+  const others = (sessions || []).filter((s) => !s.current);
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <CardTitle className="text-xl font-bold">الأمان</CardTitle>
+        <CardDescription>
+          الأجهزة التي سجّلت الدخول منها. إن لم تتعرف على جهاز فأنهِ جلسته فوراً.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {error && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        {!sessions ? (
+          !error && <Skeleton className="h-32 rounded-xl" />
+        ) : (
+          <ul className="divide-y border rounded-xl">
+            {sessions.map((session) => (
+              <li key={session.id} className="flex items-center justify-between gap-4 p-4">
+                <div className="flex items-center gap-3">
+                  <MonitorSmartphone className="w-5 h-5 text-gray-500 flex-shrink-0" />
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className="font-semibold text-gray-900">{deviceLabel(session.user_agent)}</span>
+                      {session.current && <Badge className="bg-green-100 text-green-800 hover:bg-green-100">هذا الجهاز</Badge>}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      تسجيل الدخول: {formatDateTime(session.created_at)}
+                      {session.ip && <> — <span dir="ltr">{session.ip}</span></>}
+                    </div>
+                  </div>
+                </div>
+                {!session.current && (
+                  <Button variant="ghost" size="sm" onClick={() => revoke(session)}>
+                    إنهاء
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex flex-wrap gap-3">
+          <Button variant="outline" onClick={revokeOthers} disabled={busy || others.length === 0}>
+            <ShieldOff className="w-4 h-4" />
+            تسجيل الخروج من الأجهزة الأخرى
+          </Button>
+          <Button variant="destructive" onClick={signOutHere}>
+            <LogOut className="w-4 h-4" />
+            تسجيل الخروج
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SecurityPanel;
@@ -0,0 +1,136 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Send, RefreshCw, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Textarea } from '../ui/textarea';
+import { Skeleton } from '../ui/skeleton';
+import { adminRequest } from '../../lib/admin';
+import { formatDateTime } from '../../lib/format';
+import { isCodeItem, statusLabels } from '../../lib/orders';
+
+const CodeItemForm = ({ order, index, onDelivered }) => {
+  const item = order.items[index];
+  const [text, setText] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const codes = text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const updated = await adminRequest(`/admin/orders/${order.id}/codes`, {
+        method: 'POST',
+        body: { item_index: index, codes },
+      });
+      setText('');
+      onDelivered(updated);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-2">
+      <label htmlFor={`codes-${order.id}-${index}`} className="block text-sm font-medium text-gray-900">
+        {item.name} ({item.label}) × {item.quantity}
+      </label>
+      <Textarea
+        id={`codes-${order.id}-${index}`}
+        dir="ltr"
+        rows={Math.min(item.quantity, 5)}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="كود واحد في كل سطر"
+        className="font-mono"
+      />
+      {error && (
+        <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-3 text-sm" role="alert">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+      <div className="flex justify-end">
+        <Button type="submit" size="sm" className="bg-yellow-500 hover:bg-yellow-600" disabled={busy || codes.length === 0}>
+          <Send className="w-4 h-4" />
+          {busy ? 'جاري التسليم...' : `تسليم ${codes.length || ''} كود`}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// Paid orders waiting for their voucher codes; codes are encrypted by the backend on receipt
+const CodeDeliveryPanel = ({ onUnauthorized }) => {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    setError(null);
+    Promise.all(['paid', 'fulfilling'].map((status) => adminRequest('/admin/orders', { params: { status } })))
+      .then((lists) => setOrders(lists.flat().filter((o) => o.items.some(isCodeItem))))
+      .catch((e) => {
+        if (e.status === 401) onUnauthorized();
+        else setError(e.message);
+      })
+      .finally(() => setLoading(false));
+  }, [onUnauthorized]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const delivered = (updated) => setOrders((prev) =>
+    updated.status === 'delivered' ? prev.filter((o) => o.id !== updated.id) : prev.map((o) => (o.id === updated.id ? updated : o))
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-gray-600">{orders.length} طلب بانتظار تسليم الأكواد</p>
+        <Button variant="outline" size="sm" onClick={load} disabled={loading}>
+          <RefreshCw className="w-4 h-4" />
+          تحديث
+        </Button>
+      </div>
+      {error && (
+        <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+      {loading ? (
+        <Skeleton className="h-48 rounded-2xl" />
+      ) : orders.length === 0 && !error ? (
+        <p className="text-center text-gray-500 py-12">لا توجد طلبات بانتظار التسليم حالياً.</p>
+      ) : (
+        orders.map((order) => (
+          <Card key={order.id} className="bg-white rounded-2xl">
+            <CardHeader>
+              <div className="flex items-center justify-between gap-4">
+                <CardTitle className="text-lg font-bold" dir="ltr">{order.number}</CardTitle>
+                <Badge variant="outline">{statusLabels[order.status]}</Badge>
+              </div>
+              <CardDescription>
+                {order.contact_name} — <span dir="ltr">{order.contact_phone}</span> — {formatDateTime(order.created_at)}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              {order.items.map((item, index) => (isCodeItem(item) && (
+                <CodeItemForm key={`${item.sku}-${index}`} order={order} index={index} onDelivered={delivered} />
+              )))}
+            </CardContent>
+          </Card>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default CodeDeliveryPanel;
@@ -0,0 +1,380 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Plus, Pencil, Pause, Play, RefreshCw, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../ui/dialog';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Checkbox } from '../ui/checkbox';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Skeleton } from '../ui/skeleton';
+import { toast } from '../../hooks/use-toast';
+import { adminRequest } from '../../lib/admin';
+import { formatDateTime, formatNumber, formatPrice } from '../../lib/format';
+import { productTypeLabels } from '../../lib/suppliers';
+import {
+  couponDiscountLabel, couponFromForm, couponKindLabels, couponState, couponToForm, emptyCouponForm,
+} from '../../lib/coupons';
+
+const NumberField = ({ id, label, value, onChange, placeholder }) => (
+  <div>
+    <Label htmlFor={id}>{label}</Label>
+    <Input
+      id={id}
+      type="number"
+      min={0}
+      step="any"
+      dir="ltr"
+      className="mt-2"
+      placeholder={placeholder}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  </div>
+);
+
+// Creates a coupon, or edits `coupon`
+const CouponDialog = ({ open, coupon, products, onOpenChange, onSaved, onUnauthorized }) => {
+  const [form, setForm] = useState(emptyCouponForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setForm(coupon ? couponToForm(coupon) : emptyCouponForm);
+      setError(null);
+    }
+  }, [open, coupon]);
+
+  const set = (field) => (value) => setForm((current) => ({ ...current, [field]: value }));
+  const toggle = (field, id, checked) => setForm((current) => ({
+    ...current,
+    [field]: checked ? [...current[field], id] : current[field].filter((value) => value !== id),
+  }));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const body = couponFromForm(form);
+      onSaved(coupon
+        ? await adminRequest(`/admin/coupons/${coupon.id}`, { method: 'PUT', body })
+        : await adminRequest('/admin/coupons', { method: 'POST', body }));
+    } catch (err) {
+      if (err.status === 401) onUnauthorized();
+      else setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent dir="rtl" className="max-h-[90vh] overflow-y-auto sm:max-w-2xl">
+        <form onSubmit={submit} className="space-y-4">
+          <DialogHeader className="text-right sm:text-right">
+            <DialogTitle>{coupon ? `تعديل ${coupon.code}` : 'كوبون جديد'}</DialogTitle>
+            <DialogDescription>الحقول الاختيارية الفارغة تعني بلا حد.</DialogDescription>
+          </DialogHeader>
+          <div className="grid sm:grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="coupon-code">الكود</Label>
+              <Input
+                id="coupon-code"
+                dir="ltr"
+                className="mt-2 uppercase"
+                maxLength={32}
+                placeholder="EID25"
+                value={form.code}
+                onChange={(e) => set('code')(e.target.value)}
+              />
+            </div>
+            <div>
+              <Label htmlFor="coupon-description">الوصف للعميل (اختياري)</Label>
+              <Input
+                id="coupon-description"
+                className="mt-2"
+                maxLength={120}
+                placeholder="خصم العيد على بطاقات الألعاب"
+                value={form.description}
+                onChange={(e) => set('description')(e.target.value)}
+              />
+            </div>
+            <div>
+              <Label>نوع الخصم</Label>
+              <Select value={form.kind} onValueChange={set('kind')} dir="rtl">
+                <SelectTrigger className="mt-2" aria-label="نوع الخصم">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(couponKindLabels).map(([kind, label]) => (
+                    <SelectItem key={kind} value={kind}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <NumberField
+              id="coupon-value"
+              label={form.kind === 'percent' ? 'النسبة (%)' : 'المبلغ (ريال)'}
+              value={form.value}
+              onChange={set('value')}
+            />
+            {form.kind === 'percent' && (
+              <NumberField id="coupon-cap" label="أقصى خصم بالريال (اختياري)" value={form.max_discount} onChange={set('max_discount')} />
+            )}
+            <NumberField id="coupon-min" label="الحد الأدنى للطلب (اختياري)" value={form.min_subtotal} onChange={set('min_subtotal')} />
+            <NumberField id="coupon-limit" label="عدد الاستخدامات الكلي (اختياري)" value={form.usage_limit} onChange={set('usage_limit')} />
+            <NumberField
+              id="coupon-user-limit"
+              label="الاستخدامات لكل عميل (اختياري)"
+              value={form.per_user_limit}
+              onChange={set('per_user_limit')}
+            />
+            <div>
+              <Label htmlFor="coupon-starts">يبدأ في (اختياري)</Label>
+              <Input
+                id="coupon-starts"
+                type="datetime-local"
+                dir="ltr"
+                className="mt-2"
+                value={form.starts_at}
+                onChange={(e) => set('starts_at')(e.target.value)}
+              />
+            </div>
+            <div>
+              <Label htmlFor="coupon-ends">ينتهي في (اختياري)</Label>
+              <Input
+                id="coupon-ends"
+                type="datetime-local"
+                dir="ltr"
+                className="mt-2"
+                value={form.ends_at}
+                onChange={(e) => set('ends_at')(e.target.value)}
+              />
+            </div>
+          </div>
+          {form.per_user_limit && (
+            <p className="text-sm text-gray-500">الكوبون المحدود لكل عميل يتطلب تسجيل الدخول لاستخدامه.</p>
+          )}
+          <fieldset>
+            <legend className="text-sm font-medium mb-2">يشمل الأقسام</legend>
+            <div className="flex flex-wrap gap-4">
+              {Object.entries(productTypeLabels).map(([type, label]) => (
+                <label key={type} className="flex items-center gap-2 text-sm cursor-pointer">
+                  <Checkbox
+                    checked={form.product_types.includes(type)}
+                    onCheckedChange={(checked) => toggle('product_types', type, checked === true)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          <fieldset>
+            <legend className="text-sm font-medium mb-2">ويشمل المنتجات</legend>
+            <div className="grid sm:grid-cols-2 gap-2 max-h-40 overflow-y-auto border rounded-xl p-3">
+              {products.map((product) => (
+                <label key={product.id} className="flex items-center gap-2 text-sm cursor-pointer">
+                  <Checkbox
+                    checked={form.product_ids.includes(product.id)}
+                    onCheckedChange={(checked) => toggle('product_ids', product.id, checked === true)}
+                  />
+                  {product.name}
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">دون تحديد أقسام أو منتجات يشمل الخصم السلة كلها.</p>
+          </fieldset>
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <Checkbox checked={form.active} onCheckedChange={(checked) => set('active')(checked === true)} />
+            مفعّل
+          </label>
+          {error && (
+            <p className="flex items-center gap-2 text-sm text-red-600" role="alert">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </p>
+          )}
+          <DialogFooter>
+            <Button
+              type="submit"
+              className="bg-yellow-500 hover:bg-yellow-600"
+              disabled={submitting || !form.code.trim() || !(Number(form.value) > 0)}
+            >
+              {submitting ? 'جاري الحفظ...' : 'حفظ'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+// Discount codes shoppers enter in the cart; the backend re-checks every rule when the order is placed
+const CouponsPanel = ({ onUnauthorized }) => {
+  const [coupons, setCoupons] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // {} for a new coupon
+  const [busyId, setBusyId] = useState(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    setError(null);
+    Promise.all([adminRequest('/admin/coupons'), adminRequest('/admin/products')])
+      .then(([couponList, productList]) => {
+        setCoupons(couponList);
+        setProducts(productList);
+      })
+      .catch((e) => {
+        if (e.status === 401) onUnauthorized();
+        else setError(e.message);
+      })
+      .finally(() => setLoading(false));
+  }, [onUnauthorized]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const saved = (coupon) => {
+    setCoupons((list) => (list.some((c) => c.id === coupon.id)
+      ? list.map((c) => (c.id === coupon.id ? coupon : c))
+      : [coupon, ...list]));
+    toast({ title: `تم حفظ الكوبون ${coupon.code}` });
+    setEditing(null);
+  };
+
+  const setActive = async (coupon, active) => {
+    setBusyId(coupon.id);
+    try {
+      const body = couponFromForm({ ...couponToForm(coupon), active });
+      const updated = await adminRequest(`/admin/coupons/${coupon.id}`, { method: 'PUT', body });
+      setCoupons((list) => list.map((c) => (c.id === updated.id ? updated : c)));
+    } catch (e) {
+      if (e.status === 401) onUnauthorized();
+      else toast({ variant: 'destructive', title: 'تعذر تحديث الكوبون', description: e.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const scopeLabel = (coupon) => {
+    const names = [
+      ...coupon.product_types.map((type) => productTypeLabels[type] || type),
+      ...coupon.product_ids.map((id) => products.find((p) => p.id === id)?.name || id),
+    ];
+    return names.length > 0 ? names.join('، ') : 'السلة كلها';
+  };
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="text-lg font-bold">كوبونات الخصم</CardTitle>
+            <CardDescription className="mt-1">
+              لا تُطبق على أسعار الجملة للشركاء. يُحسب الاستخدام عند إنشاء الطلب ويعود إن فشل الطلب أو استُرد مبلغه.
+            </CardDescription>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={load} disabled={loading} aria-label="تحديث الكوبونات">
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            </Button>
+            <Button size="sm" className="bg-yellow-500 hover:bg-yellow-600" onClick={() => setEditing({})}>
+              <Plus className="w-4 h-4" />
+              كوبون جديد
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        {loading && coupons.length === 0 ? (
+          <Skeleton className="h-48 rounded-xl" />
+        ) : coupons.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">لا توجد كوبونات بعد.</p>
+        ) : (
+          <div className="border rounded-xl max-h-[32rem] overflow-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="text-start">الكود</TableHead>
+                  <TableHead className="text-start">الخصم</TableHead>
+                  <TableHead className="text-start">يشمل</TableHead>
+                  <TableHead className="text-start">الشروط</TableHead>
+                  <TableHead className="text-start">الاستخدام</TableHead>
+                  <TableHead className="text-start">الحالة</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {coupons.map((coupon) => {
+                  const state = couponState(coupon);
+                  return (
+                    <TableRow key={coupon.id}>
+                      <TableCell>
+                        <div className="font-mono font-semibold" dir="ltr">{coupon.code}</div>
+                        {coupon.description && <div className="text-xs text-gray-500">{coupon.description}</div>}
+                      </TableCell>
+                      <TableCell className="whitespace-nowrap">{couponDiscountLabel(coupon)}</TableCell>
+                      <TableCell className="text-sm">{scopeLabel(coupon)}</TableCell>
+                      <TableCell className="text-xs text-gray-600 space-y-0.5">
+                        {coupon.min_subtotal > 0 && <div>طلب من {formatPrice(coupon.min_subtotal)}</div>}
+                        {coupon.per_user_limit != null && <div>{formatNumber(coupon.per_user_limit)} لكل عميل</div>}
+                        {coupon.starts_at && <div>من {formatDateTime(coupon.starts_at)}</div>}
+                        {coupon.ends_at && <div>حتى {formatDateTime(coupon.ends_at)}</div>}
+                      </TableCell>
+                      <TableCell className="whitespace-nowrap">
+                        {formatNumber(coupon.used_count)}
+                        {coupon.usage_limit != null && <> / {formatNumber(coupon.usage_limit)}</>}
+                      </TableCell>
+                      <TableCell>
+                        <Badge className={state.tone}>{state.label}</Badge>
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex gap-1">
+                          <Button variant="ghost" size="icon" onClick={() => setEditing(coupon)} aria-label={`تعديل ${coupon.code}`}>
+                            <Pencil className="w-4 h-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => setActive(coupon, !coupon.active)}
+                            disabled={busyId === coupon.id}
+                            aria-label={coupon.active ? `إيقاف ${coupon.code}` : `تفعيل ${coupon.code}`}
+                          >
+                            {coupon.active ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                          </Button>
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+      <CouponDialog
+        open={Boolean(editing)}
+        coupon={editing?.id ? editing : null}
+        products={products}
+        onOpenChange={(open) => !open && setEditing(null)}
+        onSaved={saved}
+        onUnauthorized={onUnauthorized}
+      />
+    </Card>
+  );
+};
+
+export default CouponsPanel;
@@ -0,0 +1,180 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { RefreshCw, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Skeleton } from '../ui/skeleton';
+import { toast } from '../../hooks/use-toast';
+import { adminRequest } from '../../lib/admin';
+import { apiGet } from '../../lib/api';
+import { BASE_CURRENCY, formatDateTime, formatNumber } from '../../lib/format';
+
+const RateForm = ({ rate, onSaved, onUnauthorized }) => {
+  const [value, setValue] = useState(String(rate.rate));
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const amount = Number(value);
+  const valid = Number.isFinite(amount) && amount > 0 && amount !== rate.rate;
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await adminRequest(`/admin/exchange-rates/${rate.currency}`, {
+        method: 'PUT',
+        body: { rate: amount, note: note.trim() || undefined },
+      });
+      toast({ title: `تم تحديث سعر ${rate.name}` });
+      setNote('');
+      onSaved();
+    } catch (err) {
+      if (err.status === 401) onUnauthorized();
+      else toast({ variant: 'destructive', title: 'تعذر تحديث السعر', description: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="flex flex-col sm:flex-row sm:items-center gap-3 p-4">
+      <div className="min-w-[10rem]">
+        <div className="font-semibold text-gray-900">{rate.name}</div>
+        <div className="text-xs text-gray-500">آخر تحديث: {formatDateTime(rate.updated_at)}</div>
+      </div>
+      <div className="flex items-center gap-2 text-sm text-gray-600" dir="ltr">
+        <span>1 {rate.currency} =</span>
+        <Input
+          type="number"
+          min={0}
+          step="any"
+          className="w-28"
+          aria-label={`سعر ${rate.name} بالعملة الأساسية`}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+        />
+        <span>{BASE_CURRENCY}</span>
+      </div>
+      <Input
+        className="flex-1"
+        maxLength={200}
+        placeholder="سبب التغيير (اختياري)"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+      />
+      <Button type="submit" className="bg-yellow-500 hover:bg-yellow-600" disabled={!valid || saving}>
+        {saving ? 'جاري الحفظ...' : 'حفظ'}
+      </Button>
+    </form>
+  );
+};
+
+// Exchange rates against the base currency, used to show prices and fix what checkout charges
+const ExchangeRatesPanel = ({ onUnauthorized }) => {
+  const [rates, setRates] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    setError(null);
+    Promise.all([apiGet('/currencies'), adminRequest('/admin/exchange-rates/history')])
+      .then(([rateList, changes]) => {
+        setRates(rateList);
+        setHistory(changes);
+      })
+      .catch((e) => {
+        if (e.status === 401) onUnauthorized();
+        else setError(e.message);
+      })
+      .finally(() => setLoading(false));
+  }, [onUnauthorized]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const nameOf = (currency) => rates.find((rate) => rate.currency === currency)?.name || currency;
+
+  return (
+    <div className="space-y-6">
+      <Card className="bg-white rounded-2xl">
+        <CardHeader>
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <CardTitle className="text-lg font-bold">أسعار الصرف</CardTitle>
+              <CardDescription className="mt-1">
+                الأسعار في المتجر بالريال اليمني. يسري السعر الجديد على الطلبات التي تُنشأ بعده، والطلبات السابقة تحتفظ بسعرها.
+              </CardDescription>
+            </div>
+            <Button variant="outline" size="sm" onClick={load} disabled={loading} aria-label="تحديث الأسعار">
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {error && (
+            <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+              <AlertCircle className="w-5 h-5 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+          {loading && rates.length === 0 ? (
+            <Skeleton className="h-32 rounded-xl" />
+          ) : (
+            <ul className="divide-y border rounded-xl">
+              {rates.filter((rate) => rate.currency !== BASE_CURRENCY).map((rate) => (
+                <li key={`${rate.currency}-${rate.updated_at}`}>
+                  <RateForm rate={rate} onSaved={load} onUnauthorized={onUnauthorized} />
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="bg-white rounded-2xl">
+        <CardHeader>
+          <CardTitle className="text-lg font-bold">سجل التغييرات</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {history.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">لم تتغير الأسعار بعد.</p>
+          ) : (
+            <div className="border rounded-xl max-h-[28rem] overflow-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="text-start">الوقت</TableHead>
+                    <TableHead className="text-start">العملة</TableHead>
+                    <TableHead className="text-start">السعر</TableHead>
+                    <TableHead className="text-start">السبب</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {history.map((change) => (
+                    <TableRow key={change.id}>
+                      <TableCell className="whitespace-nowrap">{formatDateTime(change.changed_at)}</TableCell>
+                      <TableCell>
+                        {nameOf(change.currency)} <Badge variant="outline" className="ms-1">{change.currency}</Badge>
+                      </TableCell>
+                      <TableCell dir="ltr" className="text-end">
+                        {formatNumber(change.previous_rate)} → <span className="font-semibold">{formatNumber(change.rate)}</span>
+                      </TableCell>
+                      <TableCell className="text-gray-600">{change.note || '—'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default ExchangeRatesPanel;
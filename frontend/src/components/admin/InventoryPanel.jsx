@@ -0,0 +1,284 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Download, RefreshCw, Upload, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Skeleton } from '../ui/skeleton';
+import { toast } from '../../hooks/use-toast';
+import { adminRequest } from '../../lib/admin';
+import { formatNumber } from '../../lib/format';
+import {
+  INVENTORY_FILE_TYPES, INVENTORY_IMPORT_MAX_ROWS, importStatuses, inventoryTemplate, readInventoryFile,
+} from '../../lib/inventory';
+
+const downloadTemplate = () => {
+  const url = URL.createObjectURL(new Blob([inventoryTemplate()], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'inventory-template.csv';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const ErrorBox = ({ message }) => (
+  <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+    <AlertCircle className="w-5 h-5 flex-shrink-0" />
+    <span>{message}</span>
+  </div>
+);
+
+// Saved on blur or Enter; the alert opens once available stock is at or below the threshold
+const ThresholdInput = ({ entry, onSave, disabled }) => {
+  const [value, setValue] = useState(String(entry.threshold));
+
+  useEffect(() => {
+    setValue(String(entry.threshold));
+  }, [entry.threshold]);
+
+  const save = () => {
+    const threshold = Number(value);
+    if (!Number.isInteger(threshold) || threshold < 0) setValue(String(entry.threshold));
+    else if (threshold !== entry.threshold) onSave(entry, threshold);
+  };
+
+  return (
+    <Input
+      type="number"
+      min={0}
+      dir="ltr"
+      className="w-24"
+      aria-label={`حد التنبيه لـ ${entry.name} ${entry.label}`}
+      value={value}
+      disabled={disabled}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={save}
+      onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+    />
+  );
+};
+
+// Checked rows of the chosen file: codes are shown by their last four characters only
+const PreviewTable = ({ rows }) => (
+  <div className="border rounded-xl max-h-[24rem] overflow-auto">
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead className="text-start">الصف</TableHead>
+          <TableHead className="text-start">رمز المنتج</TableHead>
+          <TableHead className="text-start">الكود</TableHead>
+          <TableHead className="text-start">النتيجة</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {rows.map((row) => (
+          <TableRow key={row.row}>
+            <TableCell>{row.row}</TableCell>
+            <TableCell className="font-mono text-xs" dir="ltr">{row.sku}</TableCell>
+            <TableCell className="font-mono text-xs" dir="ltr">{row.last4 ? `••••${row.last4}` : '—'}</TableCell>
+            <TableCell>
+              <Badge className={importStatuses[row.status].tone}>{importStatuses[row.status].label}</Badge>
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  </div>
+);
+
+// Our own stock of card and subscription codes: levels per denomination and bulk import from a file
+const InventoryPanel = ({ onUnauthorized }) => {
+  const [stock, setStock] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyKey, setBusyKey] = useState(null);
+  const [fileName, setFileName] = useState(null);
+  const [fileRows, setFileRows] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const fileInput = useRef(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    setError(null);
+    adminRequest('/admin/inventory')
+      .then(setStock)
+      .catch((e) => {
+        if (e.status === 401) onUnauthorized();
+        else setError(e.message);
+      })
+      .finally(() => setLoading(false));
+  }, [onUnauthorized]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const saveThreshold = async (entry, threshold) => {
+    const key = `${entry.product_id}:${entry.sku}`;
+    setBusyKey(key);
+    try {
+      const saved = await adminRequest('/admin/inventory/thresholds', {
+        method: 'PUT',
+        body: { product_id: entry.product_id, sku: entry.sku, threshold },
+      });
+      setStock((list) => list.map((item) => (`${item.product_id}:${item.sku}` === key ? saved : item)));
+    } catch (e) {
+      if (e.status === 401) onUnauthorized();
+      else toast({ variant: 'destructive', title: 'تعذر حفظ حد التنبيه', description: e.message });
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const chooseFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setFileName(file.name);
+    setFileRows(null);
+    setPreview(null);
+    setFileError(null);
+    try {
+      const rows = await readInventoryFile(file);
+      if (rows.length === 0) {
+        setFileError('الملف لا يحتوي على أي كود');
+        return;
+      }
+      if (rows.length > INVENTORY_IMPORT_MAX_ROWS) {
+        setFileError(`الحد الأقصى ${formatNumber(INVENTORY_IMPORT_MAX_ROWS)} كود في الملف الواحد`);
+        return;
+      }
+      setPreview(await adminRequest('/admin/inventory/import', { method: 'POST', body: { rows, dry_run: true } }));
+      setFileRows(rows);
+    } catch (err) {
+      if (err.status === 401) onUnauthorized();
+      else setFileError(err.message || 'تعذر قراءة الملف، تأكد من أنه ملف CSV صالح');
+    }
+  };
+
+  const confirmImport = async () => {
+    setImporting(true);
+    try {
+      const result = await adminRequest('/admin/inventory/import', { method: 'POST', body: { rows: fileRows, dry_run: false } });
+      toast({ title: `تم استيراد ${formatNumber(result.imported)} كود` });
+      setFileName(null);
+      setFileRows(null);
+      setPreview(null);
+      load();
+    } catch (e) {
+      if (e.status === 401) onUnauthorized();
+      else toast({ variant: 'destructive', title: 'تعذر الاستيراد', description: e.message });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const newCount = preview ? preview.rows.filter((row) => row.status === 'new').length : 0;
+  const skipped = preview ? preview.rows.length - newCount : 0;
+
+  return (
+    <div className="space-y-6">
+      <Card className="bg-white rounded-2xl">
+        <CardHeader>
+          <CardTitle className="text-lg font-bold">استيراد أكواد</CardTitle>
+          <CardDescription>
+            ملف CSV بعمودي رمز المنتج (sku) والكود (code)، حتى {formatNumber(INVENTORY_IMPORT_MAX_ROWS)} كود.
+            نقارن كل كود بالملف نفسه وبكل ما استوردناه من قبل، ولا يُحفظ إلا الجديد.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex flex-wrap gap-3">
+            <input ref={fileInput} type="file" accept={INVENTORY_FILE_TYPES} onChange={chooseFile} className="hidden" />
+            <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={() => fileInput.current.click()} disabled={importing}>
+              <Upload className="w-4 h-4" />
+              {preview ? 'رفع ملف آخر' : 'اختيار الملف'}
+            </Button>
+            <Button variant="outline" onClick={downloadTemplate}>
+              <Download className="w-4 h-4" />
+              تنزيل نموذج
+            </Button>
+          </div>
+          {fileName && <p className="text-sm text-gray-500" dir="ltr">{fileName}</p>}
+          {fileError && <ErrorBox message={fileError} />}
+          {preview && (
+            <>
+              <p className="text-gray-700">
+                {formatNumber(newCount)} كود جديد
+                {skipped > 0 && <> — سيُتجاهل {formatNumber(skipped)} صف</>}
+              </p>
+              <PreviewTable rows={preview.rows} />
+              <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={confirmImport} disabled={importing || newCount === 0}>
+                {importing ? 'جاري الاستيراد...' : `استيراد ${formatNumber(newCount)} كود`}
+              </Button>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="bg-white rounded-2xl">
+        <CardHeader>
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <CardTitle className="text-lg font-bold">المخزون لكل فئة</CardTitle>
+              <CardDescription className="mt-1">
+                تُحجز الأكواد عند إنشاء الطلب وتعود إلى المخزون إن لم يُدفع خلال 30 دقيقة. تُباع الفئة من المخزون حين يكون مورد المنتج «مخزون الأكواد» من تبويب الموردين.
+              </CardDescription>
+            </div>
+            <Button variant="outline" size="sm" onClick={load} disabled={loading} aria-label="تحديث المخزون">
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {error && <ErrorBox message={error} />}
+          {loading && stock.length === 0 ? (
+            <Skeleton className="h-48 rounded-xl" />
+          ) : (
+            <div className="border rounded-xl max-h-[32rem] overflow-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="text-start">المنتج</TableHead>
+                    <TableHead className="text-start">الفئة</TableHead>
+                    <TableHead className="text-start">متوفر</TableHead>
+                    <TableHead className="text-start">محجوز</TableHead>
+                    <TableHead className="text-start">مباع</TableHead>
+                    <TableHead className="text-start">حد التنبيه</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {stock.map((entry) => (
+                    <TableRow key={`${entry.product_id}:${entry.sku}`}>
+                      <TableCell>
+                        {entry.name}
+                        {entry.supplier !== 'inventory' && <Badge variant="outline" className="ms-2">لا يُباع من المخزون</Badge>}
+                      </TableCell>
+                      <TableCell><span dir="ltr">{entry.label}</span></TableCell>
+                      <TableCell>
+                        <span className={entry.low ? 'font-bold text-red-600' : ''}>{formatNumber(entry.available)}</span>
+                      </TableCell>
+                      <TableCell>{formatNumber(entry.reserved)}</TableCell>
+                      <TableCell>{formatNumber(entry.sold)}</TableCell>
+                      <TableCell>
+                        <ThresholdInput
+                          entry={entry}
+                          onSave={saveThreshold}
+                          disabled={busyKey === `${entry.product_id}:${entry.sku}`}
+                        />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default InventoryPanel;
@@ -0,0 +1,38 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { adminRequest } from '../../lib/admin';
+import { formatNumber } from '../../lib/format';
+
+// Open low-stock alerts above the admin tabs; `refreshKey` reloads them after switching tabs
+const LowStockAlerts = ({ refreshKey, onUnauthorized }) => {
+  const [alerts, setAlerts] = useState([]);
+
+  useEffect(() => {
+    adminRequest('/admin/inventory/alerts')
+      .then(setAlerts)
+      .catch((e) => {
+        if (e.status === 401) onUnauthorized();
+      });
+  }, [refreshKey, onUnauthorized]);
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="flex items-start gap-3 bg-yellow-50 text-yellow-900 border border-yellow-200 rounded-xl p-4 mb-6" role="status">
+      <AlertTriangle className="w-5 h-5 flex-shrink-0 mt-0.5 text-yellow-600" />
+      <div>
+        <div className="font-semibold">مخزون منخفض في {formatNumber(alerts.length)} فئة</div>
+        <ul className="text-sm mt-1 space-y-0.5">
+          {alerts.map((alert) => (
+            <li key={alert.id}>
+              {alert.name} <span dir="ltr">{alert.label}</span>:{' '}
+              {alert.available === 0 ? 'نفد المخزون' : `${formatNumber(alert.available)} متبقٍ (الحد ${formatNumber(alert.threshold)})`}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default LowStockAlerts;
@@ -0,0 +1,192 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CheckCircle, XCircle, RefreshCw, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Textarea } from '../ui/textarea';
+import { Skeleton } from '../ui/skeleton';
+import { adminRequest } from '../../lib/admin';
+import { apiGet } from '../../lib/api';
+import { formatDateTime } from '../../lib/format';
+import { partnerStatusLabels, volumeLabels } from '../../lib/partners';
+
+const statusBadgeClass = {
+  pending: 'bg-yellow-100 text-yellow-800 hover:bg-yellow-100',
+  approved: 'bg-green-100 text-green-800 hover:bg-green-100',
+  rejected: 'bg-red-100 text-red-800 hover:bg-red-100',
+};
+
+const PartnerReviewCard = ({ partner, tiers, onReviewed }) => {
+  const [tier, setTier] = useState(partner.tier || tiers[0]?.id || '');
+  const [note, setNote] = useState('');
+  const [rejecting, setRejecting] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const review = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const updated = await adminRequest(`/admin/partners/${partner.id}/${action}`, {
+        method: 'POST',
+        body: { tier: action === 'approve' ? tier : undefined, note: note.trim() || undefined },
+      });
+      setRejecting(false);
+      setNote('');
+      onReviewed(updated);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <CardTitle className="text-lg font-bold">{partner.business_name}</CardTitle>
+          <Badge className={statusBadgeClass[partner.status]}>{partnerStatusLabels[partner.status]}</Badge>
+        </div>
+        <CardDescription>
+          {partner.city} — <span dir="ltr">{partner.phone}</span> — {formatDateTime(partner.created_at)}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <dl className="text-sm text-gray-700 space-y-1">
+          <div>المبيعات المتوقعة: {volumeLabels[partner.monthly_volume] || partner.monthly_volume}</div>
+          {partner.channels && <div>قنوات البيع: {partner.channels}</div>}
+          {partner.review_note && <div className="text-gray-500">ملاحظة المراجعة: {partner.review_note}</div>}
+        </dl>
+        {rejecting && (
+          <Textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="سبب الرفض (يظهر لمقدّم الطلب)"
+            aria-label="سبب الرفض"
+          />
+        )}
+        {error && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-3 text-sm" role="alert">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        <div className="flex flex-wrap justify-end gap-2">
+          {rejecting ? (
+            <>
+              <Button variant="outline" onClick={() => setRejecting(false)} disabled={busy}>إلغاء</Button>
+              <Button variant="destructive" onClick={() => review('reject')} disabled={busy}>
+                <XCircle className="w-4 h-4" />
+                تأكيد الرفض
+              </Button>
+            </>
+          ) : (
+            <>
+              <Select value={tier} onValueChange={setTier} dir="rtl">
+                <SelectTrigger className="w-40" aria-label="فئة الشريك">
+                  <SelectValue placeholder="الفئة" />
+                </SelectTrigger>
+                <SelectContent>
+                  {tiers.map((t) => <SelectItem key={t.id} value={t.id}>{t.name} ({t.discount_percent}%)</SelectItem>)}
+                </SelectContent>
+              </Select>
+              {partner.status !== 'rejected' && (
+                <Button variant="outline" onClick={() => setRejecting(true)} disabled={busy}>
+                  {partner.status === 'approved' ? 'إيقاف' : 'رفض'}
+                </Button>
+              )}
+              <Button
+                className="bg-yellow-500 hover:bg-yellow-600"
+                onClick={() => review('approve')}
+                disabled={busy || !tier || (partner.status === 'approved' && tier === partner.tier)}
+              >
+                <CheckCircle className="w-4 h-4" />
+                {partner.status === 'approved' ? 'تغيير الفئة' : 'اعتماد'}
+              </Button>
+            </>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Partner applications by status; approving assigns the wholesale tier
+const PartnersPanel = ({ onUnauthorized }) => {
+  const [status, setStatus] = useState('pending');
+  const [partners, setPartners] = useState([]);
+  const [tiers, setTiers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    setError(null);
+    adminRequest('/admin/partners', { params: { status } })
+      .then(setPartners)
+      .catch((e) => {
+        if (e.status === 401) onUnauthorized();
+        else setError(e.message);
+      })
+      .finally(() => setLoading(false));
+  }, [status, onUnauthorized]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    apiGet('/partners/tiers')
+      .then(setTiers)
+      .catch((e) => console.warn('Failed to load partner tiers:', e.message));
+  }, []);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between gap-4">
+        <Select value={status} onValueChange={setStatus} dir="rtl">
+          <SelectTrigger className="w-48" aria-label="حالة الطلب">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(partnerStatusLabels).map(([value, label]) => (
+              <SelectItem key={value} value={value}>{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button variant="outline" size="sm" onClick={load} disabled={loading}>
+          <RefreshCw className="w-4 h-4" />
+          تحديث
+        </Button>
+      </div>
+      {error && (
+        <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+      {loading ? (
+        <Skeleton className="h-48 rounded-2xl" />
+      ) : partners.length === 0 && !error ? (
+        <p className="text-center text-gray-500 py-12">لا توجد طلبات شراكة بهذه الحالة.</p>
+      ) : (
+        partners.map((partner) => (
+          <PartnerReviewCard
+            key={partner.id}
+            partner={partner}
+            tiers={tiers}
+            onReviewed={(updated) => setPartners((prev) => (
+              updated.status === status
+                ? prev.map((p) => (p.id === updated.id ? updated : p))
+                : prev.filter((p) => p.id !== updated.id)
+            ))}
+          />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default PartnersPanel;
@@ -0,0 +1,167 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { FileText, CheckCircle, XCircle, RefreshCw, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Textarea } from '../ui/textarea';
+import { Skeleton } from '../ui/skeleton';
+import { adminRequest } from '../../lib/admin';
+import { formatDateTime, formatNumber, formatPrice } from '../../lib/format';
+import { recipientSummary } from '../../lib/cart';
+import { amountDue, paidInOtherCurrency } from '../../lib/orders';
+
+const openReceipt = async (order, receipt) => {
+  const blob = await adminRequest(`/admin/orders/${order.id}/receipts/${receipt.id}`, { as: 'blob' });
+  const url = URL.createObjectURL(blob);
+  window.open(url, '_blank', 'noopener');
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+};
+
+const OrderReviewCard = ({ order, onReviewed }) => {
+  const [rejecting, setRejecting] = useState(false);
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const review = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await adminRequest(`/admin/orders/${order.id}/${action}`, { method: 'POST', body: { note: note.trim() || undefined } });
+      onReviewed(order.id);
+    } catch (e) {
+      setError(e.message);
+      setBusy(false);
+    }
+  };
+
+  const view = (receipt) => openReceipt(order, receipt).catch((e) => setError(e.message));
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <CardTitle className="text-lg font-bold" dir="ltr">{order.number}</CardTitle>
+          <span className="text-xl font-bold text-yellow-600">{formatPrice(order.total, order.currency)}</span>
+        </div>
+        <CardDescription>
+          {order.contact_name} — <span dir="ltr">{order.contact_phone}</span> — {formatDateTime(order.created_at)}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <ul className="text-sm text-gray-700 space-y-1">
+          {order.items.map((item) => (
+            <li key={`${item.product_id}-${item.sku}-${recipientSummary(item.recipient)}`}>
+              {item.name} ({item.label}) × {item.quantity}
+              {recipientSummary(item.recipient) && <span className="text-gray-500" dir="ltr"> — {recipientSummary(item.recipient)}</span>}
+            </li>
+          ))}
+        </ul>
+        <div className="flex flex-wrap gap-2">
+          {order.receipts.map((receipt) => (
+            <Button key={receipt.id} variant="outline" size="sm" onClick={() => view(receipt)}>
+              <FileText className="w-4 h-4" />
+              {receipt.reference ? `إيصال ${receipt.reference}` : receipt.filename}
+            </Button>
+          ))}
+          <span className="text-sm text-gray-500 self-center">طريقة الدفع: {order.payment_method}</span>
+          {(order.wallet_amount > 0 || paidInOtherCurrency(order)) && (
+            <span className="text-sm text-gray-500 self-center">
+              {order.wallet_amount > 0 && <>— من الرصيد {formatPrice(order.wallet_amount, order.currency)}</>}
+              {' '}— المطلوب تحويله {formatPrice(amountDue(order), order.payment_currency)}
+              {paidInOtherCurrency(order) && <> بسعر {formatNumber(order.exchange_rate)} {order.currency}</>}
+            </span>
+          )}
+        </div>
+        {rejecting && (
+          <Textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="سبب الرفض (يظهر للعميل)"
+            aria-label="سبب الرفض"
+          />
+        )}
+        {error && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-3 text-sm" role="alert">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        <div className="flex justify-end gap-2">
+          {rejecting ? (
+            <>
+              <Button variant="outline" onClick={() => setRejecting(false)} disabled={busy}>إلغاء</Button>
+              <Button variant="destructive" onClick={() => review('reject')} disabled={busy}>
+                <XCircle className="w-4 h-4" />
+                تأكيد الرفض
+              </Button>
+            </>
+          ) : (
+            <>
+              <Button variant="outline" onClick={() => setRejecting(true)} disabled={busy}>رفض</Button>
+              <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={() => review('approve')} disabled={busy}>
+                <CheckCircle className="w-4 h-4" />
+                اعتماد الدفع
+              </Button>
+            </>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Orders whose transfer receipt is uploaded and still awaiting verification
+const PaymentReviewPanel = ({ onUnauthorized }) => {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    setError(null);
+    adminRequest('/admin/orders', { params: { status: 'verifying' } })
+      .then(setOrders)
+      .catch((e) => {
+        if (e.status === 401) onUnauthorized();
+        else setError(e.message);
+      })
+      .finally(() => setLoading(false));
+  }, [onUnauthorized]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-gray-600">{orders.length} طلب بانتظار التحقق من الدفع</p>
+        <Button variant="outline" size="sm" onClick={load} disabled={loading}>
+          <RefreshCw className="w-4 h-4" />
+          تحديث
+        </Button>
+      </div>
+      {error && (
+        <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+      {loading ? (
+        <Skeleton className="h-48 rounded-2xl" />
+      ) : orders.length === 0 && !error ? (
+        <p className="text-center text-gray-500 py-12">لا توجد طلبات بانتظار التحقق حالياً.</p>
+      ) : (
+        orders.map((order) => (
+          <OrderReviewCard
+            key={order.id}
+            order={order}
+            onReviewed={(id) => setOrders((prev) => prev.filter((o) => o.id !== id))}
+          />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default PaymentReviewPanel;
@@ -0,0 +1,220 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { RefreshCw, RotateCcw, CheckCircle, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Skeleton } from '../ui/skeleton';
+import { toast } from '../../hooks/use-toast';
+import { adminRequest } from '../../lib/admin';
+import { formatDateTime, formatNumber } from '../../lib/format';
+import { formatRate, jobStatusLabels, productTypeLabels } from '../../lib/suppliers';
+import { INVENTORY_PRODUCT_TYPES } from '../../lib/inventory';
+
+const MANUAL_SUPPLIER = { provider: 'manual', label: 'يدوي من لوحة الإدارة', available: true };
+
+const SupplierStatsCard = ({ stats }) => (
+  <Card className="bg-white rounded-2xl">
+    <CardHeader>
+      <div className="flex items-center justify-between gap-4">
+        <CardTitle className="text-lg font-bold">{stats.label}</CardTitle>
+        {!stats.available && <Badge variant="outline">غير مفعّل</Badge>}
+      </div>
+      <CardDescription>نسبة النجاح خلال آخر 30 يوماً</CardDescription>
+    </CardHeader>
+    <CardContent>
+      <div className="text-4xl font-bold text-gray-900 mb-4">{formatRate(stats.success_rate)}</div>
+      <dl className="grid grid-cols-2 gap-2 text-sm text-gray-600">
+        <div>تم التنفيذ: {formatNumber(stats.fulfilled)}</div>
+        <div>فشل: {formatNumber(stats.failed)}</div>
+        <div>توقفت المحاولات: {formatNumber(stats.dead_letter)}</div>
+        <div>قيد التنفيذ: {formatNumber(stats.in_progress)}</div>
+        {stats.average_seconds != null && (
+          <div className="col-span-2">متوسط مدة التنفيذ: {formatNumber(stats.average_seconds)} ثانية</div>
+        )}
+      </dl>
+    </CardContent>
+  </Card>
+);
+
+// Automated suppliers: success rates, the lines waiting for an admin, and the supplier of each product
+const SuppliersPanel = ({ onUnauthorized }) => {
+  const [stats, setStats] = useState([]);
+  const [jobs, setJobs] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    setError(null);
+    Promise.all(['/admin/suppliers', '/admin/fulfillment-jobs', '/admin/products'].map((path) => adminRequest(path)))
+      .then(([statsList, jobList, productList]) => {
+        setStats(statsList);
+        setJobs(jobList);
+        setProducts(productList);
+      })
+      .catch((e) => {
+        if (e.status === 401) onUnauthorized();
+        else setError(e.message);
+      })
+      .finally(() => setLoading(false));
+  }, [onUnauthorized]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (id, request, success) => {
+    setBusyId(id);
+    try {
+      await request();
+      toast({ title: success });
+      load();
+    } catch (e) {
+      if (e.status === 401) onUnauthorized();
+      else toast({ variant: 'destructive', title: 'تعذر تنفيذ العملية', description: e.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const retry = (job) => run(job.id, () => adminRequest(`/admin/fulfillment-jobs/${job.id}/retry`, { method: 'POST', body: {} }), 'أُعيدت المهمة إلى قائمة الانتظار');
+  const resolve = (job) => run(job.id, () => adminRequest(`/admin/fulfillment-jobs/${job.id}/resolve`, { method: 'POST' }), 'تم إغلاق المهمة');
+  const setSupplier = (product, supplier) => run(
+    product.id,
+    () => adminRequest(`/admin/products/${product.id}/supplier`, { method: 'PUT', body: { supplier } }),
+    `${product.name}: تم تغيير المورد`,
+  );
+
+  const suppliers = [MANUAL_SUPPLIER, ...stats];
+  const supplierLabel = (provider) => suppliers.find((s) => s.provider === provider)?.label || provider;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-gray-600">{jobs.length} مهمة تنفيذ تحتاج تدخلاً</p>
+        <Button variant="outline" size="sm" onClick={load} disabled={loading}>
+          <RefreshCw className="w-4 h-4" />
+          تحديث
+        </Button>
+      </div>
+      {error && (
+        <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+      {loading ? (
+        <Skeleton className="h-48 rounded-2xl" />
+      ) : (
+        <>
+          <div className="grid md:grid-cols-2 gap-6">
+            {stats.map((entry) => <SupplierStatsCard key={entry.provider} stats={entry} />)}
+          </div>
+
+          <Card className="bg-white rounded-2xl">
+            <CardHeader>
+              <CardTitle className="text-lg font-bold">مهام تحتاج تدخلاً</CardTitle>
+              <CardDescription>
+                أعد المحاولة بعد حل المشكلة أو تغيير مورد المنتج، أو أغلق المهمة إن نفّذتها بنفسك. أكواد البطاقات تُسلّم من تبويب تسليم الأكواد.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              {jobs.length === 0 ? (
+                <p className="text-center text-gray-500 py-8">لا توجد مهام متعثرة.</p>
+              ) : (
+                <ul className="divide-y border rounded-xl">
+                  {jobs.map((job) => (
+                    <li key={job.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4">
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2">
+                          <span className="font-semibold text-gray-900" dir="ltr">{job.order_number}</span>
+                          <Badge className="bg-red-100 text-red-800 hover:bg-red-100">{jobStatusLabels[job.status]}</Badge>
+                        </div>
+                        <div className="text-sm text-gray-700">{job.name} × {job.quantity} — {supplierLabel(job.provider)}</div>
+                        {job.error && <div className="text-sm text-red-600">{job.error}</div>}
+                        <div className="text-xs text-gray-500">{formatDateTime(job.finished_at || job.created_at)}</div>
+                      </div>
+                      <div className="flex gap-2">
+                        <Button size="sm" variant="outline" onClick={() => retry(job)} disabled={busyId === job.id}>
+                          <RotateCcw className="w-4 h-4" />
+                          إعادة المحاولة
+                        </Button>
+                        <Button size="sm" variant="outline" onClick={() => resolve(job)} disabled={busyId === job.id}>
+                          <CheckCircle className="w-4 h-4" />
+                          نُفّذ يدوياً
+                        </Button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card className="bg-white rounded-2xl">
+            <CardHeader>
+              <CardTitle className="text-lg font-bold">مورد كل منتج</CardTitle>
+              <CardDescription>يسري التغيير على الطلبات التي يُؤكَّد دفعها بعده.</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="border rounded-xl max-h-[32rem] overflow-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="text-start">المنتج</TableHead>
+                      <TableHead className="text-start">النوع</TableHead>
+                      <TableHead className="text-start">المورد</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {products.map((product) => (
+                      <TableRow key={product.id}>
+                        <TableCell>
+                          {product.name}
+                          {!product.active && <Badge variant="outline" className="ms-2">مخفي</Badge>}
+                        </TableCell>
+                        <TableCell>{productTypeLabels[product.type] || product.type}</TableCell>
+                        <TableCell>
+                          <Select
+                            value={product.supplier}
+                            onValueChange={(supplier) => setSupplier(product, supplier)}
+                            disabled={busyId === product.id}
+                            dir="rtl"
+                          >
+                            <SelectTrigger className="w-56" aria-label={`مورد ${product.name}`}>
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {suppliers.map((supplier) => (
+                                <SelectItem
+                                  key={supplier.provider}
+                                  value={supplier.provider}
+                                  disabled={
+                                    !supplier.available
+                                    || (supplier.provider === 'inventory' && !INVENTORY_PRODUCT_TYPES.includes(product.type))
+                                  }
+                                >
+                                  {supplier.label}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SuppliersPanel;
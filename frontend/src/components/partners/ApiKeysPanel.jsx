@@ -0,0 +1,257 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { KeyRound, Plus, RefreshCw, Trash2, AlertCircle, AlertTriangle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../ui/dialog';
+import {
+  AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription,
+  AlertDialogFooter, AlertDialogHeader, AlertDialogTitle,
+} from '../ui/alert-dialog';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Skeleton } from '../ui/skeleton';
+import { toast } from '../../hooks/use-toast';
+import { apiGet, apiPost, apiRequest } from '../../lib/api';
+import { formatDateTime } from '../../lib/format';
+import { API_MAX_KEYS, apiKeyState } from '../../lib/partnerApi';
+import CopyableValue from './CopyableValue';
+
+const stateBadges = {
+  active: <Badge className="bg-green-100 text-green-800 hover:bg-green-100">فعال</Badge>,
+  expiring: <Badge className="bg-yellow-100 text-yellow-800 hover:bg-yellow-100">يتوقف قريباً</Badge>,
+  inactive: <Badge variant="outline">متوقف</Badge>,
+};
+
+// Shown once after a key is issued or rotated: the server never returns the secret again
+const SecretDialog = ({ issued, onClose }) => (
+  <Dialog open={Boolean(issued)} onOpenChange={(open) => !open && onClose()}>
+    <DialogContent dir="rtl">
+      <DialogHeader className="text-right sm:text-right">
+        <DialogTitle>احفظ المفتاح السري الآن</DialogTitle>
+        <DialogDescription>لن نعرضه مرة أخرى. إن فقدته فقم بتدوير المفتاح للحصول على سر جديد.</DialogDescription>
+      </DialogHeader>
+      {issued && (
+        <dl className="space-y-4">
+          <div>
+            <dt className="text-sm text-gray-500">معرّف المفتاح (X-Api-Key)</dt>
+            <dd><CopyableValue value={issued.key_id} label="معرّف المفتاح" /></dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">المفتاح السري</dt>
+            <dd><CopyableValue value={issued.secret} label="المفتاح السري" secret /></dd>
+          </div>
+        </dl>
+      )}
+      <DialogFooter>
+        <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={onClose}>حفظته</Button>
+      </DialogFooter>
+    </DialogContent>
+  </Dialog>
+);
+
+const CreateKeyDialog = ({ open, onOpenChange, onCreated }) => {
+  const [name, setName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) {
+      setName('');
+      setError(null);
+    }
+  }, [open]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      onCreated(await apiPost('/partners/api-keys', { name: name.trim() }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent dir="rtl">
+        <form onSubmit={submit} className="space-y-4">
+          <DialogHeader className="text-right sm:text-right">
+            <DialogTitle>مفتاح جديد</DialogTitle>
+            <DialogDescription>سمِّ المفتاح باسم النظام الذي سيستخدمه لتميّزه في سجل الطلبات.</DialogDescription>
+          </DialogHeader>
+          <div>
+            <Label htmlFor="api-key-name">اسم المفتاح</Label>
+            <Input
+              id="api-key-name"
+              maxLength={40}
+              placeholder="مثال: نقطة البيع - فرع التحرير"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="mt-2"
+            />
+          </div>
+          {error && (
+            <p className="flex items-center gap-2 text-sm text-red-600" role="alert">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </p>
+          )}
+          <DialogFooter>
+            <Button type="submit" className="bg-yellow-500 hover:bg-yellow-600" disabled={submitting || name.trim().length < 2}>
+              {submitting ? 'جاري الإنشاء...' : 'إنشاء'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+// API keys for the partner's own systems: issue, rotate with a grace period, revoke
+const ApiKeysPanel = () => {
+  const [keys, setKeys] = useState(null);
+  const [error, setError] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [issued, setIssued] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const load = useCallback(() => {
+    apiGet('/partners/api-keys')
+      .then(setKeys)
+      .catch((e) => setError(e.message));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const rotate = async (key) => {
+    setBusyId(key.id);
+    try {
+      setIssued(await apiPost(`/partners/api-keys/${key.id}/rotate`));
+      load();
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذر تدوير المفتاح', description: e.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const revoke = async () => {
+    const key = revoking;
+    setRevoking(null);
+    try {
+      await apiRequest(`/partners/api-keys/${key.id}`, { method: 'DELETE' });
+      toast({ title: 'تم إلغاء المفتاح', description: key.name });
+      load();
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذر إلغاء المفتاح', description: e.message });
+    }
+  };
+
+  const activeCount = (keys || []).filter((key) => apiKeyState(key) !== 'inactive').length;
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="text-xl font-bold">مفاتيح API</CardTitle>
+            <CardDescription className="mt-1">
+              اربط نظام نقاط البيع لديك بالمتجر مباشرة. حتى {API_MAX_KEYS} مفاتيح فعالة، وكل طلب يُوقَّع بالمفتاح السري.
+            </CardDescription>
+          </div>
+          <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={() => setCreating(true)} disabled={activeCount >= API_MAX_KEYS}>
+            <Plus className="w-4 h-4" />
+            مفتاح جديد
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        {!keys ? (
+          !error && <Skeleton className="h-32 rounded-xl" />
+        ) : keys.length === 0 ? (
+          <p className="text-center text-gray-500 py-12">لم تنشئ أي مفتاح بعد.</p>
+        ) : (
+          <ul className="divide-y border rounded-xl">
+            {keys.map((key) => {
+              const state = apiKeyState(key);
+              return (
+                <li key={key.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <div className="w-10 h-10 rounded-xl bg-yellow-100 flex items-center justify-center flex-shrink-0">
+                      <KeyRound className="w-5 h-5 text-yellow-700" />
+                    </div>
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-semibold text-gray-900">{key.name}</span>
+                        {stateBadges[state]}
+                      </div>
+                      <div className="text-sm text-gray-600 font-mono truncate" dir="ltr">{key.key_id} · {key.secret_hint}</div>
+                      <div className="text-xs text-gray-500">
+                        {key.last_used_at ? `آخر استخدام: ${formatDateTime(key.last_used_at)}` : 'لم يُستخدم بعد'}
+                        {state === 'expiring' && <> — يتوقف في {formatDateTime(key.expires_at)}</>}
+                      </div>
+                    </div>
+                  </div>
+                  {state === 'active' && (
+                    <div className="flex gap-2">
+                      <Button size="sm" variant="outline" onClick={() => rotate(key)} disabled={busyId === key.id}>
+                        <RefreshCw className="w-4 h-4" />
+                        تدوير
+                      </Button>
+                      <Button size="sm" variant="ghost" onClick={() => setRevoking(key)} aria-label={`إلغاء ${key.name}`}>
+                        <Trash2 className="w-4 h-4 text-red-600" />
+                      </Button>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardContent>
+
+      <CreateKeyDialog
+        open={creating}
+        onOpenChange={setCreating}
+        onCreated={(key) => {
+          setCreating(false);
+          setIssued(key);
+          load();
+        }}
+      />
+      <SecretDialog issued={issued} onClose={() => setIssued(null)} />
+      <AlertDialog open={Boolean(revoking)} onOpenChange={(open) => !open && setRevoking(null)}>
+        <AlertDialogContent dir="rtl">
+          <AlertDialogHeader className="text-right sm:text-right">
+            <AlertDialogTitle className="flex items-center gap-2">
+              <AlertTriangle className="w-5 h-5 text-red-600" />
+              إلغاء المفتاح {revoking?.name}؟
+            </AlertDialogTitle>
+            <AlertDialogDescription>
+              ستُرفض كل الطلبات الموقّعة به فوراً. لاستبداله دون انقطاع استخدم التدوير بدلاً من ذلك.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter className="gap-2">
+            <AlertDialogCancel>تراجع</AlertDialogCancel>
+            <AlertDialogAction className="bg-red-600 hover:bg-red-700" onClick={revoke}>إلغاء المفتاح</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+};
+
+export default ApiKeysPanel;
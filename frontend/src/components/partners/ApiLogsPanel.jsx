@@ -0,0 +1,91 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { RefreshCw, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Skeleton } from '../ui/skeleton';
+import { apiGet } from '../../lib/api';
+import { formatDateTime, formatNumber } from '../../lib/format';
+import { statusTone } from '../../lib/partnerApi';
+
+// The latest /api/v1/partner calls made with the partner's keys, failed signatures included
+const ApiLogsPanel = () => {
+  const [logs, setLogs] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    apiGet('/partners/api-logs', { limit: 100 })
+      .then((list) => {
+        setLogs(list);
+        setError(null);
+      })
+      .catch((e) => setError(e.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="text-xl font-bold">سجل الطلبات</CardTitle>
+            <CardDescription className="mt-1">آخر 100 طلب وصلتنا من أنظمتك، تُحفظ لمدة 30 يوماً.</CardDescription>
+          </div>
+          <Button variant="outline" size="sm" onClick={load} disabled={loading} aria-label="تحديث السجل">
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        {!logs ? (
+          !error && <Skeleton className="h-32 rounded-xl" />
+        ) : logs.length === 0 ? (
+          <p className="text-center text-gray-500 py-12">لا توجد طلبات بعد.</p>
+        ) : (
+          <div className="border rounded-xl max-h-[28rem] overflow-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="text-start">الوقت</TableHead>
+                  <TableHead className="text-start">الطلب</TableHead>
+                  <TableHead className="text-start">النتيجة</TableHead>
+                  <TableHead className="text-start">المفتاح</TableHead>
+                  <TableHead className="text-start">المدة</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {logs.map((log) => (
+                  <TableRow key={log.id}>
+                    <TableCell className="whitespace-nowrap">{formatDateTime(log.at)}</TableCell>
+                    <TableCell className="font-mono text-xs" dir="ltr">{log.method} {log.path}</TableCell>
+                    <TableCell>
+                      <Badge className={statusTone(log.status)}>{log.status}</Badge>
+                      {log.error && <div className="text-xs text-gray-500 mt-1">{log.error}</div>}
+                    </TableCell>
+                    <TableCell className="font-mono text-xs" dir="ltr">{log.key_id}</TableCell>
+                    <TableCell className="whitespace-nowrap">{formatNumber(log.duration_ms)} ms</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ApiLogsPanel;
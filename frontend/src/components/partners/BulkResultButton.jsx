@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { FileSpreadsheet } from 'lucide-react';
+import { Button } from '../ui/button';
+import { useAuth } from '../../context/AuthContext';
+import { toast } from '../../hooks/use-toast';
+import { apiRequest } from '../../lib/api';
+
+// Downloads a bulk order's result file: every uploaded row with its outcome and delivered codes.
+// The file holds plain codes, so the backend applies the same recent sign-in rule as revealing one
+const BulkResultButton = ({ order }) => {
+  const { isSignedIn } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [busy, setBusy] = useState(false);
+
+  const confirmIdentity = () => navigate('/login', { state: { from: location, reason: 'codes' } });
+
+  const download = async () => {
+    if (!isSignedIn) {
+      confirmIdentity();
+      return;
+    }
+    setBusy(true);
+    try {
+      const blob = await apiRequest(`/orders/${order.id}/bulk-result.csv`, { as: 'blob' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `bulk-${order.number}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      if (e.status === 401) confirmIdentity();
+      else toast({ variant: 'destructive', title: 'تعذر تنزيل ملف النتائج', description: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Button variant="outline" onClick={download} disabled={busy}>
+      <FileSpreadsheet className="w-4 h-4" />
+      {busy ? 'جاري التنزيل...' : 'تنزيل ملف النتائج'}
+    </Button>
+  );
+};
+
+export default BulkResultButton;
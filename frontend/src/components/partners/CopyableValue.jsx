@@ -0,0 +1,27 @@
+import React from 'react';
+import { Copy } from 'lucide-react';
+import { Button } from '../ui/button';
+import { toast } from '../../hooks/use-toast';
+
+// A key or secret in monospace with a copy button; `label` names it in the toast and aria-label
+const CopyableValue = ({ value, label, secret = false }) => {
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(value);
+      toast({ title: `تم نسخ ${label}` });
+    } catch {
+      toast({ variant: 'destructive', title: 'تعذر النسخ', description: 'انسخه يدوياً.' });
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 mt-1">
+      <code className={`flex-1 rounded-lg p-2 text-sm break-all ${secret ? 'bg-yellow-50' : 'bg-gray-50'}`} dir="ltr">{value}</code>
+      <Button size="sm" variant="outline" onClick={copy} aria-label={`نسخ ${label}`}>
+        <Copy className="w-4 h-4" />
+      </Button>
+    </div>
+  );
+};
+
+export default CopyableValue;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { AlertCircle, Send } from 'lucide-react';
+import { Form, FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from '../ui/form';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Input } from '../ui/input';
+import { Textarea } from '../ui/textarea';
+import { Button } from '../ui/button';
+import { apiPost } from '../../lib/api';
+import { applicationSchema, volumeLabels } from '../../lib/partners';
+
+// New application, or a fresh one after a rejection (prefilled from the previous one)
+const PartnerApplicationForm = ({ previous, defaultPhone, onSubmitted }) => {
+  const form = useForm({
+    resolver: zodResolver(applicationSchema),
+    defaultValues: {
+      business_name: previous?.business_name || '',
+      city: previous?.city || '',
+      phone: previous?.phone || defaultPhone || '',
+      monthly_volume: previous?.monthly_volume || '',
+      channels: previous?.channels || '',
+    },
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const submit = async (values) => {
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      onSubmitted(await apiPost('/partners/apply', { ...values, channels: values.channels || undefined }));
+    } catch (e) {
+      setSubmitError(e.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(submit)} className="space-y-6" noValidate>
+        <div className="grid md:grid-cols-2 gap-6">
+          <FormField
+            control={form.control}
+            name="business_name"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>اسم المحل أو النشاط</FormLabel>
+                <FormControl>
+                  <Input autoComplete="organization" {...field} />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+          <FormField
+            control={form.control}
+            name="city"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>المدينة</FormLabel>
+                <FormControl>
+                  <Input autoComplete="address-level2" {...field} />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+          <FormField
+            control={form.control}
+            name="phone"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>رقم جوال النشاط</FormLabel>
+                <FormControl>
+                  <Input type="tel" dir="ltr" autoComplete="tel" placeholder="+967 7XX XXX XXX" {...field} />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+          <FormField
+            control={form.control}
+            name="monthly_volume"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>المبيعات الشهرية المتوقعة</FormLabel>
+                <Select value={field.value} onValueChange={field.onChange} dir="rtl">
+                  <FormControl>
+                    <SelectTrigger>
+                      <SelectValue placeholder="اختر" />
+                    </SelectTrigger>
+                  </FormControl>
+                  <SelectContent>
+                    {Object.entries(volumeLabels).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        </div>
+        <FormField
+          control={form.control}
+          name="channels"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel>كيف تبيع لعملائك؟ (اختياري)</FormLabel>
+              <FormControl>
+                <Textarea rows={3} placeholder="محل اتصالات، مجموعات واتساب، صفحة فيسبوك..." {...field} />
+              </FormControl>
+              <FormDescription>يساعدنا على اختيار الفئة المناسبة لك.</FormDescription>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+        {submitError && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{submitError}</span>
+          </div>
+        )}
+        <div className="flex justify-end">
+          <Button type="submit" className="bg-yellow-500 hover:bg-yellow-600" disabled={submitting}>
+            <Send className="w-4 h-4" />
+            {submitting ? 'جاري الإرسال...' : 'إرسال الطلب'}
+          </Button>
+        </div>
+      </form>
+    </Form>
+  );
+};
+
+export default PartnerApplicationForm;
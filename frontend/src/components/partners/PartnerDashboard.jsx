@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { TrendingUp, Percent, Coins, ArrowLeftRight, FileSpreadsheet } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { toast } from '../../hooks/use-toast';
+import { apiPost } from '../../lib/api';
+import { formatDateTime, formatNumber, formatPrice } from '../../lib/format';
+import { statusLabels } from '../../lib/orders';
+import { newIdempotencyKey } from '../../lib/wallet';
+
+const StatsCard = ({ title, stats }) => (
+  <Card className="bg-white rounded-2xl">
+    <CardHeader>
+      <CardTitle className="text-lg font-bold">{title}</CardTitle>
+      <CardDescription>{formatNumber(stats.orders)} طلب مدفوع</CardDescription>
+    </CardHeader>
+    <CardContent>
+      <dl className="grid grid-cols-3 gap-4">
+        <div>
+          <dt className="flex items-center gap-1 text-sm text-gray-500"><TrendingUp className="w-4 h-4" />المبيعات</dt>
+          <dd className="font-bold text-gray-900 mt-1">{formatPrice(stats.sales)}</dd>
+        </div>
+        <div>
+          <dt className="flex items-center gap-1 text-sm text-gray-500"><Percent className="w-4 h-4" />الهامش</dt>
+          <dd className="font-bold text-green-700 mt-1">{formatPrice(stats.margin)}</dd>
+        </div>
+        <div>
+          <dt className="flex items-center gap-1 text-sm text-gray-500"><Coins className="w-4 h-4" />العمولة</dt>
+          <dd className="font-bold text-yellow-600 mt-1">{formatPrice(stats.commission)}</dd>
+        </div>
+      </dl>
+    </CardContent>
+  </Card>
+);
+
+// Agent dashboard: sales at wholesale, the margin against retail prices, and the commission balance
+const PartnerDashboard = ({ dashboard, onChange }) => {
+  const { tier, this_month: thisMonth, all_time: allTime, commission_balance: balance, recent_orders: recent } = dashboard;
+  const [payoutKey, setPayoutKey] = useState(newIdempotencyKey);
+  const [busy, setBusy] = useState(false);
+
+  const payOut = async () => {
+    setBusy(true);
+    try {
+      onChange(await apiPost('/partners/commission/payout', undefined, { headers: { 'Idempotency-Key': payoutKey } }));
+      setPayoutKey(newIdempotencyKey());
+      toast({ title: 'تم تحويل العمولات', description: 'أضيفت إلى رصيد محفظتك ويمكنك الدفع منها مباشرة.' });
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذر تحويل العمولات', description: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card className="bg-white rounded-2xl">
+        <CardContent className="flex flex-wrap items-center justify-between gap-6 pt-6">
+          <div>
+            <div className="flex items-center gap-2">
+              <span className="text-xl font-bold text-gray-900">{dashboard.partner.business_name}</span>
+              <Badge className="bg-yellow-100 text-yellow-800 hover:bg-yellow-100">الفئة {tier.name}</Badge>
+            </div>
+            <p className="text-sm text-gray-600 mt-1">
+              خصم {formatNumber(tier.discount_percent)}% على جميع الأسعار، وعمولة {formatNumber(tier.commission_percent)}% على كل طلب مُسلَّم.
+            </p>
+            <Button asChild size="sm" className="bg-yellow-500 hover:bg-yellow-600 mt-3">
+              <Link to="/partners/bulk">
+                <FileSpreadsheet className="w-4 h-4" />
+                طلب جماعي من ملف
+              </Link>
+            </Button>
+          </div>
+          <div className="text-end">
+            <div className="text-sm text-gray-500">رصيد العمولات</div>
+            <div className="text-3xl font-bold text-yellow-600">{formatPrice(balance)}</div>
+            <Button size="sm" variant="outline" className="mt-2" onClick={payOut} disabled={busy || balance <= 0}>
+              <ArrowLeftRight className="w-4 h-4" />
+              {busy ? 'جاري التحويل...' : 'تحويل إلى المحفظة'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <StatsCard title="هذا الشهر" stats={thisMonth} />
+        <StatsCard title="منذ الانضمام" stats={allTime} />
+      </div>
+
+      <Card className="bg-white rounded-2xl">
+        <CardHeader>
+          <CardTitle className="text-lg font-bold">أحدث الطلبات بسعر الجملة</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {recent.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">لا توجد طلبات بعد. تصفح الخدمات وستظهر لك أسعار الجملة تلقائياً.</p>
+          ) : (
+            <ul className="divide-y border rounded-xl">
+              {recent.map((order) => (
+                <li key={order.id} className="flex items-center justify-between gap-4 p-4">
+                  <div>
+                    <Link to={`/orders/${order.id}`} className="font-semibold text-gray-900 hover:underline" dir="ltr">{order.number}</Link>
+                    <div className="text-xs text-gray-500">{statusLabels[order.status]} — {formatDateTime(order.created_at)}</div>
+                  </div>
+                  <div className="text-end">
+                    <div className="font-bold text-gray-900">{formatPrice(order.total, order.currency)}</div>
+                    {order.retail_total > order.total && (
+                      <div className="text-xs text-green-700">هامش {formatPrice(order.retail_total - order.total, order.currency)}</div>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default PartnerDashboard;
@@ -0,0 +1,134 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { RefreshCw, RotateCcw, AlertCircle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Skeleton } from '../ui/skeleton';
+import { toast } from '../../hooks/use-toast';
+import { apiGet, apiPost } from '../../lib/api';
+import { formatDateTime } from '../../lib/format';
+import { webhookEventLabel } from '../../lib/partnerApi';
+
+const statusBadges = {
+  succeeded: <Badge className="bg-green-100 text-green-800 hover:bg-green-100">تم التسليم</Badge>,
+  pending: <Badge className="bg-yellow-100 text-yellow-800 hover:bg-yellow-100">بانتظار المحاولة</Badge>,
+  failed: <Badge className="bg-red-100 text-red-800 hover:bg-red-100">فشل</Badge>,
+};
+
+// Every event sent to the partner's endpoints with its latest attempt; `refreshKey` reloads after a test send
+const WebhookDeliveriesPanel = ({ endpoints, refreshKey }) => {
+  const [deliveries, setDeliveries] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    apiGet('/partners/webhook-deliveries', { limit: 100 })
+      .then((list) => {
+        setDeliveries(list);
+        setError(null);
+      })
+      .catch((e) => setError(e.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const redeliver = async (delivery) => {
+    setBusyId(delivery.id);
+    try {
+      const sent = await apiPost(`/partners/webhook-deliveries/${delivery.id}/redeliver`);
+      if (sent.status === 'succeeded') toast({ title: 'تمت إعادة الإرسال بنجاح' });
+      else toast({ variant: 'destructive', title: 'لم ينجح الإرسال، ستُعاد المحاولة تلقائياً', description: sent.error });
+      load();
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذرت إعادة الإرسال', description: e.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const urlOf = (endpointId) => endpoints.find((endpoint) => endpoint.id === endpointId)?.url;
+
+  return (
+    <Card className="bg-white rounded-2xl">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="text-xl font-bold">سجل الإرسال</CardTitle>
+            <CardDescription className="mt-1">
+              تُعاد المحاولة تلقائياً عند الفشل على فترات متزايدة لمدة ساعتين تقريباً. يُحفظ السجل 30 يوماً.
+            </CardDescription>
+          </div>
+          <Button variant="outline" size="sm" onClick={load} disabled={loading} aria-label="تحديث السجل">
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        {!deliveries ? (
+          !error && <Skeleton className="h-32 rounded-xl" />
+        ) : deliveries.length === 0 ? (
+          <p className="text-center text-gray-500 py-12">لم نرسل أي حدث بعد.</p>
+        ) : (
+          <div className="border rounded-xl max-h-[28rem] overflow-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="text-start">الوقت</TableHead>
+                  <TableHead className="text-start">الحدث</TableHead>
+                  <TableHead className="text-start">العنوان</TableHead>
+                  <TableHead className="text-start">النتيجة</TableHead>
+                  <TableHead className="text-start">المحاولات</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {deliveries.map((delivery) => (
+                  <TableRow key={delivery.id}>
+                    <TableCell className="whitespace-nowrap">{formatDateTime(delivery.created_at)}</TableCell>
+                    <TableCell>
+                      <div>{webhookEventLabel(delivery.event_type)}</div>
+                      <div className="font-mono text-xs text-gray-500" dir="ltr">{delivery.event_type}</div>
+                    </TableCell>
+                    <TableCell className="font-mono text-xs max-w-[14rem] truncate" dir="ltr">
+                      {urlOf(delivery.endpoint_id) || 'محذوف'}
+                    </TableCell>
+                    <TableCell>
+                      {statusBadges[delivery.status]}
+                      {delivery.error && <div className="text-xs text-gray-500 mt-1">{delivery.error}</div>}
+                      {delivery.status === 'pending' && delivery.next_attempt_at && (
+                        <div className="text-xs text-gray-500 mt-1">المحاولة التالية: {formatDateTime(delivery.next_attempt_at)}</div>
+                      )}
+                    </TableCell>
+                    <TableCell>{delivery.attempts}</TableCell>
+                    <TableCell className="text-end">
+                      {delivery.status !== 'pending' && urlOf(delivery.endpoint_id) && (
+                        <Button size="sm" variant="outline" onClick={() => redeliver(delivery)} disabled={busyId === delivery.id}>
+                          <RotateCcw className="w-4 h-4" />
+                          إعادة الإرسال
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default WebhookDeliveriesPanel;
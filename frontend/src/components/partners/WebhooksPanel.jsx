@@ -0,0 +1,304 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Webhook, Plus, Send, Pencil, Pause, Play, RefreshCw, Trash2, AlertCircle, AlertTriangle } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../ui/dialog';
+import {
+  AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription,
+  AlertDialogFooter, AlertDialogHeader, AlertDialogTitle,
+} from '../ui/alert-dialog';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Checkbox } from '../ui/checkbox';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Skeleton } from '../ui/skeleton';
+import { toast } from '../../hooks/use-toast';
+import { apiGet, apiPost, apiRequest } from '../../lib/api';
+import { WEBHOOK_EVENTS, WEBHOOK_MAX_ENDPOINTS, webhookEventLabel } from '../../lib/partnerApi';
+import CopyableValue from './CopyableValue';
+import WebhookDeliveriesPanel from './WebhookDeliveriesPanel';
+
+// Shown once after an endpoint is added or its secret rotated
+const SecretDialog = ({ issued, onClose }) => (
+  <Dialog open={Boolean(issued)} onOpenChange={(open) => !open && onClose()}>
+    <DialogContent dir="rtl">
+      <DialogHeader className="text-right sm:text-right">
+        <DialogTitle>احفظ سر التوقيع الآن</DialogTitle>
+        <DialogDescription>
+          تحقق به من ترويسة X-Webhook-Signature في كل إشعار. لن نعرضه مرة أخرى، وإن فقدته فقم بتجديده.
+        </DialogDescription>
+      </DialogHeader>
+      {issued && <CopyableValue value={issued.secret} label="سر التوقيع" secret />}
+      <DialogFooter>
+        <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={onClose}>حفظته</Button>
+      </DialogFooter>
+    </DialogContent>
+  </Dialog>
+);
+
+// Adds an endpoint, or edits the URL and events of `endpoint`
+const EndpointDialog = ({ open, endpoint, onOpenChange, onSaved }) => {
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setUrl(endpoint?.url || '');
+      setEvents(endpoint?.events || WEBHOOK_EVENTS.map((event) => event.id));
+      setError(null);
+    }
+  }, [open, endpoint]);
+
+  const toggle = (id, checked) =>
+    setEvents((current) => (checked ? [...current, id] : current.filter((event) => event !== id)));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const body = { url: url.trim(), events };
+      onSaved(endpoint
+        ? await apiRequest(`/partners/webhooks/${endpoint.id}`, { method: 'PATCH', body })
+        : await apiPost('/partners/webhooks', body));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent dir="rtl">
+        <form onSubmit={submit} className="space-y-4">
+          <DialogHeader className="text-right sm:text-right">
+            <DialogTitle>{endpoint ? 'تعديل العنوان' : 'عنوان جديد'}</DialogTitle>
+            <DialogDescription>نرسل إليه طلب POST بصيغة JSON عند كل حدث تختاره.</DialogDescription>
+          </DialogHeader>
+          <div>
+            <Label htmlFor="webhook-url">العنوان (https)</Label>
+            <Input
+              id="webhook-url"
+              type="url"
+              dir="ltr"
+              maxLength={500}
+              placeholder="https://pos.example.com/hooks/ostora"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              className="mt-2"
+            />
+          </div>
+          <fieldset>
+            <legend className="text-sm font-medium mb-2">الأحداث</legend>
+            <div className="grid sm:grid-cols-2 gap-2">
+              {WEBHOOK_EVENTS.map((event) => (
+                <label key={event.id} className="flex items-center gap-2 text-sm cursor-pointer">
+                  <Checkbox checked={events.includes(event.id)} onCheckedChange={(checked) => toggle(event.id, checked === true)} />
+                  {event.label}
+                  <span className="font-mono text-xs text-gray-500" dir="ltr">{event.id}</span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          {error && (
+            <p className="flex items-center gap-2 text-sm text-red-600" role="alert">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </p>
+          )}
+          <DialogFooter>
+            <Button
+              type="submit"
+              className="bg-yellow-500 hover:bg-yellow-600"
+              disabled={submitting || !url.trim().startsWith('https://') || events.length === 0}
+            >
+              {submitting ? 'جاري الحفظ...' : 'حفظ'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+// Webhook endpoints for order events, each with its own signing secret, plus the delivery log
+const WebhooksPanel = () => {
+  const [endpoints, setEndpoints] = useState(null);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // {} for a new endpoint
+  const [issued, setIssued] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [sentCount, setSentCount] = useState(0);
+
+  const load = useCallback(() => {
+    apiGet('/partners/webhooks')
+      .then(setEndpoints)
+      .catch((e) => setError(e.message));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const act = async (endpoint, action) => {
+    setBusyId(endpoint.id);
+    try {
+      await action();
+      load();
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذر تنفيذ العملية', description: e.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const sendTest = (endpoint) => act(endpoint, async () => {
+    const delivery = await apiPost(`/partners/webhooks/${endpoint.id}/test`);
+    if (delivery.status === 'succeeded') toast({ title: 'وصل الحدث التجريبي', description: `رد الخادم بالرمز ${delivery.response_status}` });
+    else toast({ variant: 'destructive', title: 'لم يصل الحدث التجريبي', description: delivery.error });
+    setSentCount((count) => count + 1);
+  });
+
+  const setActive = (endpoint, active) => act(endpoint, () =>
+    apiRequest(`/partners/webhooks/${endpoint.id}`, { method: 'PATCH', body: { active } }));
+
+  const rotate = (endpoint) => act(endpoint, async () => {
+    setIssued(await apiPost(`/partners/webhooks/${endpoint.id}/secret`));
+  });
+
+  const remove = async () => {
+    const endpoint = deleting;
+    setDeleting(null);
+    try {
+      await apiRequest(`/partners/webhooks/${endpoint.id}`, { method: 'DELETE' });
+      toast({ title: 'تم حذف العنوان' });
+      load();
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذر حذف العنوان', description: e.message });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card className="bg-white rounded-2xl">
+        <CardHeader>
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <CardTitle className="text-xl font-bold">إشعارات الطلبات (Webhooks)</CardTitle>
+              <CardDescription className="mt-1">
+                نُعلم نظامك فور تغيّر حالة طلباتك بدلاً من الاستعلام المتكرر. حتى {WEBHOOK_MAX_ENDPOINTS} عناوين.
+              </CardDescription>
+            </div>
+            <Button
+              className="bg-yellow-500 hover:bg-yellow-600"
+              onClick={() => setEditing({})}
+              disabled={!endpoints || endpoints.length >= WEBHOOK_MAX_ENDPOINTS}
+            >
+              <Plus className="w-4 h-4" />
+              عنوان جديد
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {error && (
+            <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+              <AlertCircle className="w-5 h-5 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+          {!endpoints ? (
+            !error && <Skeleton className="h-32 rounded-xl" />
+          ) : endpoints.length === 0 ? (
+            <p className="text-center text-gray-500 py-12">لم تضف أي عنوان بعد.</p>
+          ) : (
+            <ul className="divide-y border rounded-xl">
+              {endpoints.map((endpoint) => (
+                <li key={endpoint.id} className="flex flex-col lg:flex-row lg:items-center justify-between gap-3 p-4">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <div className="w-10 h-10 rounded-xl bg-yellow-100 flex items-center justify-center flex-shrink-0">
+                      <Webhook className="w-5 h-5 text-yellow-700" />
+                    </div>
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-mono text-sm text-gray-900 truncate" dir="ltr">{endpoint.url}</span>
+                        {endpoint.active
+                          ? <Badge className="bg-green-100 text-green-800 hover:bg-green-100">فعال</Badge>
+                          : <Badge variant="outline">متوقف</Badge>}
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        {endpoint.events.map(webhookEventLabel).join('، ')}
+                        {' · '}
+                        <span className="font-mono" dir="ltr">{endpoint.secret_hint}</span>
+                      </div>
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    <Button size="sm" variant="outline" onClick={() => sendTest(endpoint)} disabled={!endpoint.active || busyId === endpoint.id}>
+                      <Send className="w-4 h-4" />
+                      حدث تجريبي
+                    </Button>
+                    <Button size="sm" variant="outline" onClick={() => setEditing(endpoint)} aria-label="تعديل العنوان">
+                      <Pencil className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => setActive(endpoint, !endpoint.active)}
+                      disabled={busyId === endpoint.id}
+                      aria-label={endpoint.active ? 'إيقاف العنوان' : 'تفعيل العنوان'}
+                    >
+                      {endpoint.active ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                    </Button>
+                    <Button size="sm" variant="outline" onClick={() => rotate(endpoint)} disabled={busyId === endpoint.id} aria-label="تجديد سر التوقيع">
+                      <RefreshCw className="w-4 h-4" />
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => setDeleting(endpoint)} aria-label="حذف العنوان">
+                      <Trash2 className="w-4 h-4 text-red-600" />
+                    </Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+
+        <EndpointDialog
+          open={Boolean(editing)}
+          endpoint={editing?.id ? editing : null}
+          onOpenChange={(open) => !open && setEditing(null)}
+          onSaved={(saved) => {
+            if (saved.secret) setIssued(saved);
+            setEditing(null);
+            load();
+          }}
+        />
+        <SecretDialog issued={issued} onClose={() => setIssued(null)} />
+        <AlertDialog open={Boolean(deleting)} onOpenChange={(open) => !open && setDeleting(null)}>
+          <AlertDialogContent dir="rtl">
+            <AlertDialogHeader className="text-right sm:text-right">
+              <AlertDialogTitle className="flex items-center gap-2">
+                <AlertTriangle className="w-5 h-5 text-red-600" />
+                حذف هذا العنوان؟
+              </AlertDialogTitle>
+              <AlertDialogDescription>
+                لن نرسل إليه أي إشعار بعد الآن، وتُلغى المحاولات المتبقية. للإيقاف المؤقت استخدم زر الإيقاف.
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <AlertDialogFooter className="gap-2">
+              <AlertDialogCancel>تراجع</AlertDialogCancel>
+              <AlertDialogAction className="bg-red-600 hover:bg-red-700" onClick={remove}>حذف</AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
+      </Card>
+
+      <WebhookDeliveriesPanel endpoints={endpoints || []} refreshKey={sentCount} />
+    </div>
+  );
+};
+
+export default WebhooksPanel;
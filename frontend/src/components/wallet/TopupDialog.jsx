@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, ArrowLeft } from 'lucide-react';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Button } from '../ui/button';
+import PaymentDetails from '../PaymentDetails';
+import ReceiptUploadForm from '../ReceiptUploadForm';
+import { apiGet, apiPost } from '../../lib/api';
+import { formatNumber, formatPrice } from '../../lib/format';
+import { newIdempotencyKey, TOPUP_MAX, TOPUP_MIN, TOPUP_PRESETS } from '../../lib/wallet';
+
+const amountError = (amount) => {
+  if (!amount) return 'أدخل مبلغ الشحن';
+  if (amount < TOPUP_MIN || amount > TOPUP_MAX) {
+    return `مبلغ الشحن يجب أن يكون بين ${formatNumber(TOPUP_MIN)} و${formatNumber(TOPUP_MAX)} ريال`;
+  }
+  return null;
+};
+
+// Two steps: create a wallet_topup order, then upload the transfer receipt. The balance is
+// credited when an admin approves the payment.
+const TopupDialog = ({ open, onOpenChange, onUploaded }) => {
+  const [methods, setMethods] = useState([]);
+  const [amount, setAmount] = useState('');
+  const [methodId, setMethodId] = useState('');
+  const [order, setOrder] = useState(null);
+  const [idempotencyKey, setIdempotencyKey] = useState(newIdempotencyKey);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const method = methods.find((m) => m.id === (order?.payment_method || methodId));
+  const invalid = amountError(Number(amount)) || (!methodId && 'اختر طريقة التحويل');
+
+  useEffect(() => {
+    apiGet('/payment-methods')
+      .then(setMethods)
+      .catch((e) => console.warn('Failed to load payment methods:', e.message));
+  }, []);
+
+  useEffect(() => {
+    if (!open) {
+      setAmount('');
+      setOrder(null);
+      setError(null);
+      setIdempotencyKey(newIdempotencyKey());
+    }
+  }, [open]);
+
+  const create = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const created = await apiPost(
+        '/wallet/topups',
+        { amount: Number(amount), payment_method: methodId },
+        { headers: { 'Idempotency-Key': idempotencyKey } },
+      );
+      setOrder(created);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent dir="rtl" className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader className="text-right sm:text-right">
+          <DialogTitle>شحن رصيد المحفظة</DialogTitle>
+          <DialogDescription>
+            {order
+              ? 'حوّل المبلغ ثم ارفع صورة الإيصال، وسيُضاف الرصيد فور التحقق من التحويل.'
+              : 'اختر المبلغ وطريقة التحويل. الرصيد صالح لجميع طلباتك داخل الموقع.'}
+          </DialogDescription>
+        </DialogHeader>
+        {order ? (
+          <ReceiptUploadForm order={order} method={method} onUploaded={onUploaded} />
+        ) : (
+          <form onSubmit={create} className="space-y-4">
+            <div>
+              <Label htmlFor="topup-amount">المبلغ (ريال يمني)</Label>
+              <div className="flex flex-wrap gap-2 mt-2">
+                {TOPUP_PRESETS.map((preset) => (
+                  <Button
+                    key={preset}
+                    type="button"
+                    size="sm"
+                    variant="outline"
+                    className={Number(amount) === preset ? 'border-yellow-500 bg-yellow-50' : ''}
+                    onClick={() => setAmount(String(preset))}
+                  >
+                    {formatNumber(preset)}
+                  </Button>
+                ))}
+              </div>
+              <Input
+                id="topup-amount"
+                type="number"
+                inputMode="numeric"
+                dir="ltr"
+                min={TOPUP_MIN}
+                max={TOPUP_MAX}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                className="mt-2"
+              />
+            </div>
+            <div>
+              <Label htmlFor="topup-method">طريقة التحويل</Label>
+              <Select value={methodId} onValueChange={setMethodId} dir="rtl">
+                <SelectTrigger id="topup-method" className="mt-2">
+                  <SelectValue placeholder="اختر البنك أو شركة الصرافة" />
+                </SelectTrigger>
+                <SelectContent>
+                  {methods.map((m) => <SelectItem key={m.id} value={m.id}>{m.name}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            </div>
+            {method && !amountError(Number(amount)) && <PaymentDetails method={method} amount={Number(amount)} />}
+            {error && (
+              <p className="flex items-center gap-2 text-sm text-red-600" role="alert">
+                <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                {error}
+              </p>
+            )}
+            <DialogFooter>
+              <Button type="submit" className="bg-yellow-500 hover:bg-yellow-600" disabled={submitting || Boolean(invalid)} title={invalid || undefined}>
+                {submitting ? 'جاري إنشاء الطلب...' : `متابعة${amountError(Number(amount)) ? '' : ` (${formatPrice(Number(amount))})`}`}
+                <ArrowLeft className="w-4 h-4" />
+              </Button>
+            </DialogFooter>
+          </form>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TopupDialog;
@@ -0,0 +1,63 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { apiGet, apiPost } from '../lib/api';
+import { captureReferral, clearReferral, storedReferral } from '../lib/referrals';
+
+const AuthContext = createContext(null);
+
+// The session itself is an httpOnly cookie; this only mirrors who it belongs to
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [status, setStatus] = useState('loading'); // loading / ready
+
+  useEffect(() => {
+    captureReferral(window.location.search);
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    apiGet('/auth/me', undefined, { signal: controller.signal })
+      .then(setUser)
+      .catch((e) => {
+        if (e.name !== 'AbortError' && e.status !== 401) console.warn('Failed to load session:', e.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setStatus('ready');
+      });
+    return () => controller.abort();
+  }, []);
+
+  const requestCode = useCallback((phone) => apiPost('/auth/otp', { phone }), []);
+
+  const verifyCode = useCallback(async (phone, code) => {
+    const signedIn = await apiPost('/auth/verify', { phone, code, referral_code: storedReferral() || undefined });
+    clearReferral(); // only a new account is credited, so the code is spent either way
+    setUser(signedIn);
+    return signedIn;
+  }, []);
+
+  const signOut = useCallback(async () => {
+    try {
+      await apiPost('/auth/logout');
+    } finally {
+      setUser(null);
+    }
+  }, []);
+
+  const value = useMemo(() => ({
+    user,
+    status,
+    isSignedIn: Boolean(user),
+    requestCode,
+    verifyCode,
+    signOut,
+    updateUser: setUser, // after the profile is edited
+  }), [user, status, requestCode, verifyCode, signOut]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) throw new Error('useAuth must be used within an AuthProvider');
+  return context;
+}
@@ -0,0 +1,244 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { apiGet, apiPost, apiRequest } from '../lib/api';
+import { useAuth } from './AuthContext';
+import { toast } from '../hooks/use-toast';
+import {
+  CART_STORAGE_KEY,
+  COUPON_STORAGE_KEY,
+  DEFAULT_MAX_QUANTITY,
+  cartCount,
+  cartItemKey,
+  cartLineFromPriced,
+  loadStoredCart,
+  loadStoredCoupon,
+  mergeCartItems,
+  quantityForProduct,
+  storeCart,
+  storeCoupon,
+  toCartRequestItems,
+} from '../lib/cart';
+
+const CartContext = createContext(null);
+
+const limitMessage = (name, max) => `الحد الأقصى لـ ${name} هو ${max} في الطلب الواحد`;
+const SERVER_SAVE_DELAY_MS = 800;
+const COUPON_RECHECK_DELAY_MS = 400;
+const NO_COUPON = { coupon: null, couponError: null };
+
+export const CartProvider = ({ children }) => {
+  const [items, setItems] = useState(loadStoredCart);
+  const [isOpen, setIsOpen] = useState(false);
+  const [couponCode, setCouponCode] = useState(loadStoredCoupon);
+  const [pricing, setPricing] = useState({ status: 'idle', error: null, notices: [], ...NO_COUPON });
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [syncedUserId, setSyncedUserId] = useState(null); // account whose saved cart is merged in
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const couponRef = useRef(couponCode);
+  couponRef.current = couponCode;
+
+  useEffect(() => {
+    storeCart(items);
+  }, [items]);
+
+  useEffect(() => {
+    storeCoupon(couponCode);
+  }, [couponCode]);
+
+  // Keep several open tabs on the same cart
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === CART_STORAGE_KEY) setItems(loadStoredCart());
+      if (e.key === COUPON_STORAGE_KEY) setCouponCode(loadStoredCoupon());
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
+  // Prices in localStorage may be stale, so the server re-prices the cart whenever it is shown
+  const reprice = useCallback((signal) => {
+    const current = itemsRef.current;
+    if (current.length === 0) return Promise.resolve();
+    setPricing((prev) => ({ ...prev, status: 'loading', error: null, notices: [] }));
+    const body = { items: toCartRequestItems(current), coupon_code: couponRef.current || undefined };
+    return apiPost('/cart/price', body, { signal })
+      .then((result) => {
+        const priced = new Map(current.map((item, i) => [item.key, result.items[i]]));
+        const notices = current
+          .map((item, i) => result.items[i]?.notice && `${item.name}: ${result.items[i].notice}`)
+          .filter(Boolean);
+        setItems((prev) => prev.reduce((next, item) => {
+          const line = priced.get(item.key);
+          if (!line) return [...next, item];
+          if (!line.name || line.quantity === 0) return next;
+          return [...next, {
+            ...item,
+            name: line.name,
+            label: line.label,
+            unit_price: line.unit_price,
+            max_quantity: line.max_quantity,
+            quantity: line.quantity,
+            available: line.available,
+          }];
+        }, []));
+        setPricing({ status: 'ready', error: null, notices, coupon: result.coupon, couponError: result.coupon_error });
+      })
+      .catch((e) => {
+        if (e.name !== 'AbortError') setPricing({ status: 'error', error: e.message, notices: [], ...NO_COUPON });
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const controller = new AbortController();
+    reprice(controller.signal);
+    return () => controller.abort();
+  }, [isOpen, reprice]);
+
+  // The discount depends on the lines, so a coupon is checked again whenever they change
+  const linesKey = JSON.stringify(toCartRequestItems(items));
+  useEffect(() => {
+    if (!couponCode) return undefined;
+    const controller = new AbortController();
+    const timer = setTimeout(() => reprice(controller.signal), COUPON_RECHECK_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [couponCode, linesKey, reprice]);
+
+  const applyCoupon = useCallback((code) => {
+    const next = code.trim().toUpperCase();
+    if (next === couponRef.current) reprice();
+    else setCouponCode(next);
+  }, [reprice]);
+
+  const removeCoupon = useCallback(() => {
+    setCouponCode('');
+    setPricing((prev) => ({ ...prev, ...NO_COUPON }));
+  }, []);
+
+  const addItem = useCallback(({ product, option, quantity = 1, recipient = {} }) => {
+    const max = product.max_quantity || DEFAULT_MAX_QUANTITY;
+    const key = cartItemKey({ product_id: product.id, sku: option.sku, recipient });
+    const current = itemsRef.current;
+    if (quantityForProduct(current, product.id) + quantity > max) {
+      toast({ variant: 'destructive', title: 'لا يمكن إضافة المزيد', description: limitMessage(product.name, max) });
+      return false;
+    }
+    const existing = current.find((item) => item.key === key);
+    setItems(existing
+      ? current.map((item) => (item.key === key ? { ...item, quantity: item.quantity + quantity } : item))
+      : [...current, {
+        key,
+        product_id: product.id,
+        sku: option.sku,
+        type: product.type,
+        name: product.name,
+        label: option.label,
+        unit_price: option.price,
+        max_quantity: max,
+        quantity,
+        recipient,
+        available: true,
+      }]);
+    toast({ title: 'تمت الإضافة إلى السلة', description: `${product.name} — ${option.label}` });
+    return true;
+  }, []);
+
+  const updateQuantity = useCallback((key, quantity) => {
+    setItems((prev) => {
+      const target = prev.find((item) => item.key === key);
+      if (!target) return prev;
+      const max = target.max_quantity || DEFAULT_MAX_QUANTITY;
+      const allowed = Math.max(max - quantityForProduct(prev, target.product_id, key), 0);
+      const next = Math.min(Math.max(quantity, 0), allowed);
+      if (next === 0) return prev.filter((item) => item.key !== key);
+      return prev.map((item) => (item.key === key ? { ...item, quantity: next } : item));
+    });
+  }, []);
+
+  const removeItem = useCallback((key) => {
+    setItems((prev) => prev.filter((item) => item.key !== key));
+  }, []);
+
+  const clearCart = useCallback(() => {
+    setItems([]);
+    removeCoupon();
+  }, [removeCoupon]);
+
+  // Folds a cart loaded from elsewhere (e.g. the signed-in user's server cart) into this one
+  const mergeItems = useCallback((incoming) => {
+    setItems((prev) => mergeCartItems(prev, incoming));
+  }, []);
+
+  // Signing in folds the account's saved cart into this one; signing out empties this device's cart
+  useEffect(() => {
+    if (!userId) {
+      if (syncedUserId) {
+        setItems([]);
+        setSyncedUserId(null);
+      }
+      return undefined;
+    }
+    if (syncedUserId === userId) return undefined;
+    const controller = new AbortController();
+    apiGet('/cart', undefined, { signal: controller.signal })
+      .then((saved) => {
+        mergeItems(saved.items.filter((line) => line.name && line.quantity > 0).map(cartLineFromPriced));
+        setSyncedUserId(userId);
+      })
+      .catch((e) => {
+        if (e.name !== 'AbortError') console.warn('Failed to load saved cart:', e.message);
+      });
+    return () => controller.abort();
+  }, [userId, syncedUserId, mergeItems]);
+
+  // Then every change is saved back, debounced
+  useEffect(() => {
+    if (!userId || syncedUserId !== userId) return undefined;
+    const timer = setTimeout(() => {
+      apiRequest('/cart', { method: 'PUT', body: { items: toCartRequestItems(items) } })
+        .catch((e) => console.warn('Failed to save cart:', e.message));
+    }, SERVER_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [items, userId, syncedUserId]);
+
+  const value = useMemo(() => {
+    const available = items.filter((item) => item.available !== false);
+    const subtotal = available.reduce((sum, item) => sum + item.unit_price * item.quantity, 0);
+    const discount = Math.min(pricing.coupon?.discount || 0, subtotal);
+    return {
+      items,
+      count: cartCount(items),
+      subtotal,
+      discount,
+      total: subtotal - discount,
+      couponCode,
+      applyCoupon,
+      removeCoupon,
+      pricing,
+      isOpen,
+      setOpen: setIsOpen,
+      openCart: () => setIsOpen(true),
+      addItem,
+      updateQuantity,
+      removeItem,
+      clearCart,
+      mergeItems,
+      reprice,
+    };
+  }, [
+    items, couponCode, pricing, isOpen, addItem, updateQuantity, removeItem, clearCart, mergeItems, reprice, applyCoupon,
+    removeCoupon,
+  ]);
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+};
+
+export function useCart() {
+  const context = useContext(CartContext);
+  if (!context) throw new Error('useCart must be used within a CartProvider');
+  return context;
+}
@@ -0,0 +1,53 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { apiGet } from '../lib/api';
+import { BASE_CURRENCY, formatPrice as formatAmount } from '../lib/format';
+import { CURRENCY_STORAGE_KEY, fromBase, loadStoredCurrency, storeCurrency } from '../lib/currency';
+
+const CurrencyContext = createContext(null);
+
+// The shopper's display currency. Catalog prices stay in BASE_CURRENCY everywhere else;
+// only formatPrice converts, and checkout sends the currency so the server fixes the charged amount
+export const CurrencyProvider = ({ children }) => {
+  const [selected, setSelected] = useState(loadStoredCurrency);
+  const [rates, setRates] = useState([]);
+
+  useEffect(() => {
+    apiGet('/currencies')
+      .then(setRates)
+      .catch((e) => console.warn('Failed to load exchange rates:', e.message));
+  }, []);
+
+  // Keep several open tabs on the same currency
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === CURRENCY_STORAGE_KEY) setSelected(loadStoredCurrency());
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
+  const setCurrency = useCallback((currency) => {
+    storeCurrency(currency);
+    setSelected(currency);
+  }, []);
+
+  const value = useMemo(() => {
+    // Until the rates load (or for a currency that was removed) prices show in the base currency
+    const rate = rates.find((r) => r.currency === selected && r.currency !== BASE_CURRENCY) || null;
+    return {
+      currency: rate ? rate.currency : BASE_CURRENCY,
+      rate,
+      rates,
+      setCurrency,
+      formatPrice: (amount) => (rate && amount != null ? formatAmount(fromBase(amount, rate), rate.currency) : formatAmount(amount)),
+    };
+  }, [selected, rates, setCurrency]);
+
+  return <CurrencyContext.Provider value={value}>{children}</CurrencyContext.Provider>;
+};
+
+export function useCurrency() {
+  const context = useContext(CurrencyContext);
+  if (!context) throw new Error('useCurrency must be used within a CurrencyProvider');
+  return context;
+}
@@ -0,0 +1,22 @@
+import { useEffect, useState } from "react";
+
+const secondsUntil = (deadline) =>
+  deadline ? Math.max(0, Math.ceil((deadline - Date.now()) / 1000)) : 0;
+
+// Seconds remaining until `deadline` (ms timestamp); a null deadline yields 0
+export function useCountdown(deadline) {
+  const [secondsLeft, setSecondsLeft] = useState(() => secondsUntil(deadline));
+
+  useEffect(() => {
+    setSecondsLeft(secondsUntil(deadline));
+    if (!deadline) return undefined;
+    const timer = setInterval(() => {
+      const left = secondsUntil(deadline);
+      setSecondsLeft(left);
+      if (left === 0) clearInterval(timer);
+    }, 250);
+    return () => clearInterval(timer);
+  }, [deadline]);
+
+  return secondsLeft;
+}
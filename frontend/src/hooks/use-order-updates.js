@@ -0,0 +1,73 @@
+import { useEffect, useState } from "react";
+import { apiBase, apiGet } from "../lib/api";
+import { isTerminal } from "../lib/orders";
+
+const POLL_INTERVAL_MS = 15000;
+
+// Loads an order and keeps it current: Server-Sent Events first, polling if the stream fails
+export function useOrderUpdates(orderId) {
+  const [order, setOrder] = useState(null);
+  const [error, setError] = useState(null);
+  const [mode, setMode] = useState("connecting"); // connecting / live / polling / closed
+
+  useEffect(() => {
+    let source = null;
+    let timer = null;
+    let cancelled = false;
+    setOrder(null);
+    setError(null);
+    setMode("connecting");
+
+    const apply = (next) => {
+      if (cancelled) return;
+      setOrder(next);
+      if (isTerminal(next.status)) stop();
+    };
+
+    const stop = () => {
+      if (source) source.close();
+      clearInterval(timer);
+      setMode("closed");
+    };
+
+    const poll = () => {
+      apiGet(`/orders/${orderId}`)
+        .then(apply)
+        .catch((e) => {
+          if (cancelled) return;
+          setError(e.message);
+          if (e.status === 404) stop();
+        });
+    };
+
+    const startPolling = () => {
+      if (source) source.close();
+      setMode("polling");
+      poll();
+      timer = setInterval(poll, POLL_INTERVAL_MS);
+    };
+
+    if (typeof window.EventSource === "undefined") {
+      startPolling();
+    } else {
+      source = new window.EventSource(`${apiBase}/api/orders/${orderId}/events`);
+      source.addEventListener("order", (e) => {
+        setMode("live");
+        setError(null);
+        apply(JSON.parse(e.data));
+      });
+      source.onerror = () => {
+        // The server closes the stream after a terminal status; anything else falls back to polling
+        if (!cancelled && source.readyState !== window.EventSource.OPEN) startPolling();
+      };
+    }
+
+    return () => {
+      cancelled = true;
+      if (source) source.close();
+      clearInterval(timer);
+    };
+  }, [orderId]);
+
+  return { order, error, mode };
+}
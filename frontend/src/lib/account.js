@@ -0,0 +1,35 @@
+// Shared by the /account tabs and the saved-recipient picker on the purchase pages
+export const recipientKindLabels = {
+  game: 'معرّف لاعب',
+  phone: 'رقم جوال',
+  wallet: 'محفظة رقمية',
+};
+
+export const WALLET_NETWORKS = ['TRC20', 'ERC20', 'BEP20', 'BTC'];
+
+// Catalog orders can be re-added to the cart; crypto orders are quoted per order instead
+export const BUY_AGAIN_KINDS = ['checkout', 'recharge', 'game_topup'];
+
+export const canBuyAgain = (order) => BUY_AGAIN_KINDS.includes(order.kind);
+
+// A readable device name from a session's User-Agent header
+export function deviceLabel(userAgent = '') {
+  const ua = userAgent || '';
+  const os = [
+    [/Android/i, 'Android'],
+    [/iPhone|iPad|iPod/i, 'iOS'],
+    [/Windows/i, 'Windows'],
+    [/Mac OS X|Macintosh/i, 'macOS'],
+    [/Linux/i, 'Linux'],
+  ].find(([pattern]) => pattern.test(ua));
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/SamsungBrowser/, 'Samsung Internet'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+  ].find(([pattern]) => pattern.test(ua));
+  if (!os && !browser) return 'جهاز غير معروف';
+  return [browser && browser[1], os && os[1]].filter(Boolean).join(' على ');
+}
@@ -0,0 +1,32 @@
+// Python's re.fullmatch() semantics: the whole value must match
+const fullMatch = (pattern, value) => new RegExp(`^(?:${pattern})$`).test(value);
+
+// Mirrors validate_account_id() in backend/server.py so players get feedback before submitting.
+// Rules come from the product's `account_rules` field.
+export function validateAccountId(rules = {}, playerId = '', zone = '') {
+  const label = rules.label || 'معرّف اللاعب';
+  const minLength = rules.min_length ?? 1;
+  const maxLength = rules.max_length ?? 32;
+  const id = playerId.trim();
+
+  if (!id) return `${label} مطلوب`;
+  if (id.length < minLength || id.length > maxLength) {
+    if (minLength === maxLength) return `${label} يجب أن يتكون من ${minLength} خانات`;
+    return `${label} يجب أن يكون بين ${minLength} و ${maxLength} خانات`;
+  }
+  if (rules.numeric && !/^[0-9]+$/.test(id)) return `${label} يجب أن يحتوي على أرقام فقط`;
+  if (rules.pattern && !fullMatch(rules.pattern, id)) return `صيغة ${label} غير صحيحة`;
+
+  const zoneValue = (zone || '').trim();
+  if (rules.zones && rules.zones.length > 0 && !rules.zones.includes(zoneValue)) {
+    return `يرجى اختيار ${rules.zone_label || 'السيرفر'}`;
+  }
+  if (rules.zone_pattern && !fullMatch(rules.zone_pattern, zoneValue)) {
+    return `${rules.zone_label || 'رقم السيرفر'} غير صحيح`;
+  }
+  return null;
+}
+
+export function needsZone(rules = {}) {
+  return Boolean((rules.zones && rules.zones.length > 0) || rules.zone_pattern);
+}
@@ -0,0 +1,11 @@
+import { apiRequest } from './api';
+
+// The shared admin token (see require_admin in backend/server.py) lives only for the browser tab
+const ADMIN_TOKEN_KEY = 'ostora.admin.token';
+
+export const getAdminToken = () => window.sessionStorage.getItem(ADMIN_TOKEN_KEY) || '';
+export const setAdminToken = (token) => window.sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+export const clearAdminToken = () => window.sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+
+export const adminRequest = (path, options = {}) =>
+  apiRequest(path, { ...options, headers: { 'X-Admin-Token': getAdminToken(), ...options.headers } });
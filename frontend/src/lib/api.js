@@ -0,0 +1,52 @@
+// Thin wrapper around fetch for the FastAPI backend (all routes live under /api)
+export const apiBase = process.env.REACT_APP_BACKEND_URL || '';
+
+export class ApiError extends Error {
+  constructor(message, status, detail) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// FastAPI returns either a string detail or a list of validation errors
+function messageFromDetail(detail) {
+  if (!detail) return null;
+  if (typeof detail === 'string') return detail;
+  if (Array.isArray(detail)) return detail.map((d) => d.msg).filter(Boolean).join('، ');
+  if (typeof detail === 'object' && detail.message) return detail.message;
+  return null;
+}
+
+export function buildQuery(params = {}) {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    search.append(key, value);
+  });
+  const qs = search.toString();
+  return qs ? `?${qs}` : '';
+}
+
+// FormData bodies (file uploads) are sent as multipart; `as: 'blob'` returns the raw response body
+export async function apiRequest(path, { method = 'GET', body, params, signal, headers = {}, as = 'json' } = {}) {
+  const isForm = body instanceof FormData;
+  const res = await fetch(`${apiBase}/api${path}${buildQuery(params)}`, {
+    method,
+    signal,
+    credentials: 'include', // the session cookie is httpOnly, see /auth/verify
+    headers: body !== undefined && !isForm ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body !== undefined && !isForm ? JSON.stringify(body) : body,
+  });
+  if (res.ok && as === 'blob') return res.blob();
+  const data = res.status === 204 ? null : await res.json().catch(() => null);
+  if (!res.ok) {
+    const detail = data && data.detail;
+    throw new ApiError(messageFromDetail(detail) || `HTTP ${res.status}`, res.status, detail);
+  }
+  return data;
+}
+
+export const apiGet = (path, params, options = {}) => apiRequest(path, { ...options, params });
+export const apiPost = (path, body, options = {}) => apiRequest(path, { ...options, method: 'POST', body });
@@ -0,0 +1,18 @@
+import { z } from 'zod';
+import { normalizePhone } from './carriers';
+
+export const phoneSchema = z.object({
+  phone: z.string().trim().refine((value) => normalizePhone(value).length >= 9, 'رقم الجوال غير صحيح'),
+});
+
+// Where /login and /verify return to: the page RequireAuth (or a reveal prompt) sent the user from
+export function redirectTarget(from) {
+  if (!from || !from.pathname || from.pathname === '/login' || from.pathname === '/verify') return '/';
+  return `${from.pathname}${from.search || ''}${from.hash || ''}`;
+}
+
+// Why the user was sent to sign in; shown above the phone form
+export const signInReasons = {
+  codes: 'لحماية أكوادك، أكد هويتك برمز يصلك على جوالك ثم سنعيدك إلى طلبك.',
+  protected: 'سجّل الدخول للمتابعة، وسنعيدك إلى الصفحة التي كنت فيها.',
+};
@@ -0,0 +1,104 @@
+import { validateAccountId } from './accountRules';
+import { detectCarrier } from './carriers';
+import { readCsvFile } from './csv';
+
+// Bulk orders for partners; limits mirror BULK_MAX_ROWS / BULK_MAX_UNITS in backend/server.py
+export const BULK_MAX_ROWS = 200;
+export const BULK_MAX_UNITS = 1000;
+export const BULK_FILE_TYPES = '.csv';
+
+// Column headers are matched case-insensitively, in English or Arabic
+const HEADER_ALIASES = {
+  sku: ['sku', 'رمز المنتج', 'الرمز'],
+  quantity: ['quantity', 'qty', 'الكمية'],
+  recipient: ['recipient', 'المستلم'],
+};
+
+const RECIPIENT_TYPES = ['game', 'credit', 'bundle'];
+
+// Game recipients are written as "playerId:zone" (zone only where the game has servers);
+// credit and bundle rows take the phone number; code products leave the column empty
+const TEMPLATE_ROWS = [
+  ['sku', 'quantity', 'recipient'],
+  ['GP-US-10', '50', ''],
+  ['PUBG-60', '1', '5123456789'],
+  ['MLBB-86', '1', '123456789:2001'],
+  ['YM-CR-1000', '1', '777123456'],
+];
+
+export const bulkTemplate = () => `\ufeff${TEMPLATE_ROWS.map((row) => row.join(',')).join('\n')}\n`;
+
+const columnFor = (header) => {
+  const name = String(header).trim().toLowerCase();
+  return Object.keys(HEADER_ALIASES).find((key) => HEADER_ALIASES[key].includes(name));
+};
+
+// Reads a CSV file into [{ row, sku, quantity, recipient }], where `row` is the line number in the
+// file. Cells are kept as text so phone numbers keep their zeros
+export async function readBulkFile(file) {
+  const [header = [], ...lines] = await readCsvFile(file);
+  const columns = header.map(columnFor);
+  if (!columns.includes('sku') || !columns.includes('quantity')) {
+    throw new Error('يجب أن يحتوي الصف الأول على عمودي رمز المنتج (sku) والكمية (quantity)');
+  }
+
+  return lines
+    .map((cells, index) => {
+      const values = { row: index + 2, sku: '', quantity: '', recipient: '' };
+      columns.forEach((key, i) => {
+        if (key) values[key] = String(cells[i] ?? '').trim();
+      });
+      return values;
+    })
+    .filter((values) => values.sku || values.quantity || values.recipient);
+}
+
+const recipientFor = (product, text, carriers) => {
+  if (product.type === 'game') {
+    const [playerId = '', zone = ''] = text.split(':').map((part) => part.trim());
+    const error = validateAccountId(product.account_rules || {}, playerId, zone);
+    return error ? { error } : { recipient: zone ? { player_id: playerId, zone } : { player_id: playerId } };
+  }
+  const detection = detectCarrier(text, carriers);
+  if (detection.error) return { error: detection.error };
+  if (detection.carrier.id !== product.carrier_id) return { error: 'الرقم لا يتبع مشغل هذه الباقة' };
+  return { recipient: { phone: text } };
+};
+
+// Mirrors the per-row checks of POST /orders/bulk against the catalog the partner sees (wholesale
+// prices). Each row gets `error` or the product, option, line total and recipient to submit
+export function validateBulkRows(rows, products, carriers) {
+  const options = {};
+  products.forEach((product) => {
+    product.denominations.forEach((option) => {
+      options[option.sku] = { product, option };
+    });
+  });
+
+  return rows.map((row) => {
+    const quantity = Number(row.quantity);
+    const { product, option } = options[row.sku] || {};
+    const checked = { ...row, quantity, product, option, recipientText: row.recipient, recipient: {}, lineTotal: 0, error: null };
+    if (!row.sku) return { ...checked, error: 'رمز المنتج مطلوب' };
+    if (!option) return { ...checked, error: `رمز المنتج ${row.sku} غير موجود` };
+    if (!option.in_stock) return { ...checked, error: 'الفئة غير متوفرة حالياً' };
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { ...checked, error: 'الكمية يجب أن تكون عدداً صحيحاً أكبر من صفر' };
+    }
+    if (RECIPIENT_TYPES.includes(product.type)) {
+      const { recipient, error } = recipientFor(product, row.recipient, carriers);
+      if (error) return { ...checked, error };
+      checked.recipient = recipient;
+    }
+    return { ...checked, lineTotal: option.price * quantity };
+  });
+}
+
+// File-wide limits; row errors are reported per row
+export function bulkFileError(rows) {
+  if (rows.length === 0) return 'الملف لا يحتوي على أي صفوف';
+  if (rows.length > BULK_MAX_ROWS) return `الحد الأقصى ${BULK_MAX_ROWS} صف في الطلب الجماعي الواحد`;
+  const units = rows.reduce((sum, row) => sum + (Number(row.quantity) || 0), 0);
+  if (units > BULK_MAX_UNITS) return `الحد الأقصى ${BULK_MAX_UNITS} وحدة في الطلب الجماعي الواحد`;
+  return null;
+}
@@ -0,0 +1,34 @@
+// Mirrors detect_carrier() in backend/server.py. The prefix table itself comes from GET /api/carriers.
+export function normalizePhone(phone = '') {
+  let digits = phone.replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  return digits;
+}
+
+// Returns { carrier, nationalNumber, internationalNumber } or { error }
+export function detectCarrier(phone, carriers = []) {
+  const digits = normalizePhone(phone);
+  if (!digits) return { error: 'رقم الهاتف مطلوب' };
+
+  let best = null;
+  carriers.forEach((carrier) => {
+    let national = digits;
+    if (digits.startsWith(carrier.dial_code) && digits.length > carrier.number_length) {
+      national = digits.slice(carrier.dial_code.length);
+    } else if (digits.startsWith('0')) {
+      national = digits.slice(1);
+    }
+    carrier.prefixes.forEach((prefix) => {
+      if (national.startsWith(prefix) && (!best || prefix.length > best.prefixLength)) {
+        best = { carrier, national, prefixLength: prefix.length };
+      }
+    });
+  });
+
+  if (!best) return { error: 'بادئة الرقم غير معروفة لأي مشغل مدعوم' };
+  const { carrier, national } = best;
+  if (national.length !== carrier.number_length) {
+    return { carrier, error: `رقم ${carrier.name} يجب أن يتكون من ${carrier.number_length} أرقام` };
+  }
+  return { carrier, nationalNumber: national, internationalNumber: `+${carrier.dial_code}${national}` };
+}
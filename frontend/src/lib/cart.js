@@ -0,0 +1,120 @@
+// Cart line helpers shared by CartContext and the cart drawer
+export const CART_STORAGE_KEY = 'ostora.cart.v1';
+export const COUPON_STORAGE_KEY = 'ostora.cart.coupon';
+export const DEFAULT_MAX_QUANTITY = 10;
+
+// Same product + option for a different recipient (player id, phone...) is a separate line
+export function cartItemKey({ product_id, sku, recipient = {} }) {
+  const who = Object.keys(recipient).sort().map((k) => `${k}=${recipient[k]}`).join('&');
+  return `${product_id}:${sku}${who ? `:${who}` : ''}`;
+}
+
+export function cartCount(items) {
+  return items.reduce((sum, item) => sum + item.quantity, 0);
+}
+
+export function quantityForProduct(items, productId, exceptKey = null) {
+  return items
+    .filter((item) => item.product_id === productId && item.key !== exceptKey)
+    .reduce((sum, item) => sum + item.quantity, 0);
+}
+
+// Trims quantities so each product stays within its max_quantity; lines that reach 0 are dropped
+export function clampToLimits(items) {
+  const used = {};
+  return items.reduce((kept, item) => {
+    const max = item.max_quantity || DEFAULT_MAX_QUANTITY;
+    const allowed = Math.max(max - (used[item.product_id] || 0), 0);
+    const quantity = Math.min(item.quantity, allowed);
+    if (quantity <= 0) return kept;
+    used[item.product_id] = (used[item.product_id] || 0) + quantity;
+    return [...kept, quantity === item.quantity ? item : { ...item, quantity }];
+  }, []);
+}
+
+// Union of both carts: matching lines keep the larger quantity, then limits are re-applied
+export function mergeCartItems(local, remote) {
+  const merged = new Map(remote.map((item) => [item.key || cartItemKey(item), item]));
+  local.forEach((item) => {
+    const key = item.key || cartItemKey(item);
+    const existing = merged.get(key);
+    merged.set(key, existing ? { ...existing, quantity: Math.max(existing.quantity, item.quantity) } : item);
+  });
+  return clampToLimits([...merged.entries()].map(([key, item]) => ({ ...item, key })));
+}
+
+// The fields the backend prices (POST /cart/price) and stores (PUT /cart)
+export function toCartRequestItems(items) {
+  return items.map(({ product_id, sku, quantity, recipient }) => ({ product_id, sku, quantity, recipient }));
+}
+
+// A line priced by the backend (GET /cart) in the shape kept in the browser
+export function cartLineFromPriced(line) {
+  return {
+    key: cartItemKey(line),
+    product_id: line.product_id,
+    sku: line.sku,
+    type: line.type,
+    name: line.name,
+    label: line.label,
+    unit_price: line.unit_price,
+    max_quantity: line.max_quantity,
+    quantity: line.quantity,
+    recipient: line.recipient,
+    available: line.available,
+  };
+}
+
+// "Buy again": the lines of an earlier order, merged into the cart and re-priced when it opens
+export function cartLinesFromOrder(order) {
+  return order.items.map((item) => ({
+    key: cartItemKey(item),
+    product_id: item.product_id,
+    sku: item.sku,
+    name: item.name,
+    label: item.label,
+    unit_price: item.unit_price,
+    quantity: item.quantity,
+    recipient: item.recipient || {},
+    available: true,
+  }));
+}
+
+export function loadStoredCart() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(CART_STORAGE_KEY));
+    return Array.isArray(parsed) ? parsed.filter((item) => item && item.product_id && item.sku && item.quantity > 0) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function storeCart(items) {
+  try {
+    window.localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(items));
+  } catch (e) {
+    console.warn('Failed to persist cart:', e.message);
+  }
+}
+
+// The coupon code entered in the cart; the backend decides whether it applies each time it prices
+export function loadStoredCoupon() {
+  try {
+    return window.localStorage.getItem(COUPON_STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+export function storeCoupon(code) {
+  try {
+    if (code) window.localStorage.setItem(COUPON_STORAGE_KEY, code);
+    else window.localStorage.removeItem(COUPON_STORAGE_KEY);
+  } catch (e) {
+    console.warn('Failed to persist coupon:', e.message);
+  }
+}
+
+export function recipientSummary(recipient = {}) {
+  return [recipient.player_id, recipient.zone, recipient.phone].filter(Boolean).join(' / ');
+}
@@ -0,0 +1,59 @@
+import { z } from 'zod';
+import { normalizePhone } from './carriers';
+import { GIFT_MESSAGE_MAX_LENGTH } from './gifts';
+
+// One schema per checkout step; limits mirror the backend checks in /orders/checkout and /orders/{id}/receipt
+export const RECEIPT_MAX_BYTES = 5 * 1024 * 1024;
+export const RECEIPT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+export const reviewSchema = z.object({
+  accept_terms: z.boolean().refine((value) => value === true, 'يجب الموافقة على شروط الخدمة للمتابعة'),
+  use_points: z.boolean(),
+});
+
+const validPhone = (value) => {
+  const digits = normalizePhone(value);
+  return digits.length >= 9 && digits.length <= 15;
+};
+
+// The gift fields are only checked when the order is sent as a gift
+export const recipientSchema = z
+  .object({
+    contact_name: z.string().trim().min(2, 'الاسم مطلوب (حرفان على الأقل)').max(80, 'الاسم طويل جداً'),
+    contact_phone: z.string().trim().refine(validPhone, 'رقم الجوال غير صحيح'),
+    contact_email: z.union([z.literal(''), z.string().trim().email('البريد الإلكتروني غير صحيح')]),
+    send_as_gift: z.boolean(),
+    gift_name: z.string(),
+    gift_phone: z.string(),
+    gift_message: z.string().max(GIFT_MESSAGE_MAX_LENGTH, `رسالة الإهداء أطول من ${GIFT_MESSAGE_MAX_LENGTH} حرفاً`),
+    gift_date: z.date().nullable(),
+  })
+  .superRefine((value, ctx) => {
+    if (!value.send_as_gift) return;
+    const name = value.gift_name.trim();
+    if (name.length < 2 || name.length > 80) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['gift_name'], message: 'اسم المستلم مطلوب (حرفان على الأقل)' });
+    }
+    if (!validPhone(value.gift_phone.trim())) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['gift_phone'], message: 'رقم جوال المستلم غير صحيح' });
+    }
+  });
+
+// A transfer method is only required for what the wallet balance does not cover
+export const paymentSchema = (walletCoversTotal) => z
+  .object({
+    use_wallet: z.boolean(),
+    payment_method: z.string(),
+  })
+  .refine((value) => (value.use_wallet && walletCoversTotal) || value.payment_method.length > 0, {
+    message: 'يرجى اختيار طريقة الدفع',
+    path: ['payment_method'],
+  });
+
+export const receiptSchema = z.object({
+  file: z
+    .custom((value) => value instanceof File, 'يرجى إرفاق صورة إيصال التحويل')
+    .refine((file) => !(file instanceof File) || RECEIPT_TYPES.includes(file.type), 'يجب أن يكون الإيصال صورة (JPG أو PNG أو WEBP) أو ملف PDF')
+    .refine((file) => !(file instanceof File) || file.size <= RECEIPT_MAX_BYTES, 'حجم الإيصال يتجاوز 5 ميجابايت'),
+  reference: z.string().trim().max(64, 'رقم الحوالة طويل جداً'),
+});
@@ -0,0 +1,84 @@
+import { format } from 'date-fns';
+import { formatNumber, formatPrice, parseServerDate } from './format';
+
+// Coupon vocabulary; keys mirror Coupon and COUPON_KINDS in backend/server.py
+export const couponKindLabels = {
+  percent: 'نسبة مئوية',
+  fixed: 'مبلغ ثابت',
+};
+
+export const emptyCouponForm = {
+  code: '',
+  description: '',
+  kind: 'percent',
+  value: '',
+  max_discount: '',
+  product_ids: [],
+  product_types: [],
+  min_subtotal: '',
+  usage_limit: '',
+  per_user_limit: '',
+  starts_at: '',
+  ends_at: '',
+  active: true,
+};
+
+// <input type="datetime-local"> works in local time without an offset
+const toLocalInput = (value) => (value ? format(parseServerDate(value), "yyyy-MM-dd'T'HH:mm") : '');
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+const optionalNumber = (value) => (value === '' || value == null ? null : Number(value));
+
+export function couponToForm(coupon) {
+  return {
+    ...emptyCouponForm,
+    ...coupon,
+    description: coupon.description || '',
+    value: String(coupon.value),
+    max_discount: coupon.max_discount == null ? '' : String(coupon.max_discount),
+    min_subtotal: coupon.min_subtotal ? String(coupon.min_subtotal) : '',
+    usage_limit: coupon.usage_limit == null ? '' : String(coupon.usage_limit),
+    per_user_limit: coupon.per_user_limit == null ? '' : String(coupon.per_user_limit),
+    starts_at: toLocalInput(coupon.starts_at),
+    ends_at: toLocalInput(coupon.ends_at),
+  };
+}
+
+// The body of POST /admin/coupons and PUT /admin/coupons/{id}
+export function couponFromForm(form) {
+  return {
+    code: form.code.trim(),
+    description: form.description.trim() || null,
+    kind: form.kind,
+    value: Number(form.value),
+    max_discount: form.kind === 'percent' ? optionalNumber(form.max_discount) : null,
+    product_ids: form.product_ids,
+    product_types: form.product_types,
+    min_subtotal: optionalNumber(form.min_subtotal) || 0,
+    usage_limit: optionalNumber(form.usage_limit),
+    per_user_limit: optionalNumber(form.per_user_limit),
+    starts_at: fromLocalInput(form.starts_at),
+    ends_at: fromLocalInput(form.ends_at),
+    active: form.active,
+  };
+}
+
+export function couponDiscountLabel(coupon) {
+  if (coupon.kind === 'fixed') return formatPrice(coupon.value);
+  const cap = coupon.max_discount ? ` حتى ${formatPrice(coupon.max_discount)}` : '';
+  return `${formatNumber(coupon.value)}%${cap}`;
+}
+
+// Where a coupon stands right now, for the admin list
+export function couponState(coupon, now = new Date()) {
+  if (!coupon.active) return { label: 'موقوف', tone: 'bg-gray-100 text-gray-700 hover:bg-gray-100' };
+  if (coupon.ends_at && parseServerDate(coupon.ends_at) <= now) {
+    return { label: 'منتهي', tone: 'bg-gray-100 text-gray-700 hover:bg-gray-100' };
+  }
+  if (coupon.usage_limit != null && coupon.used_count >= coupon.usage_limit) {
+    return { label: 'نفد', tone: 'bg-red-100 text-red-800 hover:bg-red-100' };
+  }
+  if (coupon.starts_at && parseServerDate(coupon.starts_at) > now) {
+    return { label: 'مجدول', tone: 'bg-yellow-100 text-yellow-800 hover:bg-yellow-100' };
+  }
+  return { label: 'فعّال', tone: 'bg-green-100 text-green-800 hover:bg-green-100' };
+}
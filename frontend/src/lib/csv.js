@@ -0,0 +1,54 @@
+// Minimal RFC 4180 reader for the CSV uploads (bulk orders, code inventory). Excel saves CSV with
+// ";" in locales that use a decimal comma, so the delimiter is taken from the header line
+const DELIMITERS = [',', ';', '\t'];
+
+const delimiterFor = (text) => {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  return DELIMITERS.reduce((best, d) => (header.split(d).length > header.split(best).length ? d : best), ',');
+};
+
+// Returns the rows as arrays of strings, keeping every cell as text
+export function parseCsv(text) {
+  const source = text.replace(/^\ufeff/, '');
+  const delimiter = delimiterFor(source);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error('الملف يحتوي على علامة اقتباس غير مغلقة');
+  if (cell !== '' || row.length > 0) rows.push([...row, cell]);
+  return rows;
+}
+
+export async function readCsvFile(file) {
+  if (!/\.csv$/i.test(file.name)) {
+    throw new Error('يرجى رفع ملف CSV، ويمكن حفظ ملف Excel بهذه الصيغة من "حفظ باسم"');
+  }
+  return parseCsv(await file.text());
+}
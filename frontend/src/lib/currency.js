@@ -0,0 +1,26 @@
+import { BASE_CURRENCY } from './format';
+
+// Display currency for catalog prices; rates come from GET /currencies (ExchangeRate in backend/server.py)
+export const CURRENCY_STORAGE_KEY = 'ostora.currency';
+
+export function loadStoredCurrency() {
+  try {
+    return window.localStorage.getItem(CURRENCY_STORAGE_KEY) || BASE_CURRENCY;
+  } catch {
+    return BASE_CURRENCY;
+  }
+}
+
+export function storeCurrency(currency) {
+  try {
+    window.localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+  } catch (e) {
+    console.warn('Failed to persist currency:', e.message);
+  }
+}
+
+// Mirrors from_base: a base-currency amount in `rate.currency`, rounded to its decimals
+export function fromBase(amount, rate) {
+  const factor = 10 ** rate.decimals;
+  return Math.round((amount / rate.rate) * factor) / factor;
+}
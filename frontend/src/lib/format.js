@@ -0,0 +1,52 @@
+import { format } from 'date-fns';
+import { ar } from 'date-fns/locale';
+
+// Latin digits keep prices consistent with the rest of the site copy
+const LOCALE = 'ar-YE-u-nu-latn';
+
+export const BASE_CURRENCY = 'YER';
+
+export function formatPrice(amount, currency = BASE_CURRENCY) {
+  if (amount === null || amount === undefined || Number.isNaN(Number(amount))) return '';
+  return new Intl.NumberFormat(LOCALE, {
+    style: 'currency',
+    currency,
+    maximumFractionDigits: currency === 'YER' ? 0 : 2,
+  }).format(amount);
+}
+
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(LOCALE, options).format(value);
+}
+
+export const regionLabels = {
+  US: 'أمريكي',
+  SA: 'سعودي',
+  AE: 'إماراتي',
+  MENA: 'الشرق الأوسط',
+  GLOBAL: 'عالمي',
+};
+
+// رابط واتساب مع رسالة جاهزة
+export const WHATSAPP_NUMBER = '967779995884';
+
+export function whatsappLink(message) {
+  return `https://wa.me/${WHATSAPP_NUMBER}?text=${encodeURIComponent(message)}`;
+}
+
+// Without a number WhatsApp lets the user pick who to send the message to
+export function whatsappShareLink(message) {
+  return `https://wa.me/?text=${encodeURIComponent(message)}`;
+}
+
+// The API returns naive UTC datetimes (no offset); treat them as UTC, not local time
+export function parseServerDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  return new Date(/(?:[zZ]|[+-]\d\d:?\d\d)$/.test(value) ? value : `${value}Z`);
+}
+
+export function formatDateTime(value) {
+  const date = parseServerDate(value);
+  return date ? format(date, 'd MMMM yyyy، HH:mm', { locale: ar }) : '';
+}
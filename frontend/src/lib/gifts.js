@@ -0,0 +1,28 @@
+import { addDays, startOfDay } from 'date-fns';
+
+// Gift vocabulary and limits; these mirror Gift, GIFT_MESSAGE_MAX_LENGTH and GIFT_MAX_SCHEDULE_DAYS in backend/server.py
+export const GIFT_MESSAGE_MAX_LENGTH = 300;
+export const GIFT_MAX_SCHEDULE_DAYS = 90;
+
+export const giftStatusLabels = {
+  scheduled: { label: 'بانتظار موعد الإرسال', tone: 'bg-yellow-100 text-yellow-800 hover:bg-yellow-100' },
+  sent: { label: 'أُرسل الرابط', tone: 'bg-blue-100 text-blue-800 hover:bg-blue-100' },
+  opened: { label: 'فُتحت الهدية', tone: 'bg-green-100 text-green-800 hover:bg-green-100' },
+  cancelled: { label: 'أُلغيت', tone: 'bg-gray-100 text-gray-700 hover:bg-gray-100' },
+  failed: { label: 'تعذر إرسال الرابط', tone: 'bg-red-100 text-red-800 hover:bg-red-100' },
+};
+
+// Days the calendar offers: today (send as soon as the order is delivered) up to the schedule limit
+export const giftDateDisabled = (day) => day < startOfDay(new Date()) || day > addDays(new Date(), GIFT_MAX_SCHEDULE_DAYS);
+
+// CheckoutCreate.gift from the recipient step; a later date is sent as the start of that day in local time
+export function giftFromForm(values) {
+  if (!values.send_as_gift) return undefined;
+  const day = values.gift_date && startOfDay(values.gift_date);
+  return {
+    recipient_name: values.gift_name.trim(),
+    recipient_phone: values.gift_phone.trim(),
+    message: values.gift_message.trim(),
+    deliver_at: day && day > new Date() ? day.toISOString() : undefined,
+  };
+}
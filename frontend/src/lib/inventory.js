@@ -0,0 +1,55 @@
+import { readCsvFile } from './csv';
+
+// Code inventory imports; the limit mirrors INVENTORY_IMPORT_MAX_ROWS in backend/server.py
+export const INVENTORY_IMPORT_MAX_ROWS = 5000;
+export const INVENTORY_FILE_TYPES = '.csv';
+
+// Product types that can sell from our own stock (INVENTORY_PRODUCT_TYPES)
+export const INVENTORY_PRODUCT_TYPES = ['card', 'subscription'];
+
+// Column headers are matched case-insensitively, in English or Arabic
+const HEADER_ALIASES = {
+  sku: ['sku', 'رمز المنتج', 'الرمز'],
+  code: ['code', 'pin', 'الكود', 'رقم البطاقة'],
+};
+
+const TEMPLATE_ROWS = [
+  ['sku', 'code'],
+  ['GP-US-10', 'XXXX-XXXX-XXXX-XXXX'],
+];
+
+export const inventoryTemplate = () => `\ufeff${TEMPLATE_ROWS.map((row) => row.join(',')).join('\n')}\n`;
+
+// Keys mirror InventoryImportRowResult.status in backend/server.py
+export const importStatuses = {
+  new: { label: 'جديد', tone: 'bg-green-100 text-green-800 hover:bg-green-100' },
+  duplicate_file: { label: 'مكرر في الملف', tone: 'bg-yellow-100 text-yellow-800 hover:bg-yellow-100' },
+  duplicate_stock: { label: 'موجود في المخزون', tone: 'bg-yellow-100 text-yellow-800 hover:bg-yellow-100' },
+  unknown_sku: { label: 'رمز منتج غير معروف', tone: 'bg-red-100 text-red-800 hover:bg-red-100' },
+  empty: { label: 'كود فارغ', tone: 'bg-red-100 text-red-800 hover:bg-red-100' },
+};
+
+const columnFor = (header) => {
+  const name = String(header).trim().toLowerCase();
+  return Object.keys(HEADER_ALIASES).find((key) => HEADER_ALIASES[key].includes(name));
+};
+
+// Reads a CSV file into [{ row, sku, code }], where `row` is the line number in the file.
+// Cells are kept as text so codes keep their leading zeros
+export async function readInventoryFile(file) {
+  const [header = [], ...lines] = await readCsvFile(file);
+  const columns = header.map(columnFor);
+  if (!columns.includes('sku') || !columns.includes('code')) {
+    throw new Error('يجب أن يحتوي الصف الأول على عمودي رمز المنتج (sku) والكود (code)');
+  }
+
+  return lines
+    .map((cells, index) => {
+      const values = { row: index + 2, sku: '', code: '' };
+      columns.forEach((key, i) => {
+        if (key) values[key] = String(cells[i] ?? '').trim();
+      });
+      return values;
+    })
+    .filter((values) => values.sku || values.code);
+}
@@ -0,0 +1,28 @@
+// Loyalty points vocabulary; keys mirror PointsEntry and DEFAULT_LOYALTY_TIERS in backend/server.py
+export const pointsEntryLabels = {
+  earn: 'نقاط طلب',
+  redeem: 'خصم بالنقاط',
+  restore: 'إعادة نقاط',
+  reverse: 'سحب نقاط طلب مسترد',
+  expire: 'انتهاء صلاحية',
+};
+
+export const tierTones = {
+  silver: 'bg-gray-100 text-gray-800 hover:bg-gray-100',
+  gold: 'bg-yellow-100 text-yellow-800 hover:bg-yellow-100',
+  platinum: 'bg-slate-800 text-white hover:bg-slate-800',
+};
+
+// How many points checkout can take off `total`: all of them up to the order's value, or none
+// while that is below the redemption minimum
+export function redeemablePoints(loyalty, total) {
+  if (!loyalty) return 0;
+  const points = Math.min(loyalty.balance, Math.floor(total / loyalty.point_value));
+  return points >= loyalty.min_redeem ? points : 0;
+}
+
+// Progress through the current month toward the next tier, 0-100
+export function tierProgress(loyalty) {
+  if (!loyalty.next_tier) return 100;
+  return Math.min(100, (loyalty.month_spend / loyalty.next_tier.min_monthly_spend) * 100);
+}
@@ -0,0 +1,39 @@
+// Order status vocabulary; mirrors ORDER_STATUSES / ORDER_TERMINAL_STATUSES in backend/server.py
+export const statusLabels = {
+  created: 'تم إنشاء الطلب',
+  verifying: 'بانتظار التحقق من الدفع',
+  paid: 'تم تأكيد الدفع',
+  fulfilling: 'جاري التنفيذ',
+  delivered: 'تم التسليم',
+  failed: 'تعذر إتمام الطلب',
+  refunded: 'تم استرداد المبلغ',
+};
+
+// The usual path of a manually paid order; failed/refunded end it early
+export const STATUS_FLOW = ['created', 'verifying', 'paid', 'fulfilling', 'delivered'];
+export const TERMINAL_STATUSES = ['delivered', 'failed', 'refunded'];
+
+export const isTerminal = (status) => TERMINAL_STATUSES.includes(status);
+
+// What is left to transfer once the store-credit part (wallet_amount) is deducted, in
+// order.payment_currency; the server fixes it when the order is placed (payment_fields)
+export const amountDue = (order) => order.payment_amount ?? Math.max(0, order.total - (order.wallet_amount || 0));
+
+// Orders paid in another currency than their totals: what was charged and at which rate
+export const paidInOtherCurrency = (order) => Boolean(order.payment_currency) && order.payment_currency !== order.currency;
+
+// Lines without a recipient are delivered as voucher codes (code_items in backend/server.py)
+export const isCodeItem = (item) => Object.keys(item.recipient || {}).length === 0;
+
+// Past events in order, followed by the remaining steps of the usual path (without a timestamp)
+export function timelineSteps(order) {
+  const past = order.status_history.map((event) => ({ ...event, state: 'done' }));
+  if (past.length > 0) past[past.length - 1].state = isTerminal(order.status) ? 'done' : 'current';
+  if (isTerminal(order.status)) return past;
+  const reached = new Set(past.map((event) => event.status));
+  const lastIndex = Math.max(...past.map((event) => STATUS_FLOW.indexOf(event.status)));
+  const upcoming = STATUS_FLOW.slice(lastIndex + 1)
+    .filter((status) => !reached.has(status))
+    .map((status) => ({ status, at: null, state: 'upcoming' }));
+  return [...past, ...upcoming];
+}
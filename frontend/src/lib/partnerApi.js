@@ -0,0 +1,31 @@
+import { parseServerDate } from './format';
+
+// Partner API keys and request logs; limits mirror PARTNER_API_* in backend/server.py
+export const API_MAX_KEYS = 5;
+
+// "expiring" keys were rotated and keep working until expires_at
+export function apiKeyState(key, now = new Date()) {
+  if (key.revoked_at) return 'inactive';
+  if (!key.expires_at) return 'active';
+  return parseServerDate(key.expires_at) > now ? 'expiring' : 'inactive';
+}
+
+export const statusTone = (status) => {
+  if (status < 300) return 'bg-green-100 text-green-800 hover:bg-green-100';
+  if (status < 500) return 'bg-yellow-100 text-yellow-800 hover:bg-yellow-100';
+  return 'bg-red-100 text-red-800 hover:bg-red-100';
+};
+
+// Webhooks; mirrors WEBHOOK_* in backend/server.py
+export const WEBHOOK_MAX_ENDPOINTS = 5;
+
+export const WEBHOOK_EVENTS = [
+  { id: 'order.created', label: 'إنشاء طلب' },
+  { id: 'order.paid', label: 'تأكيد الدفع' },
+  { id: 'order.fulfilled', label: 'اكتمال التنفيذ' },
+  { id: 'order.failed', label: 'فشل الطلب' },
+  { id: 'refund.issued', label: 'استرداد مبلغ' },
+];
+
+export const webhookEventLabel = (type) =>
+  type === 'webhook.test' ? 'حدث تجريبي' : WEBHOOK_EVENTS.find((event) => event.id === type)?.label || type;
@@ -0,0 +1,24 @@
+import { z } from 'zod';
+import { normalizePhone } from './carriers';
+
+// Partner program vocabulary; keys mirror PARTNER_VOLUMES / PARTNER_STATUSES in backend/server.py
+export const volumeLabels = {
+  under_500k: 'أقل من 500 ألف ريال',
+  '500k_2m': 'من 500 ألف إلى 2 مليون ريال',
+  '2m_10m': 'من 2 إلى 10 مليون ريال',
+  over_10m: 'أكثر من 10 مليون ريال',
+};
+
+export const partnerStatusLabels = {
+  pending: 'قيد المراجعة',
+  approved: 'معتمد',
+  rejected: 'مرفوض',
+};
+
+export const applicationSchema = z.object({
+  business_name: z.string().trim().min(2, 'اسم النشاط مطلوب').max(80, 'الاسم طويل جداً'),
+  city: z.string().trim().min(2, 'المدينة مطلوبة').max(40, 'اسم المدينة طويل جداً'),
+  phone: z.string().trim().refine((value) => normalizePhone(value).length >= 9, 'رقم الجوال غير صحيح'),
+  monthly_volume: z.string().min(1, 'اختر حجم المبيعات الشهري المتوقع'),
+  channels: z.string().trim().max(300, 'الوصف طويل جداً'),
+});
@@ -0,0 +1,68 @@
+import { formatNumber } from './format';
+
+// Recurring orders; limits mirror RECURRING_* and RecurringOrder in backend/server.py
+export const RECURRING_PRODUCT_TYPES = ['credit', 'bundle', 'game', 'subscription'];
+export const RECURRING_MAX_DAY_OF_MONTH = 28;
+export const RECURRING_MAX_INTERVAL_DAYS = 90;
+
+export const frequencyLabels = {
+  monthly: 'شهرياً في يوم محدد',
+  interval: 'كل عدد من الأيام',
+};
+
+export const recurringStatusLabels = {
+  active: { label: 'مفعّلة', tone: 'bg-green-100 text-green-800 hover:bg-green-100' },
+  paused: { label: 'متوقفة', tone: 'bg-gray-100 text-gray-700 hover:bg-gray-100' },
+};
+
+export const emptyRecurringForm = {
+  product_id: '',
+  sku: '',
+  phone: '',
+  player_id: '',
+  zone: '',
+  quantity: '1',
+  frequency: 'monthly',
+  day_of_month: '1',
+  interval_days: '30',
+};
+
+export function recurringToForm(schedule) {
+  return {
+    ...emptyRecurringForm,
+    product_id: schedule.product_id,
+    sku: schedule.sku,
+    phone: schedule.recipient.phone || '',
+    player_id: schedule.recipient.player_id || '',
+    zone: schedule.recipient.zone || '',
+    quantity: String(schedule.quantity),
+    frequency: schedule.frequency,
+    day_of_month: String(schedule.day_of_month || 1),
+    interval_days: String(schedule.interval_days || 30),
+  };
+}
+
+// The body of POST /account/recurring and PUT /account/recurring/{id}; the server checks the recipient
+export function recurringFromForm(form, product) {
+  let recipient = {};
+  if (product?.type === 'game') {
+    recipient = { player_id: form.player_id.trim(), ...(form.zone.trim() ? { zone: form.zone.trim() } : {}) };
+  } else if (['credit', 'bundle'].includes(product?.type)) {
+    recipient = { phone: form.phone.trim() };
+  }
+  return {
+    product_id: form.product_id,
+    sku: form.sku,
+    recipient,
+    quantity: Number(form.quantity),
+    frequency: form.frequency,
+    day_of_month: form.frequency === 'monthly' ? Number(form.day_of_month) : null,
+    interval_days: form.frequency === 'interval' ? Number(form.interval_days) : null,
+    funding: 'wallet',
+  };
+}
+
+export function scheduleLabel(schedule) {
+  if (schedule.frequency === 'monthly') return `يوم ${formatNumber(schedule.day_of_month)} من كل شهر`;
+  return schedule.interval_days === 1 ? 'كل يوم' : `كل ${formatNumber(schedule.interval_days)} يوماً`;
+}
@@ -0,0 +1,47 @@
+import { formatPrice } from './format';
+
+// Referral links land on any page with ?ref=CODE; the code is kept until the visitor signs in
+export const REFERRAL_STORAGE_KEY = 'ostora.referral';
+const REFERRAL_TTL_DAYS = 30;
+const REFERRAL_CODE_PATTERN = /^[A-Z0-9]{4,12}$/;
+
+export const referralStatusLabels = {
+  pending: { label: 'بانتظار أول طلب', tone: 'bg-yellow-100 text-yellow-800 hover:bg-yellow-100' },
+  rewarded: { label: 'تمت المكافأة', tone: 'bg-green-100 text-green-800 hover:bg-green-100' },
+};
+
+export function captureReferral(search) {
+  const code = (new URLSearchParams(search).get('ref') || '').trim().toUpperCase();
+  if (!REFERRAL_CODE_PATTERN.test(code)) return;
+  try {
+    window.localStorage.setItem(REFERRAL_STORAGE_KEY, JSON.stringify({ code, at: Date.now() }));
+  } catch (e) {
+    console.warn('Failed to persist referral:', e.message);
+  }
+}
+
+export function storedReferral() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(REFERRAL_STORAGE_KEY));
+    const fresh = stored && Date.now() - stored.at < REFERRAL_TTL_DAYS * 24 * 3600 * 1000;
+    return fresh ? stored.code : null;
+  } catch {
+    return null;
+  }
+}
+
+export function clearReferral() {
+  try {
+    window.localStorage.removeItem(REFERRAL_STORAGE_KEY);
+  } catch (e) {
+    console.warn('Failed to clear referral:', e.message);
+  }
+}
+
+export const referralLink = (code) => `${window.location.origin}/?ref=${code}`;
+
+export const referralMessage = (code, reward) => [
+  'أشحن ألعابي وبطاقاتي من الأسطورة أونلاين بسرعة وأمان 🎮',
+  `سجّل من رابطي واحصل على ${formatPrice(reward)} رصيداً في محفظتك بعد أول طلب مدفوع:`,
+  referralLink(code),
+].join('\n');
@@ -0,0 +1,19 @@
+// Supplier fulfilment vocabulary; keys mirror FulfillmentJob and Product.type in backend/server.py
+export const jobStatusLabels = {
+  pending: 'بانتظار الإرسال',
+  submitted: 'لدى المورد',
+  fulfilled: 'تم التنفيذ',
+  failed: 'فشل',
+  dead_letter: 'توقفت المحاولات',
+  resolved: 'نُفّذ يدوياً',
+};
+
+export const productTypeLabels = {
+  card: 'بطاقة',
+  game: 'شحن ألعاب',
+  credit: 'رصيد',
+  bundle: 'باقة',
+  subscription: 'اشتراك',
+};
+
+export const formatRate = (rate) => (rate == null ? '—' : `${Math.round(rate * 100)}%`);
@@ -0,0 +1,22 @@
+// Store-credit wallet; limits mirror WALLET_TOPUP_MIN / WALLET_TOPUP_MAX in backend/server.py
+export const TOPUP_MIN = 1000;
+export const TOPUP_MAX = 500000;
+export const TOPUP_PRESETS = [5000, 10000, 25000, 50000];
+
+export const entryKindLabels = {
+  topup: 'شحن رصيد',
+  spend: 'دفع طلب',
+  refund: 'استرداد',
+  commission_payout: 'تحويل عمولات',
+  referral: 'مكافأة دعوة',
+  commission_reversal: 'إلغاء عمولة',
+};
+
+// Sent as the Idempotency-Key header: one key per user action, so a retried request is applied once
+export function newIdempotencyKey() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// How much of `total` the wallet pays when the customer ticks "pay from wallet"
+export const walletPortion = (useWallet, balance, total) => (useWallet ? Math.min(balance, total) : 0);
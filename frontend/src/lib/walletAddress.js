@@ -0,0 +1,332 @@
+// Offline validation of crypto wallet addresses.
+// Supports Base58Check (BTC legacy, TRON), bech32/bech32m (BTC segwit/taproot) and EIP-55 (ETH/BSC).
+// Hashes are implemented here because SubtleCrypto is async-only and has no Keccak.
+
+// ---- SHA-256 ----
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+export function sha256(bytes) {
+  const bitLength = bytes.length * 8;
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const data = new Uint8Array(paddedLength);
+  data.set(bytes);
+  data[bytes.length] = 0x80;
+  const view = new DataView(data.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const h = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ]);
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (hh + S1 + ch + SHA256_K[i] + w[i]) >>> 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) >>> 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+    h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+    h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+  }
+  const out = new Uint8Array(32);
+  const outView = new DataView(out.buffer);
+  h.forEach((word, i) => outView.setUint32(i * 4, word));
+  return out;
+}
+
+// ---- Keccak-256 (the pre-standard variant Ethereum uses, not SHA3-256) ----
+const MASK64 = (BigInt(1) << BigInt(64)) - BigInt(1);
+const KECCAK_RC = [
+  '0x0000000000000001', '0x0000000000008082', '0x800000000000808A', '0x8000000080008000',
+  '0x000000000000808B', '0x0000000080000001', '0x8000000080008081', '0x8000000000008009',
+  '0x000000000000008A', '0x0000000000000088', '0x0000000080008009', '0x000000008000000A',
+  '0x000000008000808B', '0x800000000000008B', '0x8000000000008089', '0x8000000000008003',
+  '0x8000000000008002', '0x8000000000000080', '0x000000000000800A', '0x800000008000000A',
+  '0x8000000080008081', '0x8000000000008080', '0x0000000080000001', '0x8000000080008008',
+].map((hex) => BigInt(hex));
+// Rotation offsets indexed [x][y]
+const KECCAK_ROT = [
+  [0, 36, 3, 41, 18],
+  [1, 44, 10, 45, 2],
+  [62, 6, 43, 15, 61],
+  [28, 55, 25, 21, 56],
+  [27, 20, 39, 8, 14],
+];
+
+const rotl64 = (v, n) => (n === 0 ? v : ((v << BigInt(n)) | (v >> BigInt(64 - n))) & MASK64);
+
+function keccakF(s) {
+  const c = new Array(5);
+  const b = new Array(25);
+  for (let round = 0; round < 24; round++) {
+    for (let x = 0; x < 5; x++) c[x] = s[x] ^ s[x + 5] ^ s[x + 10] ^ s[x + 15] ^ s[x + 20];
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl64(c[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) s[x + y] ^= d;
+    }
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(s[x + 5 * y], KECCAK_ROT[x][y]);
+      }
+    }
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        s[x + y] = b[x + y] ^ (~b[((x + 1) % 5) + y] & MASK64 & b[((x + 2) % 5) + y]);
+      }
+    }
+    s[0] ^= KECCAK_RC[round];
+  }
+}
+
+export function keccak256(bytes) {
+  const rate = 136;
+  const paddedLength = Math.floor(bytes.length / rate) * rate + rate;
+  const data = new Uint8Array(paddedLength);
+  data.set(bytes);
+  data[bytes.length] ^= 0x01;
+  data[paddedLength - 1] ^= 0x80;
+
+  const state = new Array(25).fill(BigInt(0));
+  for (let offset = 0; offset < paddedLength; offset += rate) {
+    for (let i = 0; i < rate / 8; i++) {
+      let lane = BigInt(0);
+      for (let j = 7; j >= 0; j--) lane = (lane << BigInt(8)) | BigInt(data[offset + i * 8 + j]);
+      state[i] ^= lane;
+    }
+    keccakF(state);
+  }
+  const out = new Uint8Array(32);
+  for (let i = 0; i < 4; i++) {
+    let lane = state[i];
+    for (let j = 0; j < 8; j++) {
+      out[i * 8 + j] = Number(lane & BigInt(0xff));
+      lane >>= BigInt(8);
+    }
+  }
+  return out;
+}
+
+const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+// ---- Base58Check ----
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+export function base58Decode(str) {
+  const bytes = []; // little-endian while accumulating
+  for (const char of str) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) return null;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Each leading '1' encodes a leading zero byte
+  for (let i = 0; i < str.length && str[i] === '1'; i++) bytes.push(0);
+  return new Uint8Array(bytes.reverse());
+}
+
+// Returns the payload (version byte included) or null when the checksum fails
+export function base58CheckDecode(str) {
+  const bytes = base58Decode(str);
+  if (!bytes || bytes.length < 5) return null;
+  const payload = bytes.slice(0, -4);
+  const checksum = bytes.slice(-4);
+  const hash = sha256(sha256(payload));
+  for (let i = 0; i < 4; i++) if (hash[i] !== checksum[i]) return null;
+  return payload;
+}
+
+// ---- bech32 / bech32m (BIP-173, BIP-350) ----
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+function bech32Polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) if ((top >>> i) & 1) chk ^= GEN[i];
+  }
+  return chk >>> 0;
+}
+
+const hrpExpand = (hrp) => [
+  ...Array.from(hrp, (c) => c.charCodeAt(0) >> 5),
+  0,
+  ...Array.from(hrp, (c) => c.charCodeAt(0) & 31),
+];
+
+function bech32Decode(str) {
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) return null;
+  const lower = str.toLowerCase();
+  const pos = lower.lastIndexOf('1');
+  if (pos < 1 || pos + 7 > lower.length || lower.length > 90) return null;
+  const hrp = lower.slice(0, pos);
+  const data = [];
+  for (const char of lower.slice(pos + 1)) {
+    const value = BECH32_CHARSET.indexOf(char);
+    if (value < 0) return null;
+    data.push(value);
+  }
+  const polymod = bech32Polymod([...hrpExpand(hrp), ...data]);
+  const encoding = polymod === BECH32_CONST ? 'bech32' : polymod === BECH32M_CONST ? 'bech32m' : null;
+  if (!encoding) return null;
+  return { hrp, data: data.slice(0, -6), encoding };
+}
+
+function convertBits(data, from, to) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  const maxv = (1 << to) - 1;
+  for (const value of data) {
+    acc = (acc << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      out.push((acc >> bits) & maxv);
+    }
+  }
+  if (bits >= from || ((acc << (to - bits)) & maxv)) return null;
+  return out;
+}
+
+// ---- Per-network validators ----
+export const NETWORKS = {
+  bitcoin: { label: 'Bitcoin (BTC)' },
+  evm: { label: 'Ethereum / BSC (ERC20 / BEP20)' },
+  tron: { label: 'TRON (TRC20)' },
+};
+
+// Order networks (as used by the crypto rates) mapped to address families
+export const ORDER_NETWORK_FAMILY = {
+  BTC: 'bitcoin',
+  ERC20: 'evm',
+  BEP20: 'evm',
+  TRC20: 'tron',
+};
+
+function validateBitcoin(address) {
+  if (/^(bc1|BC1)/.test(address)) {
+    const decoded = bech32Decode(address);
+    if (!decoded || decoded.hrp !== 'bc') return { valid: false, error: 'رمز التحقق (checksum) لعنوان البيتكوين غير صحيح' };
+    const [version, ...words] = decoded.data;
+    const program = convertBits(words, 5, 8);
+    if (version === undefined || !program || program.length < 2 || program.length > 40 || version > 16) {
+      return { valid: false, error: 'عنوان بيتكوين غير صالح' };
+    }
+    if (version === 0 && program.length !== 20 && program.length !== 32) {
+      return { valid: false, error: 'عنوان بيتكوين غير صالح' };
+    }
+    // BIP-350: witness v0 must use bech32, v1+ must use bech32m
+    if ((version === 0) !== (decoded.encoding === 'bech32')) {
+      return { valid: false, error: 'ترميز العنوان لا يطابق إصدار SegWit' };
+    }
+    return { valid: true, type: version === 0 ? 'segwit' : 'taproot' };
+  }
+  const payload = base58CheckDecode(address);
+  if (!payload) return { valid: false, error: 'رمز التحقق (checksum) لعنوان البيتكوين غير صحيح' };
+  if (payload.length !== 21 || (payload[0] !== 0x00 && payload[0] !== 0x05)) {
+    return { valid: false, error: 'عنوان بيتكوين غير صالح' };
+  }
+  return { valid: true, type: payload[0] === 0x00 ? 'p2pkh' : 'p2sh' };
+}
+
+function validateEvm(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return { valid: false, error: 'عنوان غير صالح: يجب أن يبدأ بـ 0x ويتبعه 40 خانة' };
+  const body = address.slice(2);
+  // All-lowercase / all-uppercase addresses carry no checksum (EIP-55)
+  if (body === body.toLowerCase() || body === body.toUpperCase()) {
+    return { valid: true, type: 'evm', checksummed: false };
+  }
+  const hash = toHex(keccak256(new TextEncoder().encode(body.toLowerCase())));
+  for (let i = 0; i < 40; i++) {
+    const char = body[i];
+    if (/[a-f]/i.test(char)) {
+      const shouldBeUpper = parseInt(hash[i], 16) >= 8;
+      if (shouldBeUpper !== (char === char.toUpperCase())) {
+        return { valid: false, error: 'رمز التحقق (EIP-55) غير صحيح، راجع الأحرف الكبيرة والصغيرة في العنوان' };
+      }
+    }
+  }
+  return { valid: true, type: 'evm', checksummed: true };
+}
+
+function validateTron(address) {
+  const payload = base58CheckDecode(address);
+  if (!payload) return { valid: false, error: 'رمز التحقق (checksum) لعنوان ترون غير صحيح' };
+  if (payload.length !== 21 || payload[0] !== 0x41) return { valid: false, error: 'عنوان ترون غير صالح' };
+  return { valid: true, type: 'tron' };
+}
+
+// Guess the address family from its shape alone (no checksum verification)
+export function guessFamily(address) {
+  const value = (address || '').trim();
+  if (/^0x/i.test(value)) return 'evm';
+  if (/^T[1-9A-HJ-NP-Za-km-z]{25,34}$/.test(value)) return 'tron';
+  if (/^(bc1|BC1)/.test(value) || /^[13][1-9A-HJ-NP-Za-km-z]{24,34}$/.test(value)) return 'bitcoin';
+  return null;
+}
+
+const validators = { bitcoin: validateBitcoin, evm: validateEvm, tron: validateTron };
+
+export function validateAddress(address) {
+  const value = (address || '').trim();
+  const family = guessFamily(value);
+  if (!family) return { valid: false, family: null, error: 'صيغة العنوان غير معروفة' };
+  return { family, ...validators[family](value) };
+}
+
+// Validates an address against the order network (TRC20, ERC20, BEP20, BTC) and flags mismatches
+export function validateAddressForNetwork(address, network) {
+  const value = (address || '').trim();
+  if (!value) return { valid: false, error: 'عنوان المحفظة مطلوب' };
+  const result = validateAddress(value);
+  const expected = ORDER_NETWORK_FAMILY[network];
+  if (result.family && expected && result.family !== expected) {
+    return {
+      ...result,
+      valid: false,
+      mismatch: true,
+      error: `هذا عنوان على شبكة ${NETWORKS[result.family].label} بينما الطلب على شبكة ${network}`,
+    };
+  }
+  return result;
+}
@@ -0,0 +1,82 @@
+import React from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { UserRound } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import ProfilePanel from '../components/account/ProfilePanel';
+import OrderHistoryPanel from '../components/account/OrderHistoryPanel';
+import RecipientsPanel from '../components/account/RecipientsPanel';
+import SecurityPanel from '../components/account/SecurityPanel';
+import ReferralsPanel from '../components/account/ReferralsPanel';
+import LoyaltyPanel from '../components/account/LoyaltyPanel';
+import RecurringPanel from '../components/account/RecurringPanel';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../components/ui/tabs';
+import { useAuth } from '../context/AuthContext';
+
+const TABS = ['orders', 'recurring', 'recipients', 'loyalty', 'referrals', 'profile', 'security'];
+
+// Rendered behind RequireAuth; the active tab lives in ?tab= so it can be linked to
+const AccountPage = () => {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = TABS.includes(searchParams.get('tab')) ? searchParams.get('tab') : TABS[0];
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      <section className="py-12" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 flex items-center gap-4">
+          <div className="w-12 h-12 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center">
+            <UserRound className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">{user.name ? `أهلاً، ${user.name}` : 'حسابي'}</h1>
+            <p className="text-gray-600" dir="ltr">{user.phone}</p>
+          </div>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-5xl">
+          <Tabs value={tab} onValueChange={(value) => setSearchParams({ tab: value }, { replace: true })} dir="rtl">
+            <TabsList className="flex-wrap h-auto mb-6">
+              <TabsTrigger value="orders">طلباتي</TabsTrigger>
+              <TabsTrigger value="recurring">الشحن التلقائي</TabsTrigger>
+              <TabsTrigger value="recipients">المستلمون المحفوظون</TabsTrigger>
+              <TabsTrigger value="loyalty">نقاطي</TabsTrigger>
+              <TabsTrigger value="referrals">ادعُ أصدقاءك</TabsTrigger>
+              <TabsTrigger value="profile">الملف الشخصي</TabsTrigger>
+              <TabsTrigger value="security">الأمان</TabsTrigger>
+            </TabsList>
+            <TabsContent value="orders">
+              <OrderHistoryPanel />
+            </TabsContent>
+            <TabsContent value="recurring">
+              <RecurringPanel />
+            </TabsContent>
+            <TabsContent value="recipients">
+              <RecipientsPanel />
+            </TabsContent>
+            <TabsContent value="loyalty">
+              <LoyaltyPanel />
+            </TabsContent>
+            <TabsContent value="referrals">
+              <ReferralsPanel />
+            </TabsContent>
+            <TabsContent value="profile">
+              <ProfilePanel />
+            </TabsContent>
+            <TabsContent value="security">
+              <SecurityPanel />
+            </TabsContent>
+          </Tabs>
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default AccountPage;
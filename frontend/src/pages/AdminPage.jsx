@@ -0,0 +1,117 @@
+import React, { useCallback, useState } from 'react';
+import { ShieldCheck, LogOut } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import PaymentReviewPanel from '../components/admin/PaymentReviewPanel';
+import CodeDeliveryPanel from '../components/admin/CodeDeliveryPanel';
+import PartnersPanel from '../components/admin/PartnersPanel';
+import SuppliersPanel from '../components/admin/SuppliersPanel';
+import InventoryPanel from '../components/admin/InventoryPanel';
+import LowStockAlerts from '../components/admin/LowStockAlerts';
+import ExchangeRatesPanel from '../components/admin/ExchangeRatesPanel';
+import CouponsPanel from '../components/admin/CouponsPanel';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../components/ui/tabs';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Button } from '../components/ui/button';
+import { clearAdminToken, getAdminToken, setAdminToken } from '../lib/admin';
+
+const AdminLogin = ({ onLogin }) => {
+  const [token, setToken] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!token.trim()) return;
+    setAdminToken(token.trim());
+    onLogin();
+  };
+
+  return (
+    <form onSubmit={submit} className="bg-white rounded-3xl p-8 shadow-xl max-w-md mx-auto space-y-4">
+      <Label htmlFor="admin-token">رمز الإدارة</Label>
+      <Input id="admin-token" type="password" dir="ltr" autoComplete="off" value={token} onChange={(e) => setToken(e.target.value)} />
+      <Button type="submit" className="w-full bg-yellow-500 hover:bg-yellow-600">دخول</Button>
+    </form>
+  );
+};
+
+const AdminPage = () => {
+  const [signedIn, setSignedIn] = useState(() => Boolean(getAdminToken()));
+  const [tab, setTab] = useState('payments');
+
+  const signOut = useCallback(() => {
+    clearAdminToken();
+    setSignedIn(false);
+  }, []);
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      <section className="py-12" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 flex items-center justify-between gap-4">
+          <div className="flex items-center gap-4">
+            <div className="w-12 h-12 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center">
+              <ShieldCheck className="w-6 h-6 text-white" />
+            </div>
+            <h1 className="text-3xl font-bold text-gray-900">لوحة الإدارة</h1>
+          </div>
+          {signedIn && (
+            <Button variant="outline" onClick={signOut}>
+              <LogOut className="w-4 h-4" />
+              خروج
+            </Button>
+          )}
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-5xl">
+          {!signedIn ? (
+            <AdminLogin onLogin={() => setSignedIn(true)} />
+          ) : (
+            <>
+              <LowStockAlerts refreshKey={tab} onUnauthorized={signOut} />
+              <Tabs value={tab} onValueChange={setTab} dir="rtl">
+                <TabsList className="flex-wrap h-auto mb-6">
+                  <TabsTrigger value="payments">التحقق من المدفوعات</TabsTrigger>
+                  <TabsTrigger value="delivery">تسليم الأكواد</TabsTrigger>
+                  <TabsTrigger value="partners">الشركاء</TabsTrigger>
+                  <TabsTrigger value="suppliers">الموردون</TabsTrigger>
+                  <TabsTrigger value="inventory">المخزون</TabsTrigger>
+                  <TabsTrigger value="currencies">أسعار الصرف</TabsTrigger>
+                  <TabsTrigger value="coupons">الكوبونات</TabsTrigger>
+                </TabsList>
+                <TabsContent value="payments">
+                  <PaymentReviewPanel onUnauthorized={signOut} />
+                </TabsContent>
+                <TabsContent value="delivery">
+                  <CodeDeliveryPanel onUnauthorized={signOut} />
+                </TabsContent>
+                <TabsContent value="partners">
+                  <PartnersPanel onUnauthorized={signOut} />
+                </TabsContent>
+                <TabsContent value="suppliers">
+                  <SuppliersPanel onUnauthorized={signOut} />
+                </TabsContent>
+                <TabsContent value="inventory">
+                  <InventoryPanel onUnauthorized={signOut} />
+                </TabsContent>
+                <TabsContent value="currencies">
+                  <ExchangeRatesPanel onUnauthorized={signOut} />
+                </TabsContent>
+                <TabsContent value="coupons">
+                  <CouponsPanel onUnauthorized={signOut} />
+                </TabsContent>
+              </Tabs>
+            </>
+          )}
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default AdminPage;
@@ -0,0 +1,353 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { FileSpreadsheet, Upload, Download, CheckCircle, AlertCircle, ArrowRight, ArrowLeft, Handshake } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import StepIndicator from '../components/StepIndicator';
+import PaymentChoiceFields from '../components/PaymentChoiceFields';
+import ReceiptUploadForm from '../components/ReceiptUploadForm';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
+import { Form } from '../components/ui/form';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import { apiGet, apiPost } from '../lib/api';
+import { formatNumber, formatPrice } from '../lib/format';
+import { paymentSchema } from '../lib/checkoutSchemas';
+import { newIdempotencyKey, walletPortion } from '../lib/wallet';
+import { BULK_FILE_TYPES, BULK_MAX_ROWS, bulkFileError, bulkTemplate, readBulkFile, validateBulkRows } from '../lib/bulkOrders';
+
+const steps = [
+  { key: 'file', label: 'رفع الملف' },
+  { key: 'payment', label: 'طريقة الدفع' },
+  { key: 'receipt', label: 'إيصال التحويل' },
+];
+
+const ErrorBox = ({ message }) => (
+  <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+    <AlertCircle className="w-5 h-5 flex-shrink-0" />
+    <span>{message}</span>
+  </div>
+);
+
+const downloadTemplate = () => {
+  const url = URL.createObjectURL(new Blob([bulkTemplate()], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'bulk-order-template.csv';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Row-level preview of the parsed file; rows with an error are highlighted and explain why
+const PreviewTable = ({ rows }) => (
+  <div className="border rounded-xl max-h-[28rem] overflow-auto">
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead className="text-start">الصف</TableHead>
+          <TableHead className="text-start">رمز المنتج</TableHead>
+          <TableHead className="text-start">المنتج</TableHead>
+          <TableHead className="text-start">الكمية</TableHead>
+          <TableHead className="text-start">المستلم</TableHead>
+          <TableHead className="text-start">الإجمالي</TableHead>
+          <TableHead className="text-start">الحالة</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {rows.map((row) => (
+          <TableRow key={row.row} className={row.error ? 'bg-red-50 hover:bg-red-50' : undefined}>
+            <TableCell>{row.row}</TableCell>
+            <TableCell className="font-mono" dir="ltr">{row.sku}</TableCell>
+            <TableCell>{row.product ? `${row.product.name} — ${row.option.label}` : '—'}</TableCell>
+            <TableCell>{Number.isNaN(row.quantity) ? '—' : formatNumber(row.quantity)}</TableCell>
+            <TableCell className="font-mono" dir="ltr">{row.recipientText}</TableCell>
+            <TableCell>{row.error ? '—' : formatPrice(row.lineTotal)}</TableCell>
+            <TableCell>
+              {row.error ? (
+                <span className="flex items-center gap-1 text-red-700"><AlertCircle className="w-4 h-4 flex-shrink-0" />{row.error}</span>
+              ) : (
+                <span className="flex items-center gap-1 text-green-700"><CheckCircle className="w-4 h-4 flex-shrink-0" />جاهز</span>
+              )}
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  </div>
+);
+
+const PaymentStep = ({ methods, total, walletBalance, submitting, submitError, onBack, onNext }) => {
+  const form = useForm({
+    resolver: zodResolver(paymentSchema(walletBalance >= total)),
+    defaultValues: { use_wallet: walletBalance > 0, payment_method: '' },
+  });
+  const remaining = total - walletPortion(form.watch('use_wallet'), walletBalance, total);
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(onNext)} className="space-y-6" noValidate>
+        <div className="flex items-center justify-between bg-yellow-50 rounded-xl p-4">
+          <span className="text-gray-600">إجمالي الطلب الجماعي</span>
+          <span className="text-xl font-bold text-yellow-600">{formatPrice(total)}</span>
+        </div>
+        <PaymentChoiceFields form={form} methods={methods} total={total} walletBalance={walletBalance} />
+        {submitError && <ErrorBox message={submitError} />}
+        <div className="flex justify-between">
+          <Button type="button" variant="outline" onClick={onBack} disabled={submitting}>
+            <ArrowRight className="w-4 h-4" />
+            رجوع
+          </Button>
+          <Button type="submit" className="bg-yellow-500 hover:bg-yellow-600" disabled={submitting}>
+            {submitting ? 'جاري إنشاء الطلب...' : remaining > 0 ? 'تأكيد الطلب' : 'الدفع من الرصيد'}
+            <ArrowLeft className="w-4 h-4" />
+          </Button>
+        </div>
+      </form>
+    </Form>
+  );
+};
+
+// Partners upload a CSV file of SKU, quantity and recipient; it is parsed and checked in the
+// browser, then submitted as one order. Rendered behind RequireAuth
+const BulkOrderPage = () => {
+  const fileInput = useRef(null);
+  const [partner, setPartner] = useState(undefined); // undefined while loading, null when not approved
+  const [catalog, setCatalog] = useState(null);
+  const [methods, setMethods] = useState([]);
+  const [walletBalance, setWalletBalance] = useState(0);
+  const [fileName, setFileName] = useState(null);
+  const [rows, setRows] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [step, setStep] = useState(0);
+  const [order, setOrder] = useState(null);
+  const [completed, setCompleted] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [idempotencyKey, setIdempotencyKey] = useState(newIdempotencyKey);
+
+  useEffect(() => {
+    apiGet('/partners/me')
+      .then((application) => setPartner(application.status === 'approved' ? application : null))
+      .catch(() => setPartner(null));
+  }, []);
+
+  useEffect(() => {
+    if (!partner) return;
+    Promise.all([apiGet('/products'), apiGet('/carriers')])
+      .then(([products, carriers]) => setCatalog({ products, carriers }))
+      .catch((e) => setFileError(`تعذر تحميل الكتالوج: ${e.message}`));
+    apiGet('/payment-methods')
+      .then(setMethods)
+      .catch((e) => console.warn('Failed to load payment methods:', e.message));
+    apiGet('/wallet')
+      .then((wallet) => setWalletBalance(wallet.balance))
+      .catch((e) => console.warn('Failed to load wallet balance:', e.message));
+  }, [partner]);
+
+  const chooseFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setFileName(file.name);
+    setRows(null);
+    setFileError(null);
+    setSubmitError(null);
+    try {
+      const parsed = await readBulkFile(file);
+      const error = bulkFileError(parsed);
+      if (error) {
+        setFileError(error);
+        return;
+      }
+      setRows(validateBulkRows(parsed, catalog.products, catalog.carriers));
+      setIdempotencyKey(newIdempotencyKey());
+    } catch (err) {
+      setFileError(err.message || 'تعذر قراءة الملف، تأكد من أنه ملف CSV صالح');
+    }
+  };
+
+  const placeOrder = async (values) => {
+    const total = rows.reduce((sum, row) => sum + row.lineTotal, 0);
+    const walletAmount = walletPortion(values.use_wallet, walletBalance, total);
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      const created = await apiPost('/orders/bulk', {
+        rows: rows.map(({ row, sku, quantity, recipient }) => ({ row, sku, quantity, recipient })),
+        payment_method: walletAmount < total ? values.payment_method : undefined,
+        wallet_amount: walletAmount || undefined,
+      }, { headers: { 'Idempotency-Key': idempotencyKey } });
+      if (created.status === 'paid') {
+        setCompleted(created);
+        return;
+      }
+      setOrder(created);
+      setStep(2);
+    } catch (err) {
+      setSubmitError(err.message);
+      if (err.detail?.balance !== undefined) setWalletBalance(err.detail.balance);
+      if (Array.isArray(err.detail?.rows)) {
+        // The catalog changed since the preview; show the server's verdict on the affected rows
+        const errors = Object.fromEntries(err.detail.rows.map((r) => [r.row, r.error]));
+        setRows((prev) => prev.map((row) => (errors[row.row] ? { ...row, error: errors[row.row], lineTotal: 0 } : row)));
+        setStep(0);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const invalid = rows ? rows.filter((row) => row.error).length : 0;
+  const total = rows ? rows.reduce((sum, row) => sum + row.lineTotal, 0) : 0;
+  const units = rows ? rows.reduce((sum, row) => sum + (row.error ? 0 : row.quantity), 0) : 0;
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      <section className="py-12" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 flex items-center gap-4">
+          <div className="w-12 h-12 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center">
+            <FileSpreadsheet className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">طلب جماعي</h1>
+            <p className="text-gray-600">ارفع ملفاً بالأكواد والشحنات التي تحتاجها وادفع ثمنها كلها بطلب واحد.</p>
+          </div>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-5xl">
+          {partner === undefined ? (
+            <Skeleton className="h-64 rounded-2xl" />
+          ) : !partner ? (
+            <Card className="bg-white rounded-2xl text-center">
+              <CardContent className="py-12 space-y-4">
+                <Handshake className="w-12 h-12 text-yellow-600 mx-auto" />
+                <p className="text-gray-600">الطلبات الجماعية متاحة للشركاء المعتمدين فقط.</p>
+                <Button asChild className="bg-yellow-500 hover:bg-yellow-600">
+                  <Link to="/partners">برنامج الشركاء</Link>
+                </Button>
+              </CardContent>
+            </Card>
+          ) : completed ? (
+            <Card className="bg-white rounded-2xl text-center max-w-2xl mx-auto">
+              <CardContent className="py-12 space-y-4">
+                <CheckCircle className="w-16 h-16 text-green-600 mx-auto" />
+                <h2 className="text-2xl font-bold text-gray-900">تم استلام طلبك الجماعي</h2>
+                <p className="text-gray-600">
+                  رقم الطلب <span className="font-bold" dir="ltr">{completed.number}</span>.
+                  {' '}من صفحة الطلب يمكنك تنزيل ملف النتائج بحالة كل صف والأكواد المسلّمة.
+                </p>
+                <Button asChild className="bg-yellow-500 hover:bg-yellow-600">
+                  <Link to={`/orders/${completed.id}`}>متابعة الطلب</Link>
+                </Button>
+              </CardContent>
+            </Card>
+          ) : (
+            <>
+              <StepIndicator steps={steps} current={step} />
+
+              {step === 0 && (
+                <div className="space-y-6">
+                  <Card className="bg-white rounded-2xl">
+                    <CardHeader>
+                      <CardTitle className="text-xl font-bold">ملف الطلب</CardTitle>
+                      <CardDescription>
+                        ملف CSV بالأعمدة: رمز المنتج (sku) والكمية (quantity) والمستلم (recipient)، حتى {formatNumber(BULK_MAX_ROWS)} صف.
+                        المستلم رقم الجوال لشحن الرصيد والباقات، ومعرّف اللاعب (مع السيرفر بعد نقطتين عند الحاجة) لشحن الألعاب، ويُترك فارغاً للبطاقات.
+                      </CardDescription>
+                    </CardHeader>
+                    <CardContent className="space-y-4">
+                      <div className="flex flex-wrap gap-3">
+                        <input ref={fileInput} type="file" accept={BULK_FILE_TYPES} onChange={chooseFile} className="hidden" />
+                        <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={() => fileInput.current.click()} disabled={!catalog}>
+                          <Upload className="w-4 h-4" />
+                          {rows ? 'رفع ملف آخر' : 'اختيار الملف'}
+                        </Button>
+                        <Button variant="outline" onClick={downloadTemplate}>
+                          <Download className="w-4 h-4" />
+                          تنزيل نموذج
+                        </Button>
+                      </div>
+                      {fileName && <p className="text-sm text-gray-500" dir="ltr">{fileName}</p>}
+                      {fileError && <ErrorBox message={fileError} />}
+                    </CardContent>
+                  </Card>
+
+                  {rows && (
+                    <Card className="bg-white rounded-2xl">
+                      <CardHeader>
+                        <CardTitle className="text-xl font-bold">معاينة الطلب</CardTitle>
+                        <CardDescription>
+                          {formatNumber(rows.length)} صف — {formatNumber(units)} وحدة بإجمالي {formatPrice(total)}
+                          {invalid > 0 && <span className="text-red-700"> — {formatNumber(invalid)} صف به أخطاء</span>}
+                        </CardDescription>
+                      </CardHeader>
+                      <CardContent className="space-y-4">
+                        <PreviewTable rows={rows} />
+                        {invalid > 0 ? (
+                          <ErrorBox message="صحّح الصفوف المظللة بالأحمر في ملفك ثم ارفعه من جديد." />
+                        ) : (
+                          <div className="flex justify-end">
+                            <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={() => setStep(1)}>
+                              متابعة إلى الدفع
+                              <ArrowLeft className="w-4 h-4" />
+                            </Button>
+                          </div>
+                        )}
+                      </CardContent>
+                    </Card>
+                  )}
+                </div>
+              )}
+
+              {step === 1 && (
+                <Card className="bg-white rounded-2xl max-w-2xl mx-auto">
+                  <CardHeader>
+                    <CardTitle className="text-xl font-bold">طريقة الدفع</CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <PaymentStep
+                      methods={methods}
+                      total={total}
+                      walletBalance={walletBalance}
+                      submitting={submitting}
+                      submitError={submitError}
+                      onBack={() => setStep(0)}
+                      onNext={placeOrder}
+                    />
+                  </CardContent>
+                </Card>
+              )}
+
+              {step === 2 && order && (
+                <Card className="bg-white rounded-2xl max-w-2xl mx-auto">
+                  <CardHeader>
+                    <CardTitle className="text-xl font-bold">إيصال التحويل</CardTitle>
+                    <CardDescription>حوّل المبلغ ثم ارفع صورة الإيصال ليبدأ التحقق وتنفيذ الطلب.</CardDescription>
+                  </CardHeader>
+                  <CardContent>
+                    <ReceiptUploadForm
+                      order={order}
+                      method={methods.find((m) => m.id === order.payment_method)}
+                      onUploaded={setCompleted}
+                    />
+                  </CardContent>
+                </Card>
+              )}
+            </>
+          )}
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default BulkOrderPage;
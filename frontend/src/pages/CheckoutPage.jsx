@@ -0,0 +1,485 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { ShoppingBag, CheckCircle, AlertCircle, ArrowRight, ArrowLeft, Star } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import StepIndicator from '../components/StepIndicator';
+import PaymentChoiceFields from '../components/PaymentChoiceFields';
+import ReceiptUploadForm from '../components/ReceiptUploadForm';
+import CouponField from '../components/CouponField';
+import GiftFields from '../components/GiftFields';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Form, FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from '../components/ui/form';
+import { Input } from '../components/ui/input';
+import { Checkbox } from '../components/ui/checkbox';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import { useCart } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { apiGet, apiPost } from '../lib/api';
+import { BASE_CURRENCY, formatNumber, formatPrice } from '../lib/format';
+import { recipientSummary } from '../lib/cart';
+import { paymentSchema, recipientSchema, reviewSchema } from '../lib/checkoutSchemas';
+import { newIdempotencyKey, walletPortion } from '../lib/wallet';
+import { redeemablePoints } from '../lib/loyalty';
+import { giftFromForm } from '../lib/gifts';
+
+const steps = [
+  { key: 'review', label: 'مراجعة الطلب' },
+  { key: 'recipient', label: 'بيانات المستلم' },
+  { key: 'payment', label: 'طريقة الدفع' },
+  { key: 'receipt', label: 'إيصال التحويل' },
+];
+
+// The order is created before the receipt step; keep it for the tab so a refresh does not lose it
+const PENDING_ORDER_KEY = 'ostora.checkout.order';
+
+const readPendingOrder = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(PENDING_ORDER_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const ErrorBox = ({ message }) => (
+  <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+    <AlertCircle className="w-5 h-5 flex-shrink-0" />
+    <span>{message}</span>
+  </div>
+);
+
+const StepActions = ({ onBack, submitting, submitLabel }) => (
+  <div className="flex justify-between">
+    {onBack ? (
+      <Button type="button" variant="outline" onClick={onBack} disabled={submitting}>
+        <ArrowRight className="w-4 h-4" />
+        رجوع
+      </Button>
+    ) : <span />}
+    <Button type="submit" className="bg-yellow-500 hover:bg-yellow-600" disabled={submitting}>
+      {submitLabel}
+      <ArrowLeft className="w-4 h-4" />
+    </Button>
+  </div>
+);
+
+const ReviewStep = ({ items, subtotal, discount, total, pricing, loyalty, defaultValues, onNext }) => {
+  const form = useForm({ resolver: zodResolver(reviewSchema), defaultValues });
+  const { rate, formatPrice } = useCurrency();
+  const points = redeemablePoints(loyalty, total);
+  const pointsDiscount = form.watch('use_points') && points ? points * loyalty.point_value : 0;
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(onNext)} className="space-y-6" noValidate>
+        <ul className="divide-y border rounded-xl">
+          {items.map((item) => (
+            <li key={item.key} className="flex justify-between gap-4 p-4">
+              <div>
+                <div className="font-semibold text-gray-900">{item.name}</div>
+                <div className="text-sm text-gray-500">{item.label} × {item.quantity}</div>
+                {recipientSummary(item.recipient) && (
+                  <div className="text-xs text-gray-500 mt-1" dir="ltr">{recipientSummary(item.recipient)}</div>
+                )}
+              </div>
+              <div className="font-semibold text-gray-900">{formatPrice(item.unit_price * item.quantity)}</div>
+            </li>
+          ))}
+          {discount > 0 && (
+            <>
+              <li className="flex justify-between p-4 text-sm">
+                <span className="text-gray-500">المجموع</span>
+                <span className="text-gray-900">{formatPrice(subtotal)}</span>
+              </li>
+              <li className="flex justify-between p-4 text-sm text-green-700">
+                <span>الخصم ({pricing.coupon.code})</span>
+                <span>−{formatPrice(discount)}</span>
+              </li>
+            </>
+          )}
+          {pointsDiscount > 0 && (
+            <li className="flex justify-between p-4 text-sm text-green-700">
+              <span>خصم النقاط ({formatNumber(points)} نقطة)</span>
+              <span>−{formatPrice(pointsDiscount)}</span>
+            </li>
+          )}
+          <li className="flex justify-between p-4">
+            <span className="text-gray-500">الإجمالي</span>
+            {pricing.status === 'loading' ? (
+              <Skeleton className="h-6 w-24" />
+            ) : (
+              <span className="text-xl font-bold text-yellow-600">{formatPrice(total - pointsDiscount)}</span>
+            )}
+          </li>
+        </ul>
+        <CouponField />
+        {points > 0 && (
+          <FormField
+            control={form.control}
+            name="use_points"
+            render={({ field }) => (
+              <FormItem
+                className={`flex items-center gap-4 space-y-0 rounded-xl border p-4 transition-colors ${
+                  field.value ? 'border-yellow-500 bg-yellow-50' : 'border-gray-200'
+                }`}
+              >
+                <FormControl>
+                  <Checkbox checked={field.value} onCheckedChange={(checked) => field.onChange(checked === true)} />
+                </FormControl>
+                <Star className="w-5 h-5 text-yellow-600" />
+                <div>
+                  <FormLabel className="font-semibold text-gray-900 cursor-pointer">
+                    استخدم {formatNumber(points)} نقطة لخصم {formatPrice(points * loyalty.point_value)}
+                  </FormLabel>
+                  <p className="text-sm text-gray-500">رصيد نقاطك {formatNumber(loyalty.balance)} نقطة</p>
+                </div>
+              </FormItem>
+            )}
+          />
+        )}
+        {rate && (
+          <p className="text-sm text-gray-500">
+            الأسعار بـ{rate.name} بسعر صرف اليوم (1 {rate.currency} = {formatNumber(rate.rate)} {BASE_CURRENCY})، ويُثبَّت المبلغ عند تأكيد الطلب.
+            رصيد المحفظة يُحسب بالريال اليمني.
+          </p>
+        )}
+        {pricing.notices.length > 0 && (
+          <ul className="bg-amber-50 text-amber-800 rounded-xl p-4 text-sm space-y-1" role="status">
+            {pricing.notices.map((notice) => <li key={notice}>{notice}</li>)}
+          </ul>
+        )}
+        {pricing.status === 'error' && <ErrorBox message={`تعذر تحديث الأسعار: ${pricing.error}`} />}
+        <FormField
+          control={form.control}
+          name="accept_terms"
+          render={({ field }) => (
+            <FormItem>
+              <div className="flex items-center gap-3">
+                <FormControl>
+                  <Checkbox checked={field.value} onCheckedChange={(checked) => field.onChange(checked === true)} />
+                </FormControl>
+                <FormLabel className="font-normal">
+                  راجعت المنتجات وبيانات الشحن، وأعلم أن الرصيد لا يسترجع بعد شحنه إلى حساب خاطئ
+                </FormLabel>
+              </div>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+        <StepActions submitting={pricing.status === 'loading'} submitLabel="متابعة" />
+      </form>
+    </Form>
+  );
+};
+
+const RecipientStep = ({ defaultValues, onBack, onNext }) => {
+  const form = useForm({ resolver: zodResolver(recipientSchema), defaultValues });
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(onNext)} className="space-y-6" noValidate>
+        <FormField
+          control={form.control}
+          name="contact_name"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel>الاسم الكامل</FormLabel>
+              <FormControl>
+                <Input autoComplete="name" {...field} />
+              </FormControl>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+        <FormField
+          control={form.control}
+          name="contact_phone"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel>رقم الجوال</FormLabel>
+              <FormControl>
+                <Input type="tel" dir="ltr" autoComplete="tel" placeholder="+967 7XX XXX XXX" {...field} />
+              </FormControl>
+              <FormDescription>سنتواصل معك على هذا الرقم بخصوص الطلب.</FormDescription>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+        <FormField
+          control={form.control}
+          name="contact_email"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel>البريد الإلكتروني (اختياري)</FormLabel>
+              <FormControl>
+                <Input type="email" dir="ltr" autoComplete="email" {...field} />
+              </FormControl>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+        <GiftFields form={form} />
+        <StepActions onBack={onBack} submitLabel="متابعة" />
+      </form>
+    </Form>
+  );
+};
+
+const PaymentStep = ({ methods, total, walletBalance, defaultValues, submitting, submitError, onBack, onNext }) => {
+  const form = useForm({ resolver: zodResolver(paymentSchema(walletBalance >= total)), defaultValues });
+  const remaining = total - walletPortion(form.watch('use_wallet'), walletBalance, total);
+  const { rate } = useCurrency();
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(onNext)} className="space-y-6" noValidate>
+        <PaymentChoiceFields form={form} methods={methods} total={total} walletBalance={walletBalance} rate={rate} />
+        {submitError && <ErrorBox message={submitError} />}
+        <StepActions
+          onBack={onBack}
+          submitting={submitting}
+          submitLabel={submitting ? 'جاري إنشاء الطلب...' : remaining > 0 ? 'تأكيد الطلب' : 'الدفع من الرصيد'}
+        />
+      </form>
+    </Form>
+  );
+};
+
+const CheckoutPage = () => {
+  const { items, subtotal, discount, total, pricing, reprice, clearCart } = useCart();
+  const { user, isSignedIn } = useAuth();
+  const { currency } = useCurrency();
+  const [order, setOrder] = useState(readPendingOrder);
+  const [step, setStep] = useState(() => (readPendingOrder() ? 3 : 0));
+  const [details, setDetails] = useState({
+    accept_terms: false,
+    contact_name: user?.name || '',
+    contact_phone: user?.phone || '',
+    contact_email: user?.email || '',
+    send_as_gift: false,
+    gift_name: '',
+    gift_phone: '',
+    gift_message: '',
+    gift_date: null,
+    use_points: false,
+    use_wallet: false,
+    payment_method: '',
+  });
+  const [loyalty, setLoyalty] = useState(null);
+  const [methods, setMethods] = useState([]);
+  const [walletBalance, setWalletBalance] = useState(0);
+  const [idempotencyKey] = useState(newIdempotencyKey);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [completed, setCompleted] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    reprice(controller.signal);
+    return () => controller.abort();
+  }, [reprice]);
+
+  useEffect(() => {
+    apiGet('/payment-methods')
+      .then(setMethods)
+      .catch((e) => console.warn('Failed to load payment methods:', e.message));
+  }, []);
+
+  useEffect(() => {
+    if (!isSignedIn) return;
+    apiGet('/wallet')
+      .then((wallet) => setWalletBalance(wallet.balance))
+      .catch((e) => console.warn('Failed to load wallet balance:', e.message));
+  }, [isSignedIn]);
+
+  const loadLoyalty = useCallback(() => {
+    if (!isSignedIn) return;
+    apiGet('/account/loyalty')
+      .then(setLoyalty)
+      .catch((e) => console.warn('Failed to load loyalty points:', e.message));
+  }, [isSignedIn]);
+
+  useEffect(() => {
+    loadLoyalty();
+  }, [loadLoyalty]);
+
+  const points = details.use_points ? redeemablePoints(loyalty, total) : 0;
+  const payable = points ? total - points * loyalty.point_value : total;
+
+  const orderable = items.filter((item) => item.available !== false);
+  const method = methods.find((m) => m.id === (order?.payment_method || details.payment_method));
+
+  const next = (values) => {
+    setDetails((prev) => ({ ...prev, ...values }));
+    setSubmitError(null);
+    setStep((s) => s + 1);
+  };
+
+  const back = () => {
+    setSubmitError(null);
+    setStep((s) => s - 1);
+  };
+
+  const placeOrder = async (values) => {
+    const payload = { ...details, ...values };
+    setDetails(payload);
+    setSubmitting(true);
+    setSubmitError(null);
+    const walletAmount = walletPortion(payload.use_wallet, walletBalance, payable);
+    try {
+      const created = await apiPost('/orders/checkout', {
+        items: orderable.map(({ product_id, sku, quantity, recipient }) => ({ product_id, sku, quantity, recipient })),
+        contact_name: payload.contact_name,
+        contact_phone: payload.contact_phone,
+        contact_email: payload.contact_email || undefined,
+        payment_method: walletAmount < payable ? payload.payment_method : undefined,
+        wallet_amount: walletAmount || undefined,
+        currency,
+        coupon_code: pricing.coupon?.code,
+        points: points || undefined,
+        gift: giftFromForm(payload),
+      }, { headers: { 'Idempotency-Key': idempotencyKey } });
+      clearCart();
+      if (created.status === 'paid') {
+        setCompleted(created);
+        return;
+      }
+      window.sessionStorage.setItem(PENDING_ORDER_KEY, JSON.stringify(created));
+      setOrder(created);
+      setStep(3);
+    } catch (e) {
+      setSubmitError(e.message);
+      if (e.detail?.balance !== undefined) setWalletBalance(e.detail.balance);
+      else if (e.detail?.points !== undefined) loadLoyalty();
+      else if (e.status === 409) reprice();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const receiptUploaded = (updated) => {
+    window.sessionStorage.removeItem(PENDING_ORDER_KEY);
+    setCompleted(updated);
+  };
+
+  const empty = !order && orderable.length === 0;
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      {/* Hero Section */}
+      <section className="py-16" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 text-center max-w-4xl">
+          <div className="w-16 h-16 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <ShoppingBag className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 mb-6">
+            إتمام <span className="text-yellow-600">الطلب</span>
+          </h1>
+          <p className="text-xl text-gray-600 leading-relaxed">
+            ادفع من رصيد محفظتك أو عبر التحويل البنكي وشركات الصرافة، ثم ارفع صورة الإيصال وسنتحقق منه ونبدأ التنفيذ
+          </p>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-3xl">
+          {completed ? (
+            <div className="bg-white rounded-3xl p-8 shadow-xl text-center" role="status" aria-live="polite">
+              <div className="w-20 h-20 bg-yellow-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                <CheckCircle className="w-10 h-10 text-yellow-600" />
+              </div>
+              {completed.status === 'paid' ? (
+                <>
+                  <h2 className="text-2xl font-bold text-gray-900 mb-2">تم الدفع من رصيدك!</h2>
+                  <p className="text-gray-600 mb-2">
+                    طلبك رقم <span className="font-bold" dir="ltr">{completed.number}</span> مدفوع بالكامل.
+                  </p>
+                  <p className="text-gray-600 mb-6">بدأنا التنفيذ، وسنتواصل معك على {completed.contact_phone}.</p>
+                </>
+              ) : (
+                <>
+                  <h2 className="text-2xl font-bold text-gray-900 mb-2">تم استلام الإيصال!</h2>
+                  <p className="text-gray-600 mb-2">
+                    طلبك رقم <span className="font-bold" dir="ltr">{completed.number}</span> بانتظار التحقق من الدفع.
+                  </p>
+                  <p className="text-gray-600 mb-6">سنبدأ التنفيذ فور تأكيد التحويل، وسنتواصل معك على {completed.contact_phone}.</p>
+                </>
+              )}
+              <div className="flex flex-col sm:flex-row gap-4 justify-center">
+                <Button asChild className="bg-yellow-500 hover:bg-yellow-600">
+                  <Link to={`/orders/${completed.id}`}>تتبع الطلب</Link>
+                </Button>
+                <Button asChild variant="outline">
+                  <Link to="/services">متابعة التسوق</Link>
+                </Button>
+              </div>
+            </div>
+          ) : empty ? (
+            <div className="bg-white rounded-3xl p-8 shadow-xl text-center">
+              <p className="text-gray-600 mb-6">سلة المشتريات فارغة، أضف بعض المنتجات أولاً.</p>
+              <Button asChild className="bg-yellow-500 hover:bg-yellow-600">
+                <Link to="/services">تصفح الخدمات</Link>
+              </Button>
+            </div>
+          ) : (
+            <>
+              <StepIndicator steps={steps} current={step} label="خطوات إتمام الطلب" />
+              <Card className="bg-white rounded-2xl">
+                <CardHeader>
+                  <CardTitle className="text-xl font-bold">{steps[step].label}</CardTitle>
+                  {step === 3 && order && (
+                    <CardDescription>
+                      {order.wallet_amount > 0
+                        ? `تم إنشاء طلبك وخُصم ${formatPrice(order.wallet_amount)} من رصيدك. حوّل المبلغ المتبقي ثم ارفع صورة الإيصال ليبدأ التحقق.`
+                        : 'تم إنشاء طلبك. حوّل المبلغ ثم ارفع صورة الإيصال ليبدأ التحقق.'}
+                    </CardDescription>
+                  )}
+                </CardHeader>
+                <CardContent>
+                  {step === 0 && (
+                    <ReviewStep
+                      items={orderable}
+                      subtotal={subtotal}
+                      discount={discount}
+                      total={total}
+                      pricing={pricing}
+                      loyalty={loyalty}
+                      defaultValues={details}
+                      onNext={next}
+                    />
+                  )}
+                  {step === 1 && <RecipientStep defaultValues={details} onBack={back} onNext={next} />}
+                  {step === 2 && (
+                    <PaymentStep
+                      methods={methods}
+                      total={payable}
+                      walletBalance={walletBalance}
+                      defaultValues={details}
+                      submitting={submitting}
+                      submitError={submitError}
+                      onBack={back}
+                      onNext={placeOrder}
+                    />
+                  )}
+                  {step === 3 && order && (
+                    <ReceiptUploadForm order={order} method={method} onUploaded={receiptUploaded} />
+                  )}
+                </CardContent>
+              </Card>
+            </>
+          )}
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default CheckoutPage;
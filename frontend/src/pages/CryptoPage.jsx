@@ -0,0 +1,351 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Wallet, CheckCircle, AlertCircle, Clock, RefreshCw } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Tabs, TabsList, TabsTrigger } from '../components/ui/tabs';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Button } from '../components/ui/button';
+import { Progress } from '../components/ui/progress';
+import WalletAddressInput from '../components/WalletAddressInput';
+import SavedRecipientPicker from '../components/SavedRecipientPicker';
+import { apiGet, apiPost } from '../lib/api';
+import { formatPrice, formatNumber } from '../lib/format';
+import { useCountdown } from '../hooks/use-countdown';
+import { validateAddressForNetwork } from '../lib/walletAddress';
+
+const sideLabels = { buy: 'شراء', sell: 'بيع' };
+
+const CryptoPage = () => {
+  const [rates, setRates] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [side, setSide] = useState('buy');
+  const [asset, setAsset] = useState('');
+  const [network, setNetwork] = useState('');
+  const [amount, setAmount] = useState('');
+  const [walletAddress, setWalletAddress] = useState('');
+
+  const [quote, setQuote] = useState(null);
+  const [deadline, setDeadline] = useState(null);
+  const [requesting, setRequesting] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [error, setError] = useState(null);
+  const [confirmation, setConfirmation] = useState(null);
+
+  const secondsLeft = useCountdown(deadline);
+  const expired = Boolean(quote) && secondsLeft === 0;
+
+  useEffect(() => {
+    apiGet('/crypto/rates')
+      .then((data) => {
+        setRates(data);
+        if (data.length > 0) {
+          setAsset(data[0].asset);
+          setNetwork(data[0].networks[0]);
+        }
+      })
+      .catch((e) => setLoadError(e.message));
+  }, []);
+
+  const rate = rates.find((r) => r.asset === asset);
+  const unitPrice = rate ? (side === 'buy' ? rate.buy_rate : rate.sell_rate) : null;
+  const numericAmount = Number(amount);
+  const estimate = unitPrice && numericAmount > 0 ? unitPrice * numericAmount : null;
+  // Buyers must give a destination address that passes the offline checksum for the chosen network
+  const addressReady = side !== 'buy' || validateAddressForNetwork(walletAddress, network).valid;
+
+  // Any change to the request invalidates the current quote
+  const resetQuote = () => {
+    setQuote(null);
+    setDeadline(null);
+    setError(null);
+  };
+
+  const changeAsset = (value) => {
+    const next = rates.find((r) => r.asset === value);
+    setAsset(value);
+    setNetwork(next ? next.networks[0] : '');
+    resetQuote();
+  };
+
+  const requestQuote = async (e) => {
+    if (e) e.preventDefault();
+    setRequesting(true);
+    setError(null);
+    try {
+      const created = await apiPost('/crypto/quotes', { asset, side, network, amount: numericAmount });
+      setQuote(created);
+      // Use the TTL rather than expires_at so client clock skew doesn't matter
+      setDeadline(Date.now() + created.ttl_seconds * 1000);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  const confirmQuote = async () => {
+    setConfirming(true);
+    setError(null);
+    try {
+      const result = await apiPost(`/crypto/quotes/${quote.id}/confirm`, {
+        wallet_address: side === 'buy' ? walletAddress.trim() : undefined,
+      });
+      setConfirmation(result);
+    } catch (err) {
+      if (err.status === 410) setDeadline(Date.now());
+      setError(err.message);
+    } finally {
+      setConfirming(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      {/* Hero Section */}
+      <section className="py-16" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 text-center max-w-4xl">
+          <div className="w-16 h-16 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <Wallet className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 mb-6">
+            بيع وشراء <span className="text-yellow-600">العملات الرقمية</span>
+          </h1>
+          <p className="text-xl text-gray-600 leading-relaxed">
+            احصل على سعر مثبّت لمدة محدودة، وأكّد العملية قبل انتهاء المهلة ليتم تنفيذها بنفس السعر
+          </p>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-2xl">
+          {loadError && (
+            <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4 mb-8" role="alert">
+              <AlertCircle className="w-5 h-5 flex-shrink-0" />
+              <span>تعذر تحميل الأسعار: {loadError}</span>
+            </div>
+          )}
+
+          {confirmation ? (
+            <div className="bg-white rounded-3xl p-8 shadow-xl text-center" role="status" aria-live="polite">
+              <div className="w-20 h-20 bg-yellow-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                <CheckCircle className="w-10 h-10 text-yellow-600" />
+              </div>
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">تم تثبيت السعر وإنشاء الطلب</h2>
+              <p className="text-gray-600 mb-1">رقم الطلب</p>
+              <p className="text-xl font-bold text-yellow-600 mb-2" dir="ltr">{confirmation.order.number}</p>
+              <p className="text-gray-600 mb-6">
+                {sideLabels[confirmation.quote.side]} {formatNumber(confirmation.quote.amount)} {confirmation.quote.asset} بإجمالي {formatPrice(confirmation.quote.total)}
+              </p>
+              <Button asChild variant="outline">
+                <Link to={`/orders/${confirmation.order.id}`}>تتبع الطلب</Link>
+              </Button>
+            </div>
+          ) : (
+            <Card className="bg-white rounded-2xl">
+              <CardHeader>
+                <Tabs
+                  value={side}
+                  onValueChange={(value) => {
+                    setSide(value);
+                    resetQuote();
+                  }}
+                  dir="rtl"
+                >
+                  <TabsList className="grid grid-cols-2 w-full">
+                    <TabsTrigger value="buy">شراء</TabsTrigger>
+                    <TabsTrigger value="sell">بيع</TabsTrigger>
+                  </TabsList>
+                </Tabs>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={requestQuote} className="space-y-6">
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <Label htmlFor="crypto-asset">العملة</Label>
+                      <Select value={asset} onValueChange={changeAsset} dir="rtl">
+                        <SelectTrigger id="crypto-asset" className="mt-2">
+                          <SelectValue placeholder="اختر العملة" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {rates.map((r) => (
+                            <SelectItem key={r.asset} value={r.asset}>{r.name} ({r.asset})</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div>
+                      <Label htmlFor="crypto-network">الشبكة</Label>
+                      <Select
+                        value={network}
+                        onValueChange={(value) => {
+                          setNetwork(value);
+                          resetQuote();
+                        }}
+                        dir="rtl"
+                      >
+                        <SelectTrigger id="crypto-network" className="mt-2">
+                          <SelectValue placeholder="اختر الشبكة" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {(rate?.networks || []).map((n) => (
+                            <SelectItem key={n} value={n}>{n}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  </div>
+
+                  <div>
+                    <Label htmlFor="crypto-amount">الكمية ({asset})</Label>
+                    <Input
+                      id="crypto-amount"
+                      type="number"
+                      dir="ltr"
+                      inputMode="decimal"
+                      min={rate?.min_amount}
+                      max={rate?.max_amount}
+                      step="any"
+                      value={amount}
+                      onChange={(e) => {
+                        setAmount(e.target.value);
+                        resetQuote();
+                      }}
+                      className="mt-2 h-12 text-lg"
+                    />
+                    {rate && (
+                      <p className="text-sm text-gray-500 mt-2">
+                        الحد الأدنى {formatNumber(rate.min_amount)} والحد الأعلى {formatNumber(rate.max_amount)} {rate.asset}
+                      </p>
+                    )}
+                  </div>
+
+                  {side === 'buy' && (
+                    <>
+                      <SavedRecipientPicker
+                        kind="wallet"
+                        match={(recipient) => recipient.network === network}
+                        onPick={(recipient) => setWalletAddress(recipient.value)}
+                      />
+                      <WalletAddressInput
+                        id="crypto-wallet-address"
+                        label="عنوان محفظتك لاستلام العملات"
+                        network={network}
+                        value={walletAddress}
+                        onChange={setWalletAddress}
+                      />
+                    </>
+                  )}
+
+                  {rate && !quote && (
+                    <div className="rounded-xl bg-gray-50 p-4 flex justify-between text-sm">
+                      <span className="text-gray-600">سعر {sideLabels[side]} التقريبي للوحدة</span>
+                      <span className="font-semibold">{formatPrice(unitPrice)}</span>
+                    </div>
+                  )}
+
+                  {quote && (
+                    <div className={`rounded-xl border p-4 space-y-3 ${expired ? 'border-red-200 bg-red-50' : 'border-yellow-300 bg-yellow-50'}`}>
+                      <div className="flex items-center justify-between">
+                        <span className="font-semibold text-gray-900">عرض السعر</span>
+                        <span className={`flex items-center gap-1 text-sm font-semibold ${expired ? 'text-red-600' : 'text-yellow-700'}`} aria-live="polite">
+                          <Clock className="w-4 h-4" />
+                          {expired ? 'انتهت الصلاحية' : `${secondsLeft} ثانية`}
+                        </span>
+                      </div>
+                      <Progress value={(secondsLeft / quote.ttl_seconds) * 100} className="h-1.5" />
+                      <dl className="space-y-1 text-sm">
+                        <div className="flex justify-between">
+                          <dt className="text-gray-600">سعر الوحدة</dt>
+                          <dd className="font-semibold">{formatPrice(quote.rate)}</dd>
+                        </div>
+                        <div className="flex justify-between">
+                          <dt className="text-gray-600">{quote.side === 'buy' ? 'المبلغ المطلوب دفعه' : 'المبلغ الذي ستستلمه'}</dt>
+                          <dd className="font-bold text-yellow-700 text-base">{formatPrice(quote.total)}</dd>
+                        </div>
+                      </dl>
+                    </div>
+                  )}
+
+                  {!quote && estimate && (
+                    <div className="flex justify-between text-gray-700">
+                      <span>الإجمالي التقريبي</span>
+                      <span className="font-bold">{formatPrice(estimate)}</span>
+                    </div>
+                  )}
+
+                  {error && (
+                    <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+                      <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                      <span>{error}</span>
+                    </div>
+                  )}
+
+                  {!quote || expired ? (
+                    <Button
+                      type="submit"
+                      size="lg"
+                      className="w-full bg-yellow-500 hover:bg-yellow-600"
+                      disabled={requesting || !rate || !network || !(numericAmount > 0)}
+                    >
+                      {expired && <RefreshCw className="w-4 h-4" />}
+                      {requesting ? 'جاري حساب السعر...' : expired ? 'تحديث السعر' : 'احصل على عرض السعر'}
+                    </Button>
+                  ) : (
+                    <Button
+                      type="button"
+                      size="lg"
+                      className="w-full bg-yellow-500 hover:bg-yellow-600"
+                      onClick={confirmQuote}
+                      disabled={confirming || !addressReady}
+                    >
+                      {confirming ? 'جاري التأكيد...' : `تأكيد ${sideLabels[quote.side]} بهذا السعر`}
+                    </Button>
+                  )}
+                </form>
+              </CardContent>
+            </Card>
+          )}
+
+          {!confirmation && (
+            <Card className="bg-white rounded-2xl mt-8">
+              <CardHeader>
+                <CardTitle className="text-lg font-bold">أسعار اليوم</CardTitle>
+                <CardDescription>تُحدَّث الأسعار من قبل الإدارة وقد تتغير خلال اليوم</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-gray-500 border-b">
+                      <th className="text-right py-2 font-medium">العملة</th>
+                      <th className="text-right py-2 font-medium">شراء</th>
+                      <th className="text-right py-2 font-medium">بيع</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rates.map((r) => (
+                      <tr key={r.asset} className="border-b last:border-0">
+                        <td className="py-2 font-semibold">{r.asset}</td>
+                        <td className="py-2">{formatPrice(r.buy_rate)}</td>
+                        <td className="py-2">{formatPrice(r.sell_rate)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </CardContent>
+            </Card>
+          )}
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default CryptoPage;
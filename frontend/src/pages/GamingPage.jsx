@@ -0,0 +1,368 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Gamepad2, CheckCircle, AlertCircle, ArrowRight, ArrowLeft, ShoppingCart } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import StepIndicator from '../components/StepIndicator';
+import SavedRecipientPicker from '../components/SavedRecipientPicker';
+import WholesalePrice from '../components/WholesalePrice';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import { apiGet, apiPost } from '../lib/api';
+import { validateAccountId, needsZone } from '../lib/accountRules';
+import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+
+const steps = [
+  { key: 'game', label: 'اختر اللعبة' },
+  { key: 'account', label: 'بيانات الحساب' },
+  { key: 'package', label: 'الباقة' },
+  { key: 'review', label: 'المراجعة' },
+];
+
+const GamingPage = () => {
+  const [games, setGames] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  const [step, setStep] = useState(0);
+  const [game, setGame] = useState(null);
+  const [playerId, setPlayerId] = useState('');
+  const [zone, setZone] = useState('');
+  const [sku, setSku] = useState(null);
+  const [contactPhone, setContactPhone] = useState('');
+  const [touched, setTouched] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [order, setOrder] = useState(null);
+  const { addItem } = useCart();
+  const { currency, formatPrice } = useCurrency();
+
+  useEffect(() => {
+    apiGet('/products', { type: 'game' })
+      .then(setGames)
+      .catch((e) => setLoadError(e.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const rules = game?.account_rules || {};
+  const accountError = game ? validateAccountId(rules, playerId, zone) : null;
+  const selectedPackage = game?.denominations.find((d) => d.sku === sku);
+
+  const chooseGame = (g) => {
+    setGame(g);
+    setPlayerId('');
+    setZone('');
+    setSku(null);
+    setTouched(false);
+    setStep(1);
+  };
+
+  const submit = async () => {
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      const created = await apiPost('/orders/game-topup', {
+        product_id: game.id,
+        sku,
+        player_id: playerId.trim(),
+        zone: needsZone(rules) ? zone.trim() : undefined,
+        contact_phone: contactPhone.trim() || undefined,
+        currency,
+      });
+      setOrder(created);
+    } catch (e) {
+      setSubmitError(e.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const reset = () => {
+    setOrder(null);
+    setGame(null);
+    setStep(0);
+  };
+
+  const addToCart = () => {
+    const recipient = { player_id: playerId.trim() };
+    if (needsZone(rules)) recipient.zone = zone.trim();
+    if (addItem({ product: game, option: selectedPackage, recipient })) reset();
+  };
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      {/* Hero Section */}
+      <section className="py-16" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 text-center max-w-4xl">
+          <div className="w-16 h-16 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <Gamepad2 className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 mb-6">
+            شحن <span className="text-yellow-600">الألعاب والعملات</span>
+          </h1>
+          <p className="text-xl text-gray-600 leading-relaxed">
+            اختر لعبتك، أدخل معرّف اللاعب، وحدد الباقة — نتحقق من البيانات قبل الشحن لضمان وصول الرصيد لحسابك
+          </p>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-4xl">
+          {order ? (
+            <div className="bg-white rounded-3xl p-8 shadow-xl text-center" role="status" aria-live="polite">
+              <div className="w-20 h-20 bg-yellow-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                <CheckCircle className="w-10 h-10 text-yellow-600" />
+              </div>
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">تم إنشاء طلبك بنجاح!</h2>
+              <p className="text-gray-600 mb-1">رقم الطلب</p>
+              <p className="text-xl font-bold text-yellow-600 mb-6" dir="ltr">{order.number}</p>
+              <div className="flex flex-col sm:flex-row gap-4 justify-center">
+                <Button onClick={reset} className="bg-yellow-500 hover:bg-yellow-600">طلب جديد</Button>
+                <Button asChild variant="outline">
+                  <Link to={`/orders/${order.id}`}>تتبع الطلب</Link>
+                </Button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <StepIndicator steps={steps} current={step} label="خطوات الشحن" />
+
+              {step === 0 && (
+                loadError ? (
+                  <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+                    <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                    <span>تعذر تحميل الألعاب: {loadError}</span>
+                  </div>
+                ) : loading ? (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                    {[...Array(4)].map((_, i) => <Skeleton key={i} className="h-32 rounded-2xl" />)}
+                  </div>
+                ) : (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                    {games.map((g) => (
+                      <button
+                        key={g.id}
+                        type="button"
+                        onClick={() => chooseGame(g)}
+                        className="text-right focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-500 rounded-2xl"
+                      >
+                        <Card className="h-full bg-white rounded-2xl hover:shadow-xl hover:border-yellow-300 transition-all duration-300">
+                          <CardHeader>
+                            <CardTitle className="text-xl font-bold text-gray-900">{g.name}</CardTitle>
+                            <CardDescription>{g.description}</CardDescription>
+                          </CardHeader>
+                        </Card>
+                      </button>
+                    ))}
+                  </div>
+                )
+              )}
+
+              {step === 1 && game && (
+                <Card className="bg-white rounded-2xl">
+                  <CardHeader>
+                    <CardTitle className="text-xl font-bold">{game.name}</CardTitle>
+                    <CardDescription>{game.description}</CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-6">
+                    <SavedRecipientPicker
+                      kind="game"
+                      match={(recipient) => recipient.product_id === game.id}
+                      onPick={(recipient) => {
+                        setPlayerId(recipient.value);
+                        setZone(recipient.zone || '');
+                        setTouched(true);
+                      }}
+                    />
+                    <div>
+                      <Label htmlFor="player-id">{rules.label || 'معرّف اللاعب'}</Label>
+                      <Input
+                        id="player-id"
+                        dir="ltr"
+                        inputMode={rules.numeric ? 'numeric' : 'text'}
+                        placeholder={rules.placeholder}
+                        maxLength={rules.max_length}
+                        value={playerId}
+                        onChange={(e) => setPlayerId(e.target.value)}
+                        onBlur={() => setTouched(true)}
+                        aria-invalid={touched && Boolean(accountError)}
+                        aria-describedby="player-id-error"
+                        className="mt-2"
+                      />
+                    </div>
+                    {rules.zones && rules.zones.length > 0 && (
+                      <div>
+                        <Label htmlFor="zone-select">{rules.zone_label || 'السيرفر'}</Label>
+                        <Select value={zone} onValueChange={setZone} dir="rtl">
+                          <SelectTrigger id="zone-select" className="mt-2">
+                            <SelectValue placeholder="اختر السيرفر" />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {rules.zones.map((z) => <SelectItem key={z} value={z}>{z}</SelectItem>)}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    )}
+                    {rules.zone_pattern && (
+                      <div>
+                        <Label htmlFor="zone-input">{rules.zone_label || 'رقم السيرفر'}</Label>
+                        <Input
+                          id="zone-input"
+                          dir="ltr"
+                          inputMode="numeric"
+                          value={zone}
+                          onChange={(e) => setZone(e.target.value)}
+                          onBlur={() => setTouched(true)}
+                          className="mt-2"
+                        />
+                      </div>
+                    )}
+                    {touched && accountError && (
+                      <p id="player-id-error" className="text-sm text-red-600" role="alert">{accountError}</p>
+                    )}
+                    <div className="flex justify-between">
+                      <Button variant="outline" onClick={() => setStep(0)}>
+                        <ArrowRight className="w-4 h-4" />
+                        رجوع
+                      </Button>
+                      <Button
+                        className="bg-yellow-500 hover:bg-yellow-600"
+                        onClick={() => {
+                          setTouched(true);
+                          if (!accountError) setStep(2);
+                        }}
+                      >
+                        التالي
+                        <ArrowLeft className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  </CardContent>
+                </Card>
+              )}
+
+              {step === 2 && game && (
+                <Card className="bg-white rounded-2xl">
+                  <CardHeader>
+                    <CardTitle className="text-xl font-bold">اختر الباقة</CardTitle>
+                  </CardHeader>
+                  <CardContent className="space-y-6">
+                    <div className="grid grid-cols-2 sm:grid-cols-3 gap-3" role="radiogroup" aria-label="باقات الشحن">
+                      {game.denominations.map((pkg) => {
+                        const active = pkg.sku === sku;
+                        return (
+                          <button
+                            key={pkg.sku}
+                            type="button"
+                            role="radio"
+                            aria-checked={active}
+                            disabled={!pkg.in_stock}
+                            onClick={() => setSku(pkg.sku)}
+                            className={`rounded-xl border p-4 text-center transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-500 disabled:opacity-40 disabled:cursor-not-allowed ${
+                              active ? 'border-yellow-500 bg-yellow-50' : 'border-gray-200 hover:border-yellow-400'
+                            }`}
+                          >
+                            <div className="font-bold text-gray-900">{pkg.label}</div>
+                            <div className="text-sm text-yellow-600 font-semibold mt-1">{formatPrice(pkg.price)}</div>
+                          </button>
+                        );
+                      })}
+                    </div>
+                    <div className="flex justify-between">
+                      <Button variant="outline" onClick={() => setStep(1)}>
+                        <ArrowRight className="w-4 h-4" />
+                        رجوع
+                      </Button>
+                      <Button className="bg-yellow-500 hover:bg-yellow-600" disabled={!selectedPackage} onClick={() => setStep(3)}>
+                        مراجعة الطلب
+                        <ArrowLeft className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  </CardContent>
+                </Card>
+              )}
+
+              {step === 3 && game && selectedPackage && (
+                <Card className="bg-white rounded-2xl">
+                  <CardHeader>
+                    <CardTitle className="text-xl font-bold">مراجعة الطلب</CardTitle>
+                    <CardDescription>تأكد من صحة البيانات، لا يمكن استرجاع الرصيد بعد شحنه إلى حساب خاطئ.</CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-6">
+                    <dl className="divide-y border rounded-xl">
+                      <div className="flex justify-between p-4">
+                        <dt className="text-gray-500">اللعبة</dt>
+                        <dd className="font-semibold">{game.name}</dd>
+                      </div>
+                      <div className="flex justify-between p-4">
+                        <dt className="text-gray-500">{rules.label || 'معرّف اللاعب'}</dt>
+                        <dd className="font-semibold" dir="ltr">{playerId.trim()}</dd>
+                      </div>
+                      {needsZone(rules) && (
+                        <div className="flex justify-between p-4">
+                          <dt className="text-gray-500">{rules.zone_label || 'السيرفر'}</dt>
+                          <dd className="font-semibold" dir="ltr">{zone}</dd>
+                        </div>
+                      )}
+                      <div className="flex justify-between p-4">
+                        <dt className="text-gray-500">الباقة</dt>
+                        <dd className="font-semibold">{selectedPackage.label}</dd>
+                      </div>
+                      <div className="flex justify-between p-4">
+                        <dt className="text-gray-500">الإجمالي</dt>
+                        <dd className="font-bold text-yellow-600"><WholesalePrice option={selectedPackage} /></dd>
+                      </div>
+                    </dl>
+                    <div>
+                      <Label htmlFor="contact-phone">رقم التواصل (اختياري)</Label>
+                      <Input
+                        id="contact-phone"
+                        type="tel"
+                        dir="ltr"
+                        value={contactPhone}
+                        onChange={(e) => setContactPhone(e.target.value)}
+                        placeholder="+967 7XX XXX XXX"
+                        className="mt-2"
+                      />
+                    </div>
+                    {submitError && (
+                      <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+                        <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                        <span>{submitError}</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between">
+                      <Button variant="outline" onClick={() => setStep(2)} disabled={submitting}>
+                        <ArrowRight className="w-4 h-4" />
+                        رجوع
+                      </Button>
+                      <div className="flex gap-2">
+                        <Button variant="outline" onClick={addToCart} disabled={submitting}>
+                          <ShoppingCart className="w-4 h-4" />
+                          أضف إلى السلة
+                        </Button>
+                        <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={submit} disabled={submitting}>
+                          {submitting ? 'جاري الإرسال...' : 'تأكيد الطلب'}
+                        </Button>
+                      </div>
+                    </div>
+                  </CardContent>
+                </Card>
+              )}
+            </>
+          )}
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default GamingPage;
@@ -0,0 +1,141 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Gift, Eye, Copy, AlertCircle } from 'lucide-react';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import { useToast } from '../hooks/use-toast';
+import { apiGet, apiPost } from '../lib/api';
+import { recipientSummary } from '../lib/cart';
+
+// The claim link a gift recipient gets by SMS. No account is needed: the link itself is the key,
+// and opening it tells the buyer the gift arrived
+const GiftPage = () => {
+  const { id, token } = useParams();
+  const { toast } = useToast();
+  const [gift, setGift] = useState(null);
+  const [error, setError] = useState(null);
+  const [revealed, setRevealed] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    apiGet(`/gifts/${id}/${token}`)
+      .then(setGift)
+      .catch((e) => setError(e.message));
+  }, [id, token]);
+
+  const reveal = async (codeId) => {
+    setBusyId(codeId);
+    try {
+      const voucher = await apiPost(`/gifts/${id}/${token}/codes/${codeId}/reveal`);
+      setRevealed((prev) => ({ ...prev, [codeId]: voucher.code }));
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذر عرض الكود', description: e.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const copy = async (code) => {
+    try {
+      await navigator.clipboard.writeText(code);
+      toast({ title: 'تم نسخ الكود', description: 'الصقه في التطبيق أو المتجر لاستخدامه.' });
+    } catch {
+      toast({ variant: 'destructive', title: 'تعذر النسخ', description: 'انسخ الكود يدوياً.' });
+    }
+  };
+
+  const topUps = gift ? gift.items.filter((item) => recipientSummary(item.recipient)) : [];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-yellow-50 via-orange-50 to-white">
+      <div className="container mx-auto px-4 py-10 max-w-xl">
+        <Link to="/" className="flex items-center justify-center gap-2 mb-10">
+          <img src="/images/logo-ostora.png" alt="شعار الأسطورة أونلاين" className="w-10 h-10 object-contain" />
+          <span className="text-xl font-extrabold text-gray-900 font-alarabiya">الأسطورة أونلاين</span>
+        </Link>
+
+        {error ? (
+          <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        ) : !gift ? (
+          <Skeleton className="h-96 rounded-3xl" />
+        ) : (
+          <div className="bg-white rounded-3xl shadow-xl overflow-hidden">
+            <div className="bg-gradient-to-br from-yellow-400 to-orange-500 text-white text-center px-6 py-10">
+              <div className="w-20 h-20 bg-white/20 rounded-full flex items-center justify-center mx-auto mb-4">
+                <Gift className="w-10 h-10" />
+              </div>
+              <h1 className="text-3xl font-bold mb-2">{gift.recipient_name}، لديك هدية!</h1>
+              <p className="text-lg text-white/90">من {gift.sender_name}</p>
+            </div>
+
+            <div className="p-6 space-y-6">
+              {gift.message && (
+                <blockquote className="relative bg-yellow-50 rounded-2xl p-6 text-lg leading-relaxed text-gray-800 whitespace-pre-line" dir="auto">
+                  {gift.message}
+                  <footer className="text-sm text-gray-500 mt-3">— {gift.sender_name}</footer>
+                </blockquote>
+              )}
+
+              {gift.codes.length > 0 && (
+                <ul className="space-y-3">
+                  {gift.codes.map((code) => {
+                    const plain = revealed[code.id];
+                    return (
+                      <li key={code.id} className="border-2 border-dashed border-yellow-400 rounded-2xl p-4 text-center space-y-3">
+                        <div className="font-semibold text-gray-900">{code.name} — {code.label}</div>
+                        <div className="font-mono text-xl tracking-wider bg-gray-50 rounded-lg py-3" dir="ltr">
+                          {plain || code.masked}
+                        </div>
+                        {plain ? (
+                          <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={() => copy(plain)}>
+                            <Copy className="w-4 h-4" />
+                            نسخ الكود
+                          </Button>
+                        ) : (
+                          <Button className="bg-yellow-500 hover:bg-yellow-600" onClick={() => reveal(code.id)} disabled={busyId === code.id}>
+                            <Eye className="w-4 h-4" />
+                            {busyId === code.id ? 'جاري الكشف...' : 'اكشف الكود'}
+                          </Button>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+
+              {topUps.length > 0 && (
+                <ul className="divide-y border rounded-2xl">
+                  {topUps.map((item, index) => (
+                    <li key={`${item.name}-${index}`} className="p-4">
+                      <div className="font-semibold text-gray-900">{item.name} — {item.label}</div>
+                      <div className="text-sm text-gray-500">
+                        تم الشحن إلى <span dir="ltr">{recipientSummary(item.recipient)}</span>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {gift.codes.length === 0 && topUps.length === 0 && (
+                <p className="text-center text-gray-500">هديتك قيد التجهيز، أعد فتح الرابط بعد قليل.</p>
+              )}
+
+              <p className="text-xs text-gray-500 text-center">لا تشارك الكود مع أي شخص. فريق الأسطورة أونلاين لن يطلبه منك أبداً.</p>
+            </div>
+          </div>
+        )}
+
+        <div className="text-center mt-8">
+          <Button asChild variant="outline">
+            <Link to="/">تسوّق من الأسطورة أونلاين</Link>
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GiftPage;
@@ -55,19 +55,22 @@ const HomePage = () => {
       icon: CreditCard,
       title: 'بطاقات الدفع المسبق',
       description: 'بطاقات متنوعة للدفع الرقمي وشحن المنصات والخدمات الإلكترونية بأفضل الأسعار.',
-      features: ['بطاقات متنوعة', 'أسعار تنافسية', 'تسليم فوري']
+      features: ['بطاقات متنوعة', 'أسعار تنافسية', 'تسليم فوري'],
+      path: '/services/prepaid-cards'
     },
     {
       icon: Gamepad2,
       title: 'شحن الألعاب والعملات',
       description: 'شحن جميع الألعاب والعملات الرقمية داخل الألعاب بكل سرعة وأمان.',
-      features: ['جميع الألعاب', 'عملات رقمية', 'شحن سريع']
+      features: ['جميع الألعاب', 'عملات رقمية', 'شحن سريع'],
+      path: '/services/gaming'
     },
     {
       icon: Wallet,
       title: 'المحافظ الرقمية',
       description: 'خدمات شحن وإدارة المحافظ الرقمية والعملات المشفرة بأعلى معايير الأمان.',
-      features: ['عملات مشفرة', 'محافظ آمنة', 'معاملات سريعة']
+      features: ['عملات مشفرة', 'محافظ آمنة', 'معاملات سريعة'],
+      path: '/services/crypto'
     }
   ];
 
@@ -247,6 +250,15 @@ const HomePage = () => {
                     </li>
                   ))}
                 </ul>
+                {service.path && (
+                  <Link
+                    to={service.path}
+                    className="mt-6 inline-flex items-center gap-2 text-yellow-600 font-semibold hover:text-yellow-700 transition-colors"
+                  >
+                    تصفح الآن
+                    <ArrowLeft className="w-4 h-4" />
+                  </Link>
+                )}
               </div>
             ))}
           </div>
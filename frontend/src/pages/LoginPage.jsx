@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { LogIn, AlertCircle, MessageSquareText } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import { Form, FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from '../components/ui/form';
+import { Input } from '../components/ui/input';
+import { Button } from '../components/ui/button';
+import { useAuth } from '../context/AuthContext';
+import { phoneSchema, signInReasons } from '../lib/auth';
+
+// Step one of sign-in (and sign-up): the phone number that receives the one-time code
+const LoginPage = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, requestCode } = useAuth();
+  const [error, setError] = useState(null);
+  const { from, reason } = location.state || {};
+  const form = useForm({ resolver: zodResolver(phoneSchema), defaultValues: { phone: user?.phone || '' } });
+
+  const submit = async ({ phone }) => {
+    setError(null);
+    try {
+      const challenge = await requestCode(phone);
+      navigate('/verify', { state: { challenge, from, reason } });
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      {/* Hero Section */}
+      <section className="py-16" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 text-center max-w-4xl">
+          <div className="w-16 h-16 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <LogIn className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 mb-6">
+            تسجيل <span className="text-yellow-600">الدخول</span>
+          </h1>
+          <p className="text-xl text-gray-600 leading-relaxed">
+            {signInReasons[reason] || 'أدخل رقم جوالك وسنرسل لك رمز تحقق، ويُنشأ حسابك تلقائياً عند أول دخول'}
+          </p>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-md">
+          <Form {...form}>
+            <form onSubmit={form.handleSubmit(submit)} className="bg-white rounded-3xl p-8 shadow-xl space-y-6" noValidate>
+              <FormField
+                control={form.control}
+                name="phone"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>رقم الجوال</FormLabel>
+                    <FormControl>
+                      <Input type="tel" dir="ltr" autoComplete="tel" placeholder="+967 7XX XXX XXX" {...field} />
+                    </FormControl>
+                    <FormDescription>أرقام اليمن والسعودية مدعومة حالياً.</FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              {error && (
+                <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+                  <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
+              )}
+              <Button type="submit" className="w-full bg-yellow-500 hover:bg-yellow-600" disabled={form.formState.isSubmitting}>
+                <MessageSquareText className="w-4 h-4" />
+                {form.formState.isSubmitting ? 'جاري الإرسال...' : 'إرسال رمز التحقق'}
+              </Button>
+            </form>
+          </Form>
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { PackageSearch, AlertCircle, Search } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import { Form, FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from '../components/ui/form';
+import { Input } from '../components/ui/input';
+import { Button } from '../components/ui/button';
+import { apiPost } from '../lib/api';
+import { normalizePhone } from '../lib/carriers';
+
+const lookupSchema = z.object({
+  number: z.string().trim().regex(/^UST-\d{6}-\d{5}$/i, 'رقم الطلب بالشكل UST-000000-00000'),
+  phone: z.string().trim().refine((value) => normalizePhone(value).length >= 9, 'رقم الجوال غير صحيح'),
+});
+
+// Guests find their order with the order number plus the phone used at checkout (or the recharged number)
+const OrderLookupPage = () => {
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+  const form = useForm({ resolver: zodResolver(lookupSchema), defaultValues: { number: '', phone: '' } });
+
+  const submit = async (values) => {
+    setError(null);
+    try {
+      const order = await apiPost('/orders/lookup', values);
+      navigate(`/orders/${order.id}`);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      {/* Hero Section */}
+      <section className="py-16" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 text-center max-w-4xl">
+          <div className="w-16 h-16 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <PackageSearch className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 mb-6">
+            تتبع <span className="text-yellow-600">طلبك</span>
+          </h1>
+          <p className="text-xl text-gray-600 leading-relaxed">
+            أدخل رقم الطلب ورقم الجوال المستخدم فيه لمتابعة حالته لحظة بلحظة
+          </p>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-md">
+          <Form {...form}>
+            <form onSubmit={form.handleSubmit(submit)} className="bg-white rounded-3xl p-8 shadow-xl space-y-6" noValidate>
+              <FormField
+                control={form.control}
+                name="number"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>رقم الطلب</FormLabel>
+                    <FormControl>
+                      <Input dir="ltr" placeholder="UST-000000-00000" autoCapitalize="characters" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="phone"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>رقم الجوال</FormLabel>
+                    <FormControl>
+                      <Input type="tel" dir="ltr" autoComplete="tel" placeholder="+967 7XX XXX XXX" {...field} />
+                    </FormControl>
+                    <FormDescription>رقم التواصل في الطلب أو الرقم الذي تم شحنه.</FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              {error && (
+                <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+                  <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
+              )}
+              <Button type="submit" className="w-full bg-yellow-500 hover:bg-yellow-600" disabled={form.formState.isSubmitting}>
+                <Search className="w-4 h-4" />
+                {form.formState.isSubmitting ? 'جاري البحث...' : 'تتبع الطلب'}
+              </Button>
+            </form>
+          </Form>
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default OrderLookupPage;
@@ -0,0 +1,188 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { PackageSearch, CheckCircle, Circle, Loader2, XCircle, RotateCcw, AlertCircle } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import VoucherCodes from '../components/VoucherCodes';
+import GiftStatusCard from '../components/GiftStatusCard';
+import BulkResultButton from '../components/partners/BulkResultButton';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Badge } from '../components/ui/badge';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import { useOrderUpdates } from '../hooks/use-order-updates';
+import { formatDateTime, formatNumber, formatPrice } from '../lib/format';
+import { recipientSummary } from '../lib/cart';
+import { amountDue, paidInOtherCurrency, statusLabels, timelineSteps } from '../lib/orders';
+
+const stepIcon = (step) => {
+  if (step.status === 'failed') return <XCircle className="w-5 h-5 text-red-600" />;
+  if (step.status === 'refunded') return <RotateCcw className="w-5 h-5 text-blue-600" />;
+  if (step.state === 'current') return <Loader2 className="w-5 h-5 text-yellow-600 animate-spin" />;
+  if (step.state === 'done') return <CheckCircle className="w-5 h-5 text-green-600" />;
+  return <Circle className="w-5 h-5 text-gray-300" />;
+};
+
+const StatusTimeline = ({ order }) => (
+  <ol className="relative border-s-2 border-gray-200 ms-3 space-y-8" aria-label="مراحل الطلب">
+    {timelineSteps(order).map((step, index) => (
+      <li
+        key={`${step.status}-${index}`}
+        className="ms-6"
+        aria-current={step.state === 'current' ? 'step' : undefined}
+      >
+        <span className="absolute -start-[0.8rem] flex items-center justify-center w-6 h-6 rounded-full bg-white">
+          {stepIcon(step)}
+        </span>
+        <h3 className={`font-semibold ${step.state === 'upcoming' ? 'text-gray-400' : 'text-gray-900'}`}>
+          {statusLabels[step.status] || step.status}
+        </h3>
+        {step.at && <time className="block text-sm text-gray-500" dateTime={step.at}>{formatDateTime(step.at)}</time>}
+        {step.note && <p className="text-sm text-gray-600 mt-1">{step.note}</p>}
+      </li>
+    ))}
+  </ol>
+);
+
+const LiveIndicator = ({ mode }) => {
+  if (mode === 'live') {
+    return (
+      <span className="inline-flex items-center gap-2 text-sm text-green-700">
+        <span className="w-2 h-2 rounded-full bg-green-500 animate-pulse" />
+        تحديث مباشر
+      </span>
+    );
+  }
+  if (mode === 'polling') return <span className="text-sm text-gray-500">يتم تحديث الحالة تلقائياً كل بضع ثوانٍ</span>;
+  return null;
+};
+
+const OrderPage = () => {
+  const { id } = useParams();
+  const { order, error, mode } = useOrderUpdates(id);
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      {/* Hero Section */}
+      <section className="py-16" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 text-center max-w-4xl">
+          <div className="w-16 h-16 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <PackageSearch className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 mb-4">
+            تتبع <span className="text-yellow-600">الطلب</span>
+          </h1>
+          {order && (
+            <div className="flex flex-col items-center gap-2">
+              <p className="text-xl font-bold text-gray-900" dir="ltr">{order.number}</p>
+              <Badge variant="outline" className="text-base">{statusLabels[order.status] || order.status}</Badge>
+              <LiveIndicator mode={mode} />
+            </div>
+          )}
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-5xl">
+          {error && !order ? (
+            <div className="bg-white rounded-3xl p-8 shadow-xl text-center space-y-4">
+              <div className="flex items-center justify-center gap-3 text-red-700">
+                <AlertCircle className="w-5 h-5" />
+                <span>{error}</span>
+              </div>
+              <Button asChild className="bg-yellow-500 hover:bg-yellow-600">
+                <Link to="/orders">البحث عن طلب برقم الطلب</Link>
+              </Button>
+            </div>
+          ) : !order ? (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              <Skeleton className="h-80 rounded-2xl" />
+              <Skeleton className="h-80 rounded-2xl" />
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              <Card className="bg-white rounded-2xl">
+                <CardHeader>
+                  <CardTitle className="text-xl font-bold">حالة الطلب</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <StatusTimeline order={order} />
+                </CardContent>
+              </Card>
+
+              <Card className="bg-white rounded-2xl">
+                <CardHeader>
+                  <CardTitle className="text-xl font-bold">تفاصيل الطلب</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <ul className="divide-y border rounded-xl">
+                    {order.items.map((item, index) => (
+                      <li key={`${item.sku}-${index}`} className="flex justify-between gap-4 p-4">
+                        <div>
+                          <div className="font-semibold text-gray-900">{item.name}</div>
+                          <div className="text-sm text-gray-500">{item.label} × {item.quantity}</div>
+                          {recipientSummary(item.recipient) && (
+                            <div className="text-xs text-gray-500 mt-1" dir="ltr">{recipientSummary(item.recipient)}</div>
+                          )}
+                        </div>
+                        <div className="font-semibold text-gray-900">{formatPrice(item.unit_price * item.quantity, order.currency)}</div>
+                      </li>
+                    ))}
+                    {order.discount > 0 && (
+                      <li className="flex justify-between p-4 text-sm text-green-700">
+                        <span>الخصم ({order.coupon_code})</span>
+                        <span>−{formatPrice(order.discount, order.currency)}</span>
+                      </li>
+                    )}
+                    {order.points_discount > 0 && (
+                      <li className="flex justify-between p-4 text-sm text-green-700">
+                        <span>خصم النقاط ({formatNumber(order.points_redeemed)} نقطة)</span>
+                        <span>−{formatPrice(order.points_discount, order.currency)}</span>
+                      </li>
+                    )}
+                    <li className="flex justify-between p-4">
+                      <span className="text-gray-500">الإجمالي</span>
+                      <span className="text-xl font-bold text-yellow-600">{formatPrice(order.total, order.currency)}</span>
+                    </li>
+                    {order.wallet_amount > 0 && (
+                      <li className="flex justify-between p-4 text-sm">
+                        <span className="text-gray-500">مدفوع من رصيد المحفظة</span>
+                        <span className="font-semibold text-gray-900">{formatPrice(order.wallet_amount, order.currency)}</span>
+                      </li>
+                    )}
+                    {paidInOtherCurrency(order) && (
+                      <li className="flex justify-between p-4 text-sm">
+                        <span className="text-gray-500">
+                          المبلغ المحوَّل (1 {order.payment_currency} = {formatNumber(order.exchange_rate)} {order.currency})
+                        </span>
+                        <span className="font-semibold text-gray-900">{formatPrice(amountDue(order), order.payment_currency)}</span>
+                      </li>
+                    )}
+                  </ul>
+                  <p className="text-sm text-gray-500 mt-4">تاريخ الطلب: {formatDateTime(order.created_at)}</p>
+                  {['bulk', 'api'].includes(order.kind) && (
+                    <div className="mt-4">
+                      <BulkResultButton order={order} />
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+
+              {order.gift_id ? (
+                <GiftStatusCard order={order} />
+              ) : (
+                ['fulfilling', 'delivered'].includes(order.status) && <VoucherCodes order={order} />
+              )}
+            </div>
+          )}
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default OrderPage;
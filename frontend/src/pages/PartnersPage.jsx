@@ -0,0 +1,190 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
+import { Handshake, Clock, XCircle, LogIn, AlertCircle } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import PartnerApplicationForm from '../components/partners/PartnerApplicationForm';
+import PartnerDashboard from '../components/partners/PartnerDashboard';
+import ApiKeysPanel from '../components/partners/ApiKeysPanel';
+import ApiLogsPanel from '../components/partners/ApiLogsPanel';
+import WebhooksPanel from '../components/partners/WebhooksPanel';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../components/ui/tabs';
+import { useAuth } from '../context/AuthContext';
+import { apiGet } from '../lib/api';
+import { formatNumber, formatPrice } from '../lib/format';
+
+const TABS = ['dashboard', 'api', 'webhooks'];
+
+const TierCards = ({ tiers }) => (
+  <div className="grid md:grid-cols-3 gap-6">
+    {tiers.map((tier) => (
+      <Card key={tier.id} className="bg-white rounded-2xl text-center">
+        <CardHeader>
+          <CardTitle className="text-xl font-bold">الفئة {tier.name}</CardTitle>
+          <CardDescription>
+            {tier.min_monthly_sales > 0 ? `لمبيعات شهرية من ${formatPrice(tier.min_monthly_sales)}` : 'لكل الوكلاء الجدد'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          <div className="text-4xl font-bold text-yellow-600">{formatNumber(tier.discount_percent)}%</div>
+          <div className="text-gray-600">خصم على جميع الأسعار</div>
+          <div className="text-sm text-gray-500">+ عمولة {formatNumber(tier.commission_percent)}% على كل طلب مُسلَّم</div>
+        </CardContent>
+      </Card>
+    ))}
+  </div>
+);
+
+// Public landing for the partner program; signed-in users apply here, follow their
+// application, and once approved get the agent dashboard in its place
+const PartnersPage = () => {
+  const { user, isSignedIn, status } = useAuth();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = TABS.includes(searchParams.get('tab')) ? searchParams.get('tab') : TABS[0];
+  const [tiers, setTiers] = useState(null);
+  const [partner, setPartner] = useState(undefined); // undefined while loading, null when never applied
+  const [dashboard, setDashboard] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiGet('/partners/tiers')
+      .then(setTiers)
+      .catch((e) => console.warn('Failed to load partner tiers:', e.message));
+  }, []);
+
+  const loadDashboard = useCallback(() => {
+    apiGet('/partners/dashboard')
+      .then(setDashboard)
+      .catch((e) => setError(e.message));
+  }, []);
+
+  useEffect(() => {
+    if (!isSignedIn) {
+      setPartner(null);
+      return;
+    }
+    apiGet('/partners/me')
+      .then((application) => {
+        setPartner(application);
+        if (application.status === 'approved') loadDashboard();
+      })
+      .catch((e) => {
+        if (e.status === 404) setPartner(null);
+        else setError(e.message);
+      });
+  }, [isSignedIn, loadDashboard]);
+
+  const approved = partner?.status === 'approved';
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      {/* Hero Section */}
+      <section className="py-16" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 text-center max-w-4xl">
+          <div className="w-16 h-16 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <Handshake className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 mb-6">
+            {approved ? 'لوحة' : 'برنامج'} <span className="text-yellow-600">{approved ? 'الوكيل' : 'الشركاء والوكلاء'}</span>
+          </h1>
+          <p className="text-xl text-gray-600 leading-relaxed">
+            {approved
+              ? 'أسعار الجملة مطبقة تلقائياً على كل منتجات المتجر ما دمت مسجّلاً الدخول.'
+              : 'اشترِ بأسعار الجملة وبِع لعملائك بربح، مع عمولة إضافية على كل طلب يتم تسليمه.'}
+          </p>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-5xl space-y-12">
+          {error && (
+            <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+              <AlertCircle className="w-5 h-5 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {approved ? (
+            <Tabs value={tab} onValueChange={(value) => setSearchParams({ tab: value }, { replace: true })} dir="rtl">
+              <TabsList className="mb-6">
+                <TabsTrigger value="dashboard">لوحة الوكيل</TabsTrigger>
+                <TabsTrigger value="api">واجهة API</TabsTrigger>
+                <TabsTrigger value="webhooks">الإشعارات</TabsTrigger>
+              </TabsList>
+              <TabsContent value="dashboard">
+                {dashboard ? <PartnerDashboard dashboard={dashboard} onChange={setDashboard} /> : !error && <Skeleton className="h-96 rounded-2xl" />}
+              </TabsContent>
+              <TabsContent value="api" className="space-y-6">
+                <ApiKeysPanel />
+                <ApiLogsPanel />
+              </TabsContent>
+              <TabsContent value="webhooks">
+                <WebhooksPanel />
+              </TabsContent>
+            </Tabs>
+          ) : (
+            <>
+              {tiers ? <TierCards tiers={tiers} /> : <Skeleton className="h-48 rounded-2xl" />}
+
+              <Card className="bg-white rounded-2xl">
+                <CardHeader>
+                  <CardTitle className="text-xl font-bold">طلب الانضمام</CardTitle>
+                  <CardDescription>نراجع الطلبات خلال يومي عمل ونحدد الفئة المناسبة لحجم مبيعاتك.</CardDescription>
+                </CardHeader>
+                <CardContent>
+                  {status === 'loading' || partner === undefined ? (
+                    <Skeleton className="h-48 rounded-xl" />
+                  ) : !isSignedIn ? (
+                    <div className="text-center py-6 space-y-4">
+                      <p className="text-gray-600">سجّل الدخول برقم جوالك لتقديم طلب الشراكة ومتابعته.</p>
+                      <Button asChild className="bg-yellow-500 hover:bg-yellow-600">
+                        <Link to="/login" state={{ from: location, reason: 'protected' }}>
+                          <LogIn className="w-4 h-4" />
+                          تسجيل الدخول
+                        </Link>
+                      </Button>
+                    </div>
+                  ) : partner?.status === 'pending' ? (
+                    <div className="flex items-start gap-3 bg-yellow-50 rounded-xl p-4" role="status">
+                      <Clock className="w-5 h-5 text-yellow-700 flex-shrink-0 mt-0.5" />
+                      <div>
+                        <p className="font-semibold text-gray-900">طلبك قيد المراجعة</p>
+                        <p className="text-sm text-gray-600">
+                          استلمنا طلب {partner.business_name} وسنتواصل معك على <span dir="ltr">{partner.phone}</span>.
+                        </p>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="space-y-6">
+                      {partner?.status === 'rejected' && (
+                        <div className="flex items-start gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+                          <XCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                          <div>
+                            <p className="font-semibold">لم تتم الموافقة على طلبك السابق</p>
+                            {partner.review_note && <p className="text-sm">{partner.review_note}</p>}
+                            <p className="text-sm">يمكنك تعديل البيانات وإعادة التقديم.</p>
+                          </div>
+                        </div>
+                      )}
+                      <PartnerApplicationForm previous={partner} defaultPhone={user?.phone} onSubmitted={setPartner} />
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+            </>
+          )}
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default PartnersPage;
@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from 'react';
+import { CreditCard, MessageCircle, AlertCircle, ShoppingCart } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import WholesalePrice from '../components/WholesalePrice';
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Badge } from '../components/ui/badge';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import { apiGet } from '../lib/api';
+import { regionLabels, whatsappLink } from '../lib/format';
+import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+
+const ALL = 'all';
+
+const ProductCard = ({ product, highlightValue }) => {
+  const firstAvailable = product.denominations.find((d) => d.in_stock) || product.denominations[0];
+  const initial = product.denominations.find((d) => d.value === highlightValue) || firstAvailable;
+  const [selectedSku, setSelectedSku] = useState(initial?.sku);
+  const selected = product.denominations.find((d) => d.sku === selectedSku) || initial;
+  const { addItem } = useCart();
+  const { formatPrice } = useCurrency();
+
+  useEffect(() => {
+    const match = product.denominations.find((d) => d.value === highlightValue);
+    if (match) setSelectedSku(match.sku);
+  }, [highlightValue, product.denominations]);
+
+  const orderMessage = `مرحباً، أرغب بطلب ${product.name} فئة ${selected?.label} بسعر ${formatPrice(selected?.price)}`;
+
+  return (
+    <Card className="flex flex-col bg-white rounded-2xl hover:shadow-xl transition-all duration-300">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-2">
+          <CardTitle className="text-xl font-bold text-gray-900">{product.name}</CardTitle>
+          <Badge variant="outline">{regionLabels[product.region] || product.region}</Badge>
+        </div>
+        {product.description && <CardDescription>{product.description}</CardDescription>}
+      </CardHeader>
+      <CardContent className="flex-1">
+        <div className="text-sm text-gray-500 mb-2">اختر الفئة</div>
+        <div className="grid grid-cols-3 gap-2" role="radiogroup" aria-label={`فئات ${product.name}`}>
+          {product.denominations.map((denom) => {
+            const active = denom.sku === selected?.sku;
+            return (
+              <button
+                key={denom.sku}
+                type="button"
+                role="radio"
+                aria-checked={active}
+                disabled={!denom.in_stock}
+                onClick={() => setSelectedSku(denom.sku)}
+                className={`rounded-lg border px-2 py-2 text-sm font-semibold transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-500 disabled:opacity-40 disabled:cursor-not-allowed ${
+                  active ? 'border-yellow-500 bg-yellow-50 text-yellow-700' : 'border-gray-200 text-gray-700 hover:border-yellow-400'
+                }`}
+              >
+                <span dir="ltr">{denom.label}</span>
+              </button>
+            );
+          })}
+        </div>
+      </CardContent>
+      <CardFooter className="flex items-center justify-between gap-4 border-t pt-4">
+        <div>
+          <div className="text-lg font-bold text-yellow-600">{selected && <WholesalePrice option={selected} />}</div>
+          {selected?.in_stock ? (
+            <Badge className="bg-green-100 text-green-700 hover:bg-green-100 border-transparent shadow-none">متوفر</Badge>
+          ) : (
+            <Badge variant="destructive">نفد المخزون</Badge>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <a
+            href={whatsappLink(orderMessage)}
+            target="_blank"
+            rel="noopener noreferrer"
+            aria-label="اطلب عبر واتساب"
+            aria-disabled={!selected?.in_stock}
+            className={`inline-flex items-center justify-center w-10 h-10 rounded-lg border border-gray-200 text-gray-600 hover:text-green-600 hover:border-green-500 transition-colors ${
+              selected?.in_stock ? '' : 'pointer-events-none opacity-50'
+            }`}
+          >
+            <MessageCircle className="w-4 h-4" />
+          </a>
+          <Button
+            className="bg-yellow-500 hover:bg-yellow-600"
+            disabled={!selected?.in_stock}
+            onClick={() => addItem({ product, option: selected })}
+          >
+            <ShoppingCart className="w-4 h-4" />
+            أضف إلى السلة
+          </Button>
+        </div>
+      </CardFooter>
+    </Card>
+  );
+};
+
+const PrepaidCardsPage = () => {
+  const [facets, setFacets] = useState({ brands: [], regions: [], denominations: [] });
+  const [brand, setBrand] = useState(ALL);
+  const [denomination, setDenomination] = useState(ALL);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiGet('/products/facets', { type: 'card' })
+      .then(setFacets)
+      .catch((e) => console.warn('Failed to load catalog facets:', e.message));
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    apiGet(
+      '/products',
+      {
+        type: 'card',
+        brand: brand === ALL ? undefined : brand,
+        denomination: denomination === ALL ? undefined : denomination,
+      },
+      { signal: controller.signal },
+    )
+      .then(setProducts)
+      .catch((e) => {
+        if (e.name !== 'AbortError') setError(e.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [brand, denomination]);
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      {/* Hero Section */}
+      <section className="py-16" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4">
+          <div className="text-center max-w-4xl mx-auto">
+            <div className="w-16 h-16 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
+              <CreditCard className="w-8 h-8 text-white" />
+            </div>
+            <h1 className="text-4xl md:text-5xl font-bold text-gray-900 mb-6">
+              بطاقات <span className="text-yellow-600">الدفع المسبق</span>
+            </h1>
+            <p className="text-xl text-gray-600 leading-relaxed">
+              تصفح جميع البطاقات المتوفرة لدينا مع الفئات والأسعار وحالة التوفر لحظة بلحظة
+            </p>
+          </div>
+        </div>
+      </section>
+
+      {/* Filters + Catalog */}
+      <section className="py-12">
+        <div className="container mx-auto px-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 max-w-2xl mb-10">
+            <div>
+              <label htmlFor="brand-filter" className="block text-sm font-medium text-gray-700 mb-2">العلامة التجارية</label>
+              <Select value={brand} onValueChange={setBrand} dir="rtl">
+                <SelectTrigger id="brand-filter" className="bg-white">
+                  <SelectValue placeholder="جميع العلامات" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>جميع العلامات</SelectItem>
+                  {facets.brands.map((b) => (
+                    <SelectItem key={b} value={b}>{b}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <label htmlFor="denomination-filter" className="block text-sm font-medium text-gray-700 mb-2">الفئة</label>
+              <Select value={denomination} onValueChange={setDenomination} dir="rtl">
+                <SelectTrigger id="denomination-filter" className="bg-white">
+                  <SelectValue placeholder="جميع الفئات" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>جميع الفئات</SelectItem>
+                  {facets.denominations.map((v) => (
+                    <SelectItem key={v} value={String(v)}>{v}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          {error && (
+            <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4 mb-8" role="alert">
+              <AlertCircle className="w-5 h-5 flex-shrink-0" />
+              <span>تعذر تحميل البطاقات: {error}</span>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+              {[...Array(3)].map((_, i) => (
+                <Skeleton key={i} className="h-72 rounded-2xl" />
+              ))}
+            </div>
+          ) : products.length === 0 && !error ? (
+            <p className="text-center text-gray-600 py-12">لا توجد بطاقات مطابقة للاختيار الحالي.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+              {products.map((product) => (
+                <ProductCard
+                  key={product.id}
+                  product={product}
+                  highlightValue={denomination === ALL ? null : Number(denomination)}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default PrepaidCardsPage;
@@ -14,17 +14,19 @@ import {
 } from 'lucide-react';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
+import { useCurrency } from '../context/CurrencyContext';
 
 const PricingPage = () => {
   const [isAnnual, setIsAnnual] = useState(false);
+  const { formatPrice } = useCurrency();
 
   const pricingPlans = [
     {
       name: 'الباقة الأساسية',
       icon: Zap,
-      price: isAnnual ? '8,000' : '1,000',
+      price: isAnnual ? 8000 : 1000,
       period: isAnnual ? 'سنوياً' : 'شهرياً',
-      originalPrice: isAnnual ? '12,000' : '1,500',
+      originalPrice: isAnnual ? 12000 : 1500,
       description: 'مثالية للشركات الناشئة والمشاريع الصغيرة',
       popular: false,
       features: [
@@ -46,9 +48,9 @@ const PricingPage = () => {
     {
       name: 'الباقة المتقدمة',
       icon: Crown,
-      price: isAnnual ? '20,000' : '2,500',
+      price: isAnnual ? 20000 : 2500,
       period: isAnnual ? 'سنوياً' : 'شهرياً',
-      originalPrice: isAnnual ? '30,000' : '3,500',
+      originalPrice: isAnnual ? 30000 : 3500,
       description: 'الأنسب للشركات المتوسطة والمشاريع المتطورة',
       popular: true,
       features: [
@@ -70,9 +72,9 @@ const PricingPage = () => {
     {
       name: 'الباقة الاحترافية',
       icon: Shield,
-      price: isAnnual ? '40,000' : '5,000',
+      price: isAnnual ? 40000 : 5000,
       period: isAnnual ? 'سنوياً' : 'شهرياً',
-      originalPrice: isAnnual ? '60,000' : '7,000',
+      originalPrice: isAnnual ? 60000 : 7000,
       description: 'للشركات الكبيرة والمشاريع المعقدة',
       popular: false,
       features: [
@@ -98,25 +100,25 @@ const PricingPage = () => {
     {
       icon: Smartphone,
       name: 'تطوير تطبيق إضافي',
-      price: '15,000',
+      price: 15000,
       description: 'تطوير تطبيق إضافي لنظام iOS أو Android'
     },
     {
       icon: Globe,
       name: 'موقع إلكتروني متكامل',
-      price: '8,000',
+      price: 8000,
       description: 'تطوير موقع إلكتروني متجاوب ومتكامل'
     },
     {
       icon: Palette,
       name: 'إعادة تصميم الهوية',
-      price: '5,000',
+      price: 5000,
       description: 'تصميم هوية بصرية جديدة ومتكاملة'
     },
     {
       icon: Shield,
       name: 'تدقيق أمني شامل',
-      price: '3,000',
+      price: 3000,
       description: 'فحص أمني شامل وتقرير مفصل'
     }
   ];
@@ -214,12 +216,11 @@ const PricingPage = () => {
 
                   <div className="mb-6">
                     <div className="flex items-baseline gap-2">
-                      <span className="text-4xl font-bold text-gray-900">{plan.price}</span>
-                      <span className="text-lg text-gray-600">ريال</span>
+                      <span className="text-4xl font-bold text-gray-900">{formatPrice(plan.price)}</span>
                       <span className="text-gray-500">/ {plan.period}</span>
                     </div>
                     <div className="text-sm text-gray-500 line-through">
-                      بدلاً من {plan.originalPrice} ريال
+                      بدلاً من {formatPrice(plan.originalPrice)}
                     </div>
                   </div>
 
@@ -279,7 +280,7 @@ const PricingPage = () => {
                 <p className="text-gray-600 text-sm mb-4">{service.description}</p>
                 
                 <div className="text-2xl font-bold text-yellow-600 mb-4">
-                  {service.price} <span className="text-sm text-gray-500">ريال</span>
+                  {formatPrice(service.price)}
                 </div>
                 
                 <button className="w-full bg-gray-100 text-gray-900 py-2 px-4 rounded-lg font-medium hover:bg-gray-200 transition-colors">
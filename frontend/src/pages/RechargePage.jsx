@@ -0,0 +1,278 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Smartphone, CheckCircle, AlertCircle, ShoppingCart } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import SavedRecipientPicker from '../components/SavedRecipientPicker';
+import WholesalePrice from '../components/WholesalePrice';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { Skeleton } from '../components/ui/skeleton';
+import { apiGet, apiPost } from '../lib/api';
+import { detectCarrier } from '../lib/carriers';
+import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+
+const countryLabels = { YE: 'اليمن', SA: 'السعودية' };
+const typeLabels = { credit: 'رصيد', bundle: 'باقات' };
+
+const RechargePage = () => {
+  const [carriers, setCarriers] = useState([]);
+  const [phone, setPhone] = useState('');
+  const [touched, setTouched] = useState(false);
+  const [products, setProducts] = useState([]);
+  const [loadingProducts, setLoadingProducts] = useState(false);
+  const [selection, setSelection] = useState(null); // { productId, sku }
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [order, setOrder] = useState(null);
+  const { addItem } = useCart();
+  const { currency, formatPrice } = useCurrency();
+
+  useEffect(() => {
+    apiGet('/carriers')
+      .then(setCarriers)
+      .catch((e) => console.warn('Failed to load carriers:', e.message));
+  }, []);
+
+  const detection = useMemo(() => detectCarrier(phone, carriers), [phone, carriers]);
+  const carrierId = detection.nationalNumber ? detection.carrier.id : null;
+  const digitsTyped = phone.replace(/\D/g, '').length;
+  // Prefix errors are useful as soon as a few digits are typed; length errors only after blur
+  const showError = detection.error && (touched || (digitsTyped >= 3 && !detection.carrier));
+
+  useEffect(() => {
+    setSelection(null);
+    if (!carrierId) {
+      setProducts([]);
+      return;
+    }
+    const controller = new AbortController();
+    setLoadingProducts(true);
+    apiGet('/products', { type: 'credit,bundle', carrier_id: carrierId }, { signal: controller.signal })
+      .then(setProducts)
+      .catch((e) => {
+        if (e.name !== 'AbortError') console.warn('Failed to load bundles:', e.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoadingProducts(false);
+      });
+    return () => controller.abort();
+  }, [carrierId]);
+
+  const selectedProduct = products.find((p) => p.id === selection?.productId);
+  const selectedOption = selectedProduct?.denominations.find((d) => d.sku === selection?.sku);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setTouched(true);
+    if (!detection.nationalNumber || !selectedOption) return;
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      const created = await apiPost('/orders/recharge', {
+        phone: detection.internationalNumber,
+        product_id: selectedProduct.id,
+        sku: selectedOption.sku,
+        currency,
+      });
+      setOrder(created);
+    } catch (err) {
+      setSubmitError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const addToCart = () => {
+    setTouched(true);
+    if (!detection.nationalNumber || !selectedOption) return;
+    const recipient = { phone: detection.internationalNumber, carrier: detection.carrier.id };
+    if (addItem({ product: selectedProduct, option: selectedOption, recipient })) setSelection(null);
+  };
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      {/* Hero Section */}
+      <section className="py-16" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 text-center max-w-4xl">
+          <div className="w-16 h-16 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <Smartphone className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 mb-6">
+            شحن <span className="text-yellow-600">الرصيد والباقات</span>
+          </h1>
+          <p className="text-xl text-gray-600 leading-relaxed">
+            أدخل رقم الجوال وسنتعرف على المشغل تلقائياً ونعرض لك الرصيد والباقات المتاحة
+          </p>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-3xl">
+          {order ? (
+            <div className="bg-white rounded-3xl p-8 shadow-xl text-center" role="status" aria-live="polite">
+              <div className="w-20 h-20 bg-yellow-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                <CheckCircle className="w-10 h-10 text-yellow-600" />
+              </div>
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">تم إنشاء طلب الشحن!</h2>
+              <p className="text-gray-600 mb-1">رقم الطلب</p>
+              <p className="text-xl font-bold text-yellow-600 mb-6" dir="ltr">{order.number}</p>
+              <div className="flex flex-col sm:flex-row gap-4 justify-center">
+                <Button
+                  className="bg-yellow-500 hover:bg-yellow-600"
+                  onClick={() => {
+                    setOrder(null);
+                    setSelection(null);
+                  }}
+                >
+                  شحن آخر
+                </Button>
+                <Button asChild variant="outline">
+                  <Link to={`/orders/${order.id}`}>تتبع الطلب</Link>
+                </Button>
+              </div>
+            </div>
+          ) : (
+            <form onSubmit={submit} noValidate>
+              <Card className="bg-white rounded-2xl mb-8">
+                <CardHeader>
+                  <CardTitle className="text-xl font-bold">رقم الجوال</CardTitle>
+                  <CardDescription>أرقام اليمن (7XXXXXXXX) والسعودية (05XXXXXXXX) مع أو بدون مفتاح الدولة</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-3">
+                  <SavedRecipientPicker
+                    kind="phone"
+                    onPick={(recipient) => {
+                      setPhone(recipient.value);
+                      setTouched(true);
+                    }}
+                  />
+                  <Label htmlFor="recharge-phone" className="sr-only">رقم الجوال</Label>
+                  <Input
+                    id="recharge-phone"
+                    type="tel"
+                    dir="ltr"
+                    inputMode="tel"
+                    autoComplete="tel"
+                    placeholder="+967 77X XXX XXX"
+                    value={phone}
+                    onChange={(e) => setPhone(e.target.value)}
+                    onBlur={() => setTouched(true)}
+                    aria-invalid={Boolean(showError)}
+                    aria-describedby="recharge-phone-status"
+                    className="text-lg h-12"
+                  />
+                  <div id="recharge-phone-status" aria-live="polite">
+                    {detection.carrier && (
+                      <div className="flex items-center gap-2">
+                        <Badge className="bg-yellow-100 text-yellow-800 hover:bg-yellow-100 border-transparent shadow-none">
+                          {detection.carrier.name}
+                        </Badge>
+                        <span className="text-sm text-gray-500">{countryLabels[detection.carrier.country]}</span>
+                      </div>
+                    )}
+                    {showError && (
+                      <p className="text-sm text-red-600 mt-2" role="alert">{detection.error}</p>
+                    )}
+                  </div>
+                </CardContent>
+              </Card>
+
+              {carrierId && (
+                loadingProducts ? (
+                  <Skeleton className="h-48 rounded-2xl" />
+                ) : products.length === 0 ? (
+                  <p className="text-center text-gray-600 py-8">لا توجد باقات متاحة لهذا المشغل حالياً.</p>
+                ) : (
+                  <div className="space-y-8">
+                    {products.map((product) => (
+                      <Card key={product.id} className="bg-white rounded-2xl">
+                        <CardHeader>
+                          <CardTitle className="text-lg font-bold">
+                            {product.name}
+                            <span className="text-sm font-normal text-gray-500 mr-2">({typeLabels[product.type]})</span>
+                          </CardTitle>
+                        </CardHeader>
+                        <CardContent>
+                          <div className="grid grid-cols-2 sm:grid-cols-3 gap-3" role="radiogroup" aria-label={product.name}>
+                            {product.denominations.map((option) => {
+                              const active = selection?.sku === option.sku;
+                              return (
+                                <button
+                                  key={option.sku}
+                                  type="button"
+                                  role="radio"
+                                  aria-checked={active}
+                                  disabled={!option.in_stock}
+                                  onClick={() => setSelection({ productId: product.id, sku: option.sku })}
+                                  className={`rounded-xl border p-4 text-center transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-500 disabled:opacity-40 disabled:cursor-not-allowed ${
+                                    active ? 'border-yellow-500 bg-yellow-50' : 'border-gray-200 hover:border-yellow-400'
+                                  }`}
+                                >
+                                  <div className="font-bold text-gray-900">{option.label}</div>
+                                  <div className="text-sm text-yellow-600 font-semibold mt-1">{formatPrice(option.price)}</div>
+                                </button>
+                              );
+                            })}
+                          </div>
+                        </CardContent>
+                      </Card>
+                    ))}
+                  </div>
+                )
+              )}
+
+              {submitError && (
+                <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4 mt-8" role="alert">
+                  <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                  <span>{submitError}</span>
+                </div>
+              )}
+
+              <div className="flex items-center justify-between mt-8">
+                <div>
+                  {selectedOption && (
+                    <>
+                      <div className="text-sm text-gray-500">{selectedOption.label}</div>
+                      <div className="text-xl font-bold text-yellow-600"><WholesalePrice option={selectedOption} /></div>
+                    </>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  <Button
+                    type="button"
+                    size="lg"
+                    variant="outline"
+                    onClick={addToCart}
+                    disabled={submitting || !detection.nationalNumber || !selectedOption}
+                  >
+                    <ShoppingCart className="w-4 h-4" />
+                    أضف إلى السلة
+                  </Button>
+                  <Button
+                    type="submit"
+                    size="lg"
+                    className="bg-yellow-500 hover:bg-yellow-600"
+                    disabled={submitting || !detection.nationalNumber || !selectedOption}
+                  >
+                    {submitting ? 'جاري الإرسال...' : 'تأكيد الشحن'}
+                  </Button>
+                </div>
+              </div>
+            </form>
+          )}
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default RechargePage;
@@ -13,8 +13,10 @@ import {
 } from 'lucide-react';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
+import { useCurrency } from '../context/CurrencyContext';
 
 const ServicesPage = () => {
+  const { formatPrice } = useCurrency();
   const services = [
     {
       icon: Smartphone,
@@ -28,7 +30,7 @@ const ServicesPage = () => {
         'اختبارات شاملة',
         'نشر على المتاجر الرسمية'
       ],
-      price: 'تبدأ من 15,000 ريال',
+      startingPrice: 15000,
       duration: '3-6 أشهر'
     },
     {
@@ -43,7 +45,7 @@ const ServicesPage = () => {
         'إدارة المحتوى بسهولة',
         'تكامل مع وسائل التواصل'
       ],
-      price: 'تبدأ من 8,000 ريال',
+      startingPrice: 8000,
       duration: '2-4 أشهر'
     },
     {
@@ -58,7 +60,7 @@ const ServicesPage = () => {
         'دليل الهوية البصرية',
         'تصميم مطبوعات ومواد تسويقية'
       ],
-      price: 'تبدأ من 5,000 ريال',
+      startingPrice: 5000,
       duration: '2-3 أشهر'
     },
     {
@@ -73,7 +75,7 @@ const ServicesPage = () => {
         'حلول الدفع الإلكتروني',
         'أنظمة إدارة المخزون'
       ],
-      price: 'تبدأ من 25,000 ريال',
+      startingPrice: 25000,
       duration: '4-8 أشهر'
     },
     {
@@ -88,7 +90,7 @@ const ServicesPage = () => {
         'نسخ احتياطية آمنة',
         'خطط الطوارئ والاستعادة'
       ],
-      price: 'تبدأ من 10,000 ريال',
+      startingPrice: 10000,
       duration: '1-2 شهر'
     },
     {
@@ -103,7 +105,7 @@ const ServicesPage = () => {
         'إستراتيجية التطوير',
         'مراجعة وتحسين الأنظمة'
       ],
-      price: 'تبدأ من 2,000 ريال',
+      startingPrice: 2000,
       duration: '1-4 أسابيع'
     }
   ];
@@ -157,7 +159,7 @@ const ServicesPage = () => {
                     <div className="flex items-center justify-between pt-6 border-t border-gray-100">
                       <div>
                         <div className="text-sm text-gray-500">السعر</div>
-                        <div className="text-lg font-bold text-yellow-600">{service.price}</div>
+                        <div className="text-lg font-bold text-yellow-600">تبدأ من {formatPrice(service.startingPrice)}</div>
                       </div>
                       <div>
                         <div className="text-sm text-gray-500">المدة</div>
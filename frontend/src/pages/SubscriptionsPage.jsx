@@ -0,0 +1,360 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Repeat, CheckCircle, Minus, MessageCircle, AlertCircle, ShoppingCart, X as CloseIcon } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import WholesalePrice from '../components/WholesalePrice';
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '../components/ui/card';
+import { Tabs, TabsList, TabsTrigger } from '../components/ui/tabs';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerDescription,
+  DrawerFooter,
+  DrawerHeader,
+  DrawerTitle,
+} from '../components/ui/drawer';
+import { Checkbox } from '../components/ui/checkbox';
+import { Badge } from '../components/ui/badge';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import { apiGet } from '../lib/api';
+import { regionLabels, whatsappLink } from '../lib/format';
+import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+
+const ALL = 'all';
+const MAX_COMPARE = 3;
+
+const categoryLabels = {
+  streaming: 'البث والترفيه',
+  software: 'البرامج',
+  gaming: 'اشتراكات الألعاب',
+};
+
+const cheapestPlan = (product) => {
+  const available = product.denominations.filter((d) => d.in_stock);
+  const plans = available.length > 0 ? available : product.denominations;
+  return plans.reduce((min, plan) => (plan.price < min.price ? plan : min), plans[0]);
+};
+
+const SubscriptionDetails = ({ product, onOpenChange }) => {
+  const [selectedSku, setSelectedSku] = useState(null);
+  const { addItem } = useCart();
+  const { formatPrice } = useCurrency();
+
+  useEffect(() => {
+    setSelectedSku(product ? cheapestPlan(product).sku : null);
+  }, [product]);
+
+  const plan = product?.denominations.find((d) => d.sku === selectedSku);
+  const orderMessage = product && plan
+    ? `مرحباً، أرغب بطلب ${product.name} لمدة ${plan.label} بسعر ${formatPrice(plan.price)}`
+    : '';
+
+  return (
+    <Drawer open={Boolean(product)} onOpenChange={onOpenChange}>
+      <DrawerContent dir="rtl">
+        {product && (
+          <div className="mx-auto w-full max-w-lg">
+            <DrawerHeader className="text-right sm:text-right">
+              <div className="flex items-center gap-2">
+                <DrawerTitle className="text-2xl font-bold">{product.name}</DrawerTitle>
+                <Badge variant="outline">{categoryLabels[product.category] || product.category}</Badge>
+              </div>
+              <DrawerDescription>{product.description}</DrawerDescription>
+            </DrawerHeader>
+            <div className="px-4 space-y-6">
+              {product.features.length > 0 && (
+                <ul className="space-y-2">
+                  {product.features.map((feature) => (
+                    <li key={feature} className="flex items-center gap-2 text-gray-700">
+                      <CheckCircle className="w-5 h-5 text-green-500 flex-shrink-0" />
+                      <span>{feature}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div>
+                <div className="text-sm text-gray-500 mb-2">مدة الاشتراك</div>
+                <div className="grid grid-cols-3 gap-2" role="radiogroup" aria-label="مدة الاشتراك">
+                  {product.denominations.map((option) => {
+                    const active = option.sku === selectedSku;
+                    return (
+                      <button
+                        key={option.sku}
+                        type="button"
+                        role="radio"
+                        aria-checked={active}
+                        disabled={!option.in_stock}
+                        onClick={() => setSelectedSku(option.sku)}
+                        className={`rounded-xl border p-3 text-center transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-500 disabled:opacity-40 disabled:cursor-not-allowed ${
+                          active ? 'border-yellow-500 bg-yellow-50' : 'border-gray-200 hover:border-yellow-400'
+                        }`}
+                      >
+                        <div className="font-bold text-gray-900">{option.label}</div>
+                        <div className="text-sm text-yellow-600 font-semibold mt-1">{formatPrice(option.price)}</div>
+                        {!option.in_stock && <div className="text-xs text-red-600 mt-1">نفد المخزون</div>}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+            <DrawerFooter>
+              <Button
+                className="bg-yellow-500 hover:bg-yellow-600 h-12"
+                disabled={!plan?.in_stock}
+                onClick={() => {
+                  if (addItem({ product, option: plan })) onOpenChange(false);
+                }}
+              >
+                <ShoppingCart className="w-4 h-4" />
+                أضف إلى السلة {plan && `— ${formatPrice(plan.price)}`}
+              </Button>
+              <a
+                href={whatsappLink(orderMessage)}
+                target="_blank"
+                rel="noopener noreferrer"
+                aria-disabled={!plan?.in_stock}
+                className={`inline-flex items-center justify-center gap-2 border border-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium hover:border-green-500 hover:text-green-600 transition-colors ${
+                  plan?.in_stock ? '' : 'pointer-events-none opacity-50'
+                }`}
+              >
+                <MessageCircle className="w-4 h-4" />
+                اطلب عبر واتساب
+              </a>
+              <DrawerClose asChild>
+                <Button variant="outline">إغلاق</Button>
+              </DrawerClose>
+            </DrawerFooter>
+          </div>
+        )}
+      </DrawerContent>
+    </Drawer>
+  );
+};
+
+const ComparisonTable = ({ products, onRemove }) => {
+  const { formatPrice } = useCurrency();
+  // Plans are compared by duration; rows are the union of all durations and features
+  const durations = useMemo(() => {
+    const map = new Map();
+    products.forEach((p) => p.denominations.forEach((d) => {
+      const key = d.duration_days ?? d.value;
+      if (!map.has(key)) map.set(key, d.label);
+    }));
+    return [...map.entries()].sort((a, b) => a[0] - b[0]);
+  }, [products]);
+
+  const features = useMemo(
+    () => [...new Set(products.flatMap((p) => p.features))],
+    [products],
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border overflow-x-auto">
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead className="text-right w-40">المقارنة</TableHead>
+            {products.map((p) => (
+              <TableHead key={p.id} className="text-right min-w-[10rem]">
+                <div className="flex items-center justify-between gap-2 py-2">
+                  <span className="font-bold text-gray-900">{p.name}</span>
+                  <button
+                    type="button"
+                    onClick={() => onRemove(p.id)}
+                    aria-label={`إزالة ${p.name} من المقارنة`}
+                    className="text-gray-400 hover:text-gray-700"
+                  >
+                    <CloseIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              </TableHead>
+            ))}
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          <TableRow>
+            <TableCell className="font-medium text-gray-600">الفئة</TableCell>
+            {products.map((p) => <TableCell key={p.id}>{categoryLabels[p.category] || p.category}</TableCell>)}
+          </TableRow>
+          <TableRow>
+            <TableCell className="font-medium text-gray-600">المنطقة</TableCell>
+            {products.map((p) => <TableCell key={p.id}>{regionLabels[p.region] || p.region}</TableCell>)}
+          </TableRow>
+          {durations.map(([key, label]) => (
+            <TableRow key={`duration-${key}`}>
+              <TableCell className="font-medium text-gray-600">سعر {label}</TableCell>
+              {products.map((p) => {
+                const plan = p.denominations.find((d) => (d.duration_days ?? d.value) === key);
+                return (
+                  <TableCell key={p.id}>
+                    {!plan ? (
+                      <Minus className="w-4 h-4 text-gray-300" aria-label="غير متاح" />
+                    ) : plan.in_stock ? (
+                      <span className="font-semibold text-yellow-600">{formatPrice(plan.price)}</span>
+                    ) : (
+                      <>
+                        <span className="text-gray-400 line-through">{formatPrice(plan.price)}</span>
+                        <div className="text-xs text-red-600">نفد المخزون</div>
+                      </>
+                    )}
+                  </TableCell>
+                );
+              })}
+            </TableRow>
+          ))}
+          {features.map((feature) => (
+            <TableRow key={feature}>
+              <TableCell className="font-medium text-gray-600">{feature}</TableCell>
+              {products.map((p) => (
+                <TableCell key={p.id}>
+                  {p.features.includes(feature)
+                    ? <CheckCircle className="w-5 h-5 text-green-500" aria-label="متوفر" />
+                    : <Minus className="w-4 h-4 text-gray-300" aria-label="غير متوفر" />}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  );
+};
+
+const SubscriptionsPage = () => {
+  const [category, setCategory] = useState(ALL);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+  const [detailsProduct, setDetailsProduct] = useState(null);
+
+  useEffect(() => {
+    apiGet('/products', { type: 'subscription' })
+      .then(setProducts)
+      .catch((e) => setError(e.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const visible = category === ALL ? products : products.filter((p) => p.category === category);
+  const compared = compareIds.map((id) => products.find((p) => p.id === id)).filter(Boolean);
+  const categories = [...new Set(products.map((p) => p.category).filter(Boolean))];
+
+  const toggleCompare = (id) => {
+    setCompareIds((prev) => {
+      if (prev.includes(id)) return prev.filter((x) => x !== id);
+      if (prev.length >= MAX_COMPARE) return prev;
+      return [...prev, id];
+    });
+  };
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      {/* Hero Section */}
+      <section className="py-16" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 text-center max-w-4xl">
+          <div className="w-16 h-16 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <Repeat className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 mb-6">
+            الاشتراكات <span className="text-yellow-600">الرقمية</span>
+          </h1>
+          <p className="text-xl text-gray-600 leading-relaxed">
+            كل اشتراكاتك الرقمية في مكان واحد — قارن بين الخطط والمدد واختر الأنسب لك
+          </p>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4">
+          <Tabs value={category} onValueChange={setCategory} dir="rtl" className="mb-8">
+            <TabsList className="flex-wrap h-auto">
+              <TabsTrigger value={ALL}>الكل</TabsTrigger>
+              {categories.map((c) => (
+                <TabsTrigger key={c} value={c}>{categoryLabels[c] || c}</TabsTrigger>
+              ))}
+            </TabsList>
+          </Tabs>
+
+          {error && (
+            <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4 mb-8" role="alert">
+              <AlertCircle className="w-5 h-5 flex-shrink-0" />
+              <span>تعذر تحميل الاشتراكات: {error}</span>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              {[...Array(4)].map((_, i) => <Skeleton key={i} className="h-56 rounded-2xl" />)}
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              {visible.map((product) => {
+                const from = cheapestPlan(product);
+                const checked = compareIds.includes(product.id);
+                const compareDisabled = !checked && compareIds.length >= MAX_COMPARE;
+                return (
+                  <Card key={product.id} className="flex flex-col bg-white rounded-2xl hover:shadow-xl transition-all duration-300">
+                    <CardHeader>
+                      <Badge variant="outline" className="w-fit mb-2">{categoryLabels[product.category] || product.category}</Badge>
+                      <CardTitle className="text-lg font-bold text-gray-900">{product.name}</CardTitle>
+                      <CardDescription className="line-clamp-2">{product.description}</CardDescription>
+                    </CardHeader>
+                    <CardContent className="flex-1">
+                      <div className="text-sm text-gray-500">يبدأ من</div>
+                      <div className="text-xl font-bold text-yellow-600"><WholesalePrice option={from} /></div>
+                      <div className="text-xs text-gray-500">{from.label}</div>
+                    </CardContent>
+                    <CardFooter className="flex items-center justify-between gap-2 border-t pt-4">
+                      <label className={`flex items-center gap-2 text-sm ${compareDisabled ? 'text-gray-300' : 'text-gray-700 cursor-pointer'}`}>
+                        <Checkbox
+                          checked={checked}
+                          disabled={compareDisabled}
+                          onCheckedChange={() => toggleCompare(product.id)}
+                        />
+                        قارن
+                      </label>
+                      <Button size="sm" className="bg-yellow-500 hover:bg-yellow-600" onClick={() => setDetailsProduct(product)}>
+                        التفاصيل
+                      </Button>
+                    </CardFooter>
+                  </Card>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Comparison */}
+          <div className="mt-16">
+            <h2 className="text-3xl font-bold text-gray-900 mb-2">مقارنة الاشتراكات</h2>
+            <p className="text-gray-600 mb-6">اختر حتى {MAX_COMPARE} اشتراكات للمقارنة بينها جنباً إلى جنب.</p>
+            {compared.length >= 2 ? (
+              <ComparisonTable products={compared} onRemove={toggleCompare} />
+            ) : (
+              <div className="rounded-2xl border-2 border-dashed border-gray-200 p-10 text-center text-gray-500">
+                حدد اشتراكين على الأقل من القائمة أعلاه لعرض المقارنة
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+
+      <SubscriptionDetails
+        product={detailsProduct}
+        onOpenChange={(open) => {
+          if (!open) setDetailsProduct(null);
+        }}
+      />
+
+      <Footer />
+    </div>
+  );
+};
+
+export default SubscriptionsPage;
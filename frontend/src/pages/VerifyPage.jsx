@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Link, Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { REGEXP_ONLY_DIGITS } from 'input-otp';
+import { ShieldCheck, AlertCircle, RotateCw } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '../components/ui/input-otp';
+import { Button } from '../components/ui/button';
+import { useAuth } from '../context/AuthContext';
+import { useCountdown } from '../hooks/use-countdown';
+import { toast } from '../hooks/use-toast';
+import { redirectTarget } from '../lib/auth';
+
+// Step two: the code sent by POST /auth/otp; the challenge arrives in the router state from /login
+const VerifyPage = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { requestCode, verifyCode } = useAuth();
+  const { challenge: initial, from, reason } = location.state || {};
+  const [challenge, setChallenge] = useState(initial);
+  const [resendAt, setResendAt] = useState(() => (initial ? Date.now() + initial.resend_in * 1000 : null));
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [exhausted, setExhausted] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const [resending, setResending] = useState(false);
+  const resendIn = useCountdown(resendAt);
+
+  if (!challenge) return <Navigate to="/login" replace state={{ from, reason }} />;
+
+  const verify = async (value) => {
+    setVerifying(true);
+    setError(null);
+    try {
+      await verifyCode(challenge.phone, value);
+      toast({ title: 'تم تسجيل الدخول', description: 'أهلاً بك في الأسطورة أونلاين' });
+      navigate(redirectTarget(from), { replace: true });
+    } catch (e) {
+      setError(e.message);
+      setCode('');
+      // a plain-string detail means the code expired or ran out of attempts
+      if (e.detail?.attempts_left === 0 || typeof e.detail === 'string') setExhausted(true);
+      setVerifying(false);
+    }
+  };
+
+  const resend = async () => {
+    setResending(true);
+    setError(null);
+    try {
+      const next = await requestCode(challenge.phone);
+      setChallenge(next);
+      setResendAt(Date.now() + next.resend_in * 1000);
+      setExhausted(false);
+      setCode('');
+      toast({ title: 'تم إرسال رمز جديد' });
+    } catch (e) {
+      if (e.detail?.retry_after) setResendAt(Date.now() + e.detail.retry_after * 1000);
+      setError(e.message);
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      {/* Hero Section */}
+      <section className="py-16" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 text-center max-w-4xl">
+          <div className="w-16 h-16 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <ShieldCheck className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 mb-6">
+            رمز <span className="text-yellow-600">التحقق</span>
+          </h1>
+          <p className="text-xl text-gray-600 leading-relaxed">
+            أرسلنا رمزاً من {challenge.length} أرقام إلى <span dir="ltr" className="font-semibold">{challenge.phone}</span>
+          </p>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-md">
+          <div className="bg-white rounded-3xl p-8 shadow-xl space-y-6">
+            <div className="flex justify-center" dir="ltr">
+              <InputOTP
+                maxLength={challenge.length}
+                pattern={REGEXP_ONLY_DIGITS}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                autoFocus
+                value={code}
+                onChange={setCode}
+                onComplete={verify}
+                disabled={verifying || exhausted}
+                aria-label="رمز التحقق"
+              >
+                <InputOTPGroup>
+                  {Array.from({ length: challenge.length }, (_, index) => (
+                    <InputOTPSlot key={index} index={index} className="h-12 w-12 text-lg" />
+                  ))}
+                </InputOTPGroup>
+              </InputOTP>
+            </div>
+            {error && (
+              <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+                <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+            <Button
+              type="button"
+              className="w-full bg-yellow-500 hover:bg-yellow-600"
+              disabled={verifying || exhausted || code.length < challenge.length}
+              onClick={() => verify(code)}
+            >
+              {verifying ? 'جاري التحقق...' : 'تأكيد'}
+            </Button>
+            <div className="flex items-center justify-between text-sm">
+              <Button type="button" variant="ghost" size="sm" onClick={resend} disabled={resendIn > 0 || resending}>
+                <RotateCw className="w-4 h-4" />
+                {resendIn > 0 ? `إعادة الإرسال بعد ${resendIn} ث` : 'إعادة إرسال الرمز'}
+              </Button>
+              <Link to="/login" state={{ from, reason }} className="text-yellow-700 hover:underline">
+                تغيير الرقم
+              </Link>
+            </div>
+          </div>
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default VerifyPage;
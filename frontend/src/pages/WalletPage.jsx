@@ -0,0 +1,180 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { Wallet, Plus, Download, ArrowDownLeft, ArrowUpRight, Clock, AlertCircle } from 'lucide-react';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import TopupDialog from '../components/wallet/TopupDialog';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import { toast } from '../hooks/use-toast';
+import { apiGet, apiRequest } from '../lib/api';
+import { formatDateTime, formatPrice } from '../lib/format';
+import { entryKindLabels } from '../lib/wallet';
+
+const downloadStatement = async () => {
+  const blob = await apiRequest('/wallet/statement.csv', { as: 'blob' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `wallet-statement-${format(new Date(), 'yyyy-MM-dd')}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Store-credit balance and its ledger entries; rendered behind RequireAuth
+const WalletPage = () => {
+  const [wallet, setWallet] = useState(null);
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState(null);
+  const [toppingUp, setToppingUp] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const load = useCallback(() => {
+    Promise.all([apiGet('/wallet'), apiGet('/wallet/transactions')])
+      .then(([summary, list]) => {
+        setWallet(summary);
+        setEntries(list);
+      })
+      .catch((e) => setError(e.message));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const exportCsv = async () => {
+    setExporting(true);
+    try {
+      await downloadStatement();
+    } catch (e) {
+      toast({ variant: 'destructive', title: 'تعذر تنزيل كشف الحساب', description: e.message });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      <section className="py-12" style={{backgroundColor: '#FAF8F5'}}>
+        <div className="container mx-auto px-4 flex items-center gap-4">
+          <div className="w-12 h-12 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center">
+            <Wallet className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">محفظتي</h1>
+            <p className="text-gray-600">اشحن رصيدك مرة واحدة وادفع منه طلباتك داخل الموقع.</p>
+          </div>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container mx-auto px-4 max-w-5xl grid md:grid-cols-3 gap-6 items-start">
+          <Card className="bg-white rounded-2xl">
+            <CardHeader>
+              <CardTitle className="text-xl font-bold">الرصيد المتاح</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {!wallet ? (
+                !error && <Skeleton className="h-10 w-40" />
+              ) : (
+                <>
+                  <p className="text-4xl font-bold text-yellow-600" aria-live="polite">{formatPrice(wallet.balance, wallet.currency)}</p>
+                  {wallet.pending_topups > 0 && (
+                    <p className="flex items-center gap-2 text-sm text-gray-600">
+                      <Clock className="w-4 h-4 flex-shrink-0" />
+                      {formatPrice(wallet.pending_topups, wallet.currency)} بانتظار التحقق من التحويل
+                    </p>
+                  )}
+                </>
+              )}
+              <Button className="w-full bg-yellow-500 hover:bg-yellow-600" onClick={() => setToppingUp(true)}>
+                <Plus className="w-4 h-4" />
+                شحن الرصيد
+              </Button>
+              <p className="text-xs text-gray-500">يمكنك الدفع من الرصيد كلياً أو جزئياً عند إتمام أي طلب.</p>
+            </CardContent>
+          </Card>
+
+          <Card className="bg-white rounded-2xl md:col-span-2">
+            <CardHeader>
+              <div className="flex items-center justify-between gap-4">
+                <div>
+                  <CardTitle className="text-xl font-bold">العمليات</CardTitle>
+                  <CardDescription className="mt-1">كل عمليات الشحن والدفع والاسترداد على رصيدك.</CardDescription>
+                </div>
+                <Button variant="outline" onClick={exportCsv} disabled={exporting || !entries || entries.length === 0}>
+                  <Download className="w-4 h-4" />
+                  {exporting ? 'جاري التنزيل...' : 'تصدير CSV'}
+                </Button>
+              </div>
+            </CardHeader>
+            <CardContent>
+              {error && (
+                <div className="flex items-center gap-3 bg-red-50 text-red-700 rounded-xl p-4" role="alert">
+                  <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
+              )}
+              {!entries ? (
+                !error && <Skeleton className="h-48 rounded-xl" />
+              ) : entries.length === 0 ? (
+                <p className="text-center text-gray-500 py-12">لا توجد عمليات بعد. اشحن رصيدك لتبدأ.</p>
+              ) : (
+                <ul className="divide-y border rounded-xl">
+                  {entries.map((entry) => {
+                    const credit = entry.amount > 0;
+                    const Icon = credit ? ArrowDownLeft : ArrowUpRight;
+                    return (
+                      <li key={entry.id} className="flex items-center justify-between gap-4 p-4">
+                        <div className="flex items-center gap-3 min-w-0">
+                          <div className={`w-10 h-10 rounded-xl flex items-center justify-center flex-shrink-0 ${credit ? 'bg-green-100' : 'bg-yellow-100'}`}>
+                            <Icon className={`w-5 h-5 ${credit ? 'text-green-700' : 'text-yellow-700'}`} />
+                          </div>
+                          <div className="min-w-0">
+                            <div className="font-semibold text-gray-900">{entryKindLabels[entry.kind] || entry.kind}</div>
+                            {entry.memo && (
+                              <div className="text-sm text-gray-600 truncate">
+                                {entry.order_id ? (
+                                  <Link to={`/orders/${entry.order_id}`} className="hover:underline">{entry.memo}</Link>
+                                ) : entry.memo}
+                              </div>
+                            )}
+                            <div className="text-xs text-gray-500">{formatDateTime(entry.created_at)}</div>
+                          </div>
+                        </div>
+                        <div className="text-end flex-shrink-0">
+                          <div className={`font-bold ${credit ? 'text-green-700' : 'text-gray-900'}`} dir="ltr">
+                            {credit ? '+' : '−'}{formatPrice(Math.abs(entry.amount))}
+                          </div>
+                          <div className="text-xs text-gray-500">الرصيد: {formatPrice(entry.balance_after)}</div>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+      </section>
+
+      <TopupDialog
+        open={toppingUp}
+        onOpenChange={setToppingUp}
+        onUploaded={() => {
+          setToppingUp(false);
+          toast({ title: 'تم استلام الإيصال', description: 'سيُضاف الرصيد فور التحقق من التحويل.' });
+          load();
+        }}
+      />
+
+      <Footer />
+    </div>
+  );
+};
+
+export default WalletPage;
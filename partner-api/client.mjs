@@ -0,0 +1,111 @@
+// Reference client for the partner API (/api/v1/partner/*). Needs Node 18+ for the global fetch;
+// no dependencies, so it can be copied into a POS integration as is.
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+
+const API_PREFIX = '/api/v1/partner';
+const TERMINAL_STATUSES = ['delivered', 'failed', 'refunded'];
+
+export class PartnerApiError extends Error {
+  constructor(message, status, detail) {
+    super(message);
+    this.name = 'PartnerApiError';
+    this.status = status;
+    this.detail = detail;
+    // Auth failures carry a stable code: missing_signature, invalid_key, invalid_timestamp,
+    // stale_timestamp, invalid_signature, replayed_request, partner_inactive
+    this.code = detail && typeof detail === 'object' ? detail.code : undefined;
+  }
+}
+
+// Hex HMAC-SHA256 of "timestamp\nMETHOD\npath?query\nsha256(body)"; mirrors partner_api_signature()
+// in backend/server.py. `path` is everything after the host, exactly as sent
+export function signRequest({ secret, timestamp, method, path, body = '' }) {
+  const bodyHash = createHash('sha256').update(body).digest('hex');
+  return createHmac('sha256', secret)
+    .update([timestamp, method.toUpperCase(), path, bodyHash].join('\n'))
+    .digest('hex');
+}
+
+// Checks the X-Webhook-Signature header ("t=<unix seconds>,v1=<hex>") of a webhook delivery and
+// returns the parsed event. `body` must be the raw request body, before any JSON parsing;
+// mirrors webhook_signature() in backend/server.py
+export function verifyWebhook({ secret, header, body, toleranceSeconds = 300, now = Date.now() }) {
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.trim().split('=', 2)));
+  if (!parts.t || !parts.v1) throw new Error('Missing or malformed X-Webhook-Signature header');
+  if (Math.abs(now / 1000 - Number(parts.t)) > toleranceSeconds) throw new Error('Webhook timestamp is too old');
+  const expected = createHmac('sha256', secret).update(`${parts.t}.${body}`).digest();
+  const given = Buffer.from(parts.v1, 'hex');
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) throw new Error('Invalid webhook signature');
+  return JSON.parse(body);
+}
+
+const messageFromDetail = (detail) => {
+  if (typeof detail === 'string') return detail;
+  if (Array.isArray(detail)) return detail.map((d) => d.msg).filter(Boolean).join(', ');
+  return detail?.message;
+};
+
+export class PartnerApiClient {
+  // baseUrl is the site origin, e.g. https://example.com — the signed path starts at /api
+  constructor({ baseUrl, keyId, secret, fetch = globalThis.fetch }) {
+    if (!baseUrl || !keyId || !secret) throw new Error('baseUrl, keyId and secret are required');
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.keyId = keyId;
+    this.secret = secret;
+    this.fetch = fetch;
+  }
+
+  async request(method, path, { body, idempotencyKey } = {}) {
+    const fullPath = `${API_PREFIX}${path}`;
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'X-Api-Key': this.keyId,
+      'X-Timestamp': timestamp,
+      'X-Signature': signRequest({ secret: this.secret, timestamp, method, path: fullPath, body: payload }),
+    };
+    if (payload) headers['Content-Type'] = 'application/json';
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+    const res = await this.fetch(`${this.baseUrl}${fullPath}`, { method, headers, body: payload || undefined });
+    const data = await res.json().catch(() => null);
+    if (!res.ok) {
+      const detail = data && data.detail;
+      throw new PartnerApiError(messageFromDetail(detail) || `HTTP ${res.status}`, res.status, detail);
+    }
+    return data;
+  }
+
+  // Products with your wholesale prices; `type` narrows it, e.g. 'card' or 'game,credit'
+  catalog({ type } = {}) {
+    return this.request('GET', type ? `/catalog?type=${encodeURIComponent(type)}` : '/catalog');
+  }
+
+  // { wallet, commission, currency }; orders are paid from `wallet`
+  balance() {
+    return this.request('GET', '/balance');
+  }
+
+  // items: [{ sku, quantity, recipient }]. Reuse the same idempotencyKey (e.g. your sale id) when
+  // retrying after a timeout: the original order is returned and the wallet is charged once
+  createOrder({ items, reference }, { idempotencyKey }) {
+    if (!idempotencyKey) throw new Error('idempotencyKey is required so retries cannot charge twice');
+    return this.request('POST', '/orders', { body: { items, reference }, idempotencyKey });
+  }
+
+  // By order id or number
+  getOrder(orderRef) {
+    return this.request('GET', `/orders/${encodeURIComponent(orderRef)}`);
+  }
+
+  // Polls until the order is delivered, failed or refunded
+  async waitForOrder(orderRef, { intervalMs = 5000, timeoutMs = 5 * 60 * 1000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const order = await this.getOrder(orderRef);
+      if (TERMINAL_STATUSES.includes(order.status)) return order;
+      if (Date.now() + intervalMs > deadline) throw new Error(`Order ${order.number} is still ${order.status}`);
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+  }
+}
@@ -0,0 +1,40 @@
+// Usage:
+//   PARTNER_API_URL=https://example.com PARTNER_API_KEY_ID=pk_... PARTNER_API_SECRET=sk_... \
+//     node partner-api/examples/place-order.mjs
+import { PartnerApiClient, PartnerApiError } from '../client.mjs';
+
+const client = new PartnerApiClient({
+  baseUrl: process.env.PARTNER_API_URL,
+  keyId: process.env.PARTNER_API_KEY_ID,
+  secret: process.env.PARTNER_API_SECRET,
+});
+
+try {
+  const { wallet } = await client.balance();
+  console.log('Wallet balance:', wallet);
+
+  const cards = await client.catalog({ type: 'card' });
+  console.log('Cards:', cards.flatMap((p) => p.denominations.map((d) => `${d.sku} ${d.price}`)).join(', '));
+
+  // Use an id from your own system so a retried sale maps to the same order
+  const saleId = `sale-${Date.now()}`;
+  const order = await client.createOrder(
+    {
+      reference: saleId,
+      items: [
+        { sku: 'GP-US-10', quantity: 2 },
+        { sku: 'PUBG-60', quantity: 1, recipient: { player_id: '5123456789' } },
+        { sku: 'YM-CR-1000', quantity: 1, recipient: { phone: '777123456' } },
+      ],
+    },
+    { idempotencyKey: saleId },
+  );
+  console.log(`Order ${order.number}: ${order.status}, total ${order.total} ${order.currency}`);
+
+  const done = await client.waitForOrder(order.id);
+  console.log(`Order ${done.number} finished as ${done.status}`);
+} catch (e) {
+  if (e instanceof PartnerApiError) console.error(`API error ${e.status}${e.code ? ` (${e.code})` : ''}: ${e.message}`);
+  else console.error(e);
+  process.exitCode = 1;
+}
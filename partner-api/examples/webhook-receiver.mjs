@@ -0,0 +1,30 @@
+// Usage:
+//   PARTNER_WEBHOOK_SECRET=whsec_... PORT=8080 node partner-api/examples/webhook-receiver.mjs
+// Put it behind HTTPS (a reverse proxy or tunnel) and add that URL under الشركاء → الإشعارات.
+import { createServer } from 'node:http';
+import { verifyWebhook } from '../client.mjs';
+
+const secret = process.env.PARTNER_WEBHOOK_SECRET;
+const seen = new Set(); // use your database in production: retries and redeliveries repeat event ids
+
+createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    let event;
+    try {
+      event = verifyWebhook({ secret, header: req.headers['x-webhook-signature'], body });
+    } catch (e) {
+      console.warn('Rejected delivery:', e.message);
+      res.writeHead(400).end();
+      return;
+    }
+    // Answer quickly; anything but 2xx within 10 seconds counts as a failed attempt
+    res.writeHead(204).end();
+    if (seen.has(event.id)) return;
+    seen.add(event.id);
+    const order = event.order;
+    console.log(`${event.type}${order ? ` ${order.number} (${order.reference || '-'}) is ${order.status}` : ''}`);
+  });
+}).listen(Number(process.env.PORT) || 8080);
@@ -0,0 +1,121 @@
+"""Backend test setup. server.py is imported with its database swapped for an in-memory mongomock
+one behind a small motor-style async wrapper, so the tests need no running MongoDB. `async def`
+tests are run to completion on a fresh event loop. Run from the repository root:
+
+    python -m pytest tests
+"""
+import asyncio
+import inspect
+import os
+import sys
+from pathlib import Path
+
+import mongomock
+import pytest
+
+os.environ.setdefault("MONGO_URL", "mongodb://localhost:27017")
+os.environ.setdefault("DB_NAME", "test_database")
+sys.path.insert(0, str(Path(__file__).resolve().parents[1] / "backend"))
+
+import server  # noqa: E402
+
+
+class AsyncCursor:
+    def __init__(self, cursor):
+        self._cursor = cursor
+
+    def sort(self, *args, **kwargs):
+        self._cursor = self._cursor.sort(*args, **kwargs)
+        return self
+
+    def skip(self, count):
+        self._cursor = self._cursor.skip(count)
+        return self
+
+    def limit(self, count):
+        self._cursor = self._cursor.limit(count)
+        return self
+
+    async def to_list(self, length=None):
+        docs = list(self._cursor)
+        return docs if length is None else docs[:length]
+
+    def __aiter__(self):
+        return self._iterate()
+
+    async def _iterate(self):
+        for doc in self._cursor:
+            yield doc
+
+
+class AsyncCollection:
+    def __init__(self, collection):
+        self._collection = collection
+
+    def find(self, *args, **kwargs):
+        return AsyncCursor(self._collection.find(*args, **kwargs))
+
+    def aggregate(self, pipeline, **kwargs):
+        return AsyncCursor(self._collection.aggregate(pipeline, **kwargs))
+
+    async def find_one_and_update(self, filter, update, projection=None, return_document=False, **kwargs):
+        # mongomock looks the updated document up again by `filter`, which misses it when the update
+        # moved it out of the filter (status transitions); MongoDB returns it by _id
+        if not return_document:
+            return self._collection.find_one_and_update(filter, update, projection=projection, **kwargs)
+        before = self._collection.find_one_and_update(filter, update, projection={"_id": 1}, **kwargs)
+        if before is None:
+            return self._collection.find_one(filter, projection) if kwargs.get("upsert") else None
+        return self._collection.find_one({"_id": before["_id"]}, projection)
+
+    def __getattr__(self, name):
+        method = getattr(self._collection, name)
+
+        async def call(*args, **kwargs):
+            return method(*args, **kwargs)
+
+        return call
+
+
+class AsyncDatabase:
+    def __init__(self, database):
+        self._database = database
+
+    def __getitem__(self, name):
+        return AsyncCollection(self._database[name])
+
+    def __getattr__(self, name):
+        return self[name]
+
+
+@pytest.fixture
+def db(monkeypatch):
+    """A fresh, seeded database with the indexes the app creates at startup."""
+    database = AsyncDatabase(mongomock.MongoClient()["test_database"])
+    monkeypatch.setattr(server, "db", database)
+    monkeypatch.setattr(server, "SECRET_KEY", "test-secret")
+    asyncio.run(server.seed_defaults())
+    return database
+
+
+@pytest.fixture
+def make_order(db):
+    """Inserts a checkout order for one $10 Google Play card; keyword arguments override Order fields."""
+    async def make(**fields):
+        item = server.OrderItem(product_id="card-google-play-us", sku="GP-US-10", name="بطاقة جوجل بلاي", label="$10",
+                                unit_price=5600)
+        order = server.Order(**{"kind": "checkout", "items": [item], "total": 5600, "contact_phone": "+967777123456",
+                                **fields})
+        await db.orders.insert_one(order.dict())
+        return order
+
+    return make
+
+
+@pytest.hookimpl(tryfirst=True)
+def pytest_pyfunc_call(pyfuncitem):
+    if inspect.iscoroutinefunction(pyfuncitem.obj):
+        args = {name: pyfuncitem.funcargs[name] for name in pyfuncitem._fixtureinfo.argnames}
+        asyncio.run(pyfuncitem.obj(**args))
+        return True
+    return None
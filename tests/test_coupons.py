@@ -0,0 +1,142 @@
+from datetime import datetime, timedelta
+
+import pytest
+from fastapi import HTTPException
+
+import server
+
+CARD = server.CartItemIn(product_id="card-google-play-us", sku="GP-US-10", quantity=2)  # 2 x 5600
+GAME = server.CartItemIn(product_id="game-pubg-mobile", sku="PUBG-325", quantity=1, recipient={"player_id": "5123456789"})
+
+
+async def add_coupon(db, **fields):
+    coupon = server.Coupon(**{"code": "SAVE10", "kind": "percent", "value": 10, **fields})
+    await db.coupons.insert_one(coupon.dict())
+    return coupon
+
+
+async def test_percent_coupon_is_taken_off_the_total(db):
+    await add_coupon(db)
+
+    pricing = await server.price_cart([CARD], coupon_code=" save10 ")
+
+    assert pricing.coupon_error is None
+    assert pricing.subtotal == 11200
+    assert pricing.discount == 1120
+    assert pricing.total == 10080
+    assert pricing.coupon.code == "SAVE10"
+
+
+async def test_percent_coupon_is_capped_by_max_discount(db):
+    await add_coupon(db, max_discount=500)
+
+    pricing = await server.price_cart([CARD], coupon_code="SAVE10")
+
+    assert pricing.discount == 500
+
+
+async def test_scoped_coupon_only_discounts_its_lines(db):
+    await add_coupon(db, kind="fixed", value=5000, product_types=["game"])
+
+    pricing = await server.price_cart([CARD, GAME], coupon_code="SAVE10")
+
+    assert pricing.discount == 2750  # never more than the game line costs
+    assert pricing.total == 11200
+
+
+async def test_coupon_outside_its_scope_is_not_applied(db):
+    await add_coupon(db, product_ids=["game-pubg-mobile"])
+
+    pricing = await server.price_cart([CARD], coupon_code="SAVE10")
+
+    assert pricing.discount == 0
+    assert pricing.coupon is None
+    assert pricing.coupon_error == "الكوبون لا يشمل أي منتج في السلة"
+
+
+@pytest.mark.parametrize("fields, message", [
+    ({"active": False}, "كود الخصم غير صحيح"),
+    ({"ends_at": datetime.utcnow() - timedelta(days=1)}, "كود الخصم غير صالح في هذا الوقت"),
+    ({"starts_at": datetime.utcnow() + timedelta(days=1)}, "كود الخصم غير صالح في هذا الوقت"),
+    ({"min_subtotal": 20000}, "الحد الأدنى للطلب لاستخدام هذا الكود 20,000 ريال"),
+    ({"usage_limit": 3, "used_count": 3}, "نفدت مرات استخدام هذا الكود"),
+    ({"per_user_limit": 1}, "سجّل الدخول لاستخدام هذا الكود"),
+])
+async def test_coupon_error_explains_why_a_coupon_is_refused(db, fields, message):
+    coupon = await add_coupon(db, **fields)
+
+    assert await server.coupon_error(coupon, 11200, None, None) == message
+
+
+async def test_unknown_codes_and_wholesale_carts_are_refused(db):
+    coupon = await add_coupon(db)
+    tier = server.PartnerTier(**server.DEFAULT_PARTNER_TIERS[0])
+
+    assert (await server.price_cart([CARD], coupon_code="NOPE")).coupon_error == "كود الخصم غير صحيح"
+    assert await server.coupon_error(coupon, 11200, "u1", tier) == "لا تُطبق أكواد الخصم على أسعار الجملة"
+
+
+async def test_per_user_limit_counts_the_accounts_orders(db, make_order):
+    coupon = await add_coupon(db, per_user_limit=1)
+    order = await make_order(user_id="u1", coupon_code="SAVE10")
+    await server.redeem_coupon(order)
+
+    assert await server.coupon_error(coupon, 11200, "u1", None) == "استخدمت هذا الكود بالحد الأقصى المسموح"
+    assert await server.coupon_error(coupon, 11200, "u2", None) is None
+
+
+async def test_last_use_cannot_be_redeemed_twice(db, make_order):
+    await add_coupon(db, usage_limit=1)
+    first = await make_order(user_id="u1", coupon_code="SAVE10")
+    second = await make_order(user_id="u2", coupon_code="SAVE10")
+    await server.redeem_coupon(first)
+
+    with pytest.raises(HTTPException) as error:
+        await server.redeem_coupon(second)
+    assert error.value.status_code == 409
+
+
+@pytest.mark.parametrize("status", ["failed", "refunded"])
+async def test_failed_and_refunded_orders_give_the_use_back(db, make_order, status):
+    await add_coupon(db, usage_limit=1)
+    order = await make_order(user_id="u1", coupon_code="SAVE10")
+    await server.redeem_coupon(order)
+
+    if status == "refunded":
+        await server.set_order_status(order.id, "delivered")
+        await server.admin_refund_order(order.id, server.OrderReview())
+    else:
+        await server.set_order_status(order.id, "failed")
+
+    coupon = await db.coupons.find_one({"code": "SAVE10"})
+    assert coupon["used_count"] == 0
+    assert await db.coupon_redemptions.count_documents({"order_id": order.id}) == 0
+
+
+async def expire_redemption(db, order):
+    await db.coupon_redemptions.update_one({"order_id": order.id}, {"$set": {"reserved_until": datetime.utcnow()}})
+
+
+async def test_unpaid_order_gives_the_use_back_when_its_reservation_expires(db, make_order):
+    await add_coupon(db, usage_limit=1)
+    order = await make_order(user_id="u1", coupon_code="SAVE10")
+    await server.redeem_coupon(order)
+
+    assert not await server.release_next_expired_reservation()
+    await expire_redemption(db, order)
+    assert await server.release_next_expired_reservation()
+
+    assert (await db.coupons.find_one({"code": "SAVE10"}))["used_count"] == 0
+    assert await db.coupon_redemptions.count_documents({"order_id": order.id}) == 0
+
+
+async def test_paid_order_keeps_the_use_after_the_reservation_expires(db, make_order):
+    await add_coupon(db, usage_limit=1)
+    order = await make_order(user_id="u1", coupon_code="SAVE10", status="paid")
+    await server.redeem_coupon(order)
+    await expire_redemption(db, order)
+
+    assert await server.release_next_expired_reservation()
+    assert not await server.release_next_expired_reservation()
+
+    assert (await db.coupons.find_one({"code": "SAVE10"}))["used_count"] == 1
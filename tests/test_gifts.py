@@ -0,0 +1,18 @@
+import asyncio
+
+from fastapi.testclient import TestClient
+
+import server
+
+
+def test_gift_status_does_not_show_the_recipient(db, make_order):
+    order = asyncio.run(make_order())
+    gift = server.Gift(order_id=order.id, order_number=order.number, sender_name="أحمد", recipient_name="سارة",
+                       recipient_phone="+967777654321", message="كل عام وأنتِ بخير", deliver_at=server.datetime.utcnow())
+    asyncio.run(db.gifts.insert_one(gift.dict()))
+
+    response = TestClient(server.app).get(f"/api/orders/{order.id}/gift")
+
+    assert response.status_code == 200
+    assert response.json()["status"] == "scheduled"
+    assert not {"recipient_name", "recipient_phone", "message", "sender_name"} & set(response.json())
@@ -0,0 +1,12 @@
+import server
+
+
+def import_rows(*rows):
+    return server.InventoryImport(rows=[server.InventoryImportRow(row=row, sku="GP-US-10", code=code) for row, code in rows])
+
+
+async def test_rows_are_checked_by_position_even_with_repeated_row_numbers(db):
+    result = await server.admin_import_inventory(import_rows((2, "AAAA-1111-2222"), (2, "BBBB-3333-4444"), (3, "AAAA-1111-2222")))
+
+    assert [row.status for row in result.rows] == ["new", "new", "duplicate_file"]
+    assert [row.last4 for row in result.rows] == ["2222", "4444", "2222"]
@@ -0,0 +1,121 @@
+import pytest
+from fastapi import HTTPException
+
+import server
+
+
+async def top_up(user_id, amount, key="topup-1"):
+    return await server.post_wallet_transaction(user_id, "topup", amount, key, "clearing:bank")
+
+
+async def test_postings_balance_and_number_each_wallet_in_sequence(db):
+    first = await top_up("u1", 1000)
+    second = await server.post_wallet_transaction("u1", "spend", 300, "spend-1", "sales:orders")
+    other = await top_up("u2", 50, key="topup-2")
+
+    for transaction in (first, second, other):
+        assert sum(posting.amount for posting in transaction.postings) == 0
+    assert [first.seq, second.seq, other.seq] == [1, 2, 1]
+    assert await server.wallet_balance("u1") == 700
+    assert await server.account_balance("clearing:bank") == -1050
+    assert await server.account_balance("sales:orders") == 300
+
+
+async def test_replayed_key_returns_the_original_transaction(db):
+    first = await top_up("u1", 1000)
+    replay = await top_up("u1", 1000)
+
+    assert replay.id == first.id
+    assert await db.ledger_transactions.count_documents({}) == 1
+    assert await server.wallet_balance("u1") == 1000
+
+
+async def test_replayed_key_for_a_different_operation_is_rejected(db):
+    await top_up("u1", 1000)
+
+    with pytest.raises(HTTPException) as error:
+        await top_up("u1", 999)
+    assert error.value.status_code == 409
+
+
+async def test_spending_more_than_the_balance_is_rejected(db):
+    await top_up("u1", 100)
+
+    with pytest.raises(HTTPException) as error:
+        await server.post_wallet_transaction("u1", "spend", 150, "spend-1", "sales:orders")
+    assert error.value.status_code == 409
+    assert error.value.detail["balance"] == 100
+    assert await db.ledger_transactions.count_documents({}) == 1
+    assert await server.wallet_balance("u1") == 100
+
+
+async def test_wallet_pays_part_of_an_order(db, make_order):
+    await top_up("u1", 2000)
+    order = await make_order()
+
+    paid = await server.apply_wallet_credit(order, "u1", 2000, "order-1:wallet")
+
+    assert paid.status == "created"
+    assert paid.wallet_amount == 2000
+    assert await server.wallet_balance("u1") == 0
+
+
+async def test_wallet_pays_a_whole_order_once(db, make_order):
+    await top_up("u1", 10000)
+    order = await make_order()
+
+    paid = await server.apply_wallet_credit(order, "u1", order.total, "order-1:wallet")
+    replay = await server.apply_wallet_credit(paid, "u1", order.total, "order-1:wallet")
+
+    assert paid.status == "paid"
+    assert replay.wallet_amount == order.total
+    assert await server.wallet_balance("u1") == 10000 - order.total
+
+
+async def test_spend_is_reversed_when_the_order_changed_meanwhile(db, make_order):
+    await top_up("u1", 10000)
+    order = await make_order()
+    await db.orders.update_one({"id": order.id}, {"$set": {"status": "failed"}})
+
+    with pytest.raises(HTTPException) as error:
+        await server.apply_wallet_credit(order, "u1", order.total, "order-1:wallet")
+    assert error.value.status_code == 409
+    assert await server.wallet_balance("u1") == 10000
+    assert await db.ledger_transactions.count_documents({"idempotency_key": "order-1:wallet:reversal"}) == 1
+
+
+async def test_rejected_payment_refunds_the_wallet_part(db, make_order):
+    await top_up("u1", 2000)
+    order = await make_order(user_id="u1")
+    order = await server.apply_wallet_credit(order, "u1", 2000, "order-1:wallet")
+    await db.orders.update_one({"id": order.id}, {"$set": {"status": "verifying"}})
+
+    rejected = await server.admin_reject_payment(order.id, server.OrderReview())
+
+    assert rejected.status == "failed"
+    assert await server.wallet_balance("u1") == 2000
+
+
+async def test_refund_takes_back_the_partner_commission(db, make_order):
+    order = await make_order(user_id="u1", partner_commission=56)
+    await server.set_order_status(order.id, "delivered")
+    assert await server.account_balance(server.commission_account("u1")) == 56
+
+    await server.admin_refund_order(order.id, server.OrderReview())
+
+    assert await server.account_balance(server.commission_account("u1")) == 0
+    assert await server.account_balance("expense:commissions") == 0
+    assert await server.wallet_balance("u1") == order.total
+
+
+async def test_paid_out_commission_is_taken_back_from_the_wallet(db, make_order):
+    order = await make_order(user_id="u1", partner_commission=56)
+    await server.set_order_status(order.id, "delivered")
+    await server.post_ledger_transaction("u1", "commission_payout", 56, "payout-1", server.wallet_account("u1"),
+                                         server.commission_account("u1"))
+
+    await server.admin_refund_order(order.id, server.OrderReview())
+
+    assert await server.account_balance(server.commission_account("u1")) == 0
+    assert await server.account_balance("expense:commissions") == 0
+    assert await server.wallet_balance("u1") == order.total
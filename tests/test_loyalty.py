@@ -0,0 +1,105 @@
+from datetime import datetime, timedelta
+
+import pytest
+from fastapi import HTTPException
+
+import server
+
+
+async def add_lot(user_id, points, key, expires_in_days=365):
+    await server.add_points(user_id, "earn", points, key)
+    await server.db.loyalty_points.update_one(
+        {"key": key}, {"$set": {"expires_at": datetime.utcnow() + timedelta(days=expires_in_days)}},
+    )
+
+
+async def remaining(key):
+    return (await server.db.loyalty_points.find_one({"key": key}))["remaining"]
+
+
+async def test_take_points_uses_the_soonest_expiring_lots_first(db):
+    await add_lot("u1", 100, "late", expires_in_days=200)
+    await add_lot("u1", 100, "soon", expires_in_days=10)
+
+    taken = await server.take_points("u1", "redeem", 150, "order:o1:redeem")
+
+    assert taken == 150
+    assert await remaining("soon") == 0
+    assert await remaining("late") == 50
+    entry = await db.loyalty_points.find_one({"key": "order:o1:redeem"})
+    assert entry["points"] == -150
+    assert await server.points_balance("u1") == 50
+
+
+async def test_take_points_takes_nothing_when_the_balance_is_short(db):
+    await add_lot("u1", 100, "lot")
+
+    with pytest.raises(HTTPException) as error:
+        await server.take_points("u1", "redeem", 150, "order:o1:redeem")
+    assert error.value.status_code == 409
+    assert await remaining("lot") == 100
+    assert await db.loyalty_points.count_documents({"key": "order:o1:redeem"}) == 0
+
+
+async def test_take_points_is_recorded_once_per_key(db):
+    await add_lot("u1", 300, "lot")
+
+    assert await server.take_points("u1", "redeem", 100, "order:o1:redeem") == 100
+    assert await server.take_points("u1", "redeem", 100, "order:o1:redeem") == 0
+    assert await server.points_balance("u1") == 200
+
+
+async def test_partial_take_stops_at_zero(db):
+    await add_lot("u1", 40, "lot")
+
+    assert await server.take_points("u1", "reverse", 100, "order:o1:reverse", partial=True) == 40
+    assert await server.points_balance("u1") == 0
+
+
+async def test_failed_order_restores_redeemed_points(db, make_order):
+    await add_lot("u1", 500, "lot")
+    order = await make_order(user_id="u1", points_redeemed=200, points_discount=200)
+    await server.redeem_points(order)
+    assert await server.points_balance("u1") == 300
+
+    await server.set_order_status(order.id, "failed")
+    await server.set_order_status(order.id, "failed")
+
+    assert await server.points_balance("u1") == 500
+
+
+async def test_refund_credits_the_wallet_and_takes_back_earned_points(db, make_order):
+    order = await make_order(user_id="u1")
+    await server.set_order_status(order.id, "delivered")
+    earned = await server.points_balance("u1")
+    assert earned == int(order.total * server.DEFAULT_LOYALTY_TIERS[0]["earn_percent"] / 100)
+
+    refunded = await server.admin_refund_order(order.id, server.OrderReview())
+
+    assert refunded.status == "refunded"
+    assert await server.wallet_balance("u1") == order.total
+    assert await server.points_balance("u1") == 0
+    reversal = await db.loyalty_points.find_one({"key": f"order:{order.id}:reverse"})
+    assert reversal["points"] == -earned
+
+
+async def test_refund_is_credited_once(db, make_order):
+    order = await make_order(user_id="u1")
+    await server.set_order_status(order.id, "delivered")
+    await server.admin_refund_order(order.id, server.OrderReview())
+
+    with pytest.raises(HTTPException) as error:
+        await server.admin_refund_order(order.id, server.OrderReview())
+    assert error.value.status_code == 409
+    assert await server.wallet_balance("u1") == order.total
+
+
+async def test_only_delivered_account_orders_can_be_refunded(db, make_order):
+    paid = await make_order(user_id="u1", status="paid")
+    guest = await make_order(status="delivered")
+
+    for order in (paid, guest):
+        with pytest.raises(HTTPException) as error:
+            await server.admin_refund_order(order.id, server.OrderReview())
+        assert error.value.status_code == 409
+    assert await server.wallet_balance("u1") == 0
@@ -0,0 +1,98 @@
+import asyncio
+import hashlib
+import hmac
+import time
+
+import pytest
+from fastapi.testclient import TestClient
+
+import server
+
+BALANCE = "/api/v1/partner/balance"
+
+
+@pytest.fixture
+def api_key(db):
+    partner = server.Partner(user_id="u1", business_name="متجر", city="صنعاء", phone="+967777123456",
+                             monthly_volume="small", status="approved", tier="bronze")
+    asyncio.run(db.partners.insert_one(partner.dict()))
+    return asyncio.run(server.issue_partner_api_key(partner, "POS"))
+
+
+@pytest.fixture
+def client(db):
+    return TestClient(server.app)
+
+
+def signed_headers(key, path, method="GET", body=b"", timestamp=None, secret=None):
+    timestamp = str(int(time.time()) if timestamp is None else timestamp)
+    signature = server.partner_api_signature(secret or key.secret, timestamp, method, path, body)
+    return {"X-Api-Key": key.key_id, "X-Timestamp": timestamp, "X-Signature": signature}
+
+
+def error_code(response):
+    return response.json()["detail"]["code"]
+
+
+def test_signature_covers_timestamp_method_path_and_body_hash():
+    body = b'{"items": []}'
+    payload = "\n".join(["1700000000", "POST", "/api/v1/partner/orders", hashlib.sha256(body).hexdigest()])
+    expected = hmac.new(b"sk_test", payload.encode(), hashlib.sha256).hexdigest()
+
+    assert server.partner_api_signature("sk_test", "1700000000", "post", "/api/v1/partner/orders", body) == expected
+
+
+def test_signed_request_is_accepted(client, api_key):
+    response = client.get(BALANCE, headers=signed_headers(api_key, BALANCE))
+
+    assert response.status_code == 200
+    assert response.json()["wallet"] == 0
+
+
+def test_missing_headers_are_rejected(client, api_key):
+    response = client.get(BALANCE, headers={"X-Api-Key": api_key.key_id})
+
+    assert response.status_code == 401
+    assert error_code(response) == "missing_signature"
+
+
+def test_wrong_secret_is_rejected(client, api_key):
+    response = client.get(BALANCE, headers=signed_headers(api_key, BALANCE, secret="sk_wrong"))
+
+    assert response.status_code == 401
+    assert error_code(response) == "invalid_signature"
+
+
+def test_query_string_is_part_of_the_signature(client, api_key):
+    response = client.get("/api/v1/partner/catalog?type=card", headers=signed_headers(api_key, "/api/v1/partner/catalog"))
+
+    assert response.status_code == 401
+    assert error_code(response) == "invalid_signature"
+
+
+def test_stale_timestamp_is_rejected(client, api_key):
+    stale = int(time.time()) - server.PARTNER_API_CLOCK_SKEW_SECONDS - 10
+    response = client.get(BALANCE, headers=signed_headers(api_key, BALANCE, timestamp=stale))
+
+    assert response.status_code == 401
+    assert error_code(response) == "stale_timestamp"
+
+
+def test_revoked_key_is_rejected(client, api_key, db):
+    asyncio.run(db.partner_api_keys.update_one({"id": api_key.id}, {"$set": {"revoked_at": server.datetime.utcnow()}}))
+
+    response = client.get(BALANCE, headers=signed_headers(api_key, BALANCE))
+
+    assert response.status_code == 401
+    assert error_code(response) == "invalid_key"
+
+
+def test_replayed_request_is_rejected(client, api_key):
+    headers = signed_headers(api_key, BALANCE)
+
+    assert client.get(BALANCE, headers=headers).status_code == 200
+    replay = client.get(BALANCE, headers=headers)
+
+    assert replay.status_code == 401
+    assert error_code(replay) == "replayed_request"
+    assert client.get(BALANCE, headers=signed_headers(api_key, BALANCE, timestamp=int(time.time()) + 1)).status_code == 200
@@ -0,0 +1,52 @@
+import asyncio
+
+import pytest
+from fastapi.testclient import TestClient
+
+import server
+
+PNG = ("receipt.png", b"\x89PNG\r\n\x1a\n", "image/png")
+
+
+@pytest.fixture
+def client(db, monkeypatch, tmp_path):
+    monkeypatch.setattr(server, "UPLOAD_DIR", tmp_path)
+    return TestClient(server.app)
+
+
+@pytest.fixture
+def order(make_order):
+    return asyncio.run(make_order(contact_phone="+967 777 123 456"))
+
+
+def upload(client, order, **data):
+    return client.post(f"/api/orders/{order.id}/receipt", files={"file": PNG}, data=data)
+
+
+def test_upload_without_proof_is_rejected(client, order, db):
+    response = upload(client, order)
+
+    assert response.status_code == 403
+    assert asyncio.run(db.orders.find_one({"id": order.id}))["status"] == "created"
+
+
+def test_upload_with_another_phone_is_rejected(client, order):
+    assert upload(client, order, phone="771999888").status_code == 403
+
+
+def test_guest_uploads_with_the_contact_phone(client, order):
+    response = upload(client, order, phone="0777123456", reference="TR-1")
+
+    assert response.status_code == 200
+    assert response.json()["status"] == "verifying"
+    assert response.json()["receipts"][0]["reference"] == "TR-1"
+
+
+def test_signed_in_owner_uploads_without_a_phone(client, make_order, db):
+    order = asyncio.run(make_order(user_id="u1", contact_phone=None))
+    session = server.AuthSession(user_id="u1", token_hash=server.session_digest("token-1"),
+                                 expires_at=server.datetime.utcnow() + server.timedelta(days=1))
+    asyncio.run(db.sessions.insert_one(session.dict()))
+    client.cookies.set(server.SESSION_COOKIE, "token-1")
+
+    assert upload(client, order).status_code == 200
@@ -0,0 +1,128 @@
+from datetime import datetime, timedelta
+
+import pytest
+
+import server
+
+
+def monthly(day):
+    return server.RecurringOrderFields(product_id="p", sku="s", frequency="monthly", day_of_month=day)
+
+
+def every(days):
+    return server.RecurringOrderFields(product_id="p", sku="s", frequency="interval", interval_days=days)
+
+
+@pytest.mark.parametrize("schedule, after, expected", [
+    (monthly(15), datetime(2026, 1, 10, 12), datetime(2026, 1, 15, 6)),
+    (monthly(15), datetime(2026, 1, 15, 5, 59), datetime(2026, 1, 15, 6)),
+    (monthly(15), datetime(2026, 1, 15, 6), datetime(2026, 2, 15, 6)),
+    (monthly(1), datetime(2026, 1, 31, 12), datetime(2026, 2, 1, 6)),
+    (monthly(28), datetime(2026, 2, 28, 6), datetime(2026, 3, 28, 6)),
+    (monthly(15), datetime(2026, 12, 20), datetime(2027, 1, 15, 6)),
+    (every(1), datetime(2026, 1, 10, 5), datetime(2026, 1, 10, 6)),
+    (every(1), datetime(2026, 1, 10, 6), datetime(2026, 1, 11, 6)),
+    (every(30), datetime(2026, 1, 10, 12), datetime(2026, 2, 9, 6)),
+    (every(30), datetime(2026, 2, 9, 6), datetime(2026, 3, 11, 6)),
+])
+def test_next_recurring_run(schedule, after, expected):
+    assert server.next_recurring_run(schedule, after) == expected
+
+
+class RecordingSms:
+    def __init__(self):
+        self.sent = []
+
+    async def send(self, phone, message):
+        self.sent.append((phone, message))
+
+
+@pytest.fixture
+def sms(monkeypatch):
+    provider = RecordingSms()
+    monkeypatch.setattr(server, "sms_provider", lambda: provider)
+    return provider
+
+
+async def due_schedule(db, **fields):
+    await db.users.insert_one(server.User(id="u1", phone="+967777123456").dict())
+    run_at = datetime.utcnow().replace(microsecond=0) - timedelta(minutes=1)
+    schedule = server.RecurringOrder(**{
+        "user_id": "u1", "name": "شدات ببجي موبايل", "label": "60 UC", "product_id": "game-pubg-mobile",
+        "sku": "PUBG-60", "recipient": {"player_id": "5123456789"}, "frequency": "interval", "interval_days": 30,
+        "next_run_at": run_at, "next_attempt_at": run_at, "reminded": True, **fields,
+    })
+    await db.recurring_orders.insert_one(schedule.dict())
+    return schedule
+
+
+async def stored(db, schedule):
+    return server.RecurringOrder(**await db.recurring_orders.find_one({"id": schedule.id}, {"_id": 0}))
+
+
+async def test_due_run_places_a_wallet_paid_order_and_moves_on(db, sms):
+    await server.post_wallet_transaction("u1", "topup", 1000, "topup-1", "clearing:bank")
+    schedule = await due_schedule(db)
+
+    assert await server.run_next_recurring()
+
+    after = await stored(db, schedule)
+    order = server.Order(**await db.orders.find_one({"id": after.last_order_id}, {"_id": 0}))
+    assert order.status == "paid"
+    assert order.recurring_id == schedule.id
+    assert await server.wallet_balance("u1") == 1000 - 550
+    assert after.next_run_at == server.next_recurring_run(schedule, schedule.next_run_at)
+    assert after.attempts == 0
+    assert len(sms.sent) == 1 and order.number in sms.sent[0][1]
+
+
+async def test_failed_run_is_retried_then_skipped(db, sms):
+    schedule = await due_schedule(db)
+
+    assert await server.run_next_recurring()
+    after = await stored(db, schedule)
+    assert after.attempts == 1
+    assert after.last_error == "رصيد المحفظة غير كافٍ"
+    assert after.next_attempt_at > datetime.utcnow() + timedelta(minutes=server.RECURRING_RETRY_BASE_MINUTES - 1)
+    assert after.next_run_at == schedule.next_run_at
+
+    for _ in range(server.RECURRING_MAX_ATTEMPTS - 1):
+        await db.recurring_orders.update_one({"id": schedule.id}, {"$set": {"next_attempt_at": datetime.utcnow()}})
+        assert await server.run_next_recurring()
+
+    after = await stored(db, schedule)
+    assert after.attempts == 0
+    assert after.next_run_at == server.next_recurring_run(schedule, schedule.next_run_at)
+    assert await db.orders.count_documents({}) == 0
+    assert len(sms.sent) == 2  # the first failure, then the skipped run
+
+
+async def test_paused_schedules_do_not_run(db, sms):
+    await due_schedule(db, status="paused")
+
+    assert not await server.run_next_recurring()
+
+
+async def upcoming_schedule(db, **fields):
+    return await due_schedule(db, reminded=False, next_run_at=datetime.utcnow() + timedelta(hours=1), **fields)
+
+
+async def test_reminder_announces_the_coming_charge(db, sms):
+    await upcoming_schedule(db)
+
+    assert await server.remind_next_recurring()
+
+    assert len(sms.sent) == 1
+    assert "نخصم 550 ريال" in sms.sent[0][1]
+
+
+async def test_reminder_for_an_unavailable_item_announces_no_charge(db, sms):
+    await db.products.update_one({"id": "game-pubg-mobile", "denominations.sku": "PUBG-60"},
+                                 {"$set": {"denominations.$.in_stock": False}})
+    await upcoming_schedule(db)
+
+    assert await server.remind_next_recurring()
+
+    assert len(sms.sent) == 1
+    assert "غير متوفر حالياً" in sms.sent[0][1]
+    assert "نخصم" not in sms.sent[0][1]
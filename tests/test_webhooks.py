@@ -0,0 +1,72 @@
+import json
+import socket
+
+import pytest
+import requests
+import urllib3
+
+import server
+
+
+async def subscribe(db, user_id, events):
+    await db.webhook_endpoints.insert_one({
+        "id": "endpoint-1", "partner_id": "partner-1", "user_id": user_id, "active": True, "events": events,
+    })
+
+
+async def test_refund_sends_refund_issued_with_the_full_amount(db, make_order):
+    await subscribe(db, "u1", ["order.fulfilled", "refund.issued"])
+    order = await make_order(user_id="u1")
+    await server.set_order_status(order.id, "delivered")
+
+    await server.admin_refund_order(order.id, server.OrderReview())
+
+    deliveries = await db.webhook_deliveries.find({"event_type": "refund.issued"}).to_list(None)
+    assert len(deliveries) == 1
+    payload = json.loads(deliveries[0]["payload"])
+    assert payload["refund_amount"] == order.total
+    assert payload["order"]["status"] == "refunded"
+
+
+async def test_rejected_order_sends_refund_issued_for_the_wallet_part(db, make_order):
+    await subscribe(db, "u1", ["refund.issued"])
+    await server.post_wallet_transaction("u1", "topup", 2000, "topup-1", "clearing:bank")
+    order = await make_order(user_id="u1")
+    await server.apply_wallet_credit(order, "u1", 2000, "order-1:wallet")
+    await db.orders.update_one({"id": order.id}, {"$set": {"status": "verifying"}})
+
+    await server.admin_reject_payment(order.id, server.OrderReview())
+
+    delivery = await db.webhook_deliveries.find_one({"event_type": "refund.issued"})
+    assert json.loads(delivery["payload"])["refund_amount"] == 2000
+
+
+async def test_events_are_only_sent_to_subscribed_endpoints(db, make_order):
+    await subscribe(db, "u1", ["order.paid"])
+    order = await make_order(user_id="u1")
+    await server.set_order_status(order.id, "delivered")
+
+    await server.admin_refund_order(order.id, server.OrderReview())
+
+    assert await db.webhook_deliveries.count_documents({}) == 0
+
+
+def test_delivery_connects_to_the_address_that_was_checked(monkeypatch):
+    answers = iter(["93.184.216.34", "127.0.0.1"])  # public for the check, internal if asked again
+
+    def getaddrinfo(host, port, *args, **kwargs):
+        address = host if host[0].isdigit() else next(answers)
+        return [(socket.AF_INET, socket.SOCK_STREAM, socket.IPPROTO_TCP, "", (address, port))]
+
+    connections = []
+
+    def connect(connection):
+        connections.append((connection.host, connection.server_hostname))
+        raise OSError("no network in tests")
+
+    monkeypatch.setattr(socket, "getaddrinfo", getaddrinfo)
+    monkeypatch.setattr(urllib3.connection.HTTPSConnection, "connect", connect)
+
+    with pytest.raises(requests.ConnectionError):
+        server.post_webhook("https://hooks.example.com/orders", "{}", {})
+    assert connections == [("93.184.216.34", "hooks.example.com")]